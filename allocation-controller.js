@@ -0,0 +1,245 @@
+/**
+ * AllocationController - Mixed Allocation Settings Management
+ *
+ * Lets the user split deposits across vehicles in mix mode (e.g. 80% USD / 20% BTC)
+ * and choose how often the holdings are rebalanced back to that split.
+ * Values are persisted in localStorage and read by SettingsCache, so StateManager
+ * and SimulationEngine pick them up like any slider value.
+ *
+ * Responsibilities:
+ * - Fill the rebalance selector from CONFIG.allocation.rebalanceOptions
+ * - Load/save split and rebalance schedule via settings-storage.js
+ * - Show the split total (deposits are scaled to 100% when it differs)
+ * - Show the allocation controls only in mix mode
+ * - Reset the start state so the starting amount follows the new split
+ *
+ * Dependencies:
+ * - config.js (CONFIG.allocation, element IDs)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache.readAllocation)
+ * - financial-math.js (ALLOCATION_VEHICLES)
+ * - state-manager.js (savingsVehicle subscription, reset in start state)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new AllocationController(CONFIG, stateManager);
+ * controller.initialize();
+ * ```
+ */
+class AllocationController {
+    /**
+     * Create a new AllocationController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     */
+    constructor(config, stateManager) {
+        this.config = config;
+        this.stateManager = stateManager;
+
+        // DOM elements
+        this.elements = {
+            controlGroup: null,
+            inputs: {},
+            total: null,
+            rebalanceSelect: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved split before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.controlGroup) return;
+
+        // Fill selector and restore saved values
+        this.populateRebalanceOptions();
+        this.loadFromStorage();
+
+        // Sync settings cache with restored values
+        if (window.settingsCache) {
+            window.settingsCache.readAllocation();
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Allocation controls are only relevant in mix mode
+        this.stateManager.subscribe('savingsVehicle', () => {
+            this.updateVisibility();
+        });
+        this.updateVisibility();
+        this.updateTotal();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.controlGroup = document.getElementById(this.config.elementIds.allocationControlGroup);
+        this.elements.total = document.getElementById(this.config.elementIds.allocationTotal);
+        this.elements.rebalanceSelect = document.getElementById(this.config.elementIds.rebalanceSelect);
+
+        this.elements.inputs = {
+            usd: document.getElementById(this.config.elementIds.allocationUsdInput),
+            btc: document.getElementById(this.config.elementIds.allocationBtcInput),
+            hysa: document.getElementById(this.config.elementIds.allocationHysaInput),
+            gold: document.getElementById(this.config.elementIds.allocationGoldInput)
+        };
+    }
+
+    /**
+     * Fill the rebalance selector with the configured schedules
+     */
+    populateRebalanceOptions() {
+        const select = this.elements.rebalanceSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.config.allocation.rebalanceOptions.forEach(({ months, label }) => {
+            const option = document.createElement('option');
+            option.value = String(months);
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Load split and rebalance schedule from storage
+     * Falls back to CONFIG defaults for missing values
+     */
+    loadFromStorage() {
+        const savedAllocation = getSetting('allocation', this.config.allocation.default);
+        const savedRebalance = getSetting('rebalanceMonths', this.config.allocation.defaultRebalanceMonths);
+
+        console.log('📦 Loading allocation from storage:', savedAllocation);
+
+        ALLOCATION_VEHICLES.forEach(vehicle => {
+            const input = this.elements.inputs[vehicle];
+            if (input) {
+                const percent = savedAllocation[vehicle];
+                input.value = typeof percent === 'number' ? percent : this.config.allocation.default[vehicle];
+            }
+        });
+
+        if (this.elements.rebalanceSelect) {
+            const isValid = this.config.allocation.rebalanceOptions.some(option => option.months === savedRebalance);
+            this.elements.rebalanceSelect.value = String(isValid ? savedRebalance : this.config.allocation.defaultRebalanceMonths);
+        }
+    }
+
+    /**
+     * Setup event listeners for split and rebalance changes
+     * SettingsCache keeps its own listeners; these only save and refresh the display
+     */
+    setupEventListeners() {
+        ALLOCATION_VEHICLES.forEach(vehicle => {
+            const input = this.elements.inputs[vehicle];
+            if (!input) return;
+
+            input.addEventListener('input', () => {
+                this.updateTotal();
+            });
+
+            input.addEventListener('change', () => {
+                setSetting('allocation', this.getAllocation());
+                this.resetStartState();
+            });
+        });
+
+        if (this.elements.rebalanceSelect) {
+            this.elements.rebalanceSelect.addEventListener('change', () => {
+                setSetting('rebalanceMonths', parseInt(this.elements.rebalanceSelect.value));
+            });
+        }
+    }
+
+    /**
+     * Set split and rebalance schedule programmatically (e.g. from a shared link)
+     * @param {Object} [allocation] - Percent per vehicle (e.g., { usd: 80, btc: 20, hysa: 0, gold: 0 })
+     * @param {number} [rebalanceMonths] - Months between rebalances (0 = never rebalance)
+     */
+    setAllocation(allocation, rebalanceMonths) {
+        if (allocation) {
+            ALLOCATION_VEHICLES.forEach(vehicle => {
+                const input = this.elements.inputs[vehicle];
+                if (input) {
+                    input.value = allocation[vehicle] || 0;
+                }
+            });
+            setSetting('allocation', this.getAllocation());
+        }
+
+        if (this.elements.rebalanceSelect && rebalanceMonths !== undefined) {
+            this.elements.rebalanceSelect.value = String(rebalanceMonths);
+            setSetting('rebalanceMonths', rebalanceMonths);
+        }
+
+        if (window.settingsCache) {
+            window.settingsCache.readAllocation();
+        }
+        this.updateTotal();
+    }
+
+    /**
+     * Get split from the inputs
+     * @returns {Object} Percent per vehicle (e.g., { usd: 80, btc: 20, hysa: 0, gold: 0 })
+     */
+    getAllocation() {
+        const allocation = {};
+
+        ALLOCATION_VEHICLES.forEach(vehicle => {
+            const input = this.elements.inputs[vehicle];
+            const percent = input ? parseFloat(input.value) : 0;
+            allocation[vehicle] = isNaN(percent) ? 0 : Math.max(0, percent);
+        });
+
+        return allocation;
+    }
+
+    /**
+     * Show the split total, flagging totals other than 100%
+     */
+    updateTotal() {
+        if (!this.elements.total) return;
+
+        const total = Object.values(this.getAllocation()).reduce((sum, percent) => sum + percent, 0);
+        const isExact = Math.abs(total - 100) < 0.01;
+
+        this.elements.total.textContent = isExact
+            ? `Total: ${total}%`
+            : `Total: ${total}% (scaled to 100%)`;
+        this.elements.total.classList.toggle('allocation-total-off', !isExact);
+    }
+
+    /**
+     * Show allocation controls only in mix mode
+     */
+    updateVisibility() {
+        const isMix = this.stateManager.getSavingsVehicle() === this.config.savingsVehicle.options.MIX;
+        this.elements.controlGroup.style.display = isMix ? '' : 'none';
+    }
+
+    /**
+     * Re-split the starting amount while still in start state
+     * While running, a new split applies from the next deposit or rebalance
+     */
+    resetStartState() {
+        if (this.stateManager.get('isStartState')) {
+            this.stateManager.reset();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AllocationController = AllocationController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AllocationController };
+}
@@ -7,7 +7,8 @@
  * Responsibilities:
  * - Initialize all managers and controllers
  * - Coordinate module dependencies
- * - Provide high-level API (start, pause, resume, restart)
+ * - Provide high-level API (start, pause, resume, restart, resumeSession)
+ * - Create drops for the main pig and, in comparison mode, the comparison pig
  * - Expose managers for debugging
  *
  * Dependencies:
@@ -47,6 +48,27 @@ class PurchasingPowerPigApp {
         this.balanceController = null;
         this.startStateController = null;
         this.savingsVehicleController = null;
+        this.simulationPeriodController = null;
+        this.inflationSeriesController = null;
+        this.episodeController = null;
+        this.priceModelController = null;
+        this.allocationController = null;
+        this.contributionGrowthController = null;
+        this.oneOffEventsController = null;
+        this.withdrawalController = null;
+        this.capitalGainsTaxController = null;
+        this.feeController = null;
+        this.currencyController = null;
+        this.measureController = null;
+        this.comparisonController = null;
+        this.scenarioController = null;
+        this.sessionController = null;
+        this.pinnedRunsController = null;
+        this.chartTracesController = null;
+        this.exportController = null;
+        this.monteCarloController = null;
+        this.goalSeekController = null;
+        this.sensitivityController = null;
 
         // Session tracking (increments on restart to invalidate pending callbacks)
         this.sessionId = 0;
@@ -54,6 +76,9 @@ class PurchasingPowerPigApp {
         // Timeout tracking for initial drop (allows cancellation on restart)
         this.initialDropTimeoutId = null;
 
+        // Inflation loss still falling towards the mug (saved with a session so none is lost)
+        this.pendingMugDollars = 0;
+
         // Initialization state
         this.initialized = false;
     }
@@ -85,7 +110,13 @@ class PurchasingPowerPigApp {
         console.log('  → StateManager found:', !!this.stateManager);
         console.log('  → DOMCache found:', !!this.domCache);
 
-        // 2. Initialize DOMCache (includes settings cache)
+        // 2. Apply base currency and shared scenario from the URL, then initialize DOMCache (includes settings cache)
+        this.scenarioController = new ScenarioController(this.config, this.stateManager, this);
+        this.currencyController = new CurrencyController(this.config, this.stateManager, this);
+        this.currencyController.initialize(this.scenarioController.scenario.currency);
+        console.log('✓ CurrencyController initialized');
+        this.scenarioController.applyInputs();
+
         if (!this.domCache.initialized) {
             this.domCache.initialize();
             console.log('✓ DOMCache initialized (elements + settings)');
@@ -111,18 +142,21 @@ class PurchasingPowerPigApp {
         this.simulationManager = new SimulationManager(this.config, this.stateManager);
         console.log('✓ SimulationManager initialized');
 
-        // 7. Initialize liquid containers
+        // 7. Initialize liquid containers (main pig scene)
+        const primaryScene = document.getElementById(this.config.elementIds.primaryScene) || document;
         this.pigContainer = new LiquidContainer(
             this.config.selectors.pigOvalContainer,
             'fillLevel',
             this.config,
-            this.stateManager
+            this.stateManager,
+            primaryScene
         );
         this.mugContainer = new LiquidContainer(
             this.config.selectors.bankerMugContainer,
             'mugFillLevel',
             this.config,
-            this.stateManager
+            this.stateManager,
+            primaryScene
         );
         console.log('✓ Liquid containers initialized');
 
@@ -139,6 +173,20 @@ class PurchasingPowerPigApp {
         );
         console.log('✓ TimingManager initialized');
 
+        // Capital gains tax is already in the mug when charged; the tax drop only shows it flowing there
+        this.stateManager.subscribe('lastTaxCharge', (state) => {
+            if (state.lastTaxCharge) {
+                this.createTaxDrop(state.lastTaxCharge.dollars);
+            }
+        });
+
+        // Same for fees and spreads, which leak out of the fee leak oval
+        this.stateManager.subscribe('lastFeeCharge', (state) => {
+            if (state.lastFeeCharge) {
+                this.createFeeDrop(state.lastFeeCharge.dollars);
+            }
+        });
+
         // 10. Initialize UI Controllers
         this.balanceController = new BalanceController(this.config, this.stateManager);
         this.balanceController.initialize();
@@ -152,6 +200,85 @@ class PurchasingPowerPigApp {
         this.savingsVehicleController.initialize();
         console.log('✓ SavingsVehicleController initialized');
 
+        this.simulationPeriodController = new SimulationPeriodController(this.config, this.stateManager, this);
+        this.simulationPeriodController.initialize();
+        console.log('✓ SimulationPeriodController initialized');
+
+        this.inflationSeriesController = new InflationSeriesController(this.config, this.stateManager, this);
+        this.inflationSeriesController.initialize();
+        console.log('✓ InflationSeriesController initialized');
+
+        this.episodeController = new EpisodeController(this.config, this.stateManager, this);
+        this.episodeController.initialize();
+        console.log('✓ EpisodeController initialized');
+
+        this.priceModelController = new PriceModelController(this.config, this.stateManager, this);
+        this.priceModelController.initialize();
+        console.log('✓ PriceModelController initialized');
+
+        this.allocationController = new AllocationController(this.config, this.stateManager);
+        this.allocationController.initialize();
+        console.log('✓ AllocationController initialized');
+
+        this.contributionGrowthController = new ContributionGrowthController(this.config);
+        this.contributionGrowthController.initialize();
+        console.log('✓ ContributionGrowthController initialized');
+
+        this.oneOffEventsController = new OneOffEventsController(this.config);
+        this.oneOffEventsController.initialize();
+        console.log('✓ OneOffEventsController initialized');
+
+        this.withdrawalController = new WithdrawalController(this.config, this.stateManager);
+        this.withdrawalController.initialize();
+        console.log('✓ WithdrawalController initialized');
+
+        this.capitalGainsTaxController = new CapitalGainsTaxController(this.config);
+        this.capitalGainsTaxController.initialize();
+        console.log('✓ CapitalGainsTaxController initialized');
+
+        this.feeController = new FeeController(this.config, this.stateManager);
+        this.feeController.initialize();
+        console.log('✓ FeeController initialized');
+
+        this.measureController = new MeasureController(this.config, this.stateManager);
+        this.measureController.initialize();
+        console.log('✓ MeasureController initialized');
+
+        this.comparisonController = new ComparisonController(this.config, this.stateManager, this);
+        this.comparisonController.initialize();
+        console.log('✓ ComparisonController initialized');
+
+        this.scenarioController.initialize();
+        console.log('✓ ScenarioController initialized');
+
+        this.sessionController = new SessionController(this.config, this.stateManager, this);
+        this.sessionController.initialize();
+        console.log('✓ SessionController initialized');
+
+        this.pinnedRunsController = new PinnedRunsController(this.config, this.stateManager, this);
+        this.pinnedRunsController.initialize();
+        console.log('✓ PinnedRunsController initialized');
+
+        this.chartTracesController = new ChartTracesController(this.config, this.stateManager, this);
+        this.chartTracesController.initialize();
+        console.log('✓ ChartTracesController initialized');
+
+        this.exportController = new ExportController(this.config, this);
+        this.exportController.initialize();
+        console.log('✓ ExportController initialized');
+
+        this.monteCarloController = new MonteCarloController(this.config, this.stateManager);
+        this.monteCarloController.initialize();
+        console.log('✓ MonteCarloController initialized');
+
+        this.goalSeekController = new GoalSeekController(this.config, this.stateManager, this);
+        this.goalSeekController.initialize();
+        console.log('✓ GoalSeekController initialized');
+
+        this.sensitivityController = new SensitivityController(this.config, this.stateManager, this);
+        this.sensitivityController.initialize();
+        console.log('✓ SensitivityController initialized');
+
         // 11. Initialize simulation state from starting amount
         this.simulationManager.initializeFromStartingAmount();
         console.log('✓ Simulation state initialized');
@@ -160,13 +287,16 @@ class PurchasingPowerPigApp {
         this.displayManager.updateAllDisplays();
         console.log('✓ Initial display update complete');
 
-        // 13. Start simulation if not in start state
+        // 13. Start simulation if not in start state (or skip the start overlay for a shared scenario)
         const isStartState = this.stateManager.get('isStartState');
         console.log('  → isStartState:', isStartState);
 
         if (!isStartState) {
             this.start();
             console.log('✓ Simulation started (not in start state)');
+        } else if (this.scenarioController.hasScenario()) {
+            this.startStateController.exitStartState();
+            console.log('✓ Scenario loaded from URL - skipping start overlay');
         } else {
             console.log('✓ In start state - simulation will start on user action');
         }
@@ -195,6 +325,27 @@ class PurchasingPowerPigApp {
         window.balanceController = this.balanceController;
         window.startStateController = this.startStateController;
         window.savingsVehicleController = this.savingsVehicleController;
+        window.simulationPeriodController = this.simulationPeriodController;
+        window.inflationSeriesController = this.inflationSeriesController;
+        window.episodeController = this.episodeController;
+        window.priceModelController = this.priceModelController;
+        window.allocationController = this.allocationController;
+        window.contributionGrowthController = this.contributionGrowthController;
+        window.oneOffEventsController = this.oneOffEventsController;
+        window.withdrawalController = this.withdrawalController;
+        window.capitalGainsTaxController = this.capitalGainsTaxController;
+        window.feeController = this.feeController;
+        window.currencyController = this.currencyController;
+        window.measureController = this.measureController;
+        window.comparisonController = this.comparisonController;
+        window.scenarioController = this.scenarioController;
+        window.sessionController = this.sessionController;
+        window.pinnedRunsController = this.pinnedRunsController;
+        window.chartTracesController = this.chartTracesController;
+        window.exportController = this.exportController;
+        window.monteCarloController = this.monteCarloController;
+        window.goalSeekController = this.goalSeekController;
+        window.sensitivityController = this.sensitivityController;
 
         console.log('✓ Managers exposed globally for debugging');
     }
@@ -212,6 +363,9 @@ class PurchasingPowerPigApp {
             throw new Error('App not initialized. Call initialize() first.');
         }
 
+        // A finished run (e.g. a resumed session) has no months left to drop
+        if (this.stateManager.get('isSimulationFinished')) return;
+
         // Increment session ID to invalidate any pending callbacks from previous session
         this.sessionId++;
 
@@ -274,6 +428,7 @@ class PurchasingPowerPigApp {
 
         // Clear all active drops
         this.animationEngine.clearAllDrops();
+        this.pendingMugDollars = 0;
 
         // Reset simulation
         this.simulationManager.reset();
@@ -295,16 +450,70 @@ class PurchasingPowerPigApp {
         }, this.config.INITIAL_DROP_DELAY_MS);
     }
 
+    /**
+     * Apply changed settings (start month, price model, currency, sliders set by a controller)
+     * In start state only the state is reset (simulation starts on user action); a running
+     * simulation restarts with the new settings
+     */
+    applySettingsChange() {
+        if (this.stateManager.get('isStartState')) {
+            this.stateManager.reset();
+        } else {
+            this.restart();
+        }
+    }
+
+    /**
+     * Resume a saved session
+     * Clears drops, restores settings, state and chart, then continues from the saved month
+     * @param {Object} session - Session from SessionController.captureSession()
+     */
+    resumeSession(session) {
+        if (!this.initialized) return;
+
+        // Invalidate pending callbacks and stop the current run
+        this.sessionId++;
+        this.animationEngine.clearAllDrops();
+        this.pendingMugDollars = 0;
+        this.timingManager.stop();
+
+        if (this.initialDropTimeoutId !== null) {
+            clearTimeout(this.initialDropTimeoutId);
+            this.initialDropTimeoutId = null;
+        }
+
+        // Settings first (state getters read them), then state, then chart (state changes clear it)
+        this.scenarioController.applyScenario(session.scenario);
+        this.stateManager.restoreSessionSnapshot(session.state);
+        if (session.pendingMugDollars > 0) {
+            this.simulationManager.addInflationLossToMug(session.pendingMugDollars);
+        }
+        this.comparisonController.restoreSnapshot(session.comparison);
+        this.displayManager.getHandler('chart').restoreSnapshot(session.chart);
+        this.displayManager.updateAllDisplays();
+        this.balanceController.checkBalance();
+
+        // Leaving the start screen starts the simulation; otherwise start directly
+        if (this.stateManager.get('isStartState')) {
+            this.startStateController.exitStartState();
+        } else {
+            this.start();
+        }
+    }
+
     // ========================================================================
     // DROP CREATION
     // ========================================================================
 
     /**
      * Calculate drop size based on dollar amount
-     * @param {number} amount - Dollar amount
+     * Amounts are compared in dollar terms (divided by the base currency's amount scale)
+     * @param {number} amount - Amount in the base currency
      * @returns {number} Drop size in pixels (scaled)
      */
     calculateDropSize(amount) {
+        amount = amount / this.config.currency.amountScale;
+
         let size;
         if (amount <= this.config.drop.smallAmountThreshold) {
             size = this.config.drop.smallAmountBase + amount * this.config.drop.smallAmountScale;
@@ -318,6 +527,16 @@ class PurchasingPowerPigApp {
         return size * scaleFactor;
     }
 
+    /**
+     * Calculate the size of a one-off event drop
+     * Lump sums scale like any drop but are capped at CONFIG.drop.eventMaxSize
+     * @param {number} amount - Amount in the base currency
+     * @returns {number} Drop size in pixels (scaled)
+     */
+    calculateEventDropSize(amount) {
+        return Math.min(this.calculateDropSize(amount), this.config.drop.eventMaxSize * this.getScaleFactor());
+    }
+
     /**
      * Get the current scale factor from CSS
      * @returns {number} Scale factor
@@ -331,65 +550,106 @@ class PurchasingPowerPigApp {
     /**
      * Create a new savings drop (falls from top to pig)
      * Creates invisible drop if savings is 0 (to advance month and apply inflation)
+     * In the withdrawal phase the drop is invisible and its landing withdraws from the pig instead
+     * A one-off deposit this month falls in the same drop (large, in its own color); a one-off
+     * withdrawal is sold when the drop lands and drips out of the pig
+     * In comparison mode the same drop falls into the comparison pig, whose month runs when this one lands
      */
     createSavingsDrop() {
-        const savings = this.stateManager.getMonthlySavings();
+        // Withdrawals replace contributions once the withdrawal start month is reached
+        const isWithdrawing = this.simulationManager.isWithdrawalPhase();
+
+        // This month's contribution (grows over the run unless contributions are flat)
+        const savings = isWithdrawing ? 0 : this.stateManager.getMonthlyContribution();
 
-        // Use invisible drop size if savings is 0
-        const isInvisible = (savings === 0);
-        const dropAmount = isInvisible ? 0 : savings;
+        // This month's one-off event (positive = deposit, negative = withdrawal)
+        const eventAmount = this.simulationManager.getOneOffEventAmount();
+        const eventDeposit = Math.max(0, eventAmount);
+
+        // Use invisible drop size if nothing is deposited
+        const isInvisible = (savings === 0 && eventDeposit === 0);
+        const dropAmount = isInvisible ? 0 : savings + eventDeposit;
 
         // Calculate drop size (use invisibleDropSize for $0 savings)
-        const size = isInvisible
-            ? this.config.drop.invisibleDropSize * this.getScaleFactor()
-            : this.calculateDropSize(savings);
+        let size;
+        if (isInvisible) {
+            size = this.config.drop.invisibleDropSize * this.getScaleFactor();
+        } else if (eventDeposit > 0) {
+            size = this.calculateEventDropSize(dropAmount);
+        } else {
+            size = this.calculateDropSize(savings);
+        }
 
         // Get drop spawn position from pig container
         const spawnPos = this.pigContainer.getDropSpawnPosition(size);
         if (!spawnPos) return;
 
         // Create drop components
-        const physics = new DropPhysics(
-            spawnPos.x,
-            spawnPos.y,
-            (this.config.drop.minSpeed + Math.random() * this.config.drop.maxSpeedVariation) *
-                this.getScaleFactor()
-        );
+        const speed = (this.config.drop.minSpeed + Math.random() * this.config.drop.maxSpeedVariation) *
+            this.getScaleFactor();
+        const physics = new DropPhysics(spawnPos.x, spawnPos.y, speed);
         const renderer = new DropRenderer(physics, size, this.config);
 
-        // Make drop invisible if savings is 0
-        if (isInvisible) {
-            const dropElement = renderer.getElement();
-            if (dropElement) {
-                dropElement.style.opacity = '0';
-            }
+        // Make drop invisible if savings is 0; color one-off deposits
+        const dropElement = renderer.getElement();
+        if (dropElement && isInvisible) {
+            dropElement.style.opacity = '0';
+        } else if (dropElement && eventDeposit > 0) {
+            dropElement.classList.add(this.config.cssClasses.eventDrop);
+        }
+
+        // Comparison mode: the same drop, at the same speed, falls into the comparison pig
+        if (this.comparisonController.isActive()) {
+            this.createComparisonSavingsDrop(size, speed, isInvisible, eventDeposit > 0);
         }
 
         // Create drop controller with landing callback
         const controller = new DropController(physics, renderer, this.pigContainer, size, {
             onLand: (ctrl) => {
+                // Comparison mode: run the month in the comparison pig first, so the chart records both
+                this.comparisonController.runMonth();
+
                 // Add monthly savings when drop lands (skip if $0)
-                if (!isInvisible) {
+                if (savings !== 0) {
                     this.simulationManager.addMonthlySavingsToPig();
                 }
 
+                // Withdrawal phase: sell this month's withdrawal and let it drip out of the pig
+                if (isWithdrawing) {
+                    const withdrawn = this.simulationManager.withdrawFromPig();
+                    if (withdrawn > 0) {
+                        this.createWithdrawalDrop(withdrawn);
+                    }
+                }
+
+                // One-off event: deposits rode in this drop, withdrawals leave as one large outflow
+                if (eventAmount !== 0) {
+                    const withdrawn = this.simulationManager.applyOneOffEvent();
+                    if (withdrawn > 0) {
+                        this.createWithdrawalDrop(withdrawn, this.calculateEventDropSize(withdrawn));
+                    }
+                }
+
                 // Always advance month (even with $0 savings)
                 this.simulationManager.advanceMonth();
 
-                // Check if simulation reached 360 months (30 years)
+                // Check if simulation reached the configured horizon (horizon slider, in months)
                 const monthsElapsed = this.stateManager.getMonthsElapsed();
-                if (monthsElapsed >= 360) {
+                const totalMonths = this.stateManager.getTotalMonths();
+                if (monthsElapsed >= totalMonths) {
                     // Stop simulation
                     this.stateManager.setState({ isSimulationFinished: true });
                     this.timingManager.stop();
-                    console.log('✅ Simulation finished: 360 months (30 years) completed');
+                    this.sessionController.autosave();
+                    console.log(`✅ Simulation finished: ${totalMonths} months completed`);
                     return; // Don't apply inflation after finishing
                 }
 
                 // Capture current session ID to check if restart happened before inflation triggers
                 const currentSessionId = this.sessionId;
 
-                // Schedule inflation 500ms later
+                // Schedule inflation 500ms later (scaled by playback speed)
+                const speed = this.stateManager.getPlaybackSpeed() || 1;
                 setTimeout(() => {
                     // Check if session is still valid (no restart happened)
                     if (this.sessionId !== currentSessionId) {
@@ -397,14 +657,29 @@ class PurchasingPowerPigApp {
                         return;
                     }
 
+                    // Rebalance mix mode holdings when the schedule is due
+                    this.simulationManager.rebalanceAllocationIfDue();
+
+                    // Credit savings account interest first (HYSA and mix mode only)
+                    this.simulationManager.applyMonthlyInterest();
+
+                    // Charge account / custody fees (the fee drop follows lastFeeCharge)
+                    this.simulationManager.applyMonthlyFees();
+
                     // Apply inflation (updates cumulative factor for PP calculation)
                     const inflationDollars = this.simulationManager.applyMonthlyInflation();
 
-                    // Only create visual inflation drop in USD mode (BTC doesn't leak)
-                    if (this.stateManager.getSavingsVehicle() === 'usd' && inflationDollars > 0) {
+                    // Only create visual inflation drop for dollar holdings (BTC and gold don't leak)
+                    if (inflationDollars > 0) {
                         this.createInflationDrop(inflationDollars);
                     }
-                }, this.config.INFLATION_DELAY_MS);
+
+                    // Same month end for the comparison pig
+                    this.comparisonController.runMonthEnd();
+
+                    // Save the completed month so a reload can resume here
+                    this.sessionController.autosave();
+                }, this.config.INFLATION_DELAY_MS / speed);
 
                 // Create ripple effect (skip for invisible drops)
                 if (!isInvisible) {
@@ -420,18 +695,55 @@ class PurchasingPowerPigApp {
         this.animationEngine.addDrop(controller);
     }
 
+    /**
+     * Create the comparison pig's copy of a savings drop (visual only)
+     * The comparison month already runs when the main pig's drop lands
+     * @param {number} size - Drop size in pixels (scaled), as the main pig's drop
+     * @param {number} speed - Fall speed, as the main pig's drop
+     * @param {boolean} isInvisible - Nothing is deposited this month
+     * @param {boolean} isEvent - The drop carries a one-off deposit
+     */
+    createComparisonSavingsDrop(size, speed, isInvisible, isEvent) {
+        const pigContainer = this.comparisonController.pigContainer;
+        const spawnPos = pigContainer.getDropSpawnPosition(size);
+        if (!spawnPos) return;
+
+        const physics = new DropPhysics(spawnPos.x, spawnPos.y, speed);
+        const renderer = new DropRenderer(physics, size, this.config);
+
+        const dropElement = renderer.getElement();
+        if (dropElement && isInvisible) {
+            dropElement.style.opacity = '0';
+        } else if (dropElement && isEvent) {
+            dropElement.classList.add(this.config.cssClasses.eventDrop);
+        }
+
+        const controller = new DropController(physics, renderer, pigContainer, size, {
+            onLand: () => {
+                const containerElement = pigContainer.getElement();
+                if (!isInvisible && containerElement && this.effectManager) {
+                    this.effectManager.createRipple(containerElement, this.config.cssClasses.pigRipple);
+                }
+            }
+        });
+
+        // Add to animation engine
+        this.animationEngine.addDrop(controller);
+    }
+
     /**
      * Create an inflation drop (falls from pig to banker's mug)
      * @param {number} dollarAmount - Dollar amount this drop represents
+     * @param {Object} [scene=this] - Pig the drop belongs to: the app (main pig) or the ComparisonController
      */
-    createInflationDrop(dollarAmount) {
+    createInflationDrop(dollarAmount, scene = this) {
         if (dollarAmount <= 0) return;
 
         // Calculate drop size
         const size = this.calculateDropSize(dollarAmount);
 
         // Get pig container bottom as starting point
-        const pigBounds = this.pigContainer.getBounds();
+        const pigBounds = scene.pigContainer.getBounds();
         if (!pigBounds) return;
 
         const dropX = pigBounds.left + (pigBounds.width / 2) - (size / 2);
@@ -447,14 +759,15 @@ class PurchasingPowerPigApp {
         const renderer = new DropRenderer(physics, size, this.config);
 
         // Create drop controller with landing callback
-        const controller = new DropController(physics, renderer, this.mugContainer, size, {
+        const controller = new DropController(physics, renderer, scene.mugContainer, size, {
             onLand: (ctrl) => {
                 // Add inflation loss to banker's mug
                 const amount = ctrl.getDollarAmount();
-                this.simulationManager.addInflationLossToMug(amount);
+                scene.pendingMugDollars -= amount;
+                scene.simulationManager.addInflationLossToMug(amount);
 
                 // Create ripple effect
-                const containerElement = this.mugContainer.getElement();
+                const containerElement = scene.mugContainer.getElement();
                 if (containerElement && this.effectManager) {
                     this.effectManager.createRipple(containerElement, this.config.cssClasses.mugRipple);
                 }
@@ -463,6 +776,145 @@ class PurchasingPowerPigApp {
 
         // Set dollar amount on controller
         controller.setDollarAmount(dollarAmount);
+        scene.pendingMugDollars += dollarAmount;
+
+        // Add to animation engine
+        this.animationEngine.addDrop(controller);
+    }
+
+    /**
+     * Create a withdrawal drop (falls out of the pig and off the bottom of the screen)
+     * The withdrawal is already taken from the pig; the drop only shows the money leaving
+     * @param {number} dollarAmount - Dollar amount this drop represents
+     * @param {number} [size] - Drop size in pixels (defaults to the size for the amount)
+     * @param {Object} [scene=this] - Pig the drop belongs to: the app (main pig) or the ComparisonController
+     */
+    createWithdrawalDrop(dollarAmount, size = this.calculateDropSize(dollarAmount), scene = this) {
+        if (dollarAmount <= 0) return;
+
+        // Leave from the bottom of the pig, off-center so it passes the banker's mug
+        const pigBounds = scene.pigContainer.getBounds();
+        if (!pigBounds) return;
+
+        const dropX = pigBounds.left + (pigBounds.width * 0.75) - (size / 2);
+        const dropY = pigBounds.bottom;
+
+        // Create drop components
+        const physics = new DropPhysics(
+            dropX,
+            dropY,
+            (this.config.drop.minSpeed + Math.random() * this.config.drop.maxSpeedVariation) *
+                this.getScaleFactor()
+        );
+        const renderer = new DropRenderer(physics, size, this.config);
+
+        const dropElement = renderer.getElement();
+        if (dropElement) {
+            dropElement.classList.add(this.config.cssClasses.withdrawalDrop);
+        }
+
+        // No container to land in: the drop is done once it leaves the viewport
+        const viewportExit = {
+            checkCollision: (y) => y >= window.innerHeight
+        };
+
+        const controller = new DropController(physics, renderer, viewportExit, size);
+        controller.setDollarAmount(dollarAmount);
+
+        // Add to animation engine
+        this.animationEngine.addDrop(controller);
+    }
+
+    /**
+     * Create a capital gains tax drop (falls from pig to banker's mug in its own color)
+     * The tax is already in the mug; the drop only shows it flowing there
+     * @param {number} dollarAmount - Dollar amount this drop represents
+     * @param {Object} [scene=this] - Pig the drop belongs to: the app (main pig) or the ComparisonController
+     */
+    createTaxDrop(dollarAmount, scene = this) {
+        if (dollarAmount <= 0) return;
+
+        // Calculate drop size
+        const size = this.calculateDropSize(dollarAmount);
+
+        // Leave from the bottom of the pig, off-center so it doesn't overlap inflation drops
+        const pigBounds = scene.pigContainer.getBounds();
+        if (!pigBounds) return;
+
+        const dropX = pigBounds.left + (pigBounds.width * 0.25) - (size / 2);
+        const dropY = pigBounds.bottom;
+
+        // Create drop components
+        const physics = new DropPhysics(
+            dropX,
+            dropY,
+            (this.config.drop.minSpeed + Math.random() * this.config.drop.maxSpeedVariation) *
+                this.getScaleFactor()
+        );
+        const renderer = new DropRenderer(physics, size, this.config);
+
+        const dropElement = renderer.getElement();
+        if (dropElement) {
+            dropElement.classList.add(this.config.cssClasses.taxDrop);
+        }
+
+        const controller = new DropController(physics, renderer, scene.mugContainer, size, {
+            onLand: () => {
+                const containerElement = scene.mugContainer.getElement();
+                if (containerElement && this.effectManager) {
+                    this.effectManager.createRipple(containerElement, this.config.cssClasses.mugRipple);
+                }
+            }
+        });
+        controller.setDollarAmount(dollarAmount);
+
+        // Add to animation engine
+        this.animationEngine.addDrop(controller);
+    }
+
+    /**
+     * Create a fee drop (falls from the fee leak oval to banker's mug)
+     * The fee is already in the mug; the drop only shows it flowing there
+     * @param {number} dollarAmount - Dollar amount this drop represents
+     * @param {Object} [scene=this] - Pig the drop belongs to: the app (main pig) or the ComparisonController
+     */
+    createFeeDrop(dollarAmount, scene = this) {
+        if (dollarAmount <= 0) return;
+
+        // Calculate drop size
+        const size = this.calculateDropSize(dollarAmount);
+
+        // Leave from the fee leak oval, right of the inflation leak
+        const pigBounds = scene.pigContainer.getBounds();
+        if (!pigBounds) return;
+
+        const dropX = pigBounds.left + (pigBounds.width / 2) +
+            this.config.positions.feeLeakOval.offsetX * this.getScaleFactor() - (size / 2);
+        const dropY = pigBounds.bottom;
+
+        // Create drop components
+        const physics = new DropPhysics(
+            dropX,
+            dropY,
+            (this.config.drop.minSpeed + Math.random() * this.config.drop.maxSpeedVariation) *
+                this.getScaleFactor()
+        );
+        const renderer = new DropRenderer(physics, size, this.config);
+
+        const dropElement = renderer.getElement();
+        if (dropElement) {
+            dropElement.classList.add(this.config.cssClasses.feeDrop);
+        }
+
+        const controller = new DropController(physics, renderer, scene.mugContainer, size, {
+            onLand: () => {
+                const containerElement = scene.mugContainer.getElement();
+                if (containerElement && this.effectManager) {
+                    this.effectManager.createRipple(containerElement, this.config.cssClasses.mugRipple);
+                }
+            }
+        });
+        controller.setDollarAmount(dollarAmount);
 
         // Add to animation engine
         this.animationEngine.addDrop(controller);
@@ -7,12 +7,18 @@
  * - Handle balance button clicks (calculate optimal values)
  * - Check and update balance state
  * - Update display values when sliders change
+ *
+ * USD balances month by month (savings = balance × monthly inflation rate). Every other
+ * vehicle balances over the horizon with break-even.js: the icon tilts by whether PP is
+ * projected to grow or shrink under the vehicle's price model, yield and fees, and the
+ * buttons solve for final PP = start amount (from the current month while running).
  * 
  * Dependencies:
  * - config.js (CONFIG constants)
  * - financial-math.js (calculation functions)
- * - state-manager.js (state updates)
- * - dom-cache.js (optional - for caching)
+ * - break-even.js (break-even state and solvers for the other vehicles)
+ * - dom-cache.js (settingsCache for the break-even params)
+ * - state-manager.js (state updates, vehicle, horizon, current savings value)
  * 
  * Example:
  * ```javascript
@@ -66,6 +72,28 @@ class BalanceController {
             this.checkBalance();
         });
 
+        // BTC, gold and mix holdings change value with the month's price, not through totalSavings
+        this.stateManager.subscribe('currentSimDate', () => {
+            if (this.isBreakEvenVehicle()) {
+                this.checkBalance();
+            }
+        });
+
+        // Vehicle switches and resets change the break-even (price model, start month, horizon)
+        this.stateManager.subscribe('savingsVehicle', () => {
+            this.checkBalance();
+        });
+        this.stateManager.subscribe('simulationStartDate', () => {
+            this.checkBalance();
+        });
+
+        // Yield, gold growth and horizon sliders apply without a reset - recheck once one is released
+        document.addEventListener('change', (e) => {
+            if (e.target.type === 'range' && this.isBreakEvenVehicle()) {
+                this.checkBalance();
+            }
+        });
+
         // 4. Perform initial balance check
         this.checkBalance();
     }
@@ -120,23 +148,7 @@ class BalanceController {
      * During simulation, uses current savings value instead of starting amount
      */
     checkBalance() {
-        // Use current savings if simulation is running, otherwise use starting amount
-        const isStartState = this.stateManager.get('isStartState');
-        let baseAmount;
-
-        if (isStartState) {
-            // Not running: use starting amount from slider
-            baseAmount = parseInt(this.elements.startAmountSlider.value);
-        } else {
-            // Running: use current savings value (starting amount + accumulated savings)
-            baseAmount = Math.floor(this.stateManager.get('totalSavings'));
-        }
-
-        const currentInflation = parseFloat(this.elements.inflationSlider.value);
-        const currentSavings = parseInt(this.elements.savingsSlider.value);
-
-        // Get balance state from financial-math.js
-        const balanceState = getBalanceState(baseAmount, currentSavings, currentInflation);
+        const balanceState = this.getCurrentBalanceState();
 
         // Update icon based on state
         if (balanceState === this.config.balanceStates.BALANCED) {
@@ -150,6 +162,87 @@ class BalanceController {
             this.setBalanceIcon(this.config.images.balanceTilt, true);
         }
     }
+
+    /**
+     * Get the balance state for the current values
+     * USD: this month's loss against savings (financial-math.js); other vehicles: PP over the horizon
+     * @returns {string} One of CONFIG.balanceStates: 'balanced', 'grow', 'shrink'
+     */
+    getCurrentBalanceState() {
+        const baseAmount = this.getBaseAmount();
+        const currentInflation = parseFloat(this.elements.inflationSlider.value);
+        const currentSavings = parseInt(this.elements.savingsSlider.value);
+
+        return this.isBreakEvenVehicle()
+            ? getBreakEvenState(this.config, this.buildBreakEvenParams(baseAmount, currentSavings, currentInflation))
+            : getBalanceState(baseAmount, currentSavings, currentInflation);
+    }
+
+    /**
+     * Get the amount to balance
+     * During simulation, uses current savings value instead of starting amount
+     * @returns {number} Starting amount (start state) or current savings in dollars
+     */
+    getBaseAmount() {
+        if (this.stateManager.get('isStartState')) {
+            // Not running: use starting amount from slider
+            return parseInt(this.elements.startAmountSlider.value);
+        }
+
+        // Running: value the holdings of every vehicle (BTC, gold and mix don't keep totalSavings current)
+        return Math.floor(this.stateManager.getSavingsUsdValue());
+    }
+
+    /**
+     * Check whether the active vehicle balances over the horizon (break-even.js)
+     * @returns {boolean} True for every vehicle but USD
+     */
+    isBreakEvenVehicle() {
+        return typeof getBreakEvenState === 'function' && !!window.settingsCache &&
+            this.stateManager.getSavingsVehicle() !== this.config.savingsVehicle.options.USD;
+    }
+
+    /**
+     * Build engine params for the break-even solvers from the current settings
+     * While running, the remaining horizon is treated as a new start from the current month
+     * @param {number} startAmount - Amount to balance (see getBaseAmount)
+     * @param {number} monthlySavings - Monthly savings in dollars
+     * @param {number} annualInflationPercent - Annual inflation as percentage
+     * @returns {Object} SimulationEngine params
+     */
+    buildBreakEvenParams(startAmount, monthlySavings, annualInflationPercent) {
+        const settings = window.settingsCache;
+        const isStartState = this.stateManager.get('isStartState');
+        const monthsElapsed = isStartState ? 0 : this.stateManager.getMonthsElapsed();
+
+        // Withdrawals are left out as in goal-seek.js (PP stops being linear once savings can run out)
+        const events = settings.getOneOffEvents()
+            .filter(event => event.amount > 0 && event.month >= monthsElapsed)
+            .map(event => ({ ...event, month: event.month - monthsElapsed }));
+
+        // Contribution growth continues from the current month (raise anniversaries, schedule steps, price level)
+        const growth = settings.getContributionGrowth();
+        const contributionGrowth = growth && monthsElapsed > 0
+            ? { ...growth, elapsedMonths: monthsElapsed, elapsedInflationFactor: this.stateManager.getCumulativeInflationFactor() }
+            : growth;
+
+        return {
+            startAmount,
+            monthlySavings,
+            contributionGrowth,
+            events,
+            fees: settings.getFees(),
+            annualInflation: annualInflationPercent / 100,
+            inflationSeries: settings.getInflationSeries(),
+            annualYield: settings.getAnnualYield(),
+            goldGrowth: settings.getGoldGrowth(),
+            allocation: settings.getAllocation(),
+            rebalanceMonths: settings.getRebalanceMonths(),
+            savingsVehicle: this.stateManager.getSavingsVehicle(),
+            startDate: isStartState ? this.stateManager.getConfiguredStartDate() : this.stateManager.get('currentSimDate'),
+            months: Math.max(1, this.stateManager.getTotalMonths() - monthsElapsed)
+        };
+    }
     
     /**
      * Setup event listeners for all three sliders
@@ -281,8 +374,13 @@ class BalanceController {
         const monthlySavings = parseInt(this.elements.savingsSlider.value);
         const annualInflationPercent = parseFloat(this.elements.inflationSlider.value);
 
-        // Calculate balanced amount using financial-math.js function
-        const calculatedAmount = calculateBalancedStartAmount(monthlySavings, annualInflationPercent);
+        // Calculate balanced amount using financial-math.js function (slider range follows the base currency)
+        const range = this.config.sliders.startAmount;
+        const calculatedAmount = this.isBreakEvenVehicle()
+            ? this.roundToRange(solveBreakEvenStartAmount(this.config,
+                this.buildBreakEvenParams(0, monthlySavings, annualInflationPercent)), range)
+            : calculateBalancedStartAmount(monthlySavings, annualInflationPercent,
+                range.roundTo, range.min, range.max);
 
         // Set all buttons to balanced icon immediately (no flip)
         this.setBalanceIcon(this.config.images.balance, false);
@@ -307,21 +405,17 @@ class BalanceController {
      */
     handleBalanceSavings() {
         // Use current savings if simulation is running, otherwise use starting amount
-        const isStartState = this.stateManager.get('isStartState');
-        let baseAmount;
-
-        if (isStartState) {
-            // Not running: use starting amount from slider
-            baseAmount = parseInt(this.elements.startAmountSlider.value);
-        } else {
-            // Running: use current savings value (starting amount + accumulated savings)
-            baseAmount = Math.floor(this.stateManager.get('totalSavings'));
-        }
+        const baseAmount = this.getBaseAmount();
 
         const annualInflationPercent = parseFloat(this.elements.inflationSlider.value);
 
-        // Calculate balanced savings using financial-math.js function
-        const calculatedSavings = calculateBalancedSavings(baseAmount, annualInflationPercent);
+        // Calculate balanced savings using financial-math.js function (slider range follows the base currency)
+        const range = this.config.sliders.savings;
+        const calculatedSavings = this.isBreakEvenVehicle()
+            ? this.roundToRange(solveBreakEvenSavings(this.config,
+                this.buildBreakEvenParams(baseAmount, 0, annualInflationPercent)), range)
+            : calculateBalancedSavings(baseAmount, annualInflationPercent,
+                range.roundTo, range.min, range.max);
 
         // Set all buttons to balanced icon immediately (no flip)
         this.setBalanceIcon(this.config.images.balance, false);
@@ -342,21 +436,15 @@ class BalanceController {
      */
     handleBalanceInflation() {
         // Use current savings if simulation is running, otherwise use starting amount
-        const isStartState = this.stateManager.get('isStartState');
-        let baseAmount;
-
-        if (isStartState) {
-            // Not running: use starting amount from slider
-            baseAmount = parseInt(this.elements.startAmountSlider.value);
-        } else {
-            // Running: use current savings value (starting amount + accumulated savings)
-            baseAmount = Math.floor(this.stateManager.get('totalSavings'));
-        }
+        const baseAmount = this.getBaseAmount();
 
         const monthlySavings = parseInt(this.elements.savingsSlider.value);
 
         // Calculate balanced inflation using financial-math.js function
-        const calculatedInflation = calculateBalancedInflation(baseAmount, monthlySavings);
+        const calculatedInflation = this.isBreakEvenVehicle()
+            ? this.roundToRange(solveBreakEvenInflation(this.config,
+                this.buildBreakEvenParams(baseAmount, monthlySavings, 0)), this.config.sliders.inflation)
+            : calculateBalancedInflation(baseAmount, monthlySavings);
 
         // Set all buttons to balanced icon immediately (no flip)
         this.setBalanceIcon(this.config.images.balance, false);
@@ -370,6 +458,18 @@ class BalanceController {
         // Display value is updated by the input event listener
     }
     
+    /**
+     * Round a solved break-even value like the USD balance functions do
+     * @param {number} value - Unrounded value
+     * @param {Object} range - Slider range ({ min, max, roundTo })
+     * @returns {number} Value rounded to range.roundTo and clamped to the slider range
+     */
+    roundToRange(value, range) {
+        const factor = 1 / range.roundTo;
+        const rounded = Math.round(value * factor) / factor;
+        return Math.max(range.min, Math.min(range.max, rounded));
+    }
+    
     /**
      * Get current slider values
      * @returns {Object} Object with startAmount, inflation, savings
@@ -0,0 +1,156 @@
+/**
+ * Break-Even - Balance state and balance buttons for every savings vehicle
+ *
+ * In USD mode the pig stays the same size when the monthly savings make up for this month's
+ * inflation loss (see getBalanceState in financial-math.js). Other vehicles change value on
+ * their own (BTC price model, gold price, savings account yield, mix), so a single month says
+ * little. Here the pig breaks even when its purchasing power at the end of the horizon equals
+ * what it starts with:
+ *   final PP = constant + startCoefficient × startAmount + savingsCoefficient × monthlySavings = startAmount
+ * using the PP coefficients from goal-seek.js (closed form for the savings account, SimulationEngine runs otherwise).
+ *
+ * Responsibilities:
+ * - Tell whether PP is projected to grow, shrink or stay balanced over the horizon
+ * - Solve the break-even start amount, monthly savings or inflation rate
+ *
+ * Dependencies:
+ * - config.js (CONFIG.balanceStates, CONFIG.sliders.inflation)
+ * - goal-seek.js (getPPCoefficients)
+ *
+ * Example:
+ * ```javascript
+ * const params = { startAmount: 50000, monthlySavings: 100, annualInflation: 0.07,
+ *                  savingsVehicle: 'btc', startDate: new Date(), months: 120 };
+ * getBreakEvenState(CONFIG, params);      // 'grow' → PP grows under the price model
+ * solveBreakEvenSavings(CONFIG, params);  // 0 → BTC grows PP even without savings
+ * ```
+ */
+
+/** Within this many dollars of monthly savings from break-even counts as balanced (as in getBalanceState) */
+const BREAK_EVEN_SAVINGS_EPSILON = 10;
+
+/** Bisection steps when solving the break-even inflation rate (slider range / 2^20 ≈ 0.00001%) */
+const BREAK_EVEN_INFLATION_ITERATIONS = 20;
+
+/**
+ * Calculate how much PP the pig gains over the horizon (negative = lost)
+ *
+ * @param {{constant: number, start: number, savings: number}} coefficients - PP coefficients (see getPPCoefficients)
+ * @param {number} startAmount - Start amount in dollars
+ * @param {number} monthlySavings - Monthly savings in dollars
+ * @returns {number} Final PP minus start amount, in start-date dollars
+ *
+ * @example
+ * getBreakEvenGap({ constant: 0, start: 0.5, savings: 100 }, 10000, 60) // 1000 (final PP 11000)
+ */
+function getBreakEvenGap(coefficients, startAmount, monthlySavings) {
+    const finalPP = coefficients.constant + coefficients.start * startAmount + coefficients.savings * monthlySavings;
+    return finalPP - startAmount;
+}
+
+/**
+ * Determine whether PP is projected to grow, shrink or stay balanced over the horizon
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params
+ * @returns {string} One of CONFIG.balanceStates: 'balanced', 'grow', 'shrink'
+ *
+ * @example
+ * getBreakEvenState(CONFIG, { ...params, savingsVehicle: 'btc' }) // 'grow'
+ */
+function getBreakEvenState(config, params) {
+    const coefficients = getPPCoefficients(config, params);
+    const gap = getBreakEvenGap(coefficients, params.startAmount, params.monthlySavings);
+
+    // A gap that a few dollars of monthly savings would close counts as balanced (slider rounding)
+    if (Math.abs(gap) < BREAK_EVEN_SAVINGS_EPSILON * coefficients.savings) {
+        return config.balanceStates.BALANCED;
+    }
+    return gap > 0 ? config.balanceStates.GROW : config.balanceStates.SHRINK;
+}
+
+/**
+ * Solve the start amount that breaks even with the given monthly savings
+ * startAmount = (constant + savingsCoefficient × monthlySavings) / (1 - startCoefficient)
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params (start amount is ignored)
+ * @returns {number} Break-even start amount (unrounded), 0 when the start amount grows PP on its own
+ */
+function solveBreakEvenStartAmount(config, params) {
+    const coefficients = getPPCoefficients(config, params);
+
+    // Every dollar of start amount gains PP - nothing to balance the savings against
+    if (coefficients.start >= 1) return 0;
+
+    const value = (coefficients.constant + coefficients.savings * params.monthlySavings) / (1 - coefficients.start);
+    return Math.max(0, value);
+}
+
+/**
+ * Solve the monthly savings that break even with the given start amount
+ * monthlySavings = ((1 - startCoefficient) × startAmount - constant) / savingsCoefficient
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params (monthly savings are ignored)
+ * @returns {number} Break-even monthly savings (unrounded), 0 when PP grows without savings
+ */
+function solveBreakEvenSavings(config, params) {
+    const coefficients = getPPCoefficients(config, params);
+    if (coefficients.savings <= 0) return 0;
+
+    const value = ((1 - coefficients.start) * params.startAmount - coefficients.constant) / coefficients.savings;
+    return Math.max(0, value);
+}
+
+/**
+ * Solve the inflation rate that breaks even with the given start amount and savings
+ * Final PP falls as inflation rises, so the rate is found by bisection over the inflation slider range
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params (annual inflation is ignored)
+ * @returns {number} Break-even annual inflation as percentage (unrounded), slider max when PP
+ *   still grows at the highest rate and slider min when it still shrinks at the lowest
+ */
+function solveBreakEvenInflation(config, params) {
+    const gapAt = (percent) => {
+        const coefficients = getPPCoefficients(config, { ...params, annualInflation: percent / 100 });
+        return getBreakEvenGap(coefficients, params.startAmount, params.monthlySavings);
+    };
+
+    let low = config.sliders.inflation.min;
+    let high = config.sliders.inflation.max;
+    if (gapAt(high) >= 0) return high;
+    if (gapAt(low) <= 0) return low;
+
+    for (let i = 0; i < BREAK_EVEN_INFLATION_ITERATIONS; i++) {
+        const mid = (low + high) / 2;
+        if (gapAt(mid) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.getBreakEvenGap = getBreakEvenGap;
+    window.getBreakEvenState = getBreakEvenState;
+    window.solveBreakEvenStartAmount = solveBreakEvenStartAmount;
+    window.solveBreakEvenSavings = solveBreakEvenSavings;
+    window.solveBreakEvenInflation = solveBreakEvenInflation;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BREAK_EVEN_SAVINGS_EPSILON,
+        getBreakEvenGap,
+        getBreakEvenState,
+        solveBreakEvenStartAmount,
+        solveBreakEvenSavings,
+        solveBreakEvenInflation
+    };
+}
@@ -0,0 +1,236 @@
+/**
+ * CapitalGainsTaxController - Capital Gains Tax Settings Management
+ *
+ * Lets the user tax the gains realized when BTC / gold holdings are sold, on a
+ * vehicle switch or a withdrawal: no tax, one flat rate, or a short-term rate
+ * for lots held under CONFIG.capitalGainsTax.longTermMonths and a long-term rate after.
+ * Values are persisted in localStorage and read by SettingsCache, so StateManager
+ * and SimulationEngine pick them up like any slider value.
+ *
+ * Responsibilities:
+ * - Fill the mode selector from CONFIG.capitalGainsTax.options
+ * - Load/save mode and rates via settings-storage.js
+ * - Show the rate inputs only for the modes that use them
+ * - Explain which rate applies when
+ *
+ * Dependencies:
+ * - config.js (CONFIG.capitalGainsTax, element IDs)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache.readCapitalGainsTax)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new CapitalGainsTaxController(CONFIG);
+ * controller.initialize();
+ * controller.setTax('split', 15, 30); // 30% on gains held under a year, 15% after
+ * ```
+ */
+class CapitalGainsTaxController {
+    /**
+     * Create a new CapitalGainsTaxController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     */
+    constructor(config) {
+        this.config = config;
+
+        // DOM elements
+        this.elements = {
+            modeSelect: null,
+            rateInput: null,
+            shortTermRateInput: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved tax settings before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.modeSelect) return;
+
+        // Fill selector and restore saved values
+        this.populateModeOptions();
+        this.loadFromStorage();
+
+        // Sync settings cache with restored values
+        if (window.settingsCache) {
+            window.settingsCache.readCapitalGainsTax();
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        this.updateVisibility();
+        this.updateStatus();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.modeSelect = document.getElementById(this.config.elementIds.taxModeSelect);
+        this.elements.rateInput = document.getElementById(this.config.elementIds.taxRateInput);
+        this.elements.shortTermRateInput = document.getElementById(this.config.elementIds.taxShortTermRateInput);
+        this.elements.status = document.getElementById(this.config.elementIds.taxStatus);
+    }
+
+    /**
+     * Fill the mode selector with the configured modes
+     */
+    populateModeOptions() {
+        const select = this.elements.modeSelect;
+        select.innerHTML = '';
+
+        this.config.capitalGainsTax.options.forEach(({ mode, label }) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Load mode and rates from storage
+     * Falls back to CONFIG defaults for missing values
+     */
+    loadFromStorage() {
+        const tax = this.config.capitalGainsTax;
+        const saved = getSetting('capitalGainsTax', {});
+
+        const isValidMode = tax.options.some(option => option.mode === saved.mode);
+        this.elements.modeSelect.value = isValidMode ? saved.mode : tax.default;
+
+        [
+            [this.elements.rateInput, tax.rate, saved.rate],
+            [this.elements.shortTermRateInput, tax.shortTermRate, saved.shortTermRate]
+        ].forEach(([input, range, value]) => {
+            if (!input) return;
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+            input.value = typeof value === 'number' ? value : range.default;
+        });
+    }
+
+    /**
+     * Setup event listeners for mode and rate changes
+     * SettingsCache keeps its own listeners; a change applies from the next sale
+     */
+    setupEventListeners() {
+        this.elements.modeSelect.addEventListener('change', () => {
+            this.saveToStorage();
+            this.updateVisibility();
+            this.updateStatus();
+        });
+
+        [this.elements.rateInput, this.elements.shortTermRateInput].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.saveToStorage();
+                    this.updateStatus();
+                });
+            }
+        });
+    }
+
+    /**
+     * Set tax settings programmatically (e.g. from a shared link)
+     * @param {string} [mode] - Tax mode ('none', 'flat' or 'split')
+     * @param {number} [rate] - Tax rate in percent (long-term rate when split)
+     * @param {number} [shortTermRate] - Short-term rate in percent
+     */
+    setTax(mode, rate, shortTermRate) {
+        if (!this.elements.modeSelect) return;
+
+        if (mode !== undefined) {
+            this.elements.modeSelect.value = mode;
+        }
+        if (this.elements.rateInput && rate !== undefined) {
+            this.elements.rateInput.value = rate;
+        }
+        if (this.elements.shortTermRateInput && shortTermRate !== undefined) {
+            this.elements.shortTermRateInput.value = shortTermRate;
+        }
+
+        this.saveToStorage();
+
+        if (window.settingsCache) {
+            window.settingsCache.readCapitalGainsTax();
+        }
+        this.updateVisibility();
+        this.updateStatus();
+    }
+
+    /**
+     * Get tax settings as shown in the inputs
+     * @returns {Object} { mode, rate (percent), shortTermRate (percent) }
+     */
+    getTax() {
+        const tax = this.config.capitalGainsTax;
+        const readRate = (input, range) => {
+            const value = input ? parseFloat(input.value) : NaN;
+            return isNaN(value) ? range.default : value;
+        };
+
+        return {
+            mode: this.elements.modeSelect.value,
+            rate: readRate(this.elements.rateInput, tax.rate),
+            shortTermRate: readRate(this.elements.shortTermRateInput, tax.shortTermRate)
+        };
+    }
+
+    /**
+     * Save tax settings to storage
+     */
+    saveToStorage() {
+        setSetting('capitalGainsTax', this.getTax());
+    }
+
+    /**
+     * Show the rate input unless untaxed, the short-term rate only when split
+     */
+    updateVisibility() {
+        const mode = this.elements.modeSelect.value;
+        const modes = this.config.capitalGainsTax.modes;
+
+        if (this.elements.rateInput) {
+            this.elements.rateInput.style.display = mode === modes.NONE ? 'none' : '';
+        }
+        if (this.elements.shortTermRateInput) {
+            this.elements.shortTermRateInput.style.display = mode === modes.SPLIT ? '' : 'none';
+        }
+    }
+
+    /**
+     * Explain which rate applies to which gains
+     */
+    updateStatus() {
+        if (!this.elements.status) return;
+
+        const { mode, rate, shortTermRate } = this.getTax();
+        const modes = this.config.capitalGainsTax.modes;
+        const longTermMonths = this.config.capitalGainsTax.longTermMonths;
+
+        if (mode === modes.FLAT) {
+            this.elements.status.textContent = `${rate}% of BTC / gold gains on switches and withdrawals`;
+        } else if (mode === modes.SPLIT) {
+            this.elements.status.textContent = `${shortTermRate}% on gains held under ${longTermMonths} months, ${rate}% after`;
+        } else {
+            this.elements.status.textContent = '';
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CapitalGainsTaxController = CapitalGainsTaxController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CapitalGainsTaxController };
+}
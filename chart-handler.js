@@ -5,11 +5,24 @@
  * - Initialize Plotly.js chart in chart panel
  * - Update chart data in real-time as simulation runs
  * - Plot savings value and PP value over time (monthly)
+ * - Plot the monthly inflation rate when running against an inflation series
+ * - Plot Monte Carlo percentile bands (10/50/90) for savings and PP value
+ * - Mark one-off deposits and withdrawals with a labeled line at their month
+ * - Plot the comparison pig's savings and PP value next to the main pig's (comparison mode)
+ * - Plot pinned runs as faded, labeled traces (kept across restarts)
+ * - Plot the extra series picked in the trace picker (bank losses, deposits, BTC price on the value
+ *   axis; inflation factor and BTC holdings on a secondary axis), each axis optionally log scale
  * - Clear/reset chart when simulation restarts
+ * - Fit the month axis to the simulation horizon and label the value axis with the base currency
+ * - Show savings and PP as a count of goods when measuring in goods
+ * - Save/restore chart data with a session
+ * - Record one row of simulation values per month (for CSV/JSON export)
  *
  * Dependencies:
  * - config.js (CONFIG constants)
  * - state-manager.js (state values)
+ * - formatters.js (formatDateShort for month rows, formatCurrency for event labels)
+ * - financial-math.js (getBaseCurrency, getGoodsInfo, getGoodsPrice, getBitcoinPrice, isBitcoinPriced)
  * - plotly.js (loaded via CDN)
  *
  * Example:
@@ -28,10 +41,22 @@ class ChartHandler {
         this.config = config;
         this.state = stateManager;
 
-        // Chart data arrays (month 0 to 360)
+        // Chart data arrays (month 0 to the horizon)
         this.months = [0]; // X-axis: months elapsed
         this.savingsData = []; // Y-axis: total nominal savings (USD)
         this.ppData = []; // Y-axis: purchasing power value (USD equivalent)
+        this.inflationData = []; // Y2-axis: annual inflation rate used for the month (%)
+        this.comparisonSavingsData = []; // Y-axis: comparison pig savings (empty when comparison is off)
+        this.comparisonPpData = []; // Y-axis: comparison pig PP value
+
+        // Comparison pig state (set by ComparisonController, null = comparison off)
+        this.comparisonState = null;
+
+        // Runs pinned by PinnedRunsController (faded overlays, oldest first)
+        this.pinnedRuns = [];
+
+        // Extra series picked by ChartTracesController (keys of CONFIG.chartTraces.options) and log axes
+        this.traceSelection = { traces: [], logValue: false, logRight: false };
 
         // Chart element
         this.chartElement = null;
@@ -42,14 +67,27 @@ class ChartHandler {
         // Colors from savings display
         this.SAVINGS_COLOR = '#2196F3'; // Blue
         this.PP_COLOR = '#4CAF50'; // Green (dollar color)
+        this.INFLATION_COLOR = config.colors.inflationLine; // Red
+        this.EVENT_DEPOSIT_COLOR = config.colors.eventDeposit; // Blue (like the event drop)
+        this.EVENT_WITHDRAWAL_COLOR = config.colors.eventWithdrawal; // Amber (like the withdrawal drop)
+
+        // Monte Carlo band fills (low-high percentile range)
+        this.SAVINGS_BAND_COLOR = 'rgba(33, 150, 243, 0.15)';
+        this.PP_BAND_COLOR = 'rgba(76, 175, 80, 0.2)';
 
         // Background shading colors (20% opacity)
         this.USD_BACKGROUND = 'rgba(76, 175, 80, 0.2)'; // Green for USD mode
         this.BTC_BACKGROUND = 'rgba(247, 147, 26, 0.2)'; // Bitcoin orange for BTC mode
+        this.HYSA_BACKGROUND = 'rgba(0, 172, 193, 0.2)'; // Teal for savings account mode
+        this.GOLD_BACKGROUND = 'rgba(212, 175, 55, 0.2)'; // Gold for gold mode
+        this.MIX_BACKGROUND = 'rgba(126, 87, 194, 0.2)'; // Purple for mix mode
 
         // Track vehicle mode periods for background shading
         // Array of {startMonth, endMonth, vehicle}
         this.vehiclePeriods = [];
+
+        // One row of simulation values per charted month (exported by ExportController)
+        this.monthRows = [];
     }
 
     /**
@@ -91,6 +129,18 @@ class ChartHandler {
             this.updateChart();
         });
 
+        // Start date changes on every reset (and with the inflation source) - redraw month 0
+        this.state.subscribe('simulationStartDate', () => {
+            this.clearChart();
+        });
+
+        // Vehicle chosen before the first month passes replaces month 0 (shading and row)
+        this.state.subscribe('savingsVehicle', () => {
+            if (this.months.length === 1) {
+                this.clearChart();
+            }
+        });
+
         console.log('✓ ChartHandler initialized');
     }
 
@@ -106,6 +156,9 @@ class ChartHandler {
 
         this.savingsData = [startingAmount];
         this.ppData = [startingAmount];
+        this.inflationData = [this.state.getAnnualInflation() * 100];
+        this.comparisonSavingsData = this.comparisonState ? [startingAmount] : [];
+        this.comparisonPpData = this.comparisonState ? [startingAmount] : [];
 
         // Initialize vehicle periods with starting vehicle at month 0
         const vehicle = this.state.getSavingsVehicle();
@@ -114,6 +167,44 @@ class ChartHandler {
             endMonth: 0,
             vehicle: vehicle
         }];
+
+        this.monthRows = [this.createMonthRow(0)];
+    }
+
+    /**
+     * Capture the simulation values for a charted month
+     * Taken when the month's deposit has landed, like the chart points
+     * @param {number} month - Months elapsed
+     * @returns {Object} Month row (dollar values unrounded)
+     */
+    createMonthRow(month) {
+        const date = this.state.get('currentSimDate');
+        const savingsValue = this.state.getSavingsUsdValue();
+        const cumulativeInflationFactor = this.state.getCumulativeInflationFactor();
+
+        return {
+            month: month,
+            date: formatDateShort(date),
+            nominalDeposits: this.state.get('nominalDollarsSaved'),
+            nominalWithdrawals: this.state.get('nominalDollarsWithdrawn'),
+            vehicle: this.state.getSavingsVehicle(),
+            savingsValue: savingsValue,
+            btcHoldings: this.state.getBtcHoldings(),
+            btcPrice: isBitcoinPriced(date) ? getBitcoinPrice(date) : null,
+            ppValue: savingsValue / cumulativeInflationFactor, // getPPValue() rounds to whole dollars
+            cumulativeInflationFactor: cumulativeInflationFactor,
+            bankTotal: this.state.get('totalBankSavings'),
+            pigFillLevel: this.state.get('fillLevel'),
+            mugFillLevel: this.state.get('mugFillLevel')
+        };
+    }
+
+    /**
+     * Get recorded month rows
+     * @returns {Array<Object>} One row per charted month, starting at month 0
+     */
+    getMonthRows() {
+        return this.monthRows;
     }
 
     /**
@@ -131,9 +222,16 @@ class ChartHandler {
      */
     buildBackgroundShapes() {
         return this.vehiclePeriods.map(period => {
-            const color = period.vehicle === this.config.savingsVehicle.options.BTC
-                ? this.BTC_BACKGROUND
-                : this.USD_BACKGROUND;
+            let color = this.USD_BACKGROUND;
+            if (period.vehicle === this.config.savingsVehicle.options.BTC) {
+                color = this.BTC_BACKGROUND;
+            } else if (period.vehicle === this.config.savingsVehicle.options.HYSA) {
+                color = this.HYSA_BACKGROUND;
+            } else if (period.vehicle === this.config.savingsVehicle.options.GOLD) {
+                color = this.GOLD_BACKGROUND;
+            } else if (period.vehicle === this.config.savingsVehicle.options.MIX) {
+                color = this.MIX_BACKGROUND;
+            }
 
             return {
                 type: 'rect',
@@ -150,13 +248,66 @@ class ChartHandler {
         });
     }
 
+    /**
+     * Build one dashed line per one-off event month (whole horizon, so upcoming events show too)
+     * plus a label with the net amount and the event labels above the plot
+     * @returns {{shapes: Array<Object>, annotations: Array<Object>}} Plotly layout shapes and annotations
+     */
+    buildEventMarkers() {
+        const totalMonths = this.state.getTotalMonths();
+        const byMonth = new Map();
+        this.state.getOneOffEvents()
+            .filter(event => event.month <= totalMonths)
+            .forEach(event => {
+                const marker = byMonth.get(event.month) || { amount: 0, labels: [] };
+                marker.amount += event.amount;
+                if (event.label) {
+                    marker.labels.push(event.label);
+                }
+                byMonth.set(event.month, marker);
+            });
+
+        const shapes = [];
+        const annotations = [];
+        byMonth.forEach((marker, month) => {
+            const color = marker.amount < 0 ? this.EVENT_WITHDRAWAL_COLOR : this.EVENT_DEPOSIT_COLOR;
+            const sign = marker.amount < 0 ? '-' : '+';
+
+            shapes.push({
+                type: 'line',
+                xref: 'x',
+                yref: 'paper',
+                x0: month,
+                x1: month,
+                y0: 0,
+                y1: 1,
+                line: { color, width: 1, dash: 'dash' }
+            });
+            annotations.push({
+                xref: 'x',
+                yref: 'paper',
+                x: month,
+                y: 1,
+                yanchor: 'bottom',
+                text: [sign + formatCurrency(Math.abs(marker.amount)), ...marker.labels].join(' '),
+                showarrow: false,
+                font: { size: 10, color }
+            });
+        });
+
+        return { shapes, annotations };
+    }
+
     /**
      * Create the initial Plotly chart
      */
     createChart() {
+        const measured = this.getMeasuredData(this.getPercentileTraceData());
+        const events = this.buildEventMarkers();
+
         const savingsTrace = {
             x: this.months,
-            y: this.savingsData,
+            y: measured.savings,
             type: 'scatter',
             mode: 'lines',
             name: 'Savings',
@@ -168,7 +319,7 @@ class ChartHandler {
 
         const ppTrace = {
             x: this.months,
-            y: this.ppData,
+            y: measured.pp,
             type: 'scatter',
             mode: 'lines',
             name: 'PP Value',
@@ -178,6 +329,21 @@ class ChartHandler {
             }
         };
 
+        const inflationTrace = {
+            x: this.months,
+            y: this.inflationData,
+            type: 'scatter',
+            mode: 'lines',
+            name: 'Inflation %',
+            yaxis: 'y2',
+            visible: this.isSeriesActive(),
+            line: {
+                color: this.INFLATION_COLOR,
+                width: 1,
+                dash: 'dot'
+            }
+        };
+
         const layout = {
             title: {
                 text: 'Savings vs Purchasing Power',
@@ -185,17 +351,37 @@ class ChartHandler {
             },
             xaxis: {
                 title: 'Month',
-                range: [0, 360],
+                range: [0, this.state.getTotalMonths()],
+                domain: this.getPlotDomain(),
                 fixedrange: true // Disable zoom
             },
             yaxis: {
-                title: 'USD',
+                title: this.getValueAxisTitle(),
+                type: this.traceSelection.logValue ? 'log' : 'linear',
                 rangemode: 'tozero',
                 fixedrange: true // Disable zoom
             },
+            yaxis2: {
+                title: 'Inflation %',
+                type: this.getInflationAxisType(),
+                overlaying: 'y',
+                side: 'right',
+                rangemode: 'tozero',
+                showgrid: false,
+                fixedrange: true,
+                visible: this.isSeriesActive()
+            },
+            yaxis3: {
+                overlaying: 'y',
+                side: 'right',
+                rangemode: 'tozero',
+                showgrid: false,
+                fixedrange: true,
+                ...this.getRightAxisLayout()
+            },
             margin: {
                 l: 60,
-                r: 20,
+                r: 50,
                 t: 40,
                 b: 40
             },
@@ -207,7 +393,8 @@ class ChartHandler {
             },
             paper_bgcolor: 'transparent',
             plot_bgcolor: 'rgba(255,255,255,0.4)',
-            shapes: this.buildBackgroundShapes() // Add background shading
+            shapes: [...this.buildBackgroundShapes(), ...events.shapes], // Background shading and event lines
+            annotations: events.annotations
         };
 
         const config = {
@@ -215,7 +402,14 @@ class ChartHandler {
             responsive: true
         };
 
-        Plotly.newPlot(this.chartElement, [savingsTrace, ppTrace], layout, config);
+        const traces = [
+            savingsTrace, ppTrace, inflationTrace,
+            ...this.buildPercentileTraces(),
+            ...this.buildComparisonTraces(measured),
+            ...this.buildPinnedTraces(),
+            ...this.buildExtraTraces()
+        ];
+        Plotly.newPlot(this.chartElement, traces, layout, config);
         this.isChartReady = true;
     }
 
@@ -236,19 +430,9 @@ class ChartHandler {
             return;
         }
 
-        // Get savings value (matches savings display logic exactly)
+        // Get savings value in USD (BTC / gold valued at current date, dollar vehicles nominal)
         const vehicle = this.state.getSavingsVehicle();
-        let savingsValue;
-
-        if (vehicle === this.config.savingsVehicle.options.BTC) {
-            // BTC mode: convert BTC to USD using power law for current date
-            const currentDate = this.state.get('currentSimDate');
-            const btcAmount = this.state.get('totalSavingsBtc');
-            savingsValue = convertBtcToUsd(btcAmount, currentDate);
-        } else {
-            // USD mode: total nominal savings
-            savingsValue = this.state.get('totalSavings');
-        }
+        const savingsValue = this.state.getSavingsUsdValue();
 
         // Get PP value (matches savings display logic exactly)
         const ppValue = this.state.getPPValue();
@@ -257,24 +441,452 @@ class ChartHandler {
         this.months.push(currentMonth);
         this.savingsData.push(savingsValue);
         this.ppData.push(ppValue);
+        this.inflationData.push(this.state.getAnnualInflation() * 100);
+        this.monthRows.push(this.createMonthRow(currentMonth));
+
+        // Comparison pig already ran this month (ComparisonController.runMonth)
+        if (this.comparisonState) {
+            this.comparisonSavingsData.push(this.comparisonState.getSavingsUsdValue());
+            this.comparisonPpData.push(this.comparisonState.getPPValue());
+        }
 
         // Update vehicle periods for background shading
         this.updateVehiclePeriods(currentMonth, vehicle);
 
-        // Update Plotly chart with new data and background shapes
+        this.redrawChart();
+    }
+
+    /**
+     * Push current data arrays (in the selected measure), background shapes, horizon, value axis title,
+     * inflation axis visibility and the picked traces' axes to Plotly
+     */
+    redrawChart() {
+        const seriesActive = this.isSeriesActive();
+        const bands = this.getPercentileTraceData();
+        const measured = this.getMeasuredData(bands);
+        const events = this.buildEventMarkers();
+        const comparing = this.comparisonState !== null;
+        const comparisonX = comparing ? this.months : [];
+        const pinned = this.getPinnedTraceData();
+        const extra = this.getExtraTraceData();
+        const rightAxis = this.getRightAxisLayout();
+        const x = [this.months, this.months, this.months, ...bands.x, comparisonX, comparisonX, ...pinned.x, ...extra.x];
+
         Plotly.update(this.chartElement, {
-            x: [this.months, this.months],
-            y: [this.savingsData, this.ppData]
+            x: x,
+            y: [measured.savings, measured.pp, this.inflationData, ...measured.bands,
+                measured.comparisonSavings, measured.comparisonPp, ...pinned.y, ...extra.y],
+            visible: [true, true, seriesActive, ...bands.visible, comparing, comparing, ...pinned.visible, ...extra.visible]
         }, {
-            shapes: this.buildBackgroundShapes()
-        }, [0, 1]);
+            shapes: [...this.buildBackgroundShapes(), ...events.shapes],
+            annotations: events.annotations,
+            'xaxis.range': [0, this.state.getTotalMonths()],
+            'xaxis.domain': this.getPlotDomain(),
+            'yaxis.title.text': this.getValueAxisTitle(),
+            'yaxis.type': this.traceSelection.logValue ? 'log' : 'linear',
+            'yaxis2.visible': seriesActive,
+            'yaxis2.type': this.getInflationAxisType(),
+            'yaxis3.title.text': rightAxis.title.text,
+            'yaxis3.type': rightAxis.type,
+            'yaxis3.visible': rightAxis.visible,
+            'yaxis3.anchor': rightAxis.anchor,
+            'yaxis3.position': rightAxis.position
+        }, x.map((trace, index) => index));
+    }
+
+    /**
+     * Get savings, PP, Monte Carlo band and comparison values in the selected measure
+     * Money: values as recorded. Goods: savings are counted at the good's start-date price
+     * (like nominal money) and PP at each month's price (what the savings buy that month)
+     * @param {Object} bands - Band trace data from getPercentileTraceData()
+     * @returns {{savings: Array<number>, pp: Array<number>, bands: Array<Array<number>>,
+     *           comparisonSavings: Array<number>, comparisonPp: Array<number>}} Y values per trace
+     */
+    getMeasuredData(bands) {
+        const measure = this.state.getMeasure();
+        if (!getGoodsInfo(measure)) {
+            return {
+                savings: this.savingsData,
+                pp: this.ppData,
+                bands: bands.y,
+                comparisonSavings: this.comparisonSavingsData,
+                comparisonPp: this.comparisonPpData
+            };
+        }
+
+        const { atStartPrice, atMonthPrice } = this.getGoodsConverters(measure, this.state.get('simulationStartDate'));
+
+        // Band order: savings low/high/median, then PP low/high/median (PP bands from the savings percentiles)
+        const savingsBands = bands.y.slice(0, 3);
+        return {
+            savings: atStartPrice(this.savingsData),
+            pp: atMonthPrice(this.months, this.savingsData),
+            bands: [
+                ...savingsBands.map(atStartPrice),
+                ...savingsBands.map((values, index) => atMonthPrice(bands.x[index], values))
+            ],
+            comparisonSavings: atStartPrice(this.comparisonSavingsData),
+            comparisonPp: atMonthPrice(this.months, this.comparisonSavingsData)
+        };
+    }
+
+    /**
+     * Get functions that count money values in a good, for a run starting at startDate
+     * @param {string} measure - Good id (see getGoodsInfo)
+     * @param {Date} startDate - Month 0 of the run
+     * @returns {{atStartPrice: Function, atMonthPrice: Function}} atStartPrice(values) counts at the month 0 price,
+     *          atMonthPrice(months, values) at each month's price
+     */
+    getGoodsConverters(measure, startDate) {
+        const goldGrowth = this.state.getGoldGrowth();
+        const priceAt = (month) => getGoodsPrice(
+            measure, new Date(startDate.getFullYear(), startDate.getMonth() + month, 1), goldGrowth);
+        const startPrice = priceAt(0);
+
+        return {
+            atStartPrice: (values) => values.map(value => (startPrice > 0 ? value / startPrice : 0)),
+            atMonthPrice: (months, values) => values.map((value, index) => {
+                const price = priceAt(months[index]);
+                return price > 0 ? value / price : 0;
+            })
+        };
+    }
+
+    /**
+     * Get the value axis title: the base currency, or the good PP is measured in
+     * @returns {string} Axis title (e.g., 'USD', 'Median homes')
+     */
+    getValueAxisTitle() {
+        const goods = getGoodsInfo(this.state.getMeasure());
+        return goods ? goods.label : getBaseCurrency();
+    }
+
+    /**
+     * Redraw savings, PP and bands after the measure changed (money or goods)
+     */
+    updateMeasure() {
+        if (this.isChartReady && this.chartElement) {
+            this.redrawChart();
+        }
+    }
+
+    /**
+     * Build the Monte Carlo band traces: savings and PP value, each a filled
+     * low-high percentile band plus a dashed median line
+     * Empty and hidden until a Monte Carlo result is available
+     * @returns {Array<Object>} Six traces, in the order of getPercentileTraceData
+     */
+    buildPercentileTraces() {
+        const [low, , high] = this.config.monteCarlo.percentiles;
+        const data = this.getPercentileTraceData();
+
+        const bandTraces = (name, color, bandColor) => [
+            {
+                name: `${name} ${low}th pct`,
+                line: { width: 0 },
+                showlegend: false,
+                hoverinfo: 'skip'
+            },
+            {
+                name: `${name} ${low}–${high}%`,
+                fill: 'tonexty',
+                fillcolor: bandColor,
+                line: { width: 0 },
+                hoverinfo: 'skip'
+            },
+            {
+                name: `${name} median`,
+                line: { color: color, width: 1, dash: 'dash' }
+            }
+        ];
+
+        return [
+            ...bandTraces('Savings', this.SAVINGS_COLOR, this.SAVINGS_BAND_COLOR),
+            ...bandTraces('PP', this.PP_COLOR, this.PP_BAND_COLOR)
+        ].map((trace, index) => ({
+            x: data.x[index],
+            y: data.y[index],
+            type: 'scatter',
+            mode: 'lines',
+            visible: data.visible[index],
+            ...trace
+        }));
+    }
+
+    /**
+     * Get the data of the Monte Carlo band traces from the current result
+     * @returns {{x: Array, y: Array, visible: Array<boolean>}} One entry per band trace
+     */
+    getPercentileTraceData() {
+        const result = this.state.get('monteCarloResult');
+        const [low, median, high] = this.config.monteCarlo.percentiles;
+        const keys = [['savings', low], ['savings', high], ['savings', median], ['pp', low], ['pp', high], ['pp', median]];
+
+        return {
+            x: keys.map(() => (result ? result.months : [])),
+            y: keys.map(([field, percentile]) => (result ? result[field][percentile] : [])),
+            visible: keys.map(() => result !== null)
+        };
+    }
+
+    /**
+     * Build the comparison pig's savings and PP traces (dash-dot, in the main pig's colors)
+     * Hidden while comparison is off
+     * @param {Object} measured - Values from getMeasuredData()
+     * @returns {Array<Object>} Two traces: comparison savings, comparison PP
+     */
+    buildComparisonTraces(measured) {
+        const comparing = this.comparisonState !== null;
+        const x = comparing ? this.months : [];
+
+        return [
+            ['Savings (compare)', this.SAVINGS_COLOR, measured.comparisonSavings],
+            ['PP Value (compare)', this.PP_COLOR, measured.comparisonPp]
+        ].map(([name, color, y]) => ({
+            x: x,
+            y: y,
+            type: 'scatter',
+            mode: 'lines',
+            name: name,
+            visible: comparing,
+            line: { color: color, width: 2, dash: 'dashdot' }
+        }));
+    }
+
+    /**
+     * Start or stop plotting the comparison pig
+     * Clears the chart: the comparison pig runs from month 0 (the run restarts when it's turned on)
+     * Called by ComparisonController when the comparison vehicle changes
+     * @param {StateManager|null} comparisonState - Comparison pig state, or null when comparison is off
+     */
+    setComparisonState(comparisonState) {
+        this.comparisonState = comparisonState;
+        this.clearChart();
+    }
+
+    /**
+     * Build the pinned run traces: per run a faded dashed savings line and a faded PP line
+     * carrying the run's label in the legend (one legend entry toggles both)
+     * @returns {Array<Object>} Two traces per pinned run, in the order of getPinnedTraceData
+     */
+    buildPinnedTraces() {
+        const data = this.getPinnedTraceData();
+
+        return this.pinnedRuns.flatMap((run, runIndex) => [
+            { name: `${run.label} (savings)`, showlegend: false, dash: 'dash' },
+            { name: run.label, showlegend: true, dash: 'solid' }
+        ].map((trace, lineIndex) => {
+            const index = runIndex * 2 + lineIndex;
+            return {
+                x: data.x[index],
+                y: data.y[index],
+                type: 'scatter',
+                mode: 'lines',
+                name: trace.name,
+                legendgroup: run.id,
+                showlegend: trace.showlegend,
+                visible: data.visible[index],
+                opacity: this.config.pinnedRuns.opacity,
+                line: { color: run.color, width: 1.5, dash: trace.dash }
+            };
+        }));
+    }
+
+    /**
+     * Get the data of the pinned run traces in the selected measure
+     * Runs pinned in another base currency are hidden (their amounts don't share the value axis)
+     * @returns {{x: Array, y: Array, visible: Array<boolean>}} Two entries per run: savings, PP
+     */
+    getPinnedTraceData() {
+        const measure = this.state.getMeasure();
+        const inGoods = !!getGoodsInfo(measure);
+        const x = [];
+        const y = [];
+        const visible = [];
+
+        this.pinnedRuns.forEach(run => {
+            let savings = run.savingsData;
+            let pp = run.ppData;
+
+            if (inGoods) {
+                const { atStartPrice, atMonthPrice } = this.getGoodsConverters(measure, new Date(run.startDate));
+                savings = atStartPrice(run.savingsData);
+                pp = atMonthPrice(run.months, run.savingsData);
+            }
+
+            const shown = run.currency === getBaseCurrency();
+            x.push(run.months, run.months);
+            y.push(savings, pp);
+            visible.push(shown, shown);
+        });
+
+        return { x, y, visible };
+    }
+
+    /**
+     * Replace the pinned runs and rebuild the chart (the number of traces changes)
+     * Called by PinnedRunsController when a run is pinned or removed
+     * @param {Array<Object>} runs - Pinned runs, oldest first
+     */
+    setPinnedRuns(runs) {
+        this.pinnedRuns = runs.slice();
+
+        if (this.isChartReady && this.chartElement) {
+            this.createChart();
+        }
+    }
+
+    /**
+     * Build the traces of the extra series the trace picker offers (hidden until picked)
+     * @returns {Array<Object>} One trace per CONFIG.chartTraces.options entry, in the order of getExtraTraceData
+     */
+    buildExtraTraces() {
+        const data = this.getExtraTraceData();
+
+        return Object.entries(this.config.chartTraces.options).map(([, option], index) => ({
+            x: data.x[index],
+            y: data.y[index],
+            type: 'scatter',
+            mode: 'lines',
+            name: option.label,
+            yaxis: option.axis === 'right' ? 'y3' : 'y',
+            visible: data.visible[index],
+            line: { color: option.color, width: 1.5 }
+        }));
+    }
+
+    /**
+     * Get the data of the extra series from the month rows
+     * Value axis series follow the selected measure; months without a value (no BTC price yet) are gaps
+     * @returns {{x: Array, y: Array, visible: Array<boolean>}} One entry per CONFIG.chartTraces.options entry
+     */
+    getExtraTraceData() {
+        const measure = this.state.getMeasure();
+        const converters = getGoodsInfo(measure)
+            ? this.getGoodsConverters(measure, this.state.get('simulationStartDate'))
+            : null;
+        const months = this.monthRows.map(row => row.month);
+        const x = [];
+        const y = [];
+        const visible = [];
+
+        Object.entries(this.config.chartTraces.options).forEach(([key, option]) => {
+            let values = this.monthRows.map(row => (row[key] === undefined ? null : row[key]));
+
+            if (converters && option.axis === 'value') {
+                const converted = option.goodsPrice === 'month'
+                    ? converters.atMonthPrice(months, values)
+                    : converters.atStartPrice(values);
+                values = converted.map((value, index) => (values[index] === null ? null : value));
+            }
+
+            x.push(months);
+            y.push(values);
+            visible.push(this.traceSelection.traces.includes(key));
+        });
+
+        return { x, y, visible };
+    }
+
+    /**
+     * Get the secondary axis layout: shown while a picked series uses it, titled by those series
+     * Sits at the right edge, next to the inflation % axis when that shows too (see getPlotDomain)
+     * @returns {Object} Plotly yaxis3 settings (title, type, visible, anchor, position)
+     */
+    getRightAxisLayout() {
+        const labels = Object.entries(this.config.chartTraces.options)
+            .filter(([key, option]) => option.axis === 'right' && this.traceSelection.traces.includes(key))
+            .map(([, option]) => option.label);
+        const besideInflation = labels.length > 0 && this.isSeriesActive();
+
+        return {
+            title: { text: labels.join(' · ') },
+            type: this.traceSelection.logRight ? 'log' : 'linear',
+            visible: labels.length > 0,
+            anchor: besideInflation ? 'free' : 'x',
+            position: 1
+        };
+    }
+
+    /**
+     * Get the horizontal extent of the plot: narrowed to make room when both right axes show
+     * @returns {Array<number>} Plotly xaxis domain ([0, 1] = full width)
+     */
+    getPlotDomain() {
+        const rightAxis = this.getRightAxisLayout();
+        return rightAxis.anchor === 'free' ? [0, 1 - this.config.chartTraces.rightAxisWidth] : [0, 1];
+    }
+
+    /**
+     * Show the picked extra series and switch the axes between linear and log scale
+     * Called by ChartTracesController when the selection changes
+     * @param {{traces: Array<string>, logValue: boolean, logRight: boolean}} selection - Picked series
+     *   (keys of CONFIG.chartTraces.options), log value axis, log secondary axis
+     */
+    setTraceSelection(selection) {
+        this.traceSelection = {
+            traces: selection.traces.slice(),
+            logValue: selection.logValue,
+            logRight: selection.logRight
+        };
+
+        if (this.isChartReady && this.chartElement) {
+            this.redrawChart();
+        }
+    }
+
+    /**
+     * Redraw the Monte Carlo bands after a new result (or after Monte Carlo is turned off)
+     */
+    updatePercentileBands() {
+        if (this.isChartReady && this.chartElement) {
+            this.redrawChart();
+        }
+    }
+
+    /**
+     * Fit the month axis to a changed simulation horizon
+     * Called by SimulationPeriodController when the horizon slider moves
+     */
+    updateHorizon() {
+        if (this.isChartReady && this.chartElement) {
+            this.redrawChart();
+        }
+    }
+
+    /**
+     * Redraw the event markers after the one-off events changed
+     * Called by OneOffEventsController when the events input changes
+     */
+    updateEvents() {
+        if (this.isChartReady && this.chartElement) {
+            this.redrawChart();
+        }
+    }
+
+    /**
+     * Check if the simulation runs against a month-by-month inflation series
+     * @returns {boolean} True if an inflation series is selected
+     */
+    isSeriesActive() {
+        return this.state.getInflationSeries() !== null;
+    }
+
+    /**
+     * Get the inflation axis type
+     * Hyperinflation episodes reach rates far beyond the slider range: log axis from 10× its max
+     * @returns {string} 'log' or 'linear'
+     */
+    getInflationAxisType() {
+        const peak = this.inflationData.reduce((max, rate) => Math.max(max, rate), 0);
+        return peak > this.config.sliders.inflation.max * 10 ? 'log' : 'linear';
     }
 
     /**
      * Update vehicle periods for background shading
      * Extends current period or creates new period if vehicle changed
      * @param {number} currentMonth - Current month
-     * @param {string} vehicle - Current vehicle mode ('usd' or 'btc')
+     * @param {string} vehicle - Current vehicle mode ('usd', 'btc', 'hysa' or 'gold')
      */
     updateVehiclePeriods(currentMonth, vehicle) {
         const lastPeriod = this.vehiclePeriods[this.vehiclePeriods.length - 1];
@@ -292,6 +904,47 @@ class ChartHandler {
         }
     }
 
+    /**
+     * Get chart data for a saved session
+     * @returns {Object} Data arrays, vehicle periods and month rows (JSON-serializable)
+     */
+    getSnapshot() {
+        return {
+            months: this.months.slice(),
+            savingsData: this.savingsData.slice(),
+            ppData: this.ppData.slice(),
+            inflationData: this.inflationData.slice(),
+            comparisonSavingsData: this.comparisonSavingsData.slice(),
+            comparisonPpData: this.comparisonPpData.slice(),
+            vehiclePeriods: this.vehiclePeriods.map(period => ({ ...period })),
+            monthRows: this.monthRows.map(row => ({ ...row }))
+        };
+    }
+
+    /**
+     * Restore chart data from a saved session
+     * Call after the simulation state is restored (state changes clear the chart)
+     * @param {Object} snapshot - Data from getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.months)) return;
+
+        this.months = snapshot.months.slice();
+        this.savingsData = snapshot.savingsData.slice();
+        this.ppData = snapshot.ppData.slice();
+        this.inflationData = snapshot.inflationData.slice();
+        this.comparisonSavingsData = (snapshot.comparisonSavingsData || []).slice();
+        this.comparisonPpData = (snapshot.comparisonPpData || []).slice();
+        this.vehiclePeriods = snapshot.vehiclePeriods.map(period => ({ ...period }));
+        // Sessions saved before the savings value column was renamed store it as usdValue
+        this.monthRows = (snapshot.monthRows || []).map(({ usdValue, ...row }) =>
+            (usdValue === undefined || 'savingsValue' in row ? row : { ...row, savingsValue: usdValue }));
+
+        if (this.isChartReady && this.chartElement) {
+            this.redrawChart();
+        }
+    }
+
     /**
      * Clear chart and reset to initial state
      * Called when simulation restarts
@@ -305,12 +958,7 @@ class ChartHandler {
         this.initializeStartingDataPoint();
 
         // Update chart with reset data and shapes
-        Plotly.update(this.chartElement, {
-            x: [this.months, this.months],
-            y: [this.savingsData, this.ppData]
-        }, {
-            shapes: this.buildBackgroundShapes()
-        }, [0, 1]);
+        this.redrawChart();
     }
 }
 
@@ -0,0 +1,180 @@
+/**
+ * ChartTracesController - Chart Trace Picker
+ *
+ * The chart shows savings and PP value; the state tracks more. The trace picker adds the
+ * money lost to the bank, the deposits, the BTC price (all on the value axis), the cumulative
+ * inflation factor and the BTC holdings (on a secondary axis). Each axis can be switched to
+ * log scale, e.g. to follow the BTC price next to the savings.
+ *
+ * Responsibilities:
+ * - Fill the trace list with one checkbox per CONFIG.chartTraces.options entry
+ * - Load/save the picked traces and log axes via settings-storage.js
+ * - Hand the selection to the chart handler
+ *
+ * Dependencies:
+ * - config.js (CONFIG.chartTraces, element IDs)
+ * - settings-storage.js (getSetting, setSetting)
+ * - app.js (chart handler)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new ChartTracesController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.setSelection({ traces: ['btcPrice'], logValue: true, logRight: false });
+ * ```
+ */
+class ChartTracesController {
+    /**
+     * Create a new ChartTracesController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for the chart handler)
+     */
+    constructor(config, stateManager, app) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // Picked traces (keys of CONFIG.chartTraces.options) and log axes
+        this.selection = { traces: [], logValue: false, logRight: false };
+
+        // DOM elements
+        this.elements = {
+            traceList: null,
+            logValueCheckbox: null,
+            logRightCheckbox: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Fills the trace list, restores the saved selection and sets up event listeners
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.traceList) return;
+
+        // Fill trace list
+        this.populateTraces();
+
+        // Restore saved selection
+        this.setSelection(getSetting('chartTraces', {}));
+
+        // Setup event listeners
+        this.elements.traceList.addEventListener('change', () => {
+            this.applyInputs();
+        });
+        [this.elements.logValueCheckbox, this.elements.logRightCheckbox].forEach(checkbox => {
+            if (checkbox) {
+                checkbox.addEventListener('change', () => {
+                    this.applyInputs();
+                });
+            }
+        });
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.traceList = document.getElementById(this.config.elementIds.chartTraceList);
+        this.elements.logValueCheckbox = document.getElementById(this.config.elementIds.chartLogValue);
+        this.elements.logRightCheckbox = document.getElementById(this.config.elementIds.chartLogRight);
+    }
+
+    /**
+     * Fill the trace list: one labeled checkbox per extra series
+     */
+    populateTraces() {
+        const list = this.elements.traceList;
+        list.innerHTML = '';
+
+        Object.entries(this.config.chartTraces.options).forEach(([key, option]) => {
+            const label = document.createElement('label');
+            label.className = 'chart-trace';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = key;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-trace-swatch';
+            swatch.style.background = option.color;
+
+            label.append(checkbox, swatch, option.label);
+            list.appendChild(label);
+        });
+    }
+
+    /**
+     * Read the checkboxes and apply them
+     */
+    applyInputs() {
+        const checked = this.elements.traceList.querySelectorAll('input[type="checkbox"]:checked');
+
+        this.setSelection({
+            traces: Array.from(checked, checkbox => checkbox.value),
+            logValue: !!(this.elements.logValueCheckbox && this.elements.logValueCheckbox.checked),
+            logRight: !!(this.elements.logRightCheckbox && this.elements.logRightCheckbox.checked)
+        });
+    }
+
+    /**
+     * Pick traces and log axes (saved to storage)
+     * Unknown trace keys are dropped
+     * @param {Object} selection - { traces: Array<string>, logValue: boolean, logRight: boolean }
+     */
+    setSelection(selection) {
+        const options = this.config.chartTraces.options;
+        const traces = Array.isArray(selection.traces) ? selection.traces : [];
+
+        this.selection = {
+            traces: Object.keys(options).filter(key => traces.includes(key)),
+            logValue: selection.logValue === true,
+            logRight: selection.logRight === true
+        };
+
+        this.updateInputs();
+        setSetting('chartTraces', this.selection);
+
+        if (this.app.displayManager) {
+            this.app.displayManager.getHandler('chart').setTraceSelection(this.selection);
+        }
+    }
+
+    /**
+     * Get the picked traces and log axes
+     * @returns {{traces: Array<string>, logValue: boolean, logRight: boolean}} Current selection
+     */
+    getSelection() {
+        return this.selection;
+    }
+
+    /**
+     * Check the boxes of the current selection
+     */
+    updateInputs() {
+        this.elements.traceList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = this.selection.traces.includes(checkbox.value);
+        });
+
+        if (this.elements.logValueCheckbox) {
+            this.elements.logValueCheckbox.checked = this.selection.logValue;
+        }
+        if (this.elements.logRightCheckbox) {
+            this.elements.logRightCheckbox.checked = this.selection.logRight;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ChartTracesController = ChartTracesController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartTracesController };
+}
@@ -0,0 +1,336 @@
+/**
+ * ComparisonController - Side-by-Side Comparison of Two Pigs
+ *
+ * Runs a second pig next to the main one: same inputs (savings, inflation, start amount,
+ * horizon, events, fees...) but another savings vehicle. The comparison pig has its own
+ * StateManager, SimulationManager, liquid containers and liquid display handler, bound to
+ * the comparison scene in index.html. The main pig drives it: every month it runs in the
+ * comparison pig first, so both pigs, both mugs and both chart traces move in lockstep.
+ *
+ * Responsibilities:
+ * - Fill the "Compare with" selector (off or one of the savings vehicles)
+ * - Load/save the comparison vehicle via settings-storage.js
+ * - Show/hide the comparison scene (comparison-mode class on body) and label both pigs
+ * - Reset the comparison pig whenever the main pig resets (same start date and amount)
+ * - Run a month and a month end in the comparison pig (called by app.js)
+ * - Save/restore the comparison pig with a session
+ *
+ * Dependencies:
+ * - config.js (CONFIG.comparison, vehicle names, element IDs, selectors)
+ * - settings-storage.js (getSetting, setSetting)
+ * - state-manager.js (StateManager class for the second simulation)
+ * - simulation-manager.js, liquid-container.js, liquid-display-handler.js
+ * - formatters.js (formatCurrency for the scene labels)
+ * - app.js (drop creation, restart, chart handler)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new ComparisonController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.setVehicle('btc'); // Main pig on the left, BTC pig on the right
+ * ```
+ */
+class ComparisonController {
+    /**
+     * Create a new ComparisonController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager of the main pig
+     * @param {Object} app - App instance (drop creation, restart, chart handler)
+     */
+    constructor(config, stateManager, app) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // Comparison vehicle (CONFIG.comparison.OFF = single pig)
+        this.vehicle = config.comparison.OFF;
+
+        // Second simulation (created in initialize(), same names as on the app so drops can target either pig)
+        this.comparisonState = null;
+        this.simulationManager = null;
+        this.pigContainer = null;
+        this.mugContainer = null;
+        this.liquidHandler = null;
+
+        // Inflation loss still falling towards the comparison mug (saved with a session)
+        this.pendingMugDollars = 0;
+
+        // DOM elements
+        this.elements = {
+            comparisonSelect: null,
+            primaryScene: null,
+            comparisonScene: null,
+            primaryLabel: null,
+            comparisonLabel: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Creates the comparison simulation, restores the saved vehicle and follows the main pig
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.comparisonScene) return;
+
+        // Second simulation bound to the comparison scene (reads the same settings cache)
+        this.comparisonState = new StateManager();
+        this.simulationManager = new SimulationManager(this.config, this.comparisonState);
+        this.pigContainer = new LiquidContainer(
+            this.config.selectors.pigOvalContainer,
+            'fillLevel',
+            this.config,
+            this.comparisonState,
+            this.elements.comparisonScene
+        );
+        this.mugContainer = new LiquidContainer(
+            this.config.selectors.bankerMugContainer,
+            'mugFillLevel',
+            this.config,
+            this.comparisonState,
+            this.elements.comparisonScene
+        );
+        this.liquidHandler = new LiquidDisplayHandler(this.config, this.comparisonState, this.elements.comparisonScene);
+        this.liquidHandler.initialize();
+
+        this.comparisonState.subscribe('fillLevel', () => this.liquidHandler.updatePigDisplay());
+        this.comparisonState.subscribe('mugFillLevel', () => this.liquidHandler.updateMugDisplay());
+
+        // Capital gains tax and fees are already in the mug when charged; the drops only show them
+        this.comparisonState.subscribe('lastTaxCharge', (state) => {
+            if (state.lastTaxCharge) {
+                this.app.createTaxDrop(state.lastTaxCharge.dollars, this);
+            }
+        });
+        this.comparisonState.subscribe('lastFeeCharge', (state) => {
+            if (state.lastFeeCharge) {
+                this.app.createFeeDrop(state.lastFeeCharge.dollars, this);
+            }
+        });
+
+        // Start date changes on every reset of the main pig - start over with it
+        this.stateManager.subscribe('simulationStartDate', () => {
+            this.reset();
+        });
+
+        // Keep both labels current
+        this.stateManager.subscribe('*', () => this.updateLabels());
+        this.comparisonState.subscribe('*', () => this.updateLabels());
+
+        if (!this.elements.comparisonSelect) return;
+
+        // Fill selector and restore saved vehicle
+        this.populateOptions();
+        this.setVehicle(getSetting('comparisonVehicle', this.config.comparison.default));
+
+        // Setup event listeners
+        this.elements.comparisonSelect.addEventListener('change', (e) => {
+            this.setVehicle(e.target.value);
+
+            // Both pigs run from the same month: start the run over
+            if (!this.stateManager.get('isStartState')) {
+                this.app.restart();
+            }
+        });
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.comparisonSelect = document.getElementById(this.config.elementIds.comparisonSelect);
+        this.elements.primaryScene = document.getElementById(this.config.elementIds.primaryScene);
+        this.elements.comparisonScene = document.getElementById(this.config.elementIds.comparisonScene);
+
+        if (this.elements.primaryScene) {
+            this.elements.primaryLabel = this.elements.primaryScene.querySelector(this.config.selectors.sceneLabel);
+        }
+        if (this.elements.comparisonScene) {
+            this.elements.comparisonLabel = this.elements.comparisonScene.querySelector(this.config.selectors.sceneLabel);
+        }
+    }
+
+    /**
+     * Fill the selector: off first, then one option per savings vehicle
+     */
+    populateOptions() {
+        const select = this.elements.comparisonSelect;
+        select.innerHTML = '';
+
+        const choices = [
+            [this.config.comparison.OFF, 'Off'],
+            ...Object.values(this.config.savingsVehicle.options).map(vehicle => [vehicle, this.config.savingsVehicle.names[vehicle]])
+        ];
+        choices.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Select the comparison vehicle (saved to storage) and reset the comparison pig
+     * Doesn't restart the main pig; the selector does that when the run is under way
+     * Unknown values turn the comparison off
+     * @param {string} vehicle - Savings vehicle, or CONFIG.comparison.OFF
+     */
+    setVehicle(vehicle) {
+        const valid = Object.values(this.config.savingsVehicle.options).includes(vehicle)
+            ? vehicle
+            : this.config.comparison.OFF;
+
+        this.vehicle = valid;
+        if (this.elements.comparisonSelect) {
+            this.elements.comparisonSelect.value = valid;
+        }
+        setSetting('comparisonVehicle', valid);
+
+        document.body.classList.toggle(this.config.cssClasses.comparisonMode, this.isActive());
+
+        this.reset();
+
+        if (this.app.displayManager) {
+            this.app.displayManager.getHandler('chart').setComparisonState(this.isActive() ? this.comparisonState : null);
+        }
+    }
+
+    /**
+     * Get the comparison vehicle
+     * @returns {string} Savings vehicle, or CONFIG.comparison.OFF
+     */
+    getVehicle() {
+        return this.vehicle;
+    }
+
+    /**
+     * Check if the comparison pig is shown and running
+     * @returns {boolean} True if a comparison vehicle is selected
+     */
+    isActive() {
+        return this.comparisonState !== null && this.vehicle !== this.config.comparison.OFF;
+    }
+
+    /**
+     * Reset the comparison pig to the main pig's start (same date and amount)
+     */
+    reset() {
+        this.pendingMugDollars = 0;
+        if (!this.isActive()) return;
+
+        // reset() keeps the vehicle (USD until BTC has a price at the start date)
+        this.comparisonState.setState({ savingsVehicle: this.vehicle });
+
+        // The main pig may have been reset with an amount other than the slider's (e.g. balance button)
+        this.comparisonState.reset(this.stateManager.get('nominalDollarsSaved'));
+        this.updateLabels();
+    }
+
+    /**
+     * Run the month's deposit or withdrawal and one-off event, then advance the month
+     * Called by app.js when the main pig's savings drop lands, before the main pig advances
+     */
+    runMonth() {
+        if (!this.isActive()) return;
+
+        if (this.simulationManager.isWithdrawalPhase()) {
+            const withdrawn = this.simulationManager.withdrawFromPig();
+            if (withdrawn > 0) {
+                this.app.createWithdrawalDrop(withdrawn, this.app.calculateDropSize(withdrawn), this);
+            }
+        } else if (this.comparisonState.getMonthlyContribution() !== 0) {
+            this.simulationManager.addMonthlySavingsToPig();
+        }
+
+        if (this.simulationManager.getOneOffEventAmount() !== 0) {
+            const withdrawn = this.simulationManager.applyOneOffEvent();
+            if (withdrawn > 0) {
+                this.app.createWithdrawalDrop(withdrawn, this.app.calculateEventDropSize(withdrawn), this);
+            }
+        }
+
+        this.simulationManager.advanceMonth();
+    }
+
+    /**
+     * Rebalance, credit interest, charge fees and apply inflation for the month
+     * Called by app.js together with the main pig's month end
+     */
+    runMonthEnd() {
+        if (!this.isActive()) return;
+
+        this.simulationManager.rebalanceAllocationIfDue();
+        this.simulationManager.applyMonthlyInterest();
+        this.simulationManager.applyMonthlyFees();
+
+        const inflationDollars = this.simulationManager.applyMonthlyInflation();
+        if (inflationDollars > 0) {
+            this.app.createInflationDrop(inflationDollars, this);
+        }
+    }
+
+    /**
+     * Show each pig's vehicle and PP value above it
+     */
+    updateLabels() {
+        if (!this.isActive()) return;
+
+        const label = (state) =>
+            `${this.config.savingsVehicle.names[state.getSavingsVehicle()]} · PP ${formatCurrency(state.getPPValue())}`;
+
+        if (this.elements.primaryLabel) {
+            this.elements.primaryLabel.textContent = label(this.stateManager);
+        }
+        if (this.elements.comparisonLabel) {
+            this.elements.comparisonLabel.textContent = label(this.comparisonState);
+        }
+    }
+
+    /**
+     * Get the comparison pig for a saved session
+     * @returns {Object|null} Simulation state and inflation loss still falling (null when off)
+     */
+    getSnapshot() {
+        if (!this.isActive()) return null;
+
+        return {
+            state: this.comparisonState.getSessionSnapshot(),
+            pendingMugDollars: this.pendingMugDollars
+        };
+    }
+
+    /**
+     * Restore the comparison pig from a saved session
+     * Call after the main pig is restored (its reset restarts the comparison pig)
+     * A session without a comparison pig turns the comparison off
+     * @param {Object|null} snapshot - Data from getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !snapshot.state) {
+            if (this.isActive()) {
+                this.setVehicle(this.config.comparison.OFF);
+            }
+            return;
+        }
+
+        if (!this.isActive()) return;
+
+        this.comparisonState.restoreSessionSnapshot(snapshot.state);
+        if (snapshot.pendingMugDollars > 0) {
+            this.simulationManager.addInflationLossToMug(snapshot.pendingMugDollars);
+        }
+        this.updateLabels();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ComparisonController = ComparisonController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ComparisonController };
+}
@@ -48,26 +48,409 @@ const CONFIG = {
             default: 100,
             step: 10,
             roundTo: 10  // For balance calculations
+        },
+        apy: {
+            min: 0,
+            max: 10,
+            default: 4.5,
+            step: 0.1  // Savings account annual percentage yield
+        },
+        goldGrowth: {
+            min: 0,
+            max: 15,
+            default: 5,
+            step: 0.5  // Gold price growth per year after the bundled series ends
+        },
+        horizon: {
+            min: 1,
+            max: 60,
+            default: 30,
+            step: 1  // Simulated years before the run finishes
         }
     },
 
 
     // ========================================
-    // SAVINGS VEHICLE
+    // INFLATION SOURCE
     // ========================================
 
-    savingsVehicle: {
-        /** Default savings vehicle */
-        default: 'usd',
+    inflationSource: {
+        /** Constant rate from the inflation slider (every month) */
+        CONSTANT: 'constant',
 
-        /** Available options */
+        /** Default source (other values are series ids from inflation-series.js) */
+        default: 'constant',
+
+        /** Label for the constant option in the source selector */
+        constantLabel: 'Constant rate (slider)',
+
+        /** First option of the historical episode selector on the start screen (no preset) */
+        episodePrompt: 'Pick a historical episode…'
+    },
+
+
+    // ========================================
+    // BASE CURRENCY
+    // ========================================
+
+    currency: {
+        /** Default base currency (other codes are keys of FX_RATE_SERIES in fx-rate-series.js) */
+        default: 'USD',
+
+        /**
+         * Currencies the simulation can run in
+         * inflation: default inflation slider value (percent, capped at the slider range)
+         * amountScale: multiplier for the dollar amounts below (capacities, slider ranges),
+         * so the pig holds a comparable amount of money in every currency
+         */
         options: {
-            USD: 'usd',
-            BTC: 'btc'
+            USD: { name: 'US dollar', symbol: '$', locale: 'en-US', inflation: 7, amountScale: 1 },
+            EUR: { name: 'Euro', symbol: '€', locale: 'de-DE', inflation: 6, amountScale: 1 },
+            GBP: { name: 'British pound', symbol: '£', locale: 'en-GB', inflation: 7, amountScale: 1 },
+            JPY: { name: 'Japanese yen', symbol: '¥', locale: 'ja-JP', inflation: 5, amountScale: 100 },
+            ARS: { name: 'Argentine peso', symbol: 'AR$', locale: 'es-AR', inflation: 20, amountScale: 1000 },
+            TRY: { name: 'Turkish lira', symbol: '₺', locale: 'tr-TR', inflation: 20, amountScale: 50 }
+        },
+
+        /** Amount scale currently applied to CONFIG (set by applyCurrencyScale) */
+        amountScale: 1
+    },
+
+
+    // ========================================
+    // MEASURE IN (goods instead of money)
+    // ========================================
+
+    measure: {
+        /** Amounts in the base currency (no conversion) */
+        CURRENCY: 'currency',
+
+        /** Ounces of gold, priced by the gold price model (gold-price-series.js) */
+        GOLD: 'gold',
+
+        /** Default measure (other values are good ids from goods-price-series.js) */
+        default: 'currency',
+
+        /** Labels for the options that are not a goods series */
+        currencyLabel: 'Money',
+        gold: { label: 'Ounces of gold', unit: 'oz gold' }
+    },
+
+
+    // ========================================
+    // BTC PRICE MODEL
+    // ========================================
+
+    btcPriceModel: {
+        /** Default model id (other ids are keys of BTC_PRICE_MODELS in financial-math.js) */
+        default: 'power-law-bgeometrics',
+
+        /** Annual growth for the constant CAGR model (percent) */
+        cagr: {
+            min: 0,
+            max: 100,
+            default: 20,
+            step: 1
         }
     },
 
 
+    // ========================================
+    // MIXED ALLOCATION
+    // ========================================
+
+    allocation: {
+        /** Default split of deposits in mix mode (percent per vehicle) */
+        default: {
+            usd: 80,
+            btc: 20,
+            hysa: 0,
+            gold: 0
+        },
+
+        /** Rebalance schedule in months between rebalances (0 = never rebalance) */
+        rebalanceOptions: [
+            { months: 0, label: 'Never rebalance' },
+            { months: 3, label: 'Rebalance quarterly' },
+            { months: 12, label: 'Rebalance yearly' }
+        ],
+        defaultRebalanceMonths: 0
+    },
+
+
+    // ========================================
+    // CONTRIBUTION GROWTH
+    // ========================================
+
+    contributionGrowth: {
+        /** Growth modes (see calculateContribution in financial-math.js) */
+        modes: {
+            FLAT: 'flat',
+            INFLATION: 'inflation',
+            RAISE: 'raise',
+            SCHEDULE: 'schedule'
+        },
+
+        /** Selector options in display order */
+        options: [
+            { mode: 'flat', label: 'Same amount every month' },
+            { mode: 'inflation', label: 'Indexed to inflation' },
+            { mode: 'raise', label: 'Annual raise' },
+            { mode: 'schedule', label: 'Step schedule' }
+        ],
+
+        default: 'flat',
+
+        /** Annual raise (percent) */
+        raise: {
+            min: 0,
+            max: 20,
+            default: 3,
+            step: 0.5
+        },
+
+        /** Example shown in the empty schedule input ("year:amount" pairs) */
+        schedulePlaceholder: '5:200, 10:400'
+    },
+
+
+    // ========================================
+    // ONE-OFF EVENTS
+    // ========================================
+
+    oneOffEvents: {
+        /** Example shown in the empty events input ("month:amount label" entries, negative = withdrawal) */
+        placeholder: '24:5000 bonus, 60:-20000 car'
+    },
+
+
+    // ========================================
+    // WITHDRAWAL PHASE
+    // ========================================
+
+    withdrawal: {
+        /** Withdrawal modes (indexed = start-date dollars, grown by the simulated inflation) */
+        modes: {
+            FIXED: 'fixed',
+            INDEXED: 'indexed'
+        },
+
+        /** Selector options in display order */
+        options: [
+            { mode: 'fixed', label: 'Fixed amount' },
+            { mode: 'indexed', label: 'Indexed to inflation' }
+        ],
+
+        default: 'fixed',
+
+        /** Monthly withdrawal in dollars */
+        amount: {
+            min: 0,
+            max: 100000,
+            default: 1000,
+            step: 50
+        }
+    },
+
+
+    // ========================================
+    // CAPITAL GAINS TAX
+    // ========================================
+
+    capitalGainsTax: {
+        /** Tax modes (see calculateCapitalGainsTax in financial-math.js) */
+        modes: {
+            NONE: 'none',
+            FLAT: 'flat',
+            SPLIT: 'split'
+        },
+
+        /** Selector options in display order */
+        options: [
+            { mode: 'none', label: 'No tax' },
+            { mode: 'flat', label: 'Flat rate' },
+            { mode: 'split', label: 'Short/long-term' }
+        ],
+
+        default: 'none',
+
+        /** Tax rate in percent (flat rate, or long-term rate when split) */
+        rate: {
+            min: 0,
+            max: 60,
+            default: 15,
+            step: 0.5
+        },
+
+        /** Short-term rate in percent (split mode) */
+        shortTermRate: {
+            min: 0,
+            max: 60,
+            default: 30,
+            step: 0.5
+        },
+
+        /** Months a lot must be held for the long-term rate */
+        longTermMonths: 12
+    },
+
+
+    // ========================================
+    // FEES AND SPREADS
+    // ========================================
+
+    fees: {
+        /** Yearly account / custody fee per vehicle in percent of holdings, billed monthly */
+        annual: {
+            min: 0,
+            max: 5,
+            step: 0.05,
+            default: { usd: 0, btc: 0, hysa: 0, gold: 0 }
+        },
+
+        /** Spread paid on every BTC purchase, in percent of the dollars spent */
+        btcSpread: {
+            min: 0,
+            max: 5,
+            default: 0,
+            step: 0.1
+        },
+
+        /** Fee on switching savings to another vehicle, in percent of the value converted */
+        conversion: {
+            min: 0,
+            max: 5,
+            default: 0,
+            step: 0.1
+        }
+    },
+
+
+    // ========================================
+    // SAVED SESSIONS
+    // ========================================
+
+    sessions: {
+        /** Slot saved automatically every month (offered as "resume where you left off", stored apart from the named slots) */
+        autosaveSlot: 'Last session'
+    },
+
+
+    // ========================================
+    // PINNED RUNS (chart overlays)
+    // ========================================
+
+    pinnedRuns: {
+        /** Most runs kept on the chart; pinning another unpins the oldest */
+        maxRuns: 5,
+        /** Opacity of pinned run traces (faded behind the current run) */
+        opacity: 0.45,
+        /** Line color per pinned run (the first one not in use is taken) */
+        colors: ['#7E57C2', '#8D6E63', '#546E7A', '#EC407A', '#26A69A']
+    },
+
+
+    // ========================================
+    // CHART TRACES (extra series on the chart)
+    // ========================================
+
+    chartTraces: {
+        /**
+         * Extra series the trace picker offers, keyed by their month row field (ChartHandler.createMonthRow)
+         * - axis: 'value' shares the savings/PP axis, 'right' is the secondary axis
+         * - goodsPrice: counted in goods at the 'start' price (nominal amounts) or each 'month's price
+         */
+        options: {
+            bankTotal: { label: 'Lost to the bank', axis: 'value', goodsPrice: 'start', color: '#B71C1C' },
+            nominalDeposits: { label: 'Deposits', axis: 'value', goodsPrice: 'start', color: '#607D8B' },
+            btcPrice: { label: 'BTC price', axis: 'value', goodsPrice: 'month', color: '#F7931A' },
+            cumulativeInflationFactor: { label: 'Inflation factor', axis: 'right', color: '#8E24AA' },
+            btcHoldings: { label: 'BTC holdings', axis: 'right', color: '#EF6C00' }
+        },
+
+        /** Share of the chart width given to the secondary axis while the inflation % axis shows too */
+        rightAxisWidth: 0.08
+    },
+
+
+    // ========================================
+    // SIMULATION
+    // ========================================
+
+    simulation: {
+        /**
+         * Earliest selectable start month (the Weimar episode in inflation-series.js)
+         * Before 1970 gold, FX and goods prices stay at their first bundled price
+         */
+        earliestStartMonth: '1921-01'
+    },
+
+
+    // ========================================
+    // GOAL SEEK
+    // ========================================
+
+    goalSeek: {
+        /** Target PP at the end of the horizon (start-date dollars) until the user enters one */
+        defaultTargetPP: 100000
+    },
+
+
+    // ========================================
+    // SENSITIVITY HEATMAP
+    // ========================================
+
+    sensitivity: {
+        /** Values per axis, evenly spread over the start amount and savings slider ranges */
+        steps: 11,
+
+        /** Metrics offered in the selector (value → label) */
+        metrics: {
+            pp: 'Final PP',
+            ppLost: 'PP lost %'
+        },
+        defaultMetric: 'pp',
+
+        /** Heatmap colors from worst to best outcome (PP lost % runs the other way) */
+        colorscale: [[0, '#E53935'], [0.5, '#FFEB3B'], [1, '#43A047']]
+    },
+
+
+    // ========================================
+    // MONTE CARLO
+    // ========================================
+
+    monteCarlo: {
+        /** Path counts offered in the selector (0 = Monte Carlo off) */
+        pathOptions: [0, 500, 1000, 5000],
+        defaultPaths: 0,
+
+        /** Percentiles drawn as chart bands (low, median, high) */
+        percentiles: [10, 50, 90],
+
+        /** Long-run standard deviation of the annual inflation rate around the chosen rate (decimal) */
+        inflationVolatility: 0.02,
+
+        /** Share of last month's inflation shock carried into the next month (AR(1)) */
+        inflationPersistence: 0.9,
+
+        /** Long-run standard deviation of the BTC log residual around the model price */
+        btcVolatility: 0.5,
+
+        /** Share of last month's BTC residual carried into the next month (AR(1)) */
+        btcPersistence: 0.95,
+
+        /** Wait after a restart before running paths (restarts often come in bursts) */
+        rerunDelayMs: 300,
+
+        /** Worker script (runs the paths off the main thread) */
+        workerScript: 'monte-carlo-worker.js',
+
+        /** Most paths run on the page when workers are unavailable (a long mix run blocks it for seconds per 100 paths) */
+        inPageMaxPaths: 100
+    },
+
+
     // ========================================
     // ANIMATION TIMING
     // ========================================
@@ -80,12 +463,21 @@ const CONFIG = {
 
     /** Delay between drop landing and inflation effect in milliseconds */
     INFLATION_DELAY_MS: 500,
+
+    /** Playback speed multipliers (drop interval and inflation delay are divided by the speed) */
+    playback: {
+        speeds: [0.5, 1, 2, 4],
+        default: 1
+    },
     
     /** Duration of ripple animation in milliseconds */
     RIPPLE_DURATION_MS: 750,
     
     /** Debounce delay for window resize events in milliseconds */
     RESIZE_DEBOUNCE_MS: 150,
+
+    /** How long the Share button shows "Link copied" in milliseconds */
+    SHARE_FEEDBACK_MS: 1500,
     
     
     // ========================================
@@ -110,7 +502,10 @@ const CONFIG = {
         /** Drop size scaling for amounts $100-$1000 */
         largeAmountBase: 11,
         largeAmountScale: 0.01,
-        largeAmountOffset: 100
+        largeAmountOffset: 100,
+
+        /** Largest one-off event drop (pixels before scale), so lump sums stay on screen */
+        eventMaxSize: 60
     },
     
     
@@ -158,7 +553,11 @@ const CONFIG = {
         leakOval: {
             top: 397,  // Bottom of pig oval (285 + 115 - 3px adjustment) - where inflation drops originate
             borderWidth: 3,
-            heightRatio: 3  // Height = width / heightRatio
+            heightRatio: 3,  // Height = width / heightRatio
+            hyperinflationMaxScale: 3  // Most the oval grows past the slider max (×, one step per tenfold rate)
+        },
+        feeLeakOval: {
+            offsetX: 40  // Right of the inflation leak oval (same top) - where fee drops originate
         },
         banker: {
             top: 536,  // Moved 35px down from original 501px (new image positioning)
@@ -256,7 +655,14 @@ const CONFIG = {
         pigRipple: 'pig-ripple',
         mugRipple: 'mug-ripple',
         ripple: 'ripple',
-        leakOval: 'leak-oval'
+        leakOval: 'leak-oval',
+        withdrawalDrop: 'withdrawal-drop',
+        eventDrop: 'event-drop',
+        taxDrop: 'tax-drop',
+        feeLeakOval: 'fee-leak-oval',
+        feeDrop: 'fee-drop',
+        comparisonMode: 'comparison-mode',
+        heatmapMode: 'heatmap-mode'
     },
     
     
@@ -269,6 +675,37 @@ const CONFIG = {
         startAmountSlider: 'startAmount',
         inflationSlider: 'inflation',
         savingsSlider: 'savings',
+
+        // Inflation source selector
+        inflationSourceSelect: 'inflationSource',
+
+        // Historical episode presets (start screen)
+        episodeSelect: 'episodeSelect',
+        episodeStatus: 'episodeStatus',
+
+        // Base currency selector
+        currencySelect: 'currency',
+
+        // Measure in selector (money or goods)
+        measureSelect: 'measure',
+
+        // Side-by-side comparison
+        comparisonSelect: 'comparisonVehicle',
+        primaryScene: 'primaryScene',
+        comparisonScene: 'comparisonScene',
+
+        // Simulation period
+        horizonSlider: 'horizon',
+        horizonValue: 'horizonValue',
+        startDateInput: 'startDate',
+        startDateNowButton: 'startDateNow',
+
+        // BTC price model
+        btcPriceModelControlGroup: 'btcPriceModelControlGroup',
+        btcPriceModelSelect: 'btcPriceModel',
+        btcCagrInput: 'btcCagr',
+        btcPriceCsvInput: 'btcPriceCsv',
+        btcPriceModelStatus: 'btcPriceModelStatus',
         
         // Display values
         startAmountValue: 'startAmountValue',
@@ -287,11 +724,110 @@ const CONFIG = {
         balanceSavings: 'balanceSavings',
         restartButton: 'restartButton',
         pauseButton: 'pauseButton',
+        shareButton: 'shareButton',
+        speedSelect: 'speed',
+        resumeButton: 'resumeButton',
+
+        // Saved sessions
+        sessionSelect: 'sessionSlot',
+        sessionLoadButton: 'sessionLoad',
+        sessionSaveButton: 'sessionSave',
+        sessionDeleteButton: 'sessionDelete',
+        sessionStatus: 'sessionStatus',
+
+        // Pinned runs
+        pinRunButton: 'pinRun',
+        pinnedRunsList: 'pinnedRunsList',
+
+        // Chart trace picker
+        chartTraceList: 'chartTraceList',
+        chartLogValue: 'chartLogValue',
+        chartLogRight: 'chartLogRight',
+
+        // Goal seek
+        goalTargetInput: 'goalTarget',
+        goalStatus: 'goalStatus',
+        goalStartAmount: 'goalStartAmount',
+        goalSavings: 'goalSavings',
+        goalHorizon: 'goalHorizon',
+
+        // Sensitivity heatmap
+        heatmapToggle: 'heatmapToggle',
+        heatmapMetric: 'heatmapMetric',
+        heatmapStatus: 'heatmapStatus',
+        heatmapPanel: 'heatmapPanel',
+
+        // Monte Carlo
+        monteCarloPathsSelect: 'monteCarloPaths',
+        monteCarloStatus: 'monteCarloStatus',
+        ppProbabilityRow: 'ppProbabilityRow',
+        ppProbabilityValue: 'ppProbabilityValue',
+
+        // Time series export
+        exportCsvButton: 'exportCsv',
+        exportJsonButton: 'exportJson',
 
         // Savings Vehicle Toggle
         savingsVehicleToggle: 'savingsVehicleToggle',
         savingsVehicleUsd: 'savingsVehicleUsd',
         savingsVehicleBtc: 'savingsVehicleBtc',
+        savingsVehicleHysa: 'savingsVehicleHysa',
+        savingsVehicleGold: 'savingsVehicleGold',
+        savingsVehicleMix: 'savingsVehicleMix',
+
+        // Mixed allocation
+        allocationControlGroup: 'allocationControlGroup',
+        allocationUsdInput: 'allocationUsd',
+        allocationBtcInput: 'allocationBtc',
+        allocationHysaInput: 'allocationHysa',
+        allocationGoldInput: 'allocationGold',
+        allocationTotal: 'allocationTotal',
+        rebalanceSelect: 'rebalance',
+        allocationBreakdown: 'allocationBreakdown',
+
+        // Contribution growth
+        contributionGrowthSelect: 'contributionGrowth',
+        contributionRaiseInput: 'contributionRaise',
+        contributionScheduleInput: 'contributionSchedule',
+        contributionStatus: 'contributionStatus',
+
+        // One-off events
+        oneOffEventsInput: 'oneOffEvents',
+        oneOffEventsStatus: 'oneOffEventsStatus',
+
+        // Withdrawal phase
+        withdrawalStartInput: 'withdrawalStart',
+        withdrawalAmountInput: 'withdrawalAmount',
+        withdrawalModeSelect: 'withdrawalMode',
+        withdrawalStatus: 'withdrawalStatus',
+
+        // Capital gains tax
+        taxModeSelect: 'taxMode',
+        taxRateInput: 'taxRate',
+        taxShortTermRateInput: 'taxShortTermRate',
+        taxStatus: 'taxStatus',
+
+        // Fees and spreads
+        feeUsdInput: 'feeUsd',
+        feeBtcInput: 'feeBtc',
+        feeHysaInput: 'feeHysa',
+        feeGoldInput: 'feeGold',
+        btcSpreadInput: 'btcSpread',
+        conversionFeeInput: 'conversionFee',
+        feeStatus: 'feeStatus',
+        feesRow: 'feesRow',
+        totalFeesValue: 'totalFeesValue',
+
+        // Savings account yield
+        apySlider: 'apy',
+        apyValue: 'apyValue',
+        apyRealValue: 'apyRealValue',
+        apyControlGroup: 'apyControlGroup',
+
+        // Gold price projection
+        goldGrowthSlider: 'goldGrowth',
+        goldGrowthValue: 'goldGrowthValue',
+        goldGrowthControlGroup: 'goldGrowthControlGroup',
 
         // Debug (if present)
         debugFillValue: 'debugFillValue',
@@ -307,11 +843,15 @@ const CONFIG = {
     selectors: {
         pigOvalContainer: '.pig-oval-container',
         pigOvalFill: '.pig-oval-fill',
+        pigPercentage: '.pig-percentage',
+        sceneLabel: '.scene-label',
         bankerMugContainer: '.banker-mug-container',
         bankerMugFill: '.banker-mug-fill',
         infoText: '.info-text',
         scaledElements: '.scaled-element',
-        leakOval: '.leak-oval'
+        leakOval: '.leak-oval',
+        feeLeakOval: '.fee-leak-oval',
+        currencySymbols: '.currency-symbol'
     },
     
 
@@ -322,16 +862,42 @@ const CONFIG = {
     savingsVehicle: {
         options: {
             USD: 'usd',
-            BTC: 'btc'
+            BTC: 'btc',
+            HYSA: 'hysa',  // High-yield savings account (dollars earning APY)
+            GOLD: 'gold',  // Gold in troy ounces (bundled price series + projection)
+            MIX: 'mix'     // Deposits split across the vehicles above (see allocation)
         },
         default: 'usd',
         labels: {
             usd: '$',
-            btc: '₿'
+            btc: '₿',
+            hysa: '%',
+            gold: 'Au',
+            mix: 'Mix'
+        },
+        names: {
+            usd: 'Cash',
+            btc: 'Bitcoin',
+            hysa: 'Savings account',
+            gold: 'Gold',
+            mix: 'Mix'
         }
     },
 
 
+    // ========================================
+    // SIDE-BY-SIDE COMPARISON
+    // ========================================
+
+    comparison: {
+        /** Comparison off (single pig) */
+        OFF: 'off',
+        default: 'off',
+        /** Horizontal shift of each pig scene from the center in comparison mode (px, scaled) - mirrors styles.css */
+        offsetX: 170
+    },
+
+
     // ========================================
     // BUTTON TEXT
     // ========================================
@@ -363,7 +929,22 @@ const CONFIG = {
 
         // BTC savings mode (orange)
         btcFillStart: '#F7931A',
-        btcFillEnd: '#FFA726'
+        btcFillEnd: '#FFA726',
+
+        // Savings account mode (teal)
+        hysaFillStart: '#00838F',
+        hysaFillEnd: '#26C6DA',
+
+        // Gold savings mode (gold)
+        goldFillStart: '#B8860B',
+        goldFillEnd: '#FFD54F',
+
+        // Inflation rate line on chart (red)
+        inflationLine: '#E53935',
+
+        // One-off event markers on chart (deposit blue, withdrawal amber, like their drops)
+        eventDeposit: '#1565C0',
+        eventWithdrawal: '#F57F17'
     }
 };
 
@@ -398,31 +979,98 @@ function fillPercentageToDollars(fillPercentage, container = 'pig') {
     return (fillPercentage / 100) * capacity;
 }
 
+/**
+ * Helper function to scale the dollar amounts in CONFIG to a base currency
+ * Pig / mug capacity, the start amount, savings and withdrawal ranges and the goal seek target
+ * are multiplied by the currency's amountScale (relative to the scale applied before)
+ * @param {string} currencyCode - Key of CONFIG.currency.options (unknown codes use the default)
+ * @returns {number} Amount scale now applied
+ */
+function applyCurrencyScale(currencyCode) {
+    const option = CONFIG.currency.options[currencyCode] || CONFIG.currency.options[CONFIG.currency.default];
+    const ratio = option.amountScale / CONFIG.currency.amountScale;
+    if (ratio === 1) return option.amountScale;
+
+    CONFIG.PIG_CAPACITY_DOLLARS *= ratio;
+    CONFIG.MUG_CAPACITY_DOLLARS *= ratio;
+    CONFIG.goalSeek.defaultTargetPP *= ratio;
+
+    [CONFIG.sliders.startAmount, CONFIG.sliders.savings, CONFIG.withdrawal.amount].forEach(range => {
+        ['min', 'max', 'default', 'step', 'roundTo'].forEach(key => {
+            if (typeof range[key] === 'number') {
+                range[key] *= ratio;
+            }
+        });
+    });
+
+    CONFIG.currency.amountScale = option.amountScale;
+    return option.amountScale;
+}
+
+/**
+ * Helper function to check if a savings vehicle holds dollars
+ * Dollar vehicles (cash, savings account) are exposed to inflation and leak into the mug
+ * @param {string} vehicle - Savings vehicle ('usd', 'btc', 'hysa' or 'gold')
+ * @returns {boolean} True for USD-denominated vehicles
+ */
+function isDollarVehicle(vehicle) {
+    return vehicle === CONFIG.savingsVehicle.options.USD ||
+           vehicle === CONFIG.savingsVehicle.options.HYSA;
+}
+
 /**
  * Helper function to calculate leak oval dimensions based on inflation rate
  * Maps inflation percentage (5-20%) to 2/3 of drop size range
- * @param {number} inflationPercent - Annual inflation as percentage (e.g., 7 for 7%)
+ * Past 20% (historical series) the oval keeps growing with the order of magnitude of the rate,
+ * up to CONFIG.positions.leakOval.hyperinflationMaxScale × its 20% size
+ * @param {number} inflationPercent - Annual inflation as percentage (e.g., 7 for 7%, 1e6 for Weimar 1923)
  * @returns {Object} Object with width and height properties (before scale adjustment)
  */
 function calculateLeakOvalSize(inflationPercent) {
     // Calculate min and max drop sizes (same as calculateDropSize logic)
     const minDropSize = CONFIG.drop.smallAmountBase; // 1px
     const maxDropSize = CONFIG.drop.largeAmountBase + 
-        (CONFIG.sliders.savings.max - CONFIG.drop.largeAmountOffset) * CONFIG.drop.largeAmountScale; // 20px
+        (CONFIG.sliders.savings.max / CONFIG.currency.amountScale - CONFIG.drop.largeAmountOffset) * CONFIG.drop.largeAmountScale; // 20px
     
     // Map inflation percentage to drop size range
     const minInflation = CONFIG.sliders.inflation.min;
     const maxInflation = CONFIG.sliders.inflation.max;
+
+    // Historical series can go below the slider range - clamp so the oval never inverts
+    const sliderPercent = Math.max(minInflation, Math.min(maxInflation, inflationPercent));
     
     // Linear interpolation: width = min + (inflation - minInflation) / (maxInflation - minInflation) * (max - min)
     // Then multiply by 2/3 to make leak oval smaller and more realistic
-    const fullWidth = minDropSize + (inflationPercent - minInflation) / (maxInflation - minInflation) * (maxDropSize - minDropSize);
-    const width = fullWidth * (2 / 3);
+    const fullWidth = minDropSize + (sliderPercent - minInflation) / (maxInflation - minInflation) * (maxDropSize - minDropSize);
+
+    // Hyperinflation: +1× per tenfold rate above the slider max (200% = 2×, 2000% = 3×), capped
+    const hyperinflationScale = inflationPercent > maxInflation
+        ? Math.min(CONFIG.positions.leakOval.hyperinflationMaxScale, 1 + Math.log10(inflationPercent / maxInflation))
+        : 1;
+
+    const width = fullWidth * (2 / 3) * hyperinflationScale;
     const height = width / CONFIG.positions.leakOval.heightRatio;
     
     return { width, height };
 }
 
+/**
+ * Helper function to calculate fee leak oval dimensions based on the yearly fee rate
+ * Maps the fee range (0-5%) to the same sizes as the inflation leak oval
+ * @param {number} feePercent - Yearly fee as percentage (e.g., 0.5 for 0.5%)
+ * @returns {Object} Object with width and height properties (before scale adjustment, 0 without fees)
+ */
+function calculateFeeLeakOvalSize(feePercent) {
+    if (!(feePercent > 0)) {
+        return { width: 0, height: 0 };
+    }
+
+    const { min, max } = CONFIG.sliders.inflation;
+    const share = Math.min(1, feePercent / CONFIG.fees.annual.max);
+
+    return calculateLeakOvalSize(min + share * (max - min));
+}
+
 // Make CONFIG and helper functions available globally
 if (typeof window !== 'undefined') {
     window.CONFIG = CONFIG;
@@ -430,4 +1078,21 @@ if (typeof window !== 'undefined') {
     window.calculateMugDropVolume = calculateMugDropVolume;
     window.fillPercentageToDollars = fillPercentageToDollars;
     window.calculateLeakOvalSize = calculateLeakOvalSize;
+    window.calculateFeeLeakOvalSize = calculateFeeLeakOvalSize;
+    window.isDollarVehicle = isDollarVehicle;
+    window.applyCurrencyScale = applyCurrencyScale;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        calculatePigDropVolume,
+        calculateMugDropVolume,
+        fillPercentageToDollars,
+        calculateLeakOvalSize,
+        calculateFeeLeakOvalSize,
+        isDollarVehicle,
+        applyCurrencyScale
+    };
 }
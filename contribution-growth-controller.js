@@ -0,0 +1,246 @@
+/**
+ * ContributionGrowthController - Contribution Growth Settings Management
+ *
+ * Lets the user choose how the monthly savings grow over the run: the same
+ * nominal amount, indexed to the simulated inflation, a fixed annual raise,
+ * or a step schedule ("from year 5 save $200/month").
+ * Values are persisted in localStorage and read by SettingsCache, so StateManager
+ * and SimulationEngine pick them up like any slider value.
+ *
+ * Responsibilities:
+ * - Fill the growth selector from CONFIG.contributionGrowth.options
+ * - Load/save mode, raise and schedule via settings-storage.js
+ * - Show the raise input or schedule input only for their mode
+ * - Flag step schedules that can't be parsed
+ *
+ * Dependencies:
+ * - config.js (CONFIG.contributionGrowth, element IDs)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache.readContributionGrowth)
+ * - financial-math.js (parseContributionSchedule)
+ * - formatters.js (formatCurrency)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new ContributionGrowthController(CONFIG);
+ * controller.initialize();
+ * controller.setGrowth('raise', 3); // 3% raise every year, from the next deposit
+ * ```
+ */
+class ContributionGrowthController {
+    /**
+     * Create a new ContributionGrowthController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     */
+    constructor(config) {
+        this.config = config;
+
+        // DOM elements
+        this.elements = {
+            growthSelect: null,
+            raiseInput: null,
+            scheduleInput: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved growth settings before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.growthSelect) return;
+
+        // Fill selector and restore saved values
+        this.populateGrowthOptions();
+        this.loadFromStorage();
+
+        // Sync settings cache with restored values
+        if (window.settingsCache) {
+            window.settingsCache.readContributionGrowth();
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        this.updateVisibility();
+        this.updateStatus();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.growthSelect = document.getElementById(this.config.elementIds.contributionGrowthSelect);
+        this.elements.raiseInput = document.getElementById(this.config.elementIds.contributionRaiseInput);
+        this.elements.scheduleInput = document.getElementById(this.config.elementIds.contributionScheduleInput);
+        this.elements.status = document.getElementById(this.config.elementIds.contributionStatus);
+    }
+
+    /**
+     * Fill the growth selector with the configured modes
+     */
+    populateGrowthOptions() {
+        const select = this.elements.growthSelect;
+        select.innerHTML = '';
+
+        this.config.contributionGrowth.options.forEach(({ mode, label }) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Load mode, raise and schedule from storage
+     * Falls back to CONFIG defaults for missing values
+     */
+    loadFromStorage() {
+        const growth = this.config.contributionGrowth;
+        const saved = getSetting('contributionGrowth', {});
+
+        const isValidMode = growth.options.some(option => option.mode === saved.mode);
+        this.elements.growthSelect.value = isValidMode ? saved.mode : growth.default;
+
+        if (this.elements.raiseInput) {
+            this.elements.raiseInput.min = growth.raise.min;
+            this.elements.raiseInput.max = growth.raise.max;
+            this.elements.raiseInput.step = growth.raise.step;
+            this.elements.raiseInput.value = typeof saved.raise === 'number' ? saved.raise : growth.raise.default;
+        }
+
+        if (this.elements.scheduleInput) {
+            this.elements.scheduleInput.placeholder = growth.schedulePlaceholder;
+            this.elements.scheduleInput.value = typeof saved.schedule === 'string' ? saved.schedule : '';
+        }
+    }
+
+    /**
+     * Setup event listeners for mode, raise and schedule changes
+     * SettingsCache keeps its own listeners; a change applies from the next deposit
+     */
+    setupEventListeners() {
+        this.elements.growthSelect.addEventListener('change', () => {
+            this.saveToStorage();
+            this.updateVisibility();
+            this.updateStatus();
+        });
+
+        if (this.elements.raiseInput) {
+            this.elements.raiseInput.addEventListener('change', () => {
+                this.saveToStorage();
+            });
+        }
+
+        if (this.elements.scheduleInput) {
+            this.elements.scheduleInput.addEventListener('input', () => {
+                this.updateStatus();
+            });
+            this.elements.scheduleInput.addEventListener('change', () => {
+                this.saveToStorage();
+            });
+        }
+    }
+
+    /**
+     * Set growth settings programmatically (e.g. from a shared link)
+     * @param {string} [mode] - Growth mode ('flat', 'inflation', 'raise' or 'schedule')
+     * @param {number} [raise] - Annual raise in percent
+     * @param {string} [schedule] - Step schedule as "year:amount" pairs
+     */
+    setGrowth(mode, raise, schedule) {
+        if (!this.elements.growthSelect) return;
+
+        if (mode !== undefined) {
+            this.elements.growthSelect.value = mode;
+        }
+        if (this.elements.raiseInput && raise !== undefined) {
+            this.elements.raiseInput.value = raise;
+        }
+        if (this.elements.scheduleInput && schedule !== undefined) {
+            this.elements.scheduleInput.value = schedule;
+        }
+
+        this.saveToStorage();
+
+        if (window.settingsCache) {
+            window.settingsCache.readContributionGrowth();
+        }
+        this.updateVisibility();
+        this.updateStatus();
+    }
+
+    /**
+     * Get growth settings as shown in the inputs
+     * @returns {Object} { mode, raise (percent), schedule (text) }
+     */
+    getGrowth() {
+        const raise = this.elements.raiseInput ? parseFloat(this.elements.raiseInput.value) : NaN;
+
+        return {
+            mode: this.elements.growthSelect.value,
+            raise: isNaN(raise) ? this.config.contributionGrowth.raise.default : raise,
+            schedule: this.elements.scheduleInput ? this.elements.scheduleInput.value.trim() : ''
+        };
+    }
+
+    /**
+     * Save growth settings to storage
+     */
+    saveToStorage() {
+        setSetting('contributionGrowth', this.getGrowth());
+    }
+
+    /**
+     * Show the raise input or schedule input only for their mode
+     */
+    updateVisibility() {
+        const mode = this.elements.growthSelect.value;
+        const modes = this.config.contributionGrowth.modes;
+
+        if (this.elements.raiseInput) {
+            this.elements.raiseInput.style.display = mode === modes.RAISE ? '' : 'none';
+        }
+        if (this.elements.scheduleInput) {
+            this.elements.scheduleInput.style.display = mode === modes.SCHEDULE ? '' : 'none';
+        }
+    }
+
+    /**
+     * Explain the step schedule, or flag it when it can't be parsed
+     */
+    updateStatus() {
+        if (!this.elements.status) return;
+
+        const { mode, schedule } = this.getGrowth();
+        if (mode !== this.config.contributionGrowth.modes.SCHEDULE) {
+            this.elements.status.textContent = '';
+            return;
+        }
+
+        const steps = parseContributionSchedule(schedule);
+        if (steps === null) {
+            this.elements.status.textContent = `Use year:amount pairs, e.g. ${this.config.contributionGrowth.schedulePlaceholder}`;
+        } else if (steps.length === 0) {
+            this.elements.status.textContent = 'From year N, save $X/month (year:amount pairs)';
+        } else {
+            this.elements.status.textContent = steps
+                .map(step => `from year ${step.year}: ${formatCurrency(step.amount)}/month`)
+                .join(', ');
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ContributionGrowthController = ContributionGrowthController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContributionGrowthController };
+}
@@ -0,0 +1,307 @@
+/**
+ * CurrencyController - Base Currency Selector Management
+ *
+ * Lets the user run the pig in another base currency (EUR, GBP, JPY, ARS, TRY...).
+ * Amounts are entered and shown in that currency, BTC and gold are priced in it through
+ * the bundled FX model (fx-rate-series.js). Switching on the selector moves the inflation slider to the local rate.
+ *
+ * Responsibilities:
+ * - Fill the currency selector from CONFIG.currency.options
+ * - Select the FX model and scale CONFIG money amounts (pig capacity, slider ranges)
+ * - Rescale the start amount, savings, withdrawal, goal, step schedule and one-off event amounts to the new currency
+ * - Show the currency symbol next to every amount
+ * - Load/save the selection via settings-storage.js and restart when it changes
+ *
+ * Dependencies:
+ * - config.js (CONFIG.currency, CONFIG.sliders, applyCurrencyScale, element IDs, selectors)
+ * - fx-rate-series.js (FX_RATE_SERIES data, via financial-math.js)
+ * - financial-math.js (setBaseCurrency, scaleContributionSchedule, scaleOneOffEvents)
+ * - settings-storage.js (getSetting, setSetting)
+ * - display-manager.js (leak oval, info panel)
+ * - app.js (applySettingsChange: reset in start state, restart while running)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new CurrencyController(CONFIG, stateManager, app);
+ * controller.initialize(scenario.currency); // before domCache.initialize()
+ * controller.selectCurrency('EUR');
+ * ```
+ */
+class CurrencyController {
+    /**
+     * Create a new CurrencyController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for restart functionality)
+     */
+    constructor(config, stateManager, app = null) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // DOM elements
+        this.elements = {
+            currencySelect: null,
+            startAmountSlider: null,
+            startAmountValue: null,
+            savingsSlider: null,
+            savingsValue: null,
+            inflationSlider: null,
+            inflationValue: null,
+            withdrawalAmountInput: null,
+            goalTargetInput: null,
+            scheduleInput: null,
+            eventsInput: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Must run before domCache.initialize() reads the sliders and before the
+     * withdrawal and goal controllers restore their saved amounts
+     * @param {string} [scenarioCurrency] - Currency from a shared link (overrides the saved one)
+     */
+    initialize(scenarioCurrency) {
+        // Cache DOM elements
+        this.cacheElements();
+
+        const savedCurrency = this.getValidCode(getSetting('currency', this.config.currency.default));
+        const currency = scenarioCurrency ? this.getValidCode(scenarioCurrency) : savedCurrency;
+
+        // Saved amounts were entered in the saved currency
+        if (currency !== savedCurrency) {
+            this.rescaleSavedAmounts(
+                this.config.currency.options[currency].amountScale /
+                this.config.currency.options[savedCurrency].amountScale
+            );
+        }
+
+        if (this.elements.currencySelect) {
+            this.populateOptions();
+        }
+
+        this.applyCurrency(currency);
+
+        // Setup event listeners
+        if (this.elements.currencySelect) {
+            this.elements.currencySelect.addEventListener('change', (e) => {
+                this.selectCurrency(e.target.value);
+            });
+        }
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        const ids = this.config.elementIds;
+        this.elements.currencySelect = document.getElementById(ids.currencySelect);
+        this.elements.startAmountSlider = document.getElementById(ids.startAmountSlider);
+        this.elements.startAmountValue = document.getElementById(ids.startAmountValue);
+        this.elements.savingsSlider = document.getElementById(ids.savingsSlider);
+        this.elements.savingsValue = document.getElementById(ids.savingsValue);
+        this.elements.inflationSlider = document.getElementById(ids.inflationSlider);
+        this.elements.inflationValue = document.getElementById(ids.inflationValue);
+        this.elements.withdrawalAmountInput = document.getElementById(ids.withdrawalAmountInput);
+        this.elements.goalTargetInput = document.getElementById(ids.goalTargetInput);
+        this.elements.scheduleInput = document.getElementById(ids.contributionScheduleInput);
+        this.elements.eventsInput = document.getElementById(ids.oneOffEventsInput);
+    }
+
+    /**
+     * Fill the currency selector, one option per CONFIG.currency.options entry
+     */
+    populateOptions() {
+        const select = this.elements.currencySelect;
+        const options = this.config.currency.options;
+        select.innerHTML = '';
+
+        Object.keys(options).forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${options[code].symbol} ${code}`;
+            option.title = options[code].name;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Handle a currency change by the user
+     * Converts the amounts, moves inflation to the local rate, updates the settings cache and restarts
+     * @param {string} code - Key of CONFIG.currency.options
+     */
+    selectCurrency(code) {
+        this.applyCurrency(code);
+
+        // Inflation starts at the local rate
+        if (this.elements.inflationSlider) {
+            this.elements.inflationSlider.value = this.config.currency.options[this.getValidCode(code)].inflation;
+            this.setText(this.elements.inflationValue, this.elements.inflationSlider);
+        }
+
+        // Update settingsCache, value labels and balance icons
+        [
+            this.elements.startAmountSlider,
+            this.elements.savingsSlider,
+            this.elements.inflationSlider
+        ].forEach(slider => {
+            if (slider) {
+                slider.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        });
+
+        this.restartSimulation();
+    }
+
+    /**
+     * Switch to a base currency without restarting (e.g. from a shared link or saved session)
+     * Amount inputs are converted by the change in amount scale; the inflation slider keeps its value
+     * @param {string} code - Key of CONFIG.currency.options (unknown codes use the default)
+     */
+    applyCurrency(code) {
+        const currency = this.getValidCode(code);
+        const option = this.config.currency.options[currency];
+
+        const previousScale = this.config.currency.amountScale;
+        setBaseCurrency(currency);
+        applyCurrencyScale(currency);
+        const ratio = this.config.currency.amountScale / previousScale;
+
+        // Slider ranges follow the scaled CONFIG, values keep their size relative to the range
+        this.rescaleInput(this.elements.startAmountSlider, this.config.sliders.startAmount, ratio);
+        this.rescaleInput(this.elements.savingsSlider, this.config.sliders.savings, ratio);
+        this.setText(this.elements.startAmountValue, this.elements.startAmountSlider);
+        this.setText(this.elements.savingsValue, this.elements.savingsSlider);
+
+        // Withdrawal, goal, step schedule and event amounts (their controllers save on change)
+        if (ratio !== 1) {
+            if (this.rescaleInput(this.elements.withdrawalAmountInput, this.config.withdrawal.amount, ratio)) {
+                this.elements.withdrawalAmountInput.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            if (this.rescaleInput(this.elements.goalTargetInput, null, ratio)) {
+                this.elements.goalTargetInput.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            this.rescaleTextInput(this.elements.scheduleInput, scaleContributionSchedule, ratio);
+            this.rescaleTextInput(this.elements.eventsInput, scaleOneOffEvents, ratio);
+        }
+
+        // Currency symbol next to every amount
+        document.querySelectorAll(this.config.selectors.currencySymbols).forEach(element => {
+            element.textContent = option.symbol;
+        });
+
+        if (this.elements.currencySelect) {
+            this.elements.currencySelect.value = currency;
+        }
+
+        setSetting('currency', currency);
+    }
+
+    /**
+     * Convert an amount input to a new amount scale
+     * @param {HTMLInputElement|null} input - Slider or number input
+     * @param {Object|null} range - Scaled { min, max, step } to apply (null keeps the input's range)
+     * @param {number} ratio - New scale / previous scale
+     * @returns {boolean} True if the input exists
+     */
+    rescaleInput(input, range, ratio) {
+        if (!input) return false;
+
+        if (range) {
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+        }
+
+        const value = parseFloat(input.value);
+        if (!isNaN(value) && ratio !== 1) {
+            const step = range ? range.step : 1;
+            input.value = Math.round(value * ratio / step) * step;
+        }
+        return true;
+    }
+
+    /**
+     * Convert the amounts written in a text input to a new amount scale
+     * The input event refreshes the settings cache, the change event lets its controller save
+     * @param {HTMLInputElement|null} input - Step schedule or one-off events input
+     * @param {Function} scale - scaleContributionSchedule or scaleOneOffEvents
+     * @param {number} ratio - New scale / previous scale
+     */
+    rescaleTextInput(input, scale, ratio) {
+        if (!input || input.value.trim() === '') return;
+
+        input.value = scale(input.value, ratio);
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Convert the saved withdrawal amount, goal target, step schedule and events to a new amount scale
+     * @param {number} ratio - New scale / saved scale
+     */
+    rescaleSavedAmounts(ratio) {
+        const withdrawal = getSetting('withdrawal', null);
+        if (withdrawal && typeof withdrawal.amount === 'number') {
+            setSetting('withdrawal', { ...withdrawal, amount: withdrawal.amount * ratio });
+        }
+
+        const goalTarget = getSetting('goalTargetPP', null);
+        if (typeof goalTarget === 'number') {
+            setSetting('goalTargetPP', goalTarget * ratio);
+        }
+
+        const growth = getSetting('contributionGrowth', null);
+        if (growth && typeof growth.schedule === 'string') {
+            setSetting('contributionGrowth', { ...growth, schedule: scaleContributionSchedule(growth.schedule, ratio) });
+        }
+
+        const events = getSetting('oneOffEvents', null);
+        if (typeof events === 'string') {
+            setSetting('oneOffEvents', scaleOneOffEvents(events, ratio));
+        }
+    }
+
+    /**
+     * Copy a slider value to its value label
+     * @param {HTMLElement|null} label - Value label
+     * @param {HTMLInputElement|null} slider - Slider
+     */
+    setText(label, slider) {
+        if (label && slider) {
+            label.textContent = slider.value;
+        }
+    }
+
+    /**
+     * Restart the simulation in the new currency (see App.applySettingsChange)
+     */
+    restartSimulation() {
+        this.app.applySettingsChange();
+
+        // Leak oval follows the local inflation rate, the info panel names the pig's capacity
+        if (window.displayManager) {
+            window.displayManager.updateLeakOval();
+            window.displayManager.getHandler('ui').updateInfoPanel();
+        }
+    }
+
+    /**
+     * Get a supported currency code
+     * @param {string} code - Requested code
+     * @returns {string} The code, or the default for unknown codes
+     */
+    getValidCode(code) {
+        return this.config.currency.options[code] ? code : this.config.currency.default;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CurrencyController = CurrencyController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CurrencyController };
+}
@@ -107,7 +107,23 @@ class DisplayManager {
             })
         );
 
-        // Savings vehicle changes → update savings display (switch $ ↔ ₿ format)
+        // Total gold savings changes → update savings display and PP display (gold mode)
+        this.unsubscribers.push(
+            this.state.subscribe('totalSavingsGold', () => {
+                this.handlers.savings.updateSavingsDisplay();
+                this.handlers.savings.updatePPDisplay(); // PP = (totalSavingsGold × price) / cumulativeFactor
+            })
+        );
+
+        // Mix mode sub-balances change → update savings display (per-vehicle breakdown) and PP display
+        this.unsubscribers.push(
+            this.state.subscribe('allocationHoldings', () => {
+                this.handlers.savings.updateSavingsDisplay();
+                this.handlers.savings.updatePPDisplay();
+            })
+        );
+
+        // Savings vehicle changes → update savings display (switch $ / ₿ / oz format)
         this.unsubscribers.push(
             this.state.subscribe('savingsVehicle', () => {
                 this.handlers.savings.updateSavingsDisplay();
@@ -136,6 +152,9 @@ class DisplayManager {
                 this.handlers.date.updateDateDisplay();
                 this.handlers.savings.updatePPDisplay(); // BTC mode: PP depends on current date (BTC price)
                 this.handlers.savings.updateSavingsDisplay(); // PP Lost/Gained % depends on PP value
+                this.handlers.ui.updateLeakOval(); // Inflation series: rate changes month to month
+                this.handlers.ui.updateFeeLeakOval(); // Mix mode: fee follows the value of each layer
+                this.handlers.ui.updateInflationLabel();
             })
         );
 
@@ -157,9 +176,34 @@ class DisplayManager {
         this.unsubscribers.push(
             this.state.subscribe('simulationStartDate', () => {
                 this.handlers.savings.updatePPDisplay();
+                this.handlers.ui.updateInfoPanel(); // "A full pig equals..." refers to the start date
             })
         );
         
+        // Fees paid changes → update fees row
+        this.unsubscribers.push(
+            this.state.subscribe('totalFeesPaid', () => {
+                this.handlers.savings.updateFeesDisplay();
+            })
+        );
+
+        // Monte Carlo result changes → update percentile bands and PP probability
+        this.unsubscribers.push(
+            this.state.subscribe('monteCarloResult', () => {
+                this.handlers.chart.updatePercentileBands();
+                this.handlers.savings.updateProbabilityDisplay();
+            })
+        );
+
+        // Measure changes → show PP, the full pig and the chart in money or goods
+        this.unsubscribers.push(
+            this.state.subscribe('measure', () => {
+                this.handlers.savings.updatePPDisplay();
+                this.handlers.ui.updateInfoPanel();
+                this.handlers.chart.updateMeasure();
+            })
+        );
+
         // Pause state changes → update pause button
         this.unsubscribers.push(
             this.state.subscribe('isPaused', () => {
@@ -179,18 +223,22 @@ class DisplayManager {
         this.handlers.savings.updatePPDisplay();
         this.handlers.savings.updateContributionsDisplay();
         this.handlers.savings.updateDepositsRowVisibility();
+        this.handlers.savings.updateFeesDisplay();
         this.handlers.date.updateDateDisplay();
         this.handlers.ui.updatePauseButton();
         this.handlers.ui.updateInfoPanel();
         this.handlers.ui.updateLeakOval();
+        this.handlers.ui.updateFeeLeakOval();
     }
     
     /**
-     * Update leak oval (call when inflation slider changes)
-     * This is the only display that needs manual updates (responds to slider, not state)
+     * Update leak ovals (call when inflation slider, source or fees change)
+     * Responds to settings, not state, so it needs manual updates besides the monthly one
      */
     updateLeakOval() {
         this.handlers.ui.updateLeakOval();
+        this.handlers.ui.updateFeeLeakOval();
+        this.handlers.ui.updateInflationLabel();
     }
     
     /**
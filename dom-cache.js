@@ -12,7 +12,7 @@
  *
  * Dependencies:
  * - config.js (for element IDs and selectors)
- * - financial-math.js (for getMonthlyCompoundRate)
+ * - financial-math.js (for getMonthlyCompoundRate, parseStartMonth)
  *
  * Example:
  * ```javascript
@@ -59,11 +59,12 @@ class DOMCache {
      * Cache all frequently accessed DOM elements
      */
     cacheElements() {
-        // Container elements
-        this.elements.pigOvalContainer = document.querySelector(CONFIG.selectors.pigOvalContainer);
-        this.elements.pigOvalFill = document.querySelector(CONFIG.selectors.pigOvalFill);
-        this.elements.bankerMugContainer = document.querySelector(CONFIG.selectors.bankerMugContainer);
-        this.elements.bankerMugFill = document.querySelector(CONFIG.selectors.bankerMugFill);
+        // Container elements (of the main pig scene - the comparison scene has the same classes)
+        const scene = document.getElementById(CONFIG.elementIds.primaryScene) || document;
+        this.elements.pigOvalContainer = scene.querySelector(CONFIG.selectors.pigOvalContainer);
+        this.elements.pigOvalFill = scene.querySelector(CONFIG.selectors.pigOvalFill);
+        this.elements.bankerMugContainer = scene.querySelector(CONFIG.selectors.bankerMugContainer);
+        this.elements.bankerMugFill = scene.querySelector(CONFIG.selectors.bankerMugFill);
 
         // Display value elements
         this.elements.pigPercentageDisplay = document.getElementById(CONFIG.elementIds.pigPercentageDisplay);
@@ -242,6 +243,62 @@ class DOMCache {
     getMonthlyInflationRate() {
         return this.settings.getMonthlyInflationRate();
     }
+
+    getInflationSource() {
+        return this.settings.getInflationSource();
+    }
+
+    getInflationSeries() {
+        return this.settings.getInflationSeries();
+    }
+
+    getStartDate() {
+        return this.settings.getStartDate();
+    }
+
+    getHorizonYears() {
+        return this.settings.getHorizonYears();
+    }
+
+    getAnnualYield() {
+        return this.settings.getAnnualYield();
+    }
+
+    getMonthlyYieldRate() {
+        return this.settings.getMonthlyYieldRate();
+    }
+
+    getGoldGrowth() {
+        return this.settings.getGoldGrowth();
+    }
+
+    getAllocation() {
+        return this.settings.getAllocation();
+    }
+
+    getRebalanceMonths() {
+        return this.settings.getRebalanceMonths();
+    }
+
+    getContributionGrowth() {
+        return this.settings.getContributionGrowth();
+    }
+
+    getOneOffEvents() {
+        return this.settings.getOneOffEvents();
+    }
+
+    getWithdrawal() {
+        return this.settings.getWithdrawal();
+    }
+
+    getCapitalGainsTax() {
+        return this.settings.getCapitalGainsTax();
+    }
+
+    getFees() {
+        return this.settings.getFees();
+    }
 }
 
 /**
@@ -256,6 +313,29 @@ class SettingsCache {
         this.monthlySavings = CONFIG.sliders.savings.default;
         this.startAmount = CONFIG.sliders.startAmount.default;
         this.annualInflation = CONFIG.sliders.inflation.default / 100; // Store as decimal
+        this.inflationSource = CONFIG.inflationSource.default; // 'constant' or series id
+        this.startMonth = ''; // Start month 'YYYY-MM' ('' = start now)
+        this.horizonYears = CONFIG.sliders.horizon.default; // Simulated years before the run finishes
+        this.annualYield = CONFIG.sliders.apy.default / 100; // Savings account APY as decimal
+        this.goldGrowth = CONFIG.sliders.goldGrowth.default / 100; // Gold projection growth as decimal
+        this.allocation = { ...CONFIG.allocation.default }; // Mix mode split (percent per vehicle)
+        this.rebalanceMonths = CONFIG.allocation.defaultRebalanceMonths; // Months between rebalances (0 = never)
+        this.contributionMode = CONFIG.contributionGrowth.default; // How monthly savings grow over the run
+        this.contributionRaise = CONFIG.contributionGrowth.raise.default / 100; // Annual raise as decimal
+        this.contributionSchedule = []; // Parsed step schedule ([{ year, amount }])
+        this.oneOffEvents = []; // Parsed one-off deposits / withdrawals ([{ month, amount, label }])
+        this.withdrawalStart = ''; // First withdrawal month 'YYYY-MM' ('' = no withdrawal phase)
+        this.withdrawalAmount = CONFIG.withdrawal.amount.default; // Monthly withdrawal in dollars
+        this.withdrawalMode = CONFIG.withdrawal.default; // 'fixed' or 'indexed' (start-date dollars)
+        this.taxMode = CONFIG.capitalGainsTax.default; // 'none', 'flat' or 'split'
+        this.taxRate = CONFIG.capitalGainsTax.rate.default / 100; // (Long-term) capital gains rate as decimal
+        this.taxShortTermRate = CONFIG.capitalGainsTax.shortTermRate.default / 100; // Short-term rate as decimal
+        this.annualFees = {}; // Yearly account / custody fee per vehicle as decimal
+        Object.keys(CONFIG.fees.annual.default).forEach(vehicle => {
+            this.annualFees[vehicle] = CONFIG.fees.annual.default[vehicle] / 100;
+        });
+        this.btcSpread = CONFIG.fees.btcSpread.default / 100; // Spread on BTC purchases as decimal
+        this.conversionFee = CONFIG.fees.conversion.default / 100; // Fee on vehicle switches as decimal
 
         // Flag to track initialization
         this.initialized = false;
@@ -284,6 +364,9 @@ class SettingsCache {
         const savingsSlider = document.getElementById(CONFIG.elementIds.savingsSlider);
         const startAmountSlider = document.getElementById(CONFIG.elementIds.startAmountSlider);
         const inflationSlider = document.getElementById(CONFIG.elementIds.inflationSlider);
+        const apySlider = document.getElementById(CONFIG.elementIds.apySlider);
+        const goldGrowthSlider = document.getElementById(CONFIG.elementIds.goldGrowthSlider);
+        const horizonSlider = document.getElementById(CONFIG.elementIds.horizonSlider);
 
         if (savingsSlider) {
             this.monthlySavings = parseInt(savingsSlider.value);
@@ -296,6 +379,188 @@ class SettingsCache {
         if (inflationSlider) {
             this.annualInflation = parseFloat(inflationSlider.value) / 100;
         }
+
+        if (apySlider) {
+            this.annualYield = parseFloat(apySlider.value) / 100;
+        }
+
+        if (goldGrowthSlider) {
+            this.goldGrowth = parseFloat(goldGrowthSlider.value) / 100;
+        }
+
+        if (horizonSlider) {
+            this.horizonYears = parseInt(horizonSlider.value);
+        }
+
+        this.readStartMonth();
+        this.readInflationSource();
+        this.readAllocation();
+        this.readContributionGrowth();
+        this.readOneOffEvents();
+        this.readWithdrawal();
+        this.readCapitalGainsTax();
+        this.readFees();
+    }
+
+    /**
+     * Read inflation source from its selector
+     * Also called by InflationSeriesController after it fills the options
+     */
+    readInflationSource() {
+        const sourceSelect = document.getElementById(CONFIG.elementIds.inflationSourceSelect);
+
+        if (sourceSelect && sourceSelect.value) {
+            this.inflationSource = sourceSelect.value;
+        }
+    }
+
+    /**
+     * Read start month from the month picker
+     * Also called by SimulationPeriodController after it sets the month
+     */
+    readStartMonth() {
+        const startDateInput = document.getElementById(CONFIG.elementIds.startDateInput);
+
+        if (startDateInput) {
+            this.startMonth = startDateInput.value;
+        }
+    }
+
+    /**
+     * Read mix mode split and rebalance schedule from their inputs
+     * Also called by AllocationController after it restores saved values
+     */
+    readAllocation() {
+        Object.keys(this.allocation).forEach(vehicle => {
+            const input = document.getElementById(this.getAllocationInputId(vehicle));
+            if (input) {
+                const percent = parseFloat(input.value);
+                this.allocation[vehicle] = isNaN(percent) ? 0 : percent;
+            }
+        });
+
+        const rebalanceSelect = document.getElementById(CONFIG.elementIds.rebalanceSelect);
+        if (rebalanceSelect && rebalanceSelect.value !== '') {
+            this.rebalanceMonths = parseInt(rebalanceSelect.value);
+        }
+    }
+
+    /**
+     * Read contribution growth mode, raise and step schedule from their inputs
+     * Also called by ContributionGrowthController after it restores saved values
+     * An invalid schedule counts as no steps
+     */
+    readContributionGrowth() {
+        const growthSelect = document.getElementById(CONFIG.elementIds.contributionGrowthSelect);
+        if (growthSelect && growthSelect.value) {
+            this.contributionMode = growthSelect.value;
+        }
+
+        const raiseInput = document.getElementById(CONFIG.elementIds.contributionRaiseInput);
+        if (raiseInput) {
+            const percent = parseFloat(raiseInput.value);
+            this.contributionRaise = isNaN(percent) ? 0 : percent / 100;
+        }
+
+        const scheduleInput = document.getElementById(CONFIG.elementIds.contributionScheduleInput);
+        if (scheduleInput) {
+            this.contributionSchedule = parseContributionSchedule(scheduleInput.value) || [];
+        }
+    }
+
+    /**
+     * Read one-off deposit and withdrawal events from their input
+     * Also called by OneOffEventsController after it restores saved values
+     * Invalid text counts as no events
+     */
+    readOneOffEvents() {
+        const eventsInput = document.getElementById(CONFIG.elementIds.oneOffEventsInput);
+        if (eventsInput) {
+            this.oneOffEvents = parseOneOffEvents(eventsInput.value) || [];
+        }
+    }
+
+    /**
+     * Read withdrawal start month, amount and mode from their inputs
+     * Also called by WithdrawalController after it restores saved values
+     */
+    readWithdrawal() {
+        const startInput = document.getElementById(CONFIG.elementIds.withdrawalStartInput);
+        if (startInput) {
+            this.withdrawalStart = startInput.value;
+        }
+
+        const amountInput = document.getElementById(CONFIG.elementIds.withdrawalAmountInput);
+        if (amountInput) {
+            const amount = parseFloat(amountInput.value);
+            this.withdrawalAmount = isNaN(amount) ? 0 : Math.max(0, amount);
+        }
+
+        const modeSelect = document.getElementById(CONFIG.elementIds.withdrawalModeSelect);
+        if (modeSelect && modeSelect.value) {
+            this.withdrawalMode = modeSelect.value;
+        }
+    }
+
+    /**
+     * Read capital gains tax mode and rates from their inputs
+     * Also called by CapitalGainsTaxController after it restores saved values
+     */
+    readCapitalGainsTax() {
+        const modeSelect = document.getElementById(CONFIG.elementIds.taxModeSelect);
+        if (modeSelect && modeSelect.value) {
+            this.taxMode = modeSelect.value;
+        }
+
+        const readRate = (id, fallback) => {
+            const input = document.getElementById(id);
+            if (!input) return fallback;
+            const rate = parseFloat(input.value);
+            return isNaN(rate) ? 0 : Math.max(0, rate) / 100;
+        };
+
+        this.taxRate = readRate(CONFIG.elementIds.taxRateInput, this.taxRate);
+        this.taxShortTermRate = readRate(CONFIG.elementIds.taxShortTermRateInput, this.taxShortTermRate);
+    }
+
+    /**
+     * Read yearly fees per vehicle, BTC spread and conversion fee from their inputs
+     * Also called by FeeController after it restores saved values
+     */
+    readFees() {
+        const readPercent = (id, fallback) => {
+            const input = document.getElementById(id);
+            if (!input) return fallback;
+            const percent = parseFloat(input.value);
+            return isNaN(percent) ? 0 : Math.max(0, percent) / 100;
+        };
+
+        Object.keys(this.annualFees).forEach(vehicle => {
+            this.annualFees[vehicle] = readPercent(this.getFeeInputId(vehicle), this.annualFees[vehicle]);
+        });
+
+        this.btcSpread = readPercent(CONFIG.elementIds.btcSpreadInput, this.btcSpread);
+        this.conversionFee = readPercent(CONFIG.elementIds.conversionFeeInput, this.conversionFee);
+    }
+
+    /**
+     * Get the element ID of a vehicle's allocation input
+     * @param {string} vehicle - Vehicle ('usd', 'btc', 'hysa' or 'gold')
+     * @returns {string} Element ID (e.g., 'allocationBtc')
+     */
+    getAllocationInputId(vehicle) {
+        const key = 'allocation' + vehicle.charAt(0).toUpperCase() + vehicle.slice(1) + 'Input';
+        return CONFIG.elementIds[key];
+    }
+
+    /**
+     * Get the element ID of a vehicle's yearly fee input
+     * @param {string} vehicle - Vehicle ('usd', 'btc', 'hysa' or 'gold')
+     * @returns {string} Element ID (e.g., 'feeBtc')
+     */
+    getFeeInputId(vehicle) {
+        const key = 'fee' + vehicle.charAt(0).toUpperCase() + vehicle.slice(1) + 'Input';
+        return CONFIG.elementIds[key];
     }
 
     /**
@@ -325,6 +590,126 @@ class SettingsCache {
                 this.annualInflation = parseFloat(e.target.value) / 100;
             });
         }
+
+        // Savings account APY slider
+        const apySlider = document.getElementById(CONFIG.elementIds.apySlider);
+        if (apySlider) {
+            apySlider.addEventListener('input', (e) => {
+                this.annualYield = parseFloat(e.target.value) / 100;
+            });
+        }
+
+        // Gold growth projection slider
+        const goldGrowthSlider = document.getElementById(CONFIG.elementIds.goldGrowthSlider);
+        if (goldGrowthSlider) {
+            goldGrowthSlider.addEventListener('input', (e) => {
+                this.goldGrowth = parseFloat(e.target.value) / 100;
+            });
+        }
+
+        // Mix mode split inputs and rebalance schedule
+        Object.keys(this.allocation).forEach(vehicle => {
+            const input = document.getElementById(this.getAllocationInputId(vehicle));
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.readAllocation();
+                });
+            }
+        });
+
+        const rebalanceSelect = document.getElementById(CONFIG.elementIds.rebalanceSelect);
+        if (rebalanceSelect) {
+            rebalanceSelect.addEventListener('change', (e) => {
+                this.rebalanceMonths = parseInt(e.target.value);
+            });
+        }
+
+        // Contribution growth mode, raise and step schedule
+        [
+            [CONFIG.elementIds.contributionGrowthSelect, 'change'],
+            [CONFIG.elementIds.contributionRaiseInput, 'input'],
+            [CONFIG.elementIds.contributionScheduleInput, 'input']
+        ].forEach(([id, eventName]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener(eventName, () => {
+                    this.readContributionGrowth();
+                });
+            }
+        });
+
+        // One-off deposit and withdrawal events
+        const eventsInput = document.getElementById(CONFIG.elementIds.oneOffEventsInput);
+        if (eventsInput) {
+            eventsInput.addEventListener('input', () => {
+                this.readOneOffEvents();
+            });
+        }
+
+        // Withdrawal start month, amount and mode
+        [
+            [CONFIG.elementIds.withdrawalStartInput, 'change'],
+            [CONFIG.elementIds.withdrawalAmountInput, 'input'],
+            [CONFIG.elementIds.withdrawalModeSelect, 'change']
+        ].forEach(([id, eventName]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener(eventName, () => {
+                    this.readWithdrawal();
+                });
+            }
+        });
+
+        // Capital gains tax mode and rates
+        [
+            [CONFIG.elementIds.taxModeSelect, 'change'],
+            [CONFIG.elementIds.taxRateInput, 'input'],
+            [CONFIG.elementIds.taxShortTermRateInput, 'input']
+        ].forEach(([id, eventName]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener(eventName, () => {
+                    this.readCapitalGainsTax();
+                });
+            }
+        });
+
+        // Yearly fees per vehicle, BTC spread and conversion fee
+        [
+            ...Object.keys(this.annualFees).map(vehicle => this.getFeeInputId(vehicle)),
+            CONFIG.elementIds.btcSpreadInput,
+            CONFIG.elementIds.conversionFeeInput
+        ].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.readFees();
+                });
+            }
+        });
+
+        // Inflation source selector
+        const sourceSelect = document.getElementById(CONFIG.elementIds.inflationSourceSelect);
+        if (sourceSelect) {
+            sourceSelect.addEventListener('change', (e) => {
+                this.inflationSource = e.target.value;
+            });
+        }
+
+        // Simulation period: horizon slider and start month picker
+        const horizonSlider = document.getElementById(CONFIG.elementIds.horizonSlider);
+        if (horizonSlider) {
+            horizonSlider.addEventListener('input', (e) => {
+                this.horizonYears = parseInt(e.target.value);
+            });
+        }
+
+        const startDateInput = document.getElementById(CONFIG.elementIds.startDateInput);
+        if (startDateInput) {
+            startDateInput.addEventListener('change', (e) => {
+                this.startMonth = e.target.value;
+            });
+        }
     }
 
     /**
@@ -359,6 +744,137 @@ class SettingsCache {
     getMonthlyInflationRate() {
         return getMonthlyCompoundRate(this.annualInflation);
     }
+
+    /**
+     * Get selected inflation source
+     * @returns {string} 'constant' or a series id from INFLATION_SERIES
+     */
+    getInflationSource() {
+        return this.inflationSource;
+    }
+
+    /**
+     * Get selected inflation series
+     * @returns {Object|null} Series entry, or null when using the constant slider rate
+     */
+    getInflationSeries() {
+        if (this.inflationSource === CONFIG.inflationSource.CONSTANT || typeof INFLATION_SERIES === 'undefined') {
+            return null;
+        }
+        return INFLATION_SERIES[this.inflationSource] || null;
+    }
+
+    /**
+     * Get chosen start month
+     * @returns {Date|null} First day of the start month, or null to start now
+     */
+    getStartDate() {
+        return parseStartMonth(this.startMonth, CONFIG.simulation.earliestStartMonth);
+    }
+
+    /**
+     * Get simulation horizon
+     * @returns {number} Simulated years before the run finishes
+     */
+    getHorizonYears() {
+        return this.horizonYears;
+    }
+
+    /**
+     * Get savings account annual yield (from memory - ultra fast)
+     * @returns {number} APY as decimal (e.g., 0.045 for 4.5%)
+     */
+    getAnnualYield() {
+        return this.annualYield;
+    }
+
+    /**
+     * Get monthly savings account yield using compound interest formula
+     * @returns {number} Monthly yield rate as decimal
+     */
+    getMonthlyYieldRate() {
+        return getMonthlyCompoundRate(this.annualYield);
+    }
+
+    /**
+     * Get gold price growth used after the bundled series ends (from memory - ultra fast)
+     * @returns {number} Annual growth as decimal (e.g., 0.05 for 5%)
+     */
+    getGoldGrowth() {
+        return this.goldGrowth;
+    }
+
+    /**
+     * Get mix mode split (from memory - ultra fast)
+     * @returns {Object} Percent per vehicle (not normalized, e.g., { usd: 80, btc: 20, hysa: 0, gold: 0 })
+     */
+    getAllocation() {
+        return this.allocation;
+    }
+
+    /**
+     * Get months between mix mode rebalances (from memory - ultra fast)
+     * @returns {number} Months between rebalances (0 = never rebalance)
+     */
+    getRebalanceMonths() {
+        return this.rebalanceMonths;
+    }
+
+    /**
+     * Get contribution growth settings
+     * @returns {Object} { mode, annualRaise (decimal), schedule ([{ year, amount }]) }
+     */
+    getContributionGrowth() {
+        return {
+            mode: this.contributionMode,
+            annualRaise: this.contributionRaise,
+            schedule: this.contributionSchedule
+        };
+    }
+
+    /**
+     * Get one-off deposit and withdrawal events
+     * @returns {Array} Events sorted by month ([{ month, amount (negative = withdrawal), label }])
+     */
+    getOneOffEvents() {
+        return this.oneOffEvents;
+    }
+
+    /**
+     * Get withdrawal phase settings
+     * @returns {Object} { startDate (first withdrawal month, null = no withdrawal phase), monthlyAmount, indexed }
+     */
+    getWithdrawal() {
+        return {
+            startDate: parseStartMonth(this.withdrawalStart),
+            monthlyAmount: this.withdrawalAmount,
+            indexed: this.withdrawalMode === CONFIG.withdrawal.modes.INDEXED
+        };
+    }
+
+    /**
+     * Get capital gains tax settings
+     * @returns {Object} { mode ('none', 'flat' or 'split'), rate (decimal), shortTermRate (decimal) }
+     */
+    getCapitalGainsTax() {
+        return {
+            mode: this.taxMode,
+            rate: this.taxRate,
+            shortTermRate: this.taxShortTermRate
+        };
+    }
+
+    /**
+     * Get fee and spread settings
+     * @returns {Object} { annual (yearly fee per vehicle), btcSpread, conversion } as decimals
+     */
+    getFees() {
+        return {
+            annual: { ...this.annualFees },
+            btcSpread: this.btcSpread,
+            conversion: this.conversionFee
+        };
+    }
 }
 
 // Create singleton instances
@@ -40,10 +40,13 @@ class DropSizeCalculator {
 
     /**
      * Calculate base drop size (before scale factor)
-     * @param {number} amount - Dollar amount
+     * Amounts are compared in dollar terms (divided by the base currency's amount scale)
+     * @param {number} amount - Amount in the base currency
      * @returns {number} Base drop size in pixels
      */
     calculateBaseSize(amount) {
+        amount = amount / this.config.currency.amountScale;
+
         if (amount <= this.config.drop.smallAmountThreshold) {
             // Small amounts: $0-$100 (linear scale)
             return this.config.drop.smallAmountBase +
@@ -0,0 +1,169 @@
+/**
+ * EpisodeController - Historical Inflation Episode Presets
+ *
+ * Offers real inflation episodes on the start screen (Weimar 1921–23, Zimbabwe 2007–08,
+ * Argentina 2018–24, Turkey 2021–23, US 1970s stagflation). Picking one selects its
+ * bundled month-by-month series as the inflation source, moves the start month to the
+ * episode's first month and sets the horizon to cover it - the user then presses Start.
+ *
+ * Responsibilities:
+ * - Fill the episode selector with the series marked `episode: true`
+ * - Show the selected episode's description
+ * - Apply an episode (inflation source, start month, horizon) and reset the simulation
+ *
+ * Dependencies:
+ * - config.js (CONFIG.inflationSource, element IDs)
+ * - inflation-series.js (INFLATION_SERIES data)
+ * - app.js (inflation series and simulation period controllers, applySettingsChange)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new EpisodeController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.applyEpisode('weimar-1921'); // January 1921, 3 years of Weimar rates
+ * ```
+ */
+class EpisodeController {
+    /**
+     * Create a new EpisodeController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (inflation source, start month, restart)
+     */
+    constructor(config, stateManager, app) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // DOM elements
+        this.elements = {
+            episodeSelect: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Fills the selector and sets up event listeners
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.episodeSelect) return;
+
+        // Fill selector
+        this.populateOptions();
+        this.updateStatus();
+
+        // Setup event listeners
+        this.elements.episodeSelect.addEventListener('change', (e) => {
+            this.applyEpisode(e.target.value);
+        });
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.episodeSelect = document.getElementById(this.config.elementIds.episodeSelect);
+        this.elements.status = document.getElementById(this.config.elementIds.episodeStatus);
+    }
+
+    /**
+     * Fill the selector: prompt first, then one option per episode in inflation-series.js
+     */
+    populateOptions() {
+        const select = this.elements.episodeSelect;
+        select.innerHTML = '';
+
+        const prompt = document.createElement('option');
+        prompt.value = '';
+        prompt.textContent = this.config.inflationSource.episodePrompt;
+        select.appendChild(prompt);
+
+        Object.entries(this.getEpisodes()).forEach(([id, episode]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = episode.label;
+            option.title = episode.description || '';
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Get the bundled series that are historical episodes
+     * @returns {Object} Episodes by series id
+     */
+    getEpisodes() {
+        const seriesMap = typeof INFLATION_SERIES !== 'undefined' ? INFLATION_SERIES : {};
+        return Object.fromEntries(Object.entries(seriesMap).filter(([, series]) => series.episode));
+    }
+
+    /**
+     * Apply an episode: its series as inflation source, its first month as start month
+     * and a horizon covering all its months, then reset the simulation
+     * @param {string} id - Series id of the episode ('' = keep current settings)
+     * @returns {boolean} True if the episode was applied
+     */
+    applyEpisode(id) {
+        const episode = this.getEpisodes()[id];
+        if (!episode) {
+            this.updateStatus();
+            return false;
+        }
+
+        if (this.elements.episodeSelect) {
+            this.elements.episodeSelect.value = id;
+        }
+
+        this.app.inflationSeriesController.selectSource(id);
+        this.app.simulationPeriodController.selectStartMonth(episode.start);
+        this.setHorizon(Math.ceil(episode.values.length / 12));
+
+        this.app.applySettingsChange();
+
+        // Leak oval follows the rate of the episode's first month
+        if (this.app.displayManager) {
+            this.app.displayManager.updateLeakOval();
+        }
+
+        this.updateStatus();
+        console.log(`📜 Episode: ${episode.label} from ${episode.start}`);
+        return true;
+    }
+
+    /**
+     * Set the horizon slider like a user would (settings cache, label and chart axis follow)
+     * @param {number} years - Horizon in years
+     */
+    setHorizon(years) {
+        const slider = document.getElementById(this.config.elementIds.horizonSlider);
+        if (!slider) return;
+
+        slider.value = years;
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Show the selected episode's description below the selector
+     */
+    updateStatus() {
+        if (!this.elements.status || !this.elements.episodeSelect) return;
+
+        const episode = this.getEpisodes()[this.elements.episodeSelect.value];
+        this.elements.status.textContent = episode
+            ? episode.description
+            : 'Replay real inflation month by month: start month, horizon and rates in one pick';
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EpisodeController = EpisodeController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EpisodeController };
+}
@@ -0,0 +1,118 @@
+/**
+ * ExportController - CSV/JSON Download of the Monthly Time Series
+ *
+ * Downloads the month rows recorded by ChartHandler as a CSV or JSON file,
+ * so the numbers behind the chart can be analysed elsewhere.
+ *
+ * Responsibilities:
+ * - Handle the CSV and JSON export buttons
+ * - Build file contents via series-export.js
+ * - Trigger a browser download
+ *
+ * Dependencies:
+ * - config.js (element IDs)
+ * - series-export.js (buildMonthlyCsv, buildMonthlyJson, getExportFileName)
+ * - chart-handler.js (getMonthRows, via app.displayManager)
+ * - scenario-controller.js (getCurrentScenario, included in the JSON file)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new ExportController(CONFIG, app);
+ * controller.initialize();
+ * ```
+ */
+class ExportController {
+    /**
+     * Create a new ExportController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} app - App instance (for chart rows and the current scenario)
+     */
+    constructor(config, app) {
+        this.config = config;
+        this.app = app;
+
+        // DOM elements
+        this.elements = {
+            csvButton: null,
+            jsonButton: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     */
+    initialize() {
+        // Cache DOM elements
+        this.elements.csvButton = document.getElementById(this.config.elementIds.exportCsvButton);
+        this.elements.jsonButton = document.getElementById(this.config.elementIds.exportJsonButton);
+
+        // Setup event listeners
+        if (this.elements.csvButton) {
+            this.elements.csvButton.addEventListener('click', () => {
+                this.exportCsv();
+            });
+        }
+
+        if (this.elements.jsonButton) {
+            this.elements.jsonButton.addEventListener('click', () => {
+                this.exportJson();
+            });
+        }
+    }
+
+    /**
+     * Get the month rows recorded so far
+     * @returns {Array<Object>} One row per charted month
+     */
+    getRows() {
+        return this.app.displayManager.getHandler('chart').getMonthRows();
+    }
+
+    /**
+     * Download the monthly time series as CSV
+     */
+    exportCsv() {
+        const rows = this.getRows();
+        this.downloadFile(getExportFileName(rows, 'csv'), buildMonthlyCsv(rows), 'text/csv');
+    }
+
+    /**
+     * Download the monthly time series as JSON (with the scenario it was simulated with)
+     */
+    exportJson() {
+        const rows = this.getRows();
+        const scenario = this.app.scenarioController.getCurrentScenario();
+        this.downloadFile(getExportFileName(rows, 'json'), buildMonthlyJson(rows, scenario), 'application/json');
+    }
+
+    /**
+     * Trigger a browser download of text content
+     * @param {string} fileName - Download file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+        console.log(`💾 Exported ${fileName}`);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ExportController = ExportController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExportController };
+}
@@ -0,0 +1,227 @@
+/**
+ * FeeController - Fee And Spread Settings Management
+ *
+ * Lets the user set what each vehicle costs: a yearly account / custody fee per
+ * vehicle (billed monthly), a spread on every BTC purchase and a fee on switching
+ * to another vehicle. Values are persisted in localStorage and read by SettingsCache,
+ * so StateManager and SimulationEngine pick them up like any slider value.
+ *
+ * Responsibilities:
+ * - Load/save yearly fees, BTC spread and conversion fee via settings-storage.js
+ * - Report the yearly fee paid on the current vehicle
+ * - Resize the fee leak oval when the fees change
+ *
+ * Dependencies:
+ * - config.js (CONFIG.fees, CONFIG.savingsVehicle.names, element IDs)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache.readFees)
+ * - state-manager.js (savingsVehicle subscription, getAnnualFeeRate)
+ * - display-manager.js (fee leak oval)
+ * - formatters.js (formatNumber)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new FeeController(CONFIG, stateManager);
+ * controller.initialize();
+ * controller.setFees({ gold: 0.4 }, 1.5, 0.5); // 0.4%/year gold storage, 1.5% BTC spread, 0.5% per switch
+ * ```
+ */
+class FeeController {
+    /**
+     * Create a new FeeController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     */
+    constructor(config, stateManager) {
+        this.config = config;
+        this.stateManager = stateManager;
+
+        // DOM elements
+        this.elements = {
+            annualInputs: {},
+            btcSpreadInput: null,
+            conversionInput: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved fees before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.btcSpreadInput) return;
+
+        // Restore saved values
+        this.loadFromStorage();
+
+        // Sync settings cache with restored values
+        if (window.settingsCache) {
+            window.settingsCache.readFees();
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // The status names the fee of the current vehicle
+        this.stateManager.subscribe('savingsVehicle', () => {
+            this.updateStatus();
+        });
+        this.updateStatus();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.annualInputs = {
+            usd: document.getElementById(this.config.elementIds.feeUsdInput),
+            btc: document.getElementById(this.config.elementIds.feeBtcInput),
+            hysa: document.getElementById(this.config.elementIds.feeHysaInput),
+            gold: document.getElementById(this.config.elementIds.feeGoldInput)
+        };
+        this.elements.btcSpreadInput = document.getElementById(this.config.elementIds.btcSpreadInput);
+        this.elements.conversionInput = document.getElementById(this.config.elementIds.conversionFeeInput);
+        this.elements.status = document.getElementById(this.config.elementIds.feeStatus);
+    }
+
+    /**
+     * Load fees from storage
+     * Falls back to CONFIG defaults for missing values
+     */
+    loadFromStorage() {
+        const fees = this.config.fees;
+        const saved = getSetting('fees', {});
+        const savedAnnual = saved.annual || {};
+
+        const restore = (input, range, value) => {
+            if (!input) return;
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+            input.value = typeof value === 'number' ? value : range.default;
+        };
+
+        Object.keys(this.elements.annualInputs).forEach(vehicle => {
+            restore(this.elements.annualInputs[vehicle], { ...fees.annual, default: fees.annual.default[vehicle] }, savedAnnual[vehicle]);
+        });
+        restore(this.elements.btcSpreadInput, fees.btcSpread, saved.btcSpread);
+        restore(this.elements.conversionInput, fees.conversion, saved.conversion);
+    }
+
+    /**
+     * Setup event listeners for fee changes
+     * SettingsCache keeps its own listeners; a change applies from the next charge
+     */
+    setupEventListeners() {
+        [
+            ...Object.values(this.elements.annualInputs),
+            this.elements.btcSpreadInput,
+            this.elements.conversionInput
+        ].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.saveToStorage();
+                    this.updateStatus();
+                    this.updateLeakOval();
+                });
+            }
+        });
+    }
+
+    /**
+     * Set fees programmatically (e.g. from a shared link)
+     * @param {Object} [annual] - Yearly fee per vehicle in percent (missing vehicles = 0)
+     * @param {number} [btcSpread] - Spread on BTC purchases in percent
+     * @param {number} [conversion] - Fee on vehicle switches in percent
+     */
+    setFees(annual, btcSpread, conversion) {
+        if (!this.elements.btcSpreadInput) return;
+
+        if (annual) {
+            Object.keys(this.elements.annualInputs).forEach(vehicle => {
+                const input = this.elements.annualInputs[vehicle];
+                if (input) {
+                    input.value = annual[vehicle] || 0;
+                }
+            });
+        }
+        if (btcSpread !== undefined) {
+            this.elements.btcSpreadInput.value = btcSpread;
+        }
+        if (this.elements.conversionInput && conversion !== undefined) {
+            this.elements.conversionInput.value = conversion;
+        }
+
+        this.saveToStorage();
+
+        if (window.settingsCache) {
+            window.settingsCache.readFees();
+        }
+        this.updateStatus();
+        this.updateLeakOval();
+    }
+
+    /**
+     * Get fees as shown in the inputs
+     * @returns {Object} { annual (percent per vehicle), btcSpread (percent), conversion (percent) }
+     */
+    getFees() {
+        const readPercent = (input) => {
+            const percent = input ? parseFloat(input.value) : NaN;
+            return isNaN(percent) ? 0 : Math.max(0, percent);
+        };
+
+        const annual = {};
+        Object.keys(this.elements.annualInputs).forEach(vehicle => {
+            annual[vehicle] = readPercent(this.elements.annualInputs[vehicle]);
+        });
+
+        return {
+            annual,
+            btcSpread: readPercent(this.elements.btcSpreadInput),
+            conversion: readPercent(this.elements.conversionInput)
+        };
+    }
+
+    /**
+     * Save fees to storage
+     */
+    saveToStorage() {
+        setSetting('fees', this.getFees());
+    }
+
+    /**
+     * Report the yearly fee paid on the current vehicle (empty without fees)
+     */
+    updateStatus() {
+        if (!this.elements.status) return;
+
+        const rate = this.stateManager.getAnnualFeeRate() * 100;
+        const name = this.config.savingsVehicle.names[this.stateManager.getSavingsVehicle()];
+
+        this.elements.status.textContent = rate > 0 ? `${name} pays ${formatNumber(rate, 2)}% per year` : '';
+    }
+
+    /**
+     * Resize the fee leak oval to the new fees
+     */
+    updateLeakOval() {
+        if (window.displayManager) {
+            window.displayManager.updateLeakOval();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.FeeController = FeeController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FeeController };
+}
@@ -246,40 +246,234 @@ function isBalanced(startAmount, savings, inflation) {
 }
 
 /**
- * Bitcoin Power Law - Calculate BTC price in USD using Porkopolis Economics power law model
+ * Bitcoin power law parameter sets: Price (USD) = 10^(C + D × log₁₀(days since genesis))
+ * - bgeometrics: https://charts.bgeometrics.com/power_law.html (more conservative USD values)
+ * - porkopolis: Porkopolis Economics median model
+ */
+const BTC_POWER_LAW_PARAMS = {
+    bgeometrics: {
+        C: Math.log10(1.0117 * (10 ** -17)), // log(1.0117 × 10^(-17)) == -16.994947
+        D: 5.82
+    },
+    porkopolis: {
+        C: -17.0161223,
+        D: 5.8451542
+    }
+};
+
+/**
+ * Bitcoin Power Law - Calculate BTC price in USD using a power law model
  *
- * Formula: Price (USD) = 10^{(-17.0161223 + 5.8451542 × log₁₀(t))}
+ * Formula: Price (USD) = 10^{(C + D × log₁₀(t))}
  * where:
  * - t = days since Bitcoin's genesis block (January 3, 2009)
+ * - C, D = parameter set from BTC_POWER_LAW_PARAMS (bgeometrics by default)
  *
  * @param {Date} date - Date to calculate BTC price for (defaults to current date)
+ * @param {{C: number, D: number}} params - Power law parameter set
  * @returns {number} Bitcoin price in USD
  *
  * @example
- * getBitcoinPowerLawPrice(new Date('2024-01-01')) // Returns ~$68,513
- * getBitcoinPowerLawPrice() // Returns price for current date
+ * getBitcoinPowerLawPrice(new Date('2024-01-01'), BTC_POWER_LAW_PARAMS.porkopolis) // Returns ~$68,513
+ * getBitcoinPowerLawPrice() // Returns bgeometrics price for current date
  */
-function getBitcoinPowerLawPrice(date = new Date()) {
+function getBitcoinPowerLawPrice(date = new Date(), params = BTC_POWER_LAW_PARAMS.bgeometrics) {
     // Bitcoin genesis block timestamp: January 3, 2009
     const GENESIS_BLOCK_DATE = new Date('2009-01-03T00:00:00Z');
 
-    // Power law constants from https://charts.bgeometrics.com/power_law.html in comments the Porkopolis Economics values.
-    // Chose the bgeometrics version as its usd values is more conservative.
-    const C = Math.log10(1.0117 * (10 ** -17)); //  log(1.0117 × 10^(-17))==-16.994947, Porkopolis: -17.0161223;
-    const D = 5.82; // Porkopolis: 5.8451542;
-
     // Calculate days since genesis block
     const millisecondsSinceGenesis = date.getTime() - GENESIS_BLOCK_DATE.getTime();
     const daysSinceGenesis = millisecondsSinceGenesis / (1000 * 60 * 60 * 24);
 
     // Calculate price using power law: Price = 10^(C + D * log10(t))
-    const price = Math.pow(10, C + D * Math.log10(daysSinceGenesis));
+    const price = Math.pow(10, params.C + params.D * Math.log10(daysSinceGenesis));
 
     return price;
 }
 
+// ============================================================================
+// BITCOIN PRICE MODELS (registry + active model)
+// ============================================================================
+
+/** Default BTC price model id (matches CONFIG.btcPriceModel.default) */
+const DEFAULT_BTC_PRICE_MODEL = 'power-law-bgeometrics';
+
+/** Constant CAGR model starts from the default power law median on this date */
+const BTC_CAGR_ANCHOR_DATE = new Date('2025-01-01T00:00:00Z');
+
+/**
+ * Registry of BTC price models
+ * Each model prices BTC in USD for a date: getPrice(date, options)
+ * options: { cagr: decimal annual growth (constant-cagr), series: monthly prices (csv) }
+ *
+ * Band multipliers approximate the last cycles' lows and highs around the bgeometrics median.
+ */
+const BTC_PRICE_MODELS = {
+    'power-law-bgeometrics': {
+        label: 'Power law (bgeometrics)',
+        description: 'Median power law fit from charts.bgeometrics.com',
+        getPrice: (date) => getBitcoinPowerLawPrice(date, BTC_POWER_LAW_PARAMS.bgeometrics)
+    },
+    'power-law-porkopolis': {
+        label: 'Power law (Porkopolis)',
+        description: 'Median power law fit from Porkopolis Economics',
+        getPrice: (date) => getBitcoinPowerLawPrice(date, BTC_POWER_LAW_PARAMS.porkopolis)
+    },
+    'power-law-lower-band': {
+        label: 'Power law lower band',
+        description: '0.42× the bgeometrics median, near past cycle lows (conservative)',
+        getPrice: (date) => 0.42 * getBitcoinPowerLawPrice(date, BTC_POWER_LAW_PARAMS.bgeometrics)
+    },
+    'power-law-upper-band': {
+        label: 'Power law upper band',
+        description: '2.8× the bgeometrics median, near past cycle highs (optimistic)',
+        getPrice: (date) => 2.8 * getBitcoinPowerLawPrice(date, BTC_POWER_LAW_PARAMS.bgeometrics)
+    },
+    'constant-cagr': {
+        label: 'Constant CAGR',
+        description: 'Power law median on 2025-01-01, compounded at a constant annual growth rate',
+        getPrice: (date, options) => {
+            const anchorPrice = getBitcoinPowerLawPrice(BTC_CAGR_ANCHOR_DATE, BTC_POWER_LAW_PARAMS.bgeometrics);
+            const years = (date.getTime() - BTC_CAGR_ANCHOR_DATE.getTime()) / (1000 * 60 * 60 * 24 * 365.25);
+            return anchorPrice * Math.pow(1 + options.cagr, years);
+        }
+    },
+    'csv': {
+        label: 'Monthly prices (CSV)',
+        description: 'User-supplied monthly prices, flat before the first and after the last month',
+        getPrice: (date, options) => {
+            const values = options.series.values;
+            const index = getSeriesMonthIndex(options.series, date);
+            return values[Math.min(values.length - 1, Math.max(0, index))];
+        }
+    }
+};
+
+/** Active BTC price model (set from settings by PriceModelController) */
+let activeBtcPriceModel = {
+    id: DEFAULT_BTC_PRICE_MODEL,
+    options: { cagr: 0.20, series: null }
+};
+
+/**
+ * Select the BTC price model used by convertUsdToBtc, convertBtcToUsd and calculateFullPigInBtc
+ * Falls back to the default model for unknown ids or a CSV model without prices
+ *
+ * @param {string} modelId - Key of BTC_PRICE_MODELS
+ * @param {Object} options - Model options ({ cagr, series }), merged with current options
+ * @returns {string} Id of the model actually selected
+ *
+ * @example
+ * setBtcPriceModel('constant-cagr', { cagr: 0.3 });
+ * setBtcPriceModel('csv', { series: parseMonthlyPriceCsv(text) });
+ */
+function setBtcPriceModel(modelId, options = {}) {
+    const mergedOptions = { ...activeBtcPriceModel.options, ...options };
+    let id = modelId;
+
+    if (!BTC_PRICE_MODELS[id]) {
+        console.warn('Unknown BTC price model:', modelId);
+        id = DEFAULT_BTC_PRICE_MODEL;
+    } else if (id === 'csv' && (!mergedOptions.series || mergedOptions.series.values.length === 0)) {
+        console.warn('CSV price model selected without prices, using default model');
+        id = DEFAULT_BTC_PRICE_MODEL;
+    }
+
+    activeBtcPriceModel = { id, options: mergedOptions };
+    return id;
+}
+
+/**
+ * Get the active BTC price model
+ * @returns {{id: string, options: Object}} Active model id and options
+ */
+function getBtcPriceModel() {
+    return { id: activeBtcPriceModel.id, options: { ...activeBtcPriceModel.options } };
+}
+
+/** Log residual applied on top of the active model price (Monte Carlo paths; 0 = model price) */
+let btcPriceLogResidual = 0;
+
+/**
+ * Set the log residual applied on top of the active BTC price model
+ * Monte Carlo paths move BTC log-normally around the model price; everything else leaves it at 0
+ *
+ * @param {number} logResidual - Natural log of the price multiplier (0 = model price)
+ *
+ * @example
+ * setBtcPriceResidual(Math.log(2)); // BTC trades at twice the model price
+ * setBtcPriceResidual(0);           // Back to the model price
+ */
+function setBtcPriceResidual(logResidual) {
+    btcPriceLogResidual = logResidual;
+}
+
+/**
+ * Get BTC price for a date using the active price model
+ * Models price BTC in USD; the price is converted to the base currency at the FX rate of the date
+ *
+ * @param {Date} date - Date to price BTC for (defaults to current date)
+ * @returns {number} Bitcoin price in the base currency (USD unless another one is selected)
+ *
+ * @example
+ * getBitcoinPrice(new Date('2024-01-01')) // Returns ~$62,805 (default bgeometrics power law)
+ */
+function getBitcoinPrice(date = new Date()) {
+    const model = BTC_PRICE_MODELS[activeBtcPriceModel.id];
+    const price = model.getPrice(date, activeBtcPriceModel.options) * getFxRate(date);
+    return btcPriceLogResidual === 0 ? price : price * Math.exp(btcPriceLogResidual);
+}
+
+/**
+ * Parse a CSV of monthly BTC prices into a monthly series
+ * Accepts one "date,price" row per month (date as YYYY-MM or YYYY-MM-DD, header row optional).
+ * Rows are sorted by date; missing months repeat the previous price.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Object|null} Series ({ start: 'YYYY-MM', values: [USD, ...] }), or null if no valid rows
+ *
+ * @example
+ * parseMonthlyPriceCsv('month,price\n2024-01,42000\n2024-02,51000')
+ * // Returns { start: '2024-01', values: [42000, 51000] }
+ */
+function parseMonthlyPriceCsv(text) {
+    const rows = [];
+
+    text.split(/\r?\n/).forEach(line => {
+        const [dateText, priceText] = line.split(/[,;\t]/).map(cell => (cell || '').trim().replace(/"/g, ''));
+        const match = /^(\d{4})-(\d{2})/.exec(dateText || '');
+        const price = parseFloat(priceText);
+
+        // Skips header and malformed rows
+        if (match && price > 0) {
+            rows.push({ monthIndex: Number(match[1]) * 12 + Number(match[2]) - 1, price });
+        }
+    });
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    rows.sort((a, b) => a.monthIndex - b.monthIndex);
+
+    const firstMonth = rows[0].monthIndex;
+    const values = [];
+    rows.forEach(({ monthIndex, price }) => {
+        const index = monthIndex - firstMonth;
+        // Fill gaps with the previous price
+        while (values.length < index) {
+            values.push(values[values.length - 1]);
+        }
+        values[index] = price;
+    });
+
+    const startYear = Math.floor(firstMonth / 12);
+    const startMonth = String(firstMonth % 12 + 1).padStart(2, '0');
+    return { start: `${startYear}-${startMonth}`, values };
+}
+
 /**
- * Convert USD to BTC using Bitcoin Power Law
+ * Convert USD to BTC using the active BTC price model
  *
  * @param {number} usdAmount - Amount in USD
  * @param {Date} date - Date to use for conversion rate (defaults to current date)
@@ -290,12 +484,12 @@ function getBitcoinPowerLawPrice(date = new Date()) {
  * convertUsdToBtc(87542, new Date('2024-01-01')) // Returns ~1.0 BTC
  */
 function convertUsdToBtc(usdAmount, date = new Date()) {
-    const btcPrice = getBitcoinPowerLawPrice(date);
+    const btcPrice = getBitcoinPrice(date);
     return usdAmount / btcPrice;
 }
 
 /**
- * Convert BTC to USD using Bitcoin Power Law
+ * Convert BTC to USD using the active BTC price model
  *
  * @param {number} btcAmount - Amount in BTC
  * @param {Date} date - Date to use for conversion rate (defaults to current date)
@@ -306,13 +500,13 @@ function convertUsdToBtc(usdAmount, date = new Date()) {
  * convertBtcToUsd(1.0, new Date('2024-01-01')) // Returns ~$87,542
  */
 function convertBtcToUsd(btcAmount, date = new Date()) {
-    const btcPrice = getBitcoinPowerLawPrice(date);
+    const btcPrice = getBitcoinPrice(date);
     return btcAmount * btcPrice;
 }
 
 /**
  * Calculate the maximum pig oval capacity in BTC at a given date
- * Uses the pig capacity in dollars (from CONFIG) and converts to BTC using power law
+ * Uses the pig capacity in dollars (from CONFIG) and converts to BTC using the active price model
  *
  * @param {Date} date - Date to use for BTC price calculation (typically simulation start date)
  * @returns {number} Full pig capacity in BTC (always positive)
@@ -334,7 +528,7 @@ function calculateFullPigInBtc(date = new Date()) {
         return 0;
     }
 
-    // Convert to BTC using power law price at the given date
+    // Convert to BTC using the active price model at the given date
     const btcAmount = convertUsdToBtc(pigCapacityDollars, date);
 
     // Ensure positive result
@@ -346,34 +540,1323 @@ function calculateFullPigInBtc(date = new Date()) {
     return btcAmount;
 }
 
+/**
+ * Date of the first traded Bitcoin price (Mt.Gox opening, July 18, 2010)
+ * Before this date the power law has no meaningful USD price.
+ */
+const BITCOIN_FIRST_PRICE_DATE = new Date('2010-07-18T00:00:00Z');
+
+/**
+ * Check whether Bitcoin had a market price at a given date
+ *
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if BTC can be bought/sold at this date
+ *
+ * @example
+ * isBitcoinPriced(new Date('1995-01-01')) // Returns false
+ * isBitcoinPriced(new Date('2012-01-01')) // Returns true
+ */
+function isBitcoinPriced(date) {
+    return date.getTime() >= BITCOIN_FIRST_PRICE_DATE.getTime();
+}
+
 // ============================================================================
-// EXPOSE FUNCTIONS GLOBALLY
+// INFLATION SERIES (month-by-month historical rates)
 // ============================================================================
 
-if (typeof window !== 'undefined') {
-    // Core conversion functions
-    window.getMonthlyCompoundRate = getMonthlyCompoundRate;
-    window.monthlyToAnnualRate = monthlyToAnnualRate;
+/**
+ * Get the month index of a date within an inflation series
+ *
+ * @param {Object} series - Series entry ({ start: 'YYYY-MM', values: [...] })
+ * @param {Date} date - Date to look up (local calendar month)
+ * @returns {number} Month index (may be negative or past the end)
+ *
+ * @example
+ * getSeriesMonthIndex({ start: '1970-01', values: [] }, new Date(1971, 2, 1)) // Returns 14
+ */
+function getSeriesMonthIndex(series, date) {
+    const [startYear, startMonth] = series.start.split('-').map(Number);
+    return (date.getFullYear() - startYear) * 12 + date.getMonth() - (startMonth - 1);
+}
 
-    // Balance calculation functions
-    window.calculateBalancedStartAmount = calculateBalancedStartAmount;
-    window.calculateBalancedSavings = calculateBalancedSavings;
-    window.calculateBalancedInflation = calculateBalancedInflation;
+/**
+ * Get the annual inflation rate of a series for a given date
+ * Series with period 'month' hold month-over-month rates, which are compounded to a year
+ *
+ * @param {Object} series - Series entry ({ start: 'YYYY-MM', values: [annual %, ...], period?: 'month' })
+ * @param {Date} date - Date to look up
+ * @returns {number|null} Annual inflation as decimal (e.g., 0.07 for 7%), or null if date is outside the series
+ *
+ * @example
+ * getSeriesAnnualInflation(INFLATION_SERIES['us-cpi-m2'], new Date(1980, 0, 1)) // Returns ~0.22
+ * getSeriesAnnualInflation({ start: '2023-01', period: 'month', values: [10] }, new Date(2023, 0, 1)) // Returns 1.1^12 - 1 ≈ 2.14
+ */
+function getSeriesAnnualInflation(series, date) {
+    if (!series || !Array.isArray(series.values)) {
+        return null;
+    }
 
-    // Utility functions
-    window.calculateMonthlyInflationLoss = calculateMonthlyInflationLoss;
-    window.calculateInflationLossFromFactor = calculateInflationLossFromFactor;
-    window.getBalanceState = getBalanceState;
-    window.isBalanced = isBalanced;
+    const index = getSeriesMonthIndex(series, date);
+    if (index < 0 || index >= series.values.length) {
+        return null;
+    }
 
-    // Bitcoin Power Law functions
-    window.getBitcoinPowerLawPrice = getBitcoinPowerLawPrice;
-    window.convertUsdToBtc = convertUsdToBtc;
-    window.convertBtcToUsd = convertBtcToUsd;
-    window.calculateFullPigInBtc = calculateFullPigInBtc;
+    if (series.period === 'month') {
+        return monthlyToAnnualRate(series.values[index] / 100);
+    }
 
-    // Create namespace for cleaner access (optional, but recommended)
-    window.FinancialMath = {
+    return series.values[index] / 100;
+}
+
+/**
+ * Get the first and last calendar year covered by a series
+ *
+ * @param {Object} series - Series entry ({ start: 'YYYY-MM', values: [...] })
+ * @returns {{firstYear: number, lastYear: number}} Year range (inclusive)
+ *
+ * @example
+ * getSeriesYearRange({ start: '1970-01', values: new Array(24) }) // Returns { firstYear: 1970, lastYear: 1971 }
+ */
+function getSeriesYearRange(series) {
+    const [startYear, startMonth] = series.start.split('-').map(Number);
+    const lastMonthIndex = (startMonth - 1) + series.values.length - 1;
+    return {
+        firstYear: startYear,
+        lastYear: startYear + Math.floor(lastMonthIndex / 12)
+    };
+}
+
+/**
+ * Parse a start month from a month picker value
+ *
+ * @param {string} value - Month as 'YYYY-MM' (empty = no start month chosen)
+ * @param {string} [earliest] - Earliest allowed month as 'YYYY-MM'
+ * @returns {Date|null} First day of the month (local time), or null if empty, invalid or too early
+ *
+ * @example
+ * parseStartMonth('2012-01') // Returns new Date(2012, 0, 1)
+ * parseStartMonth('') // Returns null
+ */
+function parseStartMonth(value, earliest = null) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(value || ''));
+    if (!match) {
+        return null;
+    }
+
+    const month = Number(match[2]);
+    if (month < 1 || month > 12) {
+        return null;
+    }
+
+    if (earliest && match[0] < earliest) {
+        return null;
+    }
+
+    return new Date(Number(match[1]), month - 1, 1);
+}
+
+// ============================================================================
+// SAVINGS ACCOUNT YIELD
+// ============================================================================
+
+/**
+ * Calculate one month of interest on a savings account balance
+ * APY compounds monthly, so the monthly rate uses the same conversion as inflation
+ *
+ * @param {number} currentBalance - Current balance in dollars
+ * @param {number} annualYieldPercent - Annual percentage yield (e.g., 4.5 for 4.5%)
+ * @returns {number} Interest earned this month in dollars
+ *
+ * @example
+ * calculateMonthlyInterest(50000, 4.5) // Returns ~183.74
+ */
+function calculateMonthlyInterest(currentBalance, annualYieldPercent) {
+    const monthlyRate = getMonthlyCompoundRate(annualYieldPercent / 100);
+    return currentBalance * monthlyRate;
+}
+
+/**
+ * Calculate the real (inflation-adjusted) annual rate of a nominal yield
+ * Positive when the yield beats inflation, negative when inflation wins
+ *
+ * @param {number} annualYield - Annual nominal yield as decimal (e.g., 0.045)
+ * @param {number} annualInflation - Annual inflation as decimal (e.g., 0.07)
+ * @returns {number} Real annual rate as decimal
+ *
+ * @example
+ * calculateRealRate(0.045, 0.07) // Returns ~-0.0234 (losing 2.34% per year)
+ */
+function calculateRealRate(annualYield, annualInflation) {
+    return (1 + annualYield) / (1 + annualInflation) - 1;
+}
+
+// ============================================================================
+// GOLD PRICE MODEL (bundled monthly history + growth projection)
+// ============================================================================
+
+/**
+ * Default annual growth used to project the gold price past the bundled series
+ * Matches CONFIG.sliders.goldGrowth.default (as decimal)
+ */
+const DEFAULT_GOLD_GROWTH = 0.05;
+
+/**
+ * Gold price model - Get gold price per troy ounce
+ *
+ * Within the bundled series (gold-price-series.js) the monthly price is used as is.
+ * Before the series the first price applies (gold was pegged at ~$35 until 1971).
+ * After the series the last price is projected forward at a constant annual growth rate.
+ * The USD price is converted to the base currency at the FX rate of the date.
+ *
+ * @param {Date} date - Date to get the gold price for (defaults to current date)
+ * @param {number} annualGrowth - Projection growth as decimal (e.g., 0.05 for 5%)
+ * @param {Object} series - Monthly price series (defaults to bundled GOLD_PRICE_SERIES)
+ * @returns {number} Gold price per troy ounce in the base currency (0 if no series is loaded)
+ *
+ * @example
+ * getGoldPrice(new Date(1980, 0, 1)) // Returns ~$473 (from series)
+ * getGoldPrice(new Date(2026, 8, 1), 0.05) // Returns last price × 1.05
+ */
+function getGoldPrice(date = new Date(), annualGrowth = DEFAULT_GOLD_GROWTH,
+                      series = (typeof GOLD_PRICE_SERIES !== 'undefined' ? GOLD_PRICE_SERIES : null)) {
+    if (!series || !Array.isArray(series.values) || series.values.length === 0) {
+        console.error('Gold price series not loaded. Check that gold-price-series.js is loaded.');
+        return 0;
+    }
+
+    const index = getSeriesMonthIndex(series, date);
+    const lastIndex = series.values.length - 1;
+    let usdPrice;
+
+    if (index < 0) {
+        usdPrice = series.values[0];
+    } else if (index <= lastIndex) {
+        usdPrice = series.values[index];
+    } else {
+        // Project forward from the last known month
+        const monthsAfterSeries = index - lastIndex;
+        usdPrice = series.values[lastIndex] * Math.pow(1 + annualGrowth, monthsAfterSeries / 12);
+    }
+
+    return usdPrice * getFxRate(date);
+}
+
+/**
+ * Convert USD to gold (troy ounces) using the gold price model
+ *
+ * @param {number} usdAmount - Amount in USD
+ * @param {Date} date - Date to use for conversion rate (defaults to current date)
+ * @param {number} annualGrowth - Projection growth as decimal (used after the series ends)
+ * @returns {number} Equivalent amount in troy ounces
+ *
+ * @example
+ * convertUsdToGold(3665, new Date(2025, 8, 1)) // Returns ~1.0 oz
+ */
+function convertUsdToGold(usdAmount, date = new Date(), annualGrowth = DEFAULT_GOLD_GROWTH) {
+    const goldPrice = getGoldPrice(date, annualGrowth);
+    return goldPrice > 0 ? usdAmount / goldPrice : 0;
+}
+
+/**
+ * Convert gold (troy ounces) to USD using the gold price model
+ *
+ * @param {number} goldAmount - Amount in troy ounces
+ * @param {Date} date - Date to use for conversion rate (defaults to current date)
+ * @param {number} annualGrowth - Projection growth as decimal (used after the series ends)
+ * @returns {number} Equivalent amount in USD
+ *
+ * @example
+ * convertGoldToUsd(1.0, new Date(2025, 8, 1)) // Returns ~$3,665
+ */
+function convertGoldToUsd(goldAmount, date = new Date(), annualGrowth = DEFAULT_GOLD_GROWTH) {
+    const goldPrice = getGoldPrice(date, annualGrowth);
+    return goldAmount * goldPrice;
+}
+
+/**
+ * Calculate the maximum pig oval capacity in gold at a given date
+ * Uses the pig capacity in dollars (from CONFIG) and converts to troy ounces
+ *
+ * @param {Date} date - Date to use for gold price (typically simulation start date)
+ * @param {number} annualGrowth - Projection growth as decimal (used after the series ends)
+ * @returns {number} Full pig capacity in troy ounces (0 if the price is unavailable)
+ *
+ * @example
+ * // If PIG_CAPACITY_DOLLARS = $100,000 and gold is $3,665 in September 2025
+ * calculateFullPigInGold(new Date(2025, 8, 1)) // Returns ~27.29 oz
+ */
+function calculateFullPigInGold(date = new Date(), annualGrowth = DEFAULT_GOLD_GROWTH) {
+    const goldAmount = convertUsdToGold(CONFIG.PIG_CAPACITY_DOLLARS, date, annualGrowth);
+
+    if (goldAmount <= 0 || isNaN(goldAmount)) {
+        console.error('Invalid gold calculation result:', goldAmount);
+        return 0;
+    }
+
+    return goldAmount;
+}
+
+// ============================================================================
+// BASE CURRENCY (FX model)
+// ============================================================================
+
+/** Default base currency (matches CONFIG.currency.default) */
+const DEFAULT_BASE_CURRENCY = 'USD';
+
+/** Active base currency (set from settings by CurrencyController) */
+let activeBaseCurrency = DEFAULT_BASE_CURRENCY;
+
+/**
+ * Select the base currency all amounts, BTC and gold prices are expressed in
+ * Falls back to USD for currencies without an FX series
+ *
+ * @param {string} currencyCode - Currency code (e.g., 'EUR')
+ * @returns {string} Code of the currency actually selected
+ *
+ * @example
+ * setBaseCurrency('EUR'); // BTC and gold are now priced in euros
+ */
+function setBaseCurrency(currencyCode) {
+    const seriesMap = typeof FX_RATE_SERIES !== 'undefined' ? FX_RATE_SERIES : {};
+    let code = currencyCode;
+
+    if (code !== DEFAULT_BASE_CURRENCY && !Object.prototype.hasOwnProperty.call(seriesMap, code)) {
+        console.warn('No FX rates for currency:', currencyCode);
+        code = DEFAULT_BASE_CURRENCY;
+    }
+
+    activeBaseCurrency = code;
+    return code;
+}
+
+/**
+ * Get the active base currency
+ * @returns {string} Currency code (e.g., 'USD')
+ */
+function getBaseCurrency() {
+    return activeBaseCurrency;
+}
+
+/**
+ * FX model - Get units of a currency per US dollar
+ *
+ * Within the bundled series (fx-rate-series.js) the monthly rate is used as is.
+ * Before the series the first rate applies.
+ * After the series the rate moves with the inflation gap to the US (purchasing power parity),
+ * using the default inflation of both currencies from CONFIG.currency.options.
+ *
+ * @param {Date} date - Date to get the rate for (defaults to current date)
+ * @param {string} currencyCode - Currency code (defaults to the active base currency)
+ * @param {Object} seriesMap - FX series by currency code (defaults to bundled FX_RATE_SERIES)
+ * @returns {number} Units of the currency per USD (1 for USD or a currency without series)
+ *
+ * @example
+ * getFxRate(new Date(2015, 6, 1), 'EUR') // Returns ~0.90
+ * getFxRate(new Date(2030, 0, 1), 'ARS') // Returns the 2025 rate × (1.20 / 1.07)^4.5
+ */
+function getFxRate(date = new Date(), currencyCode = activeBaseCurrency,
+                   seriesMap = (typeof FX_RATE_SERIES !== 'undefined' ? FX_RATE_SERIES : null)) {
+    if (currencyCode === DEFAULT_BASE_CURRENCY || !seriesMap || !seriesMap[currencyCode]) {
+        return 1;
+    }
+
+    const series = seriesMap[currencyCode];
+    const index = getSeriesMonthIndex(series, date);
+    const lastIndex = series.values.length - 1;
+
+    if (index < 0) {
+        return series.values[0];
+    }
+
+    if (index <= lastIndex) {
+        return series.values[index];
+    }
+
+    // Project forward from the last known month at the inflation gap
+    const currencies = CONFIG.currency.options;
+    const currencyInflation = currencies[currencyCode] ? currencies[currencyCode].inflation : currencies.USD.inflation;
+    const annualDrift = (1 + currencyInflation / 100) / (1 + currencies.USD.inflation / 100);
+    const monthsAfterSeries = index - lastIndex;
+    return series.values[lastIndex] * Math.pow(annualDrift, monthsAfterSeries / 12);
+}
+
+// ============================================================================
+// GOODS PRICES (measure in goods)
+// ============================================================================
+
+/**
+ * Get the label and unit of a good
+ *
+ * @param {string} goodId - 'gold' or a key of GOODS_PRICE_SERIES
+ * @returns {Object|null} { label, unit, description } or null for an unknown good
+ *
+ * @example
+ * getGoodsInfo('home') // Returns { label: 'Median homes', unit: 'homes', description: '...' }
+ */
+function getGoodsInfo(goodId) {
+    if (goodId === CONFIG.measure.GOLD) {
+        return { ...CONFIG.measure.gold, description: 'Troy ounces of gold at the gold price model' };
+    }
+
+    const series = typeof GOODS_PRICE_SERIES !== 'undefined' ? GOODS_PRICE_SERIES[goodId] : null;
+    return series ? { label: series.label, unit: series.unit, description: series.description } : null;
+}
+
+/**
+ * Goods price model - Get the price of one unit of a good
+ *
+ * Gold uses the gold price model. Other goods use their bundled series (goods-price-series.js):
+ * within the series the monthly price is used as is, before it the first price applies,
+ * after it the last price is projected forward at the series' annual growth rate.
+ * The USD price is converted to the base currency at the FX rate of the date.
+ *
+ * @param {string} goodId - 'gold' or a key of GOODS_PRICE_SERIES (e.g., 'home')
+ * @param {Date} date - Date to get the price for (defaults to current date)
+ * @param {number} goldGrowth - Gold projection growth as decimal (used for 'gold' only)
+ * @param {Object} seriesMap - Goods series by id (defaults to bundled GOODS_PRICE_SERIES)
+ * @returns {number} Price per unit in the base currency (0 for an unknown good)
+ *
+ * @example
+ * getGoodsPrice('gasoline', new Date(2008, 6, 1)) // Returns ~$3.27 per gallon
+ * getGoodsPrice('home', new Date(2030, 0, 1))      // Returns the 2025 price × 1.04^4.5
+ */
+function getGoodsPrice(goodId, date = new Date(), goldGrowth = DEFAULT_GOLD_GROWTH,
+                       seriesMap = (typeof GOODS_PRICE_SERIES !== 'undefined' ? GOODS_PRICE_SERIES : null)) {
+    if (goodId === CONFIG.measure.GOLD) {
+        return getGoldPrice(date, goldGrowth);
+    }
+
+    const series = seriesMap ? seriesMap[goodId] : null;
+    if (!series || !Array.isArray(series.values) || series.values.length === 0) {
+        return 0;
+    }
+
+    const index = getSeriesMonthIndex(series, date);
+    const lastIndex = series.values.length - 1;
+    let usdPrice;
+
+    if (index < 0) {
+        usdPrice = series.values[0];
+    } else if (index <= lastIndex) {
+        usdPrice = series.values[index];
+    } else {
+        // Project forward from the last known month
+        const monthsAfterSeries = index - lastIndex;
+        usdPrice = series.values[lastIndex] * Math.pow(1 + (series.growth || 0) / 100, monthsAfterSeries / 12);
+    }
+
+    return usdPrice * getFxRate(date);
+}
+
+/**
+ * Convert an amount of money to a count of goods
+ *
+ * @param {number} amount - Amount in the base currency
+ * @param {string} goodId - 'gold' or a key of GOODS_PRICE_SERIES
+ * @param {Date} date - Date whose prices to use (defaults to current date)
+ * @param {number} goldGrowth - Gold projection growth as decimal (used for 'gold' only)
+ * @returns {number} Units of the good the amount buys (0 for an unknown good)
+ *
+ * @example
+ * convertToGoods(500000, 'home', new Date(2024, 6, 1)) // Returns ~1.2 homes
+ */
+function convertToGoods(amount, goodId, date = new Date(), goldGrowth = DEFAULT_GOLD_GROWTH) {
+    const price = getGoodsPrice(goodId, date, goldGrowth);
+    return price > 0 ? amount / price : 0;
+}
+
+// ============================================================================
+// MIXED ALLOCATION (deposits split across vehicles)
+// ============================================================================
+
+/**
+ * Vehicles a mixed allocation holds, in pig layer order (bottom to top)
+ * Holdings are kept per vehicle in its own unit: dollars (usd, hysa), troy ounces (gold), BTC (btc)
+ */
+const ALLOCATION_VEHICLES = ['usd', 'hysa', 'gold', 'btc'];
+
+/**
+ * Normalize allocation percentages to fractions that sum to 1
+ * Missing or negative entries count as 0. An all-zero split puts everything in USD.
+ *
+ * @param {Object} weights - Percent per vehicle (e.g., { usd: 80, btc: 20 })
+ * @returns {Object} Fraction per vehicle (one key per ALLOCATION_VEHICLES entry)
+ *
+ * @example
+ * normalizeAllocation({ usd: 60, btc: 60 }) // Returns { usd: 0.5, hysa: 0, gold: 0, btc: 0.5 }
+ */
+function normalizeAllocation(weights = {}) {
+    const total = ALLOCATION_VEHICLES.reduce((sum, vehicle) => sum + Math.max(0, weights[vehicle] || 0), 0);
+    const fractions = {};
+
+    ALLOCATION_VEHICLES.forEach(vehicle => {
+        if (total > 0) {
+            fractions[vehicle] = Math.max(0, weights[vehicle] || 0) / total;
+        } else {
+            fractions[vehicle] = vehicle === 'usd' ? 1 : 0;
+        }
+    });
+
+    return fractions;
+}
+
+/**
+ * Create empty allocation holdings
+ * @returns {Object} Zero holdings per vehicle
+ */
+function createEmptyAllocation() {
+    const holdings = {};
+    ALLOCATION_VEHICLES.forEach(vehicle => {
+        holdings[vehicle] = 0;
+    });
+    return holdings;
+}
+
+/**
+ * Buy allocation holdings with a dollar amount
+ * Before BTC had a price its share stays in USD cash.
+ *
+ * @param {number} usdAmount - Dollar amount to invest
+ * @param {Object} weights - Percent per vehicle (normalized internally)
+ * @param {Date} date - Purchase date
+ * @param {number} goldGrowth - Gold projection growth as decimal (used after the series ends)
+ * @returns {Object} Holdings bought per vehicle (dollars, troy ounces, BTC)
+ *
+ * @example
+ * buyAllocation(1000, { usd: 80, btc: 20 }, new Date(2025, 0, 1))
+ * // Returns { usd: 800, hysa: 0, gold: 0, btc: ~0.002 }
+ */
+function buyAllocation(usdAmount, weights, date, goldGrowth = DEFAULT_GOLD_GROWTH) {
+    const fractions = normalizeAllocation(weights);
+    const holdings = createEmptyAllocation();
+
+    const btcDollars = usdAmount * fractions.btc;
+    if (isBitcoinPriced(date)) {
+        holdings.btc = convertUsdToBtc(btcDollars, date);
+    } else {
+        holdings.usd += btcDollars;
+    }
+
+    holdings.usd += usdAmount * fractions.usd;
+    holdings.hysa = usdAmount * fractions.hysa;
+    holdings.gold = convertUsdToGold(usdAmount * fractions.gold, date, goldGrowth);
+
+    return holdings;
+}
+
+/**
+ * Add two sets of allocation holdings
+ * @param {Object} holdings - Current holdings per vehicle
+ * @param {Object} added - Holdings to add per vehicle
+ * @returns {Object} New holdings per vehicle
+ */
+function addAllocationHoldings(holdings, added) {
+    const total = createEmptyAllocation();
+    ALLOCATION_VEHICLES.forEach(vehicle => {
+        total[vehicle] = (holdings[vehicle] || 0) + (added[vehicle] || 0);
+    });
+    return total;
+}
+
+/**
+ * Value allocation holdings in dollars at a date
+ * BTC at the active price model, gold at the gold price model
+ *
+ * @param {Object} holdings - Holdings per vehicle
+ * @param {Date} date - Valuation date
+ * @param {number} goldGrowth - Gold projection growth as decimal (used after the series ends)
+ * @returns {Object} Dollar value per vehicle
+ */
+function valueAllocation(holdings, date, goldGrowth = DEFAULT_GOLD_GROWTH) {
+    return {
+        usd: holdings.usd || 0,
+        hysa: holdings.hysa || 0,
+        gold: convertGoldToUsd(holdings.gold || 0, date, goldGrowth),
+        btc: convertBtcToUsd(holdings.btc || 0, date)
+    };
+}
+
+/**
+ * Sum the per-vehicle amounts of an allocation
+ * @param {Object} amounts - Amount per vehicle (e.g., from valueAllocation)
+ * @returns {number} Total
+ */
+function sumAllocation(amounts) {
+    return ALLOCATION_VEHICLES.reduce((sum, vehicle) => sum + (amounts[vehicle] || 0), 0);
+}
+
+/**
+ * Rebalance holdings back to the target split at a date
+ * Sells everything at the current prices and buys the target split again.
+ *
+ * @param {Object} holdings - Current holdings per vehicle
+ * @param {Object} weights - Target percent per vehicle
+ * @param {Date} date - Rebalance date
+ * @param {number} goldGrowth - Gold projection growth as decimal (used after the series ends)
+ * @returns {Object} Rebalanced holdings per vehicle
+ */
+function rebalanceAllocation(holdings, weights, date, goldGrowth = DEFAULT_GOLD_GROWTH) {
+    const totalValue = sumAllocation(valueAllocation(holdings, date, goldGrowth));
+    return buyAllocation(totalValue, weights, date, goldGrowth);
+}
+
+/**
+ * Calculate the pig fill level of each allocation layer
+ * Dollar layers fill by purchasing power; BTC and gold by holdings vs full pig capacity,
+ * the same rules as the single-vehicle modes. Layers stack, so the pig fill is their sum.
+ *
+ * @param {Object} holdings - Holdings per vehicle
+ * @param {number} cumulativeInflationFactor - Cumulative inflation factor (1.0 = no erosion)
+ * @param {number} fullPigBtc - Full pig capacity in BTC (at simulation start)
+ * @param {number} fullPigGold - Full pig capacity in troy ounces (at simulation start)
+ * @returns {Object} Fill level percentage per vehicle (unclamped)
+ */
+function calculateAllocationFillLevels(holdings, cumulativeInflationFactor, fullPigBtc, fullPigGold) {
+    const dollarFill = (dollars) => (dollars / cumulativeInflationFactor / CONFIG.PIG_CAPACITY_DOLLARS) * 100;
+
+    return {
+        usd: dollarFill(holdings.usd || 0),
+        hysa: dollarFill(holdings.hysa || 0),
+        gold: fullPigGold > 0 ? ((holdings.gold || 0) / fullPigGold) * 100 : 0,
+        btc: fullPigBtc > 0 ? ((holdings.btc || 0) / fullPigBtc) * 100 : 0
+    };
+}
+
+// ============================================================================
+// CONTRIBUTION GROWTH (monthly savings that grow over the run)
+// ============================================================================
+
+/**
+ * Parse a contribution step schedule
+ *
+ * @param {string} text - Steps as "year:amount" pairs separated by commas (e.g., "5:200, 10:400")
+ * @returns {Array<{year: number, amount: number}>|null} Steps sorted by year (empty for empty text), or null if invalid
+ *
+ * @example
+ * parseContributionSchedule('10:400, 5:200') // Returns [{ year: 5, amount: 200 }, { year: 10, amount: 400 }]
+ * parseContributionSchedule('5') // Returns null
+ */
+function parseContributionSchedule(text) {
+    const entries = String(text || '').split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+    const steps = [];
+
+    for (const entry of entries) {
+        const match = /^(\d+)\s*:\s*\$?(\d+(?:\.\d+)?)$/.exec(entry);
+        if (!match) {
+            return null;
+        }
+        steps.push({ year: Number(match[1]), amount: Number(match[2]) });
+    }
+
+    return steps.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Convert the amounts of a contribution step schedule to another currency scale
+ * Amounts are rounded to whole units; text that can't be parsed is returned unchanged.
+ *
+ * @param {string} text - Steps as "year:amount" pairs (see parseContributionSchedule)
+ * @param {number} ratio - New amount scale / previous amount scale
+ * @returns {string} Steps with converted amounts
+ *
+ * @example
+ * scaleContributionSchedule('5:200, 10:400', 100) // Returns '5:20000, 10:40000'
+ */
+function scaleContributionSchedule(text, ratio) {
+    const steps = parseContributionSchedule(text);
+    if (!steps) return text;
+
+    return steps.map(step => `${step.year}:${Math.round(step.amount * ratio)}`).join(', ');
+}
+
+/**
+ * Calculate the monthly contribution after growth
+ *
+ * Modes:
+ * - 'flat': the same nominal amount every month
+ * - 'inflation': indexed to the simulated inflation (same purchasing power every month)
+ * - 'raise': grows by a fixed annual raise on every anniversary of the start
+ * - 'schedule': switches to the amount of the latest step reached (years since start)
+ *
+ * @param {number} monthlySavings - Monthly savings set on the slider (dollars)
+ * @param {Object|null} growth - Growth settings ({ mode, annualRaise (decimal), schedule (parsed steps) }), null = flat;
+ *   a run that continues another one (balancing mid-run) adds elapsedMonths and elapsedInflationFactor,
+ *   the months and price level already behind it, so raises, steps and indexing pick up where they were
+ * @param {number} monthsElapsed - Months since the simulation started
+ * @param {number} cumulativeInflationFactor - Price level relative to the start (1.0 = start)
+ * @returns {number} Contribution for this month in dollars
+ *
+ * @example
+ * calculateContribution(100, { mode: 'raise', annualRaise: 0.03 }, 24, 1.15) // Returns 106.09
+ * calculateContribution(100, { mode: 'inflation' }, 24, 1.15) // Returns 115
+ * calculateContribution(100, { mode: 'raise', annualRaise: 0.03, elapsedMonths: 20 }, 4, 1) // Returns 106.09
+ */
+function calculateContribution(monthlySavings, growth, monthsElapsed, cumulativeInflationFactor = 1) {
+    const mode = growth ? growth.mode : 'flat';
+    const month = monthsElapsed + ((growth && growth.elapsedMonths) || 0);
+
+    if (mode === 'inflation') {
+        return monthlySavings * cumulativeInflationFactor * (growth.elapsedInflationFactor || 1);
+    }
+
+    if (mode === 'raise') {
+        return monthlySavings * Math.pow(1 + (growth.annualRaise || 0), Math.floor(month / 12));
+    }
+
+    if (mode === 'schedule') {
+        let amount = monthlySavings;
+        (growth.schedule || []).forEach(step => {
+            if (month >= step.year * 12) {
+                amount = step.amount;
+            }
+        });
+        return amount;
+    }
+
+    return monthlySavings;
+}
+
+// ============================================================================
+// ONE-OFF EVENTS (lump-sum deposits and withdrawals at given months)
+// ============================================================================
+
+/**
+ * Parse one-off deposit and withdrawal events
+ * A negative amount is a withdrawal; an optional label follows the amount.
+ *
+ * @param {string} text - Events as "month:amount label" entries separated by commas (e.g., "24:5000 bonus, 60:-20000 car")
+ * @returns {Array<{month: number, amount: number, label: string}>|null} Events sorted by month (empty for empty text), or null if invalid
+ *
+ * @example
+ * parseOneOffEvents('60:-20000 car, 24:5000') // Returns [{ month: 24, amount: 5000, label: '' }, { month: 60, amount: -20000, label: 'car' }]
+ * parseOneOffEvents('24:0') // Returns null
+ */
+function parseOneOffEvents(text) {
+    const entries = String(text || '').split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+    const events = [];
+
+    for (const entry of entries) {
+        const match = /^(\d+)\s*:\s*([+-]?)\s*\$?(\d+(?:\.\d+)?)(?:\s+(.+))?$/.exec(entry);
+        if (!match || Number(match[3]) === 0) {
+            return null;
+        }
+        const amount = match[2] === '-' ? -Number(match[3]) : Number(match[3]);
+        events.push({ month: Number(match[1]), amount, label: (match[4] || '').trim() });
+    }
+
+    return events.sort((a, b) => a.month - b.month);
+}
+
+/**
+ * Convert the amounts of one-off events to another currency scale
+ * Amounts are rounded to whole units (at least 1); text that can't be parsed is returned unchanged.
+ *
+ * @param {string} text - Events as "month:amount label" entries (see parseOneOffEvents)
+ * @param {number} ratio - New amount scale / previous amount scale
+ * @returns {string} Events with converted amounts
+ *
+ * @example
+ * scaleOneOffEvents('24:5000 bonus, 60:-20000 car', 0.01) // Returns '24:50 bonus, 60:-200 car'
+ */
+function scaleOneOffEvents(text, ratio) {
+    const events = parseOneOffEvents(text);
+    if (!events) return text;
+
+    return events
+        .map(event => {
+            const amount = Math.max(1, Math.round(Math.abs(event.amount) * ratio));
+            return `${event.month}:${event.amount < 0 ? '-' : ''}${amount}${event.label ? ' ' + event.label : ''}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Get the net one-off flow of a month
+ *
+ * @param {Array<{month: number, amount: number}>|null} events - Parsed events (see parseOneOffEvents)
+ * @param {number} monthsElapsed - Months since the simulation started
+ * @returns {number} Sum of the month's events in dollars (negative = withdrawal, 0 = no event)
+ *
+ * @example
+ * getOneOffEventAmount([{ month: 24, amount: 5000 }, { month: 24, amount: -1000 }], 24) // Returns 4000
+ */
+function getOneOffEventAmount(events, monthsElapsed) {
+    return (events || [])
+        .filter(event => event.month === monthsElapsed)
+        .reduce((sum, event) => sum + event.amount, 0);
+}
+
+// ============================================================================
+// WITHDRAWAL PHASE (monthly withdrawals that drain the savings)
+// ============================================================================
+
+/**
+ * Calculate the month the withdrawal phase starts at
+ *
+ * @param {Date} simulationStartDate - Simulation start date
+ * @param {Date|null} withdrawalStartDate - First withdrawal month, or null for no withdrawal phase
+ * @returns {number|null} Months since the simulation started (0 if the date is before the start), or null
+ *
+ * @example
+ * calculateWithdrawalStartMonth(new Date(2025, 0, 1), new Date(2045, 6, 1)) // Returns 246
+ */
+function calculateWithdrawalStartMonth(simulationStartDate, withdrawalStartDate) {
+    if (!withdrawalStartDate) {
+        return null;
+    }
+
+    const yearDiff = withdrawalStartDate.getFullYear() - simulationStartDate.getFullYear();
+    const monthDiff = withdrawalStartDate.getMonth() - simulationStartDate.getMonth();
+
+    return Math.max(0, yearDiff * 12 + monthDiff);
+}
+
+/**
+ * Calculate this month's withdrawal
+ * An indexed withdrawal is set in start-date dollars and grows with the simulated inflation,
+ * so it always buys the same; a fixed one stays the same nominal amount.
+ *
+ * @param {number} monthlyWithdrawal - Monthly withdrawal set by the user (dollars)
+ * @param {boolean} indexed - Whether the withdrawal is indexed to inflation
+ * @param {number} cumulativeInflationFactor - Price level relative to the start (1.0 = start)
+ * @returns {number} Withdrawal for this month in dollars
+ *
+ * @example
+ * calculateWithdrawal(1000, true, 1.5) // Returns 1500
+ * calculateWithdrawal(1000, false, 1.5) // Returns 1000
+ */
+function calculateWithdrawal(monthlyWithdrawal, indexed, cumulativeInflationFactor = 1) {
+    return indexed ? monthlyWithdrawal * cumulativeInflationFactor : monthlyWithdrawal;
+}
+
+/**
+ * Calculate the share of the holdings sold for a withdrawal
+ * Every vehicle (and every mix layer) is sold pro rata, so holdings scale by (1 - share).
+ *
+ * @param {number} usdAmount - Withdrawal in dollars
+ * @param {number} savingsValue - Current value of the savings in dollars
+ * @returns {number} Share sold (0-1, 1 = the withdrawal empties the savings)
+ *
+ * @example
+ * calculateWithdrawalShare(1000, 4000) // Returns 0.25
+ * calculateWithdrawalShare(1000, 600) // Returns 1 (only $600 can be withdrawn)
+ */
+function calculateWithdrawalShare(usdAmount, savingsValue) {
+    if (usdAmount <= 0) {
+        return 0;
+    }
+    if (savingsValue <= usdAmount) {
+        return 1;
+    }
+    return usdAmount / savingsValue;
+}
+
+/**
+ * Scale every layer of allocation holdings (e.g., after a pro rata withdrawal)
+ * @param {Object} holdings - Holdings per vehicle
+ * @param {number} factor - Factor to multiply each holding by
+ * @returns {Object} New holdings per vehicle
+ */
+function scaleAllocationHoldings(holdings, factor) {
+    const scaled = createEmptyAllocation();
+    ALLOCATION_VEHICLES.forEach(vehicle => {
+        scaled[vehicle] = (holdings[vehicle] || 0) * factor;
+    });
+    return scaled;
+}
+
+// ============================================================================
+// CAPITAL GAINS TAX (cost basis lots for BTC and gold)
+// ============================================================================
+
+/** Holdings that realize capital gains when sold (dollar holdings don't) */
+const TAXABLE_ASSETS = ['btc', 'gold'];
+
+/**
+ * Create empty cost basis lots
+ * A lot is { units, cost (dollars paid), month (months elapsed when bought) }, oldest first
+ * @returns {Object} Lots per taxable asset ({ btc: [], gold: [] })
+ */
+function createTaxLots() {
+    return { btc: [], gold: [] };
+}
+
+/**
+ * Get the taxable holdings of a vehicle
+ * @param {string} vehicle - Savings vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
+ * @param {Object} holdings - { totalSavingsBtc, totalSavingsGold, allocationHoldings }
+ * @returns {Object} Units per taxable asset ({ btc, gold }, 0 for dollar vehicles)
+ */
+function getTaxableHoldings(vehicle, holdings) {
+    if (vehicle === 'mix') {
+        return { btc: holdings.allocationHoldings.btc || 0, gold: holdings.allocationHoldings.gold || 0 };
+    }
+    return {
+        btc: vehicle === 'btc' ? holdings.totalSavingsBtc : 0,
+        gold: vehicle === 'gold' ? holdings.totalSavingsGold : 0
+    };
+}
+
+/**
+ * Value units of a taxable asset in dollars
+ * @param {string} asset - 'btc' or 'gold'
+ * @param {number} units - BTC or troy ounces
+ * @param {Date} date - Valuation date
+ * @param {number} goldGrowth - Gold projection growth as decimal (used after the series ends)
+ * @returns {number} Value in dollars
+ */
+function valueTaxableUnits(asset, units, date, goldGrowth = DEFAULT_GOLD_GROWTH) {
+    return asset === 'btc' ? convertBtcToUsd(units, date) : convertGoldToUsd(units, date, goldGrowth);
+}
+
+/**
+ * Take units from lots, oldest first (a partly used lot keeps its share of the cost)
+ * @param {Array<Object>} lots - Lots of one asset, oldest first
+ * @param {number} units - Units to take
+ * @returns {{remaining: Array<Object>, taken: Array<Object>}} Lots left and lots taken
+ */
+function takeFromLots(lots, units) {
+    const remaining = [];
+    const taken = [];
+    let left = units;
+
+    lots.forEach(lot => {
+        if (left <= 0) {
+            remaining.push(lot);
+        } else if (lot.units <= left) {
+            taken.push(lot);
+            left -= lot.units;
+        } else {
+            const share = left / lot.units;
+            taken.push({ units: left, cost: lot.cost * share, month: lot.month });
+            remaining.push({ units: lot.units - left, cost: lot.cost * (1 - share), month: lot.month });
+            left = 0;
+        }
+    });
+
+    return { remaining, taken };
+}
+
+/**
+ * Match lots to holdings after an untaxed change (deposit, purchase, rebalance)
+ * Units added are a new lot at the current price; units removed come from the oldest lots, without tax
+ *
+ * @param {Object} lots - Lots per taxable asset
+ * @param {Object} holdings - Units held per taxable asset ({ btc, gold })
+ * @param {Date} date - Current simulation date
+ * @param {number} month - Months elapsed (lot age for the short/long-term split)
+ * @param {number} goldGrowth - Gold projection growth as decimal
+ * @returns {Object} New lots per taxable asset
+ */
+function syncTaxLots(lots, holdings, date, month, goldGrowth = DEFAULT_GOLD_GROWTH) {
+    const synced = createTaxLots();
+
+    TAXABLE_ASSETS.forEach(asset => {
+        const assetLots = lots[asset] || [];
+        const held = holdings[asset] || 0;
+        const lotUnits = assetLots.reduce((sum, lot) => sum + lot.units, 0);
+        const difference = held - lotUnits;
+
+        // Ignore rounding noise from repeated scaling
+        if (Math.abs(difference) <= held * 1e-12) {
+            synced[asset] = assetLots.slice();
+        } else if (difference > 0) {
+            synced[asset] = [...assetLots, { units: difference, cost: valueTaxableUnits(asset, difference, date, goldGrowth), month }];
+        } else {
+            synced[asset] = takeFromLots(assetLots, -difference).remaining;
+        }
+    });
+
+    return synced;
+}
+
+/**
+ * Calculate tax on realized gains
+ *
+ * Modes:
+ * - 'none': no tax
+ * - 'flat': one rate on the net gain of the sale
+ * - 'split': short-term rate on gains from lots held under CONFIG.capitalGainsTax.longTermMonths,
+ *   the long-term rate on the rest (losses only offset gains of the same term)
+ *
+ * @param {number} shortTermGain - Gain on lots held short term (dollars, negative for a loss)
+ * @param {number} longTermGain - Gain on lots held long term (dollars, negative for a loss)
+ * @param {Object|null} taxModel - { mode, rate (decimal), shortTermRate (decimal) }, null = no tax
+ * @returns {number} Tax in dollars (never negative; losses aren't carried forward)
+ *
+ * @example
+ * calculateCapitalGainsTax(1000, 3000, { mode: 'flat', rate: 0.15 }) // Returns 600
+ * calculateCapitalGainsTax(1000, 3000, { mode: 'split', rate: 0.15, shortTermRate: 0.3 }) // Returns 750
+ */
+function calculateCapitalGainsTax(shortTermGain, longTermGain, taxModel) {
+    const mode = taxModel ? taxModel.mode : 'none';
+
+    if (mode === 'flat') {
+        return Math.max(0, shortTermGain + longTermGain) * taxModel.rate;
+    }
+
+    if (mode === 'split') {
+        return Math.max(0, shortTermGain) * taxModel.shortTermRate + Math.max(0, longTermGain) * taxModel.rate;
+    }
+
+    return 0;
+}
+
+/**
+ * Sell units from the lots, oldest first, and calculate the tax on the realized gain
+ *
+ * @param {Object} lots - Lots per taxable asset
+ * @param {Object} soldUnits - Units sold per taxable asset ({ btc, gold })
+ * @param {Object} sale - { date, month (months elapsed), goldGrowth, taxModel }
+ * @returns {{lots: Object, gain: number, tax: number}} Lots left, realized gain and tax in dollars
+ */
+function realizeTaxLots(lots, soldUnits, sale) {
+    const remaining = createTaxLots();
+    const longTermMonths = CONFIG.capitalGainsTax.longTermMonths;
+    let shortTermGain = 0;
+    let longTermGain = 0;
+
+    TAXABLE_ASSETS.forEach(asset => {
+        const units = soldUnits[asset] || 0;
+        const { remaining: left, taken } = takeFromLots(lots[asset] || [], units);
+        remaining[asset] = left;
+
+        if (units <= 0) return;
+
+        const pricePerUnit = valueTaxableUnits(asset, units, sale.date, sale.goldGrowth) / units;
+        taken.forEach(lot => {
+            const gain = lot.units * pricePerUnit - lot.cost;
+            if (sale.month - lot.month < longTermMonths) {
+                shortTermGain += gain;
+            } else {
+                longTermGain += gain;
+            }
+        });
+    });
+
+    return {
+        lots: remaining,
+        gain: shortTermGain + longTermGain,
+        tax: calculateCapitalGainsTax(shortTermGain, longTermGain, sale.taxModel)
+    };
+}
+
+/**
+ * Plan a withdrawal paid after capital gains tax
+ * Sells enough extra to cover the tax a plain sale of the withdrawal would pay (capped at the savings value)
+ *
+ * @param {number} usdAmount - Withdrawal in dollars (what should be left after tax)
+ * @param {number} savingsValue - Current value of the savings in dollars
+ * @param {Object} taxableHoldings - Units held per taxable asset ({ btc, gold })
+ * @param {Object} lots - Lots per taxable asset
+ * @param {Object} sale - { date, month (months elapsed), goldGrowth, taxModel }
+ * @returns {{share: number, tax: number, lots: Object}} Share of the holdings sold (0-1), tax and lots left
+ */
+function planTaxedWithdrawal(usdAmount, savingsValue, taxableHoldings, lots, sale) {
+    const sellShare = (share) => {
+        const soldUnits = {};
+        TAXABLE_ASSETS.forEach(asset => {
+            soldUnits[asset] = (taxableHoldings[asset] || 0) * share;
+        });
+        return realizeTaxLots(lots, soldUnits, sale);
+    };
+
+    let share = calculateWithdrawalShare(usdAmount, savingsValue);
+    let result = sellShare(share);
+
+    // Gross up by the effective tax rate of the plain sale
+    if (result.tax > 0 && share < 1) {
+        share = calculateWithdrawalShare(usdAmount * usdAmount / (usdAmount - result.tax), savingsValue);
+        result = sellShare(share);
+    }
+
+    return { share, tax: result.tax, lots: result.lots };
+}
+
+// ============================================================================
+// FEES AND SPREADS
+// ============================================================================
+
+/**
+ * Calculate a fee charged as a percentage of an amount (BTC spread, conversion fee)
+ * @param {number} usdAmount - Dollars spent or converted
+ * @param {number} rate - Fee rate as decimal (e.g., 0.01 for 1%)
+ * @returns {number} Fee in dollars (0 for negative amounts or rates)
+ *
+ * @example
+ * calculatePercentageFee(1000, 0.015) // Returns 15
+ */
+function calculatePercentageFee(usdAmount, rate) {
+    return Math.max(0, usdAmount) * Math.max(0, rate || 0);
+}
+
+/**
+ * Get the monthly rate of a yearly account / custody fee
+ * Billed as one twelfth of the yearly rate every month (how custodians quote them)
+ * @param {number} annualFee - Yearly fee as decimal (e.g., 0.005 for 0.5%)
+ * @returns {number} Share of the holdings charged per month
+ */
+function getMonthlyFeeRate(annualFee) {
+    return Math.max(0, annualFee || 0) / 12;
+}
+
+/**
+ * Buy allocation holdings, paying the BTC spread on the BTC share
+ * Before BTC had a price its share stays in USD cash and pays no spread.
+ *
+ * @param {number} usdAmount - Dollar amount to invest
+ * @param {Object} weights - Percent per vehicle (normalized internally)
+ * @param {Date} date - Purchase date
+ * @param {number} goldGrowth - Gold projection growth as decimal (used after the series ends)
+ * @param {number} btcSpread - Spread on BTC purchases as decimal
+ * @returns {{holdings: Object, fee: number}} Holdings bought per vehicle and spread paid in dollars
+ */
+function buyAllocationWithSpread(usdAmount, weights, date, goldGrowth, btcSpread) {
+    const holdings = buyAllocation(usdAmount, weights, date, goldGrowth);
+    const fee = isBitcoinPriced(date)
+        ? calculatePercentageFee(usdAmount * normalizeAllocation(weights).btc, btcSpread)
+        : 0;
+
+    holdings.btc -= convertUsdToBtc(fee, date);
+
+    return { holdings, fee };
+}
+
+/**
+ * Charge one month of account / custody fees on mix holdings (each layer at its vehicle's fee)
+ * @param {Object} holdings - Holdings per vehicle
+ * @param {Object} annualFees - Yearly fee per vehicle as decimal
+ * @param {Date} date - Current date (values the BTC and gold layers)
+ * @param {number} goldGrowth - Gold projection growth as decimal (used after the series ends)
+ * @returns {{holdings: Object, fee: number}} Holdings after fees and fees charged in dollars
+ */
+function chargeAllocationFees(holdings, annualFees, date, goldGrowth = DEFAULT_GOLD_GROWTH) {
+    const values = valueAllocation(holdings, date, goldGrowth);
+    const charged = createEmptyAllocation();
+    let fee = 0;
+
+    ALLOCATION_VEHICLES.forEach(vehicle => {
+        const rate = getMonthlyFeeRate(annualFees[vehicle]);
+        charged[vehicle] = (holdings[vehicle] || 0) * (1 - rate);
+        fee += values[vehicle] * rate;
+    });
+
+    return { holdings: charged, fee };
+}
+
+/**
+ * Get the yearly fee rate paid on a vehicle's holdings
+ * Mix mode weighs each layer's fee by its value
+ * @param {string} vehicle - Savings vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
+ * @param {Object} annualFees - Yearly fee per vehicle as decimal
+ * @param {Object} [values] - Dollar value per mix layer (mix mode only)
+ * @returns {number} Yearly fee as decimal
+ */
+function getAnnualFeeRate(vehicle, annualFees, values = {}) {
+    if (vehicle !== 'mix') {
+        return Math.max(0, annualFees[vehicle] || 0);
+    }
+
+    const total = sumAllocation(values);
+    if (total <= 0) return 0;
+
+    return ALLOCATION_VEHICLES.reduce(
+        (sum, layer) => sum + Math.max(0, annualFees[layer] || 0) * (values[layer] || 0) / total, 0);
+}
+
+// ============================================================================
+// EXPOSE FUNCTIONS GLOBALLY
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    // Core conversion functions
+    window.getMonthlyCompoundRate = getMonthlyCompoundRate;
+    window.monthlyToAnnualRate = monthlyToAnnualRate;
+
+    // Balance calculation functions
+    window.calculateBalancedStartAmount = calculateBalancedStartAmount;
+    window.calculateBalancedSavings = calculateBalancedSavings;
+    window.calculateBalancedInflation = calculateBalancedInflation;
+
+    // Utility functions
+    window.calculateMonthlyInflationLoss = calculateMonthlyInflationLoss;
+    window.calculateInflationLossFromFactor = calculateInflationLossFromFactor;
+    window.getBalanceState = getBalanceState;
+    window.isBalanced = isBalanced;
+
+    // Bitcoin Power Law functions
+    window.BTC_POWER_LAW_PARAMS = BTC_POWER_LAW_PARAMS;
+    window.getBitcoinPowerLawPrice = getBitcoinPowerLawPrice;
+
+    // Bitcoin price model registry
+    window.DEFAULT_BTC_PRICE_MODEL = DEFAULT_BTC_PRICE_MODEL;
+    window.BTC_PRICE_MODELS = BTC_PRICE_MODELS;
+    window.setBtcPriceModel = setBtcPriceModel;
+    window.getBtcPriceModel = getBtcPriceModel;
+    window.setBtcPriceResidual = setBtcPriceResidual;
+    window.getBitcoinPrice = getBitcoinPrice;
+    window.parseMonthlyPriceCsv = parseMonthlyPriceCsv;
+    window.convertUsdToBtc = convertUsdToBtc;
+    window.convertBtcToUsd = convertBtcToUsd;
+    window.calculateFullPigInBtc = calculateFullPigInBtc;
+    window.BITCOIN_FIRST_PRICE_DATE = BITCOIN_FIRST_PRICE_DATE;
+    window.isBitcoinPriced = isBitcoinPriced;
+
+    // Inflation series functions
+    window.getSeriesMonthIndex = getSeriesMonthIndex;
+    window.getSeriesAnnualInflation = getSeriesAnnualInflation;
+    window.getSeriesYearRange = getSeriesYearRange;
+    window.parseStartMonth = parseStartMonth;
+
+    // Savings account yield functions
+    window.calculateMonthlyInterest = calculateMonthlyInterest;
+    window.calculateRealRate = calculateRealRate;
+
+    // Gold price model functions
+    window.DEFAULT_GOLD_GROWTH = DEFAULT_GOLD_GROWTH;
+    window.getGoldPrice = getGoldPrice;
+    window.convertUsdToGold = convertUsdToGold;
+    window.convertGoldToUsd = convertGoldToUsd;
+    window.calculateFullPigInGold = calculateFullPigInGold;
+
+    // Base currency functions
+    window.DEFAULT_BASE_CURRENCY = DEFAULT_BASE_CURRENCY;
+    window.setBaseCurrency = setBaseCurrency;
+    window.getBaseCurrency = getBaseCurrency;
+    window.getFxRate = getFxRate;
+
+    // Goods price functions
+    window.getGoodsInfo = getGoodsInfo;
+    window.getGoodsPrice = getGoodsPrice;
+    window.convertToGoods = convertToGoods;
+
+    // Mixed allocation functions
+    window.ALLOCATION_VEHICLES = ALLOCATION_VEHICLES;
+    window.normalizeAllocation = normalizeAllocation;
+    window.createEmptyAllocation = createEmptyAllocation;
+    window.buyAllocation = buyAllocation;
+    window.addAllocationHoldings = addAllocationHoldings;
+    window.valueAllocation = valueAllocation;
+    window.sumAllocation = sumAllocation;
+    window.rebalanceAllocation = rebalanceAllocation;
+    window.calculateAllocationFillLevels = calculateAllocationFillLevels;
+
+    // Contribution growth functions
+    window.parseContributionSchedule = parseContributionSchedule;
+    window.scaleContributionSchedule = scaleContributionSchedule;
+    window.calculateContribution = calculateContribution;
+
+    // One-off event functions
+    window.parseOneOffEvents = parseOneOffEvents;
+    window.scaleOneOffEvents = scaleOneOffEvents;
+    window.getOneOffEventAmount = getOneOffEventAmount;
+
+    // Withdrawal phase functions
+    window.calculateWithdrawalStartMonth = calculateWithdrawalStartMonth;
+    window.calculateWithdrawal = calculateWithdrawal;
+    window.calculateWithdrawalShare = calculateWithdrawalShare;
+    window.scaleAllocationHoldings = scaleAllocationHoldings;
+
+    // Capital gains tax functions
+    window.TAXABLE_ASSETS = TAXABLE_ASSETS;
+    window.createTaxLots = createTaxLots;
+    window.getTaxableHoldings = getTaxableHoldings;
+    window.valueTaxableUnits = valueTaxableUnits;
+    window.takeFromLots = takeFromLots;
+    window.syncTaxLots = syncTaxLots;
+    window.calculateCapitalGainsTax = calculateCapitalGainsTax;
+    window.realizeTaxLots = realizeTaxLots;
+    window.planTaxedWithdrawal = planTaxedWithdrawal;
+
+    // Fee and spread functions
+    window.calculatePercentageFee = calculatePercentageFee;
+    window.getMonthlyFeeRate = getMonthlyFeeRate;
+    window.buyAllocationWithSpread = buyAllocationWithSpread;
+    window.chargeAllocationFees = chargeAllocationFees;
+    window.getAnnualFeeRate = getAnnualFeeRate;
+
+    // Create namespace for cleaner access (optional, but recommended)
+    window.FinancialMath = {
+        getMonthlyCompoundRate,
+        monthlyToAnnualRate,
+        calculateBalancedStartAmount,
+        calculateBalancedSavings,
+        calculateBalancedInflation,
+        calculateMonthlyInflationLoss,
+        calculateInflationLossFromFactor,
+        getBalanceState,
+        isBalanced,
+        BTC_POWER_LAW_PARAMS,
+        getBitcoinPowerLawPrice,
+        DEFAULT_BTC_PRICE_MODEL,
+        BTC_PRICE_MODELS,
+        setBtcPriceModel,
+        getBtcPriceModel,
+        setBtcPriceResidual,
+        getBitcoinPrice,
+        parseMonthlyPriceCsv,
+        convertUsdToBtc,
+        convertBtcToUsd,
+        calculateFullPigInBtc,
+        BITCOIN_FIRST_PRICE_DATE,
+        isBitcoinPriced,
+        getSeriesMonthIndex,
+        getSeriesAnnualInflation,
+        getSeriesYearRange,
+        parseStartMonth,
+        calculateMonthlyInterest,
+        calculateRealRate,
+        DEFAULT_GOLD_GROWTH,
+        getGoldPrice,
+        convertUsdToGold,
+        convertGoldToUsd,
+        calculateFullPigInGold,
+        DEFAULT_BASE_CURRENCY,
+        setBaseCurrency,
+        getBaseCurrency,
+        getFxRate,
+        getGoodsInfo,
+        getGoodsPrice,
+        convertToGoods,
+        ALLOCATION_VEHICLES,
+        normalizeAllocation,
+        createEmptyAllocation,
+        buyAllocation,
+        addAllocationHoldings,
+        valueAllocation,
+        sumAllocation,
+        rebalanceAllocation,
+        calculateAllocationFillLevels,
+        parseContributionSchedule,
+        scaleContributionSchedule,
+        calculateContribution,
+        parseOneOffEvents,
+        scaleOneOffEvents,
+        getOneOffEventAmount,
+        calculateWithdrawalStartMonth,
+        calculateWithdrawal,
+        calculateWithdrawalShare,
+        scaleAllocationHoldings,
+        TAXABLE_ASSETS,
+        createTaxLots,
+        getTaxableHoldings,
+        valueTaxableUnits,
+        takeFromLots,
+        syncTaxLots,
+        calculateCapitalGainsTax,
+        realizeTaxLots,
+        planTaxedWithdrawal,
+        calculatePercentageFee,
+        getMonthlyFeeRate,
+        buyAllocationWithSpread,
+        chargeAllocationFees,
+        getAnnualFeeRate
+    };
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
         getMonthlyCompoundRate,
         monthlyToAnnualRate,
         calculateBalancedStartAmount,
@@ -383,9 +1866,70 @@ if (typeof window !== 'undefined') {
         calculateInflationLossFromFactor,
         getBalanceState,
         isBalanced,
+        BTC_POWER_LAW_PARAMS,
         getBitcoinPowerLawPrice,
+        DEFAULT_BTC_PRICE_MODEL,
+        BTC_PRICE_MODELS,
+        setBtcPriceModel,
+        getBtcPriceModel,
+        setBtcPriceResidual,
+        getBitcoinPrice,
+        parseMonthlyPriceCsv,
         convertUsdToBtc,
         convertBtcToUsd,
-        calculateFullPigInBtc
+        calculateFullPigInBtc,
+        BITCOIN_FIRST_PRICE_DATE,
+        isBitcoinPriced,
+        getSeriesMonthIndex,
+        getSeriesAnnualInflation,
+        getSeriesYearRange,
+        parseStartMonth,
+        calculateMonthlyInterest,
+        calculateRealRate,
+        DEFAULT_GOLD_GROWTH,
+        getGoldPrice,
+        convertUsdToGold,
+        convertGoldToUsd,
+        calculateFullPigInGold,
+        DEFAULT_BASE_CURRENCY,
+        setBaseCurrency,
+        getBaseCurrency,
+        getFxRate,
+        getGoodsInfo,
+        getGoodsPrice,
+        convertToGoods,
+        ALLOCATION_VEHICLES,
+        normalizeAllocation,
+        createEmptyAllocation,
+        buyAllocation,
+        addAllocationHoldings,
+        valueAllocation,
+        sumAllocation,
+        rebalanceAllocation,
+        calculateAllocationFillLevels,
+        parseContributionSchedule,
+        scaleContributionSchedule,
+        calculateContribution,
+        parseOneOffEvents,
+        scaleOneOffEvents,
+        getOneOffEventAmount,
+        calculateWithdrawalStartMonth,
+        calculateWithdrawal,
+        calculateWithdrawalShare,
+        scaleAllocationHoldings,
+        TAXABLE_ASSETS,
+        createTaxLots,
+        getTaxableHoldings,
+        valueTaxableUnits,
+        takeFromLots,
+        syncTaxLots,
+        calculateCapitalGainsTax,
+        realizeTaxLots,
+        planTaxedWithdrawal,
+        calculatePercentageFee,
+        getMonthlyFeeRate,
+        buyAllocationWithSpread,
+        chargeAllocationFees,
+        getAnnualFeeRate
     };
 }
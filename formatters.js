@@ -5,13 +5,15 @@
  * Centralized formatting ensures consistency across the application.
  *
  * Responsibilities:
- * - Format currency values
+ * - Format currency values (symbol and digit grouping of the base currency)
  * - Format percentages
- * - Format dates
+ * - Format counts of goods (measure in goods)
+ * - Format dates and durations
  * - Format numbers with proper separators
  *
  * Dependencies:
- * - config.js (for display configuration)
+ * - config.js (for display configuration, CONFIG.currency)
+ * - financial-math.js (getBaseCurrency)
  *
  * Example:
  * ```javascript
@@ -22,13 +24,31 @@
  */
 
 /**
- * Format a number as currency (rounded to nearest dollar)
- * @param {number} amount - Dollar amount
- * @returns {string} Formatted currency string (e.g., "$1,234")
+ * Get symbol and locale of the base currency
+ * @returns {{symbol: string, locale: string}} Currency display options (USD before financial-math.js loads)
+ */
+function getCurrencyFormat() {
+    const code = typeof getBaseCurrency === 'function' ? getBaseCurrency() : CONFIG.currency.default;
+    return CONFIG.currency.options[code] || CONFIG.currency.options[CONFIG.currency.default];
+}
+
+/**
+ * Get the symbol of the base currency
+ * @returns {string} Currency symbol (e.g., "$", "€")
+ */
+function getCurrencySymbol() {
+    return getCurrencyFormat().symbol;
+}
+
+/**
+ * Format a number as currency (rounded to nearest whole unit)
+ * @param {number} amount - Amount in the base currency
+ * @returns {string} Formatted currency string (e.g., "$1,234", "€1.234")
  */
 function formatCurrency(amount) {
+    const { symbol, locale } = getCurrencyFormat();
     const rounded = Math.round(amount);
-    return '$' + rounded.toLocaleString('en-US');
+    return symbol + rounded.toLocaleString(locale);
 }
 
 /**
@@ -74,23 +94,40 @@ function formatDateShort(date) {
 /**
  * Format purchasing power value for display
  * Combines currency and date reference
- * @param {number} amount - Dollar amount
+ * @param {number} amount - Amount in the base currency
  * @param {string} referenceDate - Reference date string (e.g., "2025-01")
  * @returns {string} Formatted PP string (e.g., "$(2025-01)1,234")
  */
 function formatPurchasingPower(amount, referenceDate) {
-    const formatted = formatCurrency(amount);
-    return `$(${referenceDate})${formatted.substring(1)}`; // Remove $ and re-add with date
+    const { symbol, locale } = getCurrencyFormat();
+    return `${symbol}(${referenceDate})${Math.round(amount).toLocaleString(locale)}`;
 }
 
 /**
- * Format a number with thousands separators
+ * Format a count of goods for display
+ * Small counts keep two decimals, large counts are rounded
+ * @param {number} count - Units of the good
+ * @param {string} unit - Unit name (e.g., "homes")
+ * @returns {string} Formatted count (e.g., "1.25 homes", "12,345 gallons of gasoline")
+ */
+function formatGoodsAmount(count, unit) {
+    let decimals = 0;
+    if (count < 10) {
+        decimals = 2;
+    } else if (count < 100) {
+        decimals = 1;
+    }
+    return `${formatNumber(count, decimals)} ${unit}`;
+}
+
+/**
+ * Format a number with thousands separators (grouping of the base currency's locale)
  * @param {number} num - Number to format
  * @param {number} decimals - Number of decimal places (default 0)
- * @returns {string} Formatted number string (e.g., "1,234.56")
+ * @returns {string} Formatted number string (e.g., "1,234.56", "1.234,56" in euros)
  */
 function formatNumber(num, decimals = 0) {
-    return num.toLocaleString('en-US', {
+    return num.toLocaleString(getCurrencyFormat().locale, {
         minimumFractionDigits: decimals,
         maximumFractionDigits: decimals
     });
@@ -107,6 +144,28 @@ function formatDecimalAsPercentage(decimal, decimals = 1) {
     return formatNumber(percent, decimals) + '%';
 }
 
+/**
+ * Format an annual inflation rate for display (without % sign)
+ * Hyperinflation rates run to dozens of digits, so they're shown in scientific notation
+ * @param {number} percent - Annual inflation as percentage (e.g., 7.25)
+ * @returns {string} Formatted rate (e.g., "7.3", "1,420", "4.5E29")
+ *
+ * @example
+ * formatInflationPercent(7.25)  // => "7.3"
+ * formatInflationPercent(1420)  // => "1,420"
+ * formatInflationPercent(4.5e29) // => "4.5E29"
+ */
+function formatInflationPercent(percent) {
+    if (Math.abs(percent) >= 1e6) {
+        return percent.toLocaleString(getCurrencyFormat().locale, {
+            notation: 'scientific',
+            maximumFractionDigits: 1
+        });
+    }
+
+    return formatNumber(percent, Math.abs(percent) >= 100 ? 0 : 1);
+}
+
 /**
  * Format a slider value for display
  * Applies proper formatting based on the type of value
@@ -138,47 +197,77 @@ function formatDebugValue(value, decimals = null) {
 }
 
 /**
- * Format a dollar amount as compact K notation
- * Rounds to nearest K with no decimal places
- * @param {number} amount - Dollar amount
- * @returns {string} Formatted string (e.g., "100K", "106K")
+ * Format an amount as compact K notation (M from a million, e.g. a yen or peso pig)
+ * Rounds to nearest K (or M) with no decimal places
+ * @param {number} amount - Amount in the base currency
+ * @returns {string} Formatted string (e.g., "100K", "106K", "10M")
  *
  * @example
- * formatCurrencyK(100000) // => "100K"
- * formatCurrencyK(105700) // => "106K"
- * formatCurrencyK(1500)   // => "2K"
+ * formatCurrencyK(100000)   // => "100K"
+ * formatCurrencyK(105700)   // => "106K"
+ * formatCurrencyK(1500)     // => "2K"
+ * formatCurrencyK(10000000) // => "10M"
  */
 function formatCurrencyK(amount) {
+    if (Math.abs(amount) >= 1000000) {
+        return Math.round(amount / 1000000) + 'M';
+    }
     const thousands = Math.round(amount / 1000);
     return thousands + 'K';
 }
 
+/**
+ * Format a number of months as years and months
+ * @param {number} months - Whole months
+ * @returns {string} Formatted duration (e.g., "12y 4m", "7m")
+ *
+ * @example
+ * formatMonths(148) // => "12y 4m"
+ * formatMonths(24)  // => "2y"
+ * formatMonths(7)   // => "7m"
+ */
+function formatMonths(months) {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+
+    if (years === 0) return `${rest}m`;
+    return rest === 0 ? `${years}y` : `${years}y ${rest}m`;
+}
+
 // Export all formatters
 if (typeof window !== 'undefined') {
+    window.getCurrencySymbol = getCurrencySymbol;
     window.formatCurrency = formatCurrency;
     window.formatPercentage = formatPercentage;
     window.formatDate = formatDate;
     window.formatDateShort = formatDateShort;
     window.formatPurchasingPower = formatPurchasingPower;
+    window.formatGoodsAmount = formatGoodsAmount;
     window.formatNumber = formatNumber;
     window.formatDecimalAsPercentage = formatDecimalAsPercentage;
+    window.formatInflationPercent = formatInflationPercent;
     window.formatSliderValue = formatSliderValue;
     window.formatDebugValue = formatDebugValue;
     window.formatCurrencyK = formatCurrencyK;
+    window.formatMonths = formatMonths;
 }
 
 // Support direct exports if using as module
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        getCurrencySymbol,
         formatCurrency,
         formatPercentage,
         formatDate,
         formatDateShort,
         formatPurchasingPower,
+        formatGoodsAmount,
         formatNumber,
         formatDecimalAsPercentage,
+        formatInflationPercent,
         formatSliderValue,
         formatDebugValue,
-        formatCurrencyK
+        formatCurrencyK,
+        formatMonths
     };
 }
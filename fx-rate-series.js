@@ -0,0 +1,272 @@
+/**
+ * FX Rate Series - Bundled month-by-month exchange rates against the US dollar
+ *
+ * JSON data wrapped in a script so it loads from file:// without fetch().
+ * Each series is keyed by currency code and holds units of that currency per USD
+ * for each month, starting at `start` (YYYY-MM). BTC and gold are priced in USD,
+ * financial-math.js converts them to the base currency with these rates.
+ * Before a series starts its first rate applies; after the last month the rate is
+ * projected from the inflation gap to the US (purchasing power parity).
+ *
+ * Series structure:
+ * ```json
+ * {
+ *   "label": "Euro (EUR per USD)",
+ *   "start": "1999-01",
+ *   "values": [0.9387, 0.9387, ...]  // EUR per USD for each month
+ * }
+ * ```
+ *
+ * NOTE: Derived from yearly average exchange rates, interpolated between mid-year
+ * points to give a monthly series. ARS is 1:1 during the 1992-2001 convertibility
+ * plan; TRY is in new lira (1 TRY = 1,000,000 old lira) from 2000.
+ * Replace `values` with official monthly data if exact history is needed.
+ *
+ * Dependencies: none
+ */
+const FX_RATE_SERIES = {
+    EUR: {
+        label: 'Euro (EUR per USD)',
+        description: 'Yearly average euro exchange rate, 1999 to 2025',
+        start: '1999-01',
+        values: [
+            0.9387, 0.9387, 0.9387, 0.9387, 0.9387, 0.9387, 0.9447, 0.9568, 0.9688, 0.9808, 0.9929, 1.0049,  // 1999
+            1.0170, 1.0290, 1.0411, 1.0531, 1.0651, 1.0772, 1.0846, 1.0874, 1.0903, 1.0931, 1.0959, 1.0987,  // 2000
+            1.1016, 1.1044, 1.1072, 1.1100, 1.1129, 1.1157, 1.1148, 1.1103, 1.1057, 1.1012, 1.0967, 1.0921,  // 2001
+            1.0876, 1.0830, 1.0785, 1.0740, 1.0694, 1.0649, 1.0552, 1.0405, 1.0258, 1.0111, 0.9964, 0.9817,  // 2002
+            0.9669, 0.9522, 0.9375, 0.9228, 0.9081, 0.8934, 0.8826, 0.8759, 0.8692, 0.8625, 0.8558, 0.8491,  // 2003
+            0.8423, 0.8356, 0.8289, 0.8222, 0.8155, 0.8088, 0.8053, 0.8052, 0.8051, 0.8050, 0.8049, 0.8048,  // 2004
+            0.8047, 0.8046, 0.8045, 0.8044, 0.8043, 0.8042, 0.8038, 0.8032, 0.8026, 0.8021, 0.8015, 0.8009,  // 2005
+            0.8003, 0.7997, 0.7991, 0.7986, 0.7980, 0.7974, 0.7943, 0.7888, 0.7832, 0.7777, 0.7722, 0.7666,  // 2006
+            0.7611, 0.7555, 0.7500, 0.7445, 0.7389, 0.7334, 0.7286, 0.7246, 0.7206, 0.7166, 0.7126, 0.7086,  // 2007
+            0.7047, 0.7007, 0.6967, 0.6927, 0.6887, 0.6847, 0.6842, 0.6873, 0.6904, 0.6935, 0.6966, 0.6997,  // 2008
+            0.7028, 0.7059, 0.7090, 0.7121, 0.7152, 0.7183, 0.7213, 0.7242, 0.7271, 0.7301, 0.7330, 0.7359,  // 2009
+            0.7389, 0.7418, 0.7447, 0.7477, 0.7506, 0.7535, 0.7535, 0.7506, 0.7476, 0.7446, 0.7417, 0.7387,  // 2010
+            0.7357, 0.7328, 0.7298, 0.7268, 0.7238, 0.7209, 0.7219, 0.7268, 0.7317, 0.7366, 0.7415, 0.7464,  // 2011
+            0.7513, 0.7562, 0.7611, 0.7660, 0.7709, 0.7758, 0.7773, 0.7752, 0.7731, 0.7710, 0.7689, 0.7668,  // 2012
+            0.7647, 0.7626, 0.7605, 0.7584, 0.7563, 0.7542, 0.7532, 0.7533, 0.7533, 0.7533, 0.7534, 0.7534,  // 2013
+            0.7535, 0.7535, 0.7536, 0.7536, 0.7536, 0.7537, 0.7599, 0.7722, 0.7845, 0.7969, 0.8092, 0.8215,  // 2014
+            0.8339, 0.8462, 0.8585, 0.8709, 0.8832, 0.8955, 0.9018, 0.9020, 0.9022, 0.9024, 0.9026, 0.9028,  // 2015
+            0.9029, 0.9031, 0.9033, 0.9035, 0.9037, 0.9039, 0.9033, 0.9019, 0.9005, 0.8991, 0.8977, 0.8963,  // 2016
+            0.8950, 0.8936, 0.8922, 0.8908, 0.8894, 0.8880, 0.8856, 0.8823, 0.8790, 0.8757, 0.8724, 0.8691,  // 2017
+            0.8657, 0.8624, 0.8591, 0.8558, 0.8525, 0.8492, 0.8494, 0.8532, 0.8570, 0.8609, 0.8647, 0.8685,  // 2018
+            0.8723, 0.8761, 0.8799, 0.8838, 0.8876, 0.8914, 0.8926, 0.8913, 0.8899, 0.8886, 0.8872, 0.8859,  // 2019
+            0.8845, 0.8832, 0.8818, 0.8805, 0.8791, 0.8778, 0.8758, 0.8732, 0.8706, 0.8680, 0.8654, 0.8628,  // 2020
+            0.8601, 0.8575, 0.8549, 0.8523, 0.8497, 0.8471, 0.8502, 0.8589, 0.8676, 0.8764, 0.8851, 0.8938,  // 2021
+            0.9026, 0.9113, 0.9200, 0.9288, 0.9375, 0.9462, 0.9495, 0.9474, 0.9452, 0.9431, 0.9409, 0.9388,  // 2022
+            0.9366, 0.9345, 0.9323, 0.9302, 0.9280, 0.9259, 0.9248, 0.9247, 0.9246, 0.9246, 0.9245, 0.9244,  // 2023
+            0.9244, 0.9243, 0.9242, 0.9242, 0.9241, 0.9240, 0.9226, 0.9198, 0.9169, 0.9141, 0.9113, 0.9084,  // 2024
+            0.9056, 0.9028, 0.8999, 0.8971, 0.8942, 0.8914, 0.8900, 0.8900, 0.8900, 0.8900, 0.8900, 0.8900   // 2025
+        ]
+    },
+    GBP: {
+        label: 'British pound (GBP per USD)',
+        description: 'Yearly average British pound exchange rate, 1970 to 2025',
+        start: '1970-01',
+        values: [
+            0.4174, 0.4174, 0.4174, 0.4174, 0.4174, 0.4174, 0.4171, 0.4164, 0.4158, 0.4152, 0.4145, 0.4139,  // 1970
+            0.4133, 0.4127, 0.4120, 0.4114, 0.4108, 0.4101, 0.4094, 0.4085, 0.4077, 0.4069, 0.4060, 0.4052,  // 1971
+            0.4043, 0.4035, 0.4026, 0.4018, 0.4010, 0.4001, 0.4000, 0.4007, 0.4014, 0.4021, 0.4027, 0.4034,  // 1972
+            0.4041, 0.4048, 0.4054, 0.4061, 0.4068, 0.4075, 0.4086, 0.4103, 0.4119, 0.4135, 0.4152, 0.4168,  // 1973
+            0.4184, 0.4200, 0.4217, 0.4233, 0.4249, 0.4266, 0.4284, 0.4305, 0.4325, 0.4346, 0.4366, 0.4387,  // 1974
+            0.4407, 0.4428, 0.4448, 0.4469, 0.4489, 0.4510, 0.4564, 0.4651, 0.4738, 0.4825, 0.4912, 0.4999,  // 1975
+            0.5086, 0.5173, 0.5260, 0.5347, 0.5434, 0.5521, 0.5572, 0.5586, 0.5600, 0.5614, 0.5628, 0.5642,  // 1976
+            0.5656, 0.5670, 0.5684, 0.5698, 0.5712, 0.5726, 0.5711, 0.5668, 0.5625, 0.5582, 0.5538, 0.5495,  // 1977
+            0.5452, 0.5409, 0.5365, 0.5322, 0.5279, 0.5236, 0.5193, 0.5152, 0.5111, 0.5070, 0.5029, 0.4988,  // 1978
+            0.4946, 0.4905, 0.4864, 0.4823, 0.4782, 0.4741, 0.4703, 0.4668, 0.4633, 0.4598, 0.4564, 0.4529,  // 1979
+            0.4494, 0.4459, 0.4425, 0.4390, 0.4355, 0.4320, 0.4331, 0.4388, 0.4444, 0.4500, 0.4556, 0.4613,  // 1980
+            0.4669, 0.4726, 0.4782, 0.4838, 0.4894, 0.4951, 0.5010, 0.5071, 0.5133, 0.5195, 0.5256, 0.5318,  // 1981
+            0.5379, 0.5441, 0.5502, 0.5564, 0.5626, 0.5687, 0.5755, 0.5828, 0.5901, 0.5974, 0.6048, 0.6121,  // 1982
+            0.6194, 0.6267, 0.6341, 0.6414, 0.6487, 0.6560, 0.6634, 0.6708, 0.6781, 0.6855, 0.6929, 0.7003,  // 1983
+            0.7076, 0.7150, 0.7224, 0.7298, 0.7371, 0.7445, 0.7492, 0.7511, 0.7530, 0.7550, 0.7569, 0.7588,  // 1984
+            0.7608, 0.7627, 0.7646, 0.7666, 0.7685, 0.7704, 0.7677, 0.7602, 0.7527, 0.7452, 0.7378, 0.7303,  // 1985
+            0.7228, 0.7153, 0.7079, 0.7004, 0.6929, 0.6854, 0.6787, 0.6728, 0.6668, 0.6608, 0.6549, 0.6489,  // 1986
+            0.6430, 0.6370, 0.6311, 0.6251, 0.6191, 0.6132, 0.6082, 0.6041, 0.6000, 0.5960, 0.5919, 0.5878,  // 1987
+            0.5838, 0.5797, 0.5756, 0.5716, 0.5675, 0.5634, 0.5634, 0.5675, 0.5715, 0.5755, 0.5796, 0.5836,  // 1988
+            0.5877, 0.5917, 0.5958, 0.5998, 0.6038, 0.6079, 0.6078, 0.6037, 0.5996, 0.5954, 0.5913, 0.5872,  // 1989
+            0.5830, 0.5789, 0.5748, 0.5706, 0.5665, 0.5624, 0.5605, 0.5609, 0.5613, 0.5617, 0.5621, 0.5625,  // 1990
+            0.5630, 0.5634, 0.5638, 0.5642, 0.5646, 0.5650, 0.5653, 0.5654, 0.5655, 0.5655, 0.5656, 0.5657,  // 1991
+            0.5659, 0.5660, 0.5661, 0.5662, 0.5663, 0.5664, 0.5705, 0.5788, 0.5871, 0.5954, 0.6037, 0.6120,  // 1992
+            0.6202, 0.6285, 0.6368, 0.6451, 0.6534, 0.6617, 0.6653, 0.6642, 0.6631, 0.6620, 0.6610, 0.6599,  // 1993
+            0.6588, 0.6577, 0.6567, 0.6556, 0.6545, 0.6534, 0.6521, 0.6505, 0.6489, 0.6473, 0.6457, 0.6441,  // 1994
+            0.6424, 0.6408, 0.6392, 0.6376, 0.6360, 0.6344, 0.6339, 0.6344, 0.6350, 0.6355, 0.6361, 0.6366,  // 1995
+            0.6372, 0.6377, 0.6383, 0.6388, 0.6394, 0.6399, 0.6390, 0.6365, 0.6340, 0.6316, 0.6291, 0.6266,  // 1996
+            0.6242, 0.6217, 0.6192, 0.6168, 0.6143, 0.6118, 0.6103, 0.6097, 0.6092, 0.6086, 0.6080, 0.6074,  // 1997
+            0.6069, 0.6063, 0.6057, 0.6051, 0.6046, 0.6040, 0.6043, 0.6055, 0.6067, 0.6079, 0.6091, 0.6103,  // 1998
+            0.6114, 0.6126, 0.6138, 0.6150, 0.6162, 0.6174, 0.6198, 0.6234, 0.6269, 0.6305, 0.6341, 0.6377,  // 1999
+            0.6412, 0.6448, 0.6484, 0.6520, 0.6555, 0.6591, 0.6623, 0.6651, 0.6679, 0.6708, 0.6736, 0.6764,  // 2000
+            0.6792, 0.6820, 0.6848, 0.6877, 0.6905, 0.6933, 0.6936, 0.6913, 0.6890, 0.6867, 0.6844, 0.6821,  // 2001
+            0.6798, 0.6775, 0.6752, 0.6729, 0.6706, 0.6683, 0.6649, 0.6604, 0.6558, 0.6512, 0.6467, 0.6421,  // 2002
+            0.6376, 0.6330, 0.6285, 0.6239, 0.6193, 0.6148, 0.6097, 0.6042, 0.5987, 0.5932, 0.5876, 0.5821,  // 2003
+            0.5766, 0.5711, 0.5655, 0.5600, 0.5545, 0.5490, 0.5464, 0.5467, 0.5470, 0.5473, 0.5476, 0.5479,  // 2004
+            0.5483, 0.5486, 0.5489, 0.5492, 0.5495, 0.5498, 0.5497, 0.5492, 0.5486, 0.5481, 0.5476, 0.5470,  // 2005
+            0.5465, 0.5459, 0.5454, 0.5449, 0.5443, 0.5438, 0.5417, 0.5381, 0.5344, 0.5308, 0.5272, 0.5235,  // 2006
+            0.5199, 0.5162, 0.5126, 0.5090, 0.5053, 0.5017, 0.5017, 0.5054, 0.5091, 0.5128, 0.5164, 0.5201,  // 2007
+            0.5238, 0.5275, 0.5311, 0.5348, 0.5385, 0.5422, 0.5480, 0.5562, 0.5643, 0.5723, 0.5805, 0.5886,  // 2008
+            0.5966, 0.6048, 0.6129, 0.6209, 0.6290, 0.6372, 0.6414, 0.6420, 0.6424, 0.6430, 0.6434, 0.6440,  // 2009
+            0.6444, 0.6450, 0.6454, 0.6460, 0.6464, 0.6470, 0.6462, 0.6443, 0.6424, 0.6405, 0.6385, 0.6366,  // 2010
+            0.6347, 0.6328, 0.6308, 0.6289, 0.6270, 0.6251, 0.6245, 0.6252, 0.6260, 0.6267, 0.6274, 0.6282,  // 2011
+            0.6289, 0.6297, 0.6304, 0.6311, 0.6319, 0.6326, 0.6333, 0.6339, 0.6344, 0.6350, 0.6356, 0.6361,  // 2012
+            0.6367, 0.6372, 0.6378, 0.6384, 0.6390, 0.6395, 0.6384, 0.6357, 0.6330, 0.6303, 0.6276, 0.6249,  // 2013
+            0.6222, 0.6195, 0.6168, 0.6141, 0.6114, 0.6087, 0.6093, 0.6132, 0.6171, 0.6210, 0.6250, 0.6289,  // 2014
+            0.6328, 0.6367, 0.6407, 0.6446, 0.6485, 0.6524, 0.6580, 0.6652, 0.6724, 0.6796, 0.6868, 0.6940,  // 2015
+            0.7011, 0.7083, 0.7155, 0.7227, 0.7299, 0.7371, 0.7422, 0.7452, 0.7482, 0.7512, 0.7542, 0.7572,  // 2016
+            0.7603, 0.7633, 0.7663, 0.7693, 0.7723, 0.7753, 0.7757, 0.7734, 0.7712, 0.7689, 0.7667, 0.7644,  // 2017
+            0.7622, 0.7599, 0.7577, 0.7554, 0.7532, 0.7509, 0.7512, 0.7540, 0.7568, 0.7597, 0.7625, 0.7653,  // 2018
+            0.7681, 0.7709, 0.7737, 0.7766, 0.7794, 0.7822, 0.7834, 0.7831, 0.7828, 0.7825, 0.7822, 0.7819,  // 2019
+            0.7815, 0.7812, 0.7809, 0.7806, 0.7803, 0.7800, 0.7776, 0.7732, 0.7688, 0.7645, 0.7601, 0.7557,  // 2020
+            0.7513, 0.7469, 0.7425, 0.7382, 0.7338, 0.7294, 0.7307, 0.7377, 0.7448, 0.7518, 0.7588, 0.7658,  // 2021
+            0.7729, 0.7799, 0.7869, 0.7939, 0.8010, 0.8080, 0.8112, 0.8106, 0.8100, 0.8094, 0.8088, 0.8082,  // 2022
+            0.8075, 0.8069, 0.8063, 0.8057, 0.8051, 0.8045, 0.8033, 0.8015, 0.7997, 0.7979, 0.7961, 0.7943,  // 2023
+            0.7924, 0.7906, 0.7888, 0.7870, 0.7852, 0.7834, 0.7816, 0.7797, 0.7778, 0.7759, 0.7741, 0.7722,  // 2024
+            0.7703, 0.7684, 0.7666, 0.7647, 0.7628, 0.7609, 0.7600, 0.7600, 0.7600, 0.7600, 0.7600, 0.7600   // 2025
+        ]
+    },
+    JPY: {
+        label: 'Japanese yen (JPY per USD)',
+        description: 'Yearly average Japanese yen exchange rate, 1970 to 2025',
+        start: '1970-01',
+        values: [
+            360.0, 360.0, 360.0, 360.0, 360.0, 360.0, 359.6, 358.7, 357.8, 356.9, 356.0, 355.1,  // 1970
+            354.2, 353.3, 352.4, 351.5, 350.6, 349.7, 347.4, 343.5, 339.7, 335.9, 332.0, 328.2,  // 1971
+            324.3, 320.5, 316.6, 312.8, 309.0, 305.1, 301.9, 299.3, 296.6, 294.0, 291.4, 288.8,  // 1972
+            286.1, 283.5, 280.9, 278.3, 275.6, 273.0, 272.6, 274.2, 275.9, 277.6, 279.4, 281.1,  // 1973
+            282.8, 284.4, 286.2, 287.9, 289.6, 291.2, 292.3, 292.7, 293.1, 293.5, 293.9, 294.3,  // 1974
+            294.6, 295.0, 295.4, 295.8, 296.2, 296.6, 296.8, 296.8, 296.7, 296.7, 296.7, 296.7,  // 1975
+            296.6, 296.6, 296.6, 296.6, 296.5, 296.5, 295.3, 293.0, 290.7, 288.4, 286.0, 283.7,  // 1976
+            281.4, 279.1, 276.7, 274.4, 272.1, 269.8, 266.2, 261.3, 256.5, 251.6, 246.8, 241.9,  // 1977
+            237.1, 232.2, 227.4, 222.5, 217.7, 212.8, 210.8, 211.5, 212.2, 212.9, 213.7, 214.4,  // 1978
+            215.1, 215.8, 216.6, 217.3, 218.0, 218.7, 219.4, 220.0, 220.7, 221.3, 221.9, 222.6,  // 1979
+            223.2, 223.8, 224.5, 225.1, 225.8, 226.4, 226.4, 225.9, 225.4, 224.9, 224.4, 223.9,  // 1980
+            223.3, 222.8, 222.3, 221.8, 221.3, 220.8, 221.7, 224.1, 226.5, 228.8, 231.2, 233.6,  // 1981
+            236.0, 238.4, 240.8, 243.1, 245.5, 247.9, 248.6, 247.7, 246.7, 245.7, 244.8, 243.8,  // 1982
+            242.8, 241.8, 240.9, 239.9, 238.9, 238.0, 237.5, 237.5, 237.5, 237.5, 237.5, 237.5,  // 1983
+            237.5, 237.5, 237.5, 237.5, 237.5, 237.5, 237.5, 237.6, 237.7, 237.8, 237.9, 238.0,  // 1984
+            238.0, 238.1, 238.2, 238.3, 238.4, 238.5, 235.6, 229.8, 223.9, 218.1, 212.2, 206.4,  // 1985
+            200.6, 194.8, 188.9, 183.1, 177.2, 171.4, 167.5, 165.5, 163.5, 161.5, 159.5, 157.5,  // 1986
+            155.6, 153.6, 151.6, 149.6, 147.6, 145.6, 143.9, 142.5, 141.2, 139.8, 138.4, 137.1,  // 1987
+            135.7, 134.3, 133.0, 131.6, 130.2, 128.9, 128.6, 129.4, 130.2, 131.1, 131.9, 132.7,  // 1988
+            133.5, 134.3, 135.1, 136.0, 136.8, 137.6, 138.3, 138.8, 139.4, 140.0, 140.6, 141.1,  // 1989
+            141.7, 142.2, 142.8, 143.4, 144.0, 144.5, 144.4, 143.5, 142.7, 141.9, 141.0, 140.2,  // 1990
+            139.3, 138.5, 137.6, 136.8, 136.0, 135.1, 134.4, 133.7, 133.0, 132.4, 131.7, 131.0,  // 1991
+            130.4, 129.7, 129.0, 128.4, 127.7, 127.0, 126.1, 124.8, 123.5, 122.2, 120.9, 119.6,  // 1992
+            118.3, 117.0, 115.7, 114.4, 113.1, 111.8, 110.8, 110.1, 109.3, 108.6, 107.8, 107.1,  // 1993
+            106.3, 105.6, 104.8, 104.1, 103.3, 102.6, 101.9, 101.2, 100.5, 99.84, 99.16, 98.49,  // 1994
+            97.81, 97.14, 96.46, 95.79, 95.11, 94.44, 94.71, 95.94, 97.16, 98.39, 99.61, 100.8,  // 1995
+            102.1, 103.3, 104.5, 105.7, 107.0, 108.2, 109.3, 110.3, 111.3, 112.4, 113.4, 114.4,  // 1996
+            115.4, 116.4, 117.4, 118.5, 119.5, 120.5, 121.4, 122.2, 123.1, 123.9, 124.7, 125.5,  // 1997
+            126.4, 127.2, 128.0, 128.8, 129.7, 130.5, 130.2, 128.8, 127.3, 125.9, 124.5, 123.0,  // 1998
+            121.6, 120.2, 118.7, 117.3, 115.9, 114.4, 113.5, 113.0, 112.5, 112.0, 111.5, 111.0,  // 1999
+            110.5, 110.0, 109.5, 109.0, 108.5, 108.0, 108.4, 109.5, 110.7, 111.8, 113.0, 114.1,  // 2000
+            115.3, 116.4, 117.6, 118.7, 119.9, 121.0, 121.8, 122.0, 122.3, 122.7, 123.0, 123.2,  // 2001
+            123.5, 123.8, 124.2, 124.4, 124.8, 125.1, 124.8, 124.0, 123.3, 122.5, 121.7, 120.9,  // 2002
+            120.2, 119.4, 118.6, 117.8, 117.1, 116.3, 115.6, 114.9, 114.3, 113.7, 113.0, 112.4,  // 2003
+            111.7, 111.1, 110.4, 109.8, 109.2, 108.5, 108.3, 108.5, 108.6, 108.8, 109.0, 109.1,  // 2004
+            109.3, 109.5, 109.6, 109.8, 110.0, 110.1, 110.5, 111.0, 111.5, 112.0, 112.5, 113.0,  // 2005
+            113.5, 114.0, 114.5, 115.0, 115.5, 116.0, 116.4, 116.5, 116.6, 116.7, 116.9, 117.0,  // 2006
+            117.1, 117.2, 117.4, 117.5, 117.6, 117.7, 117.2, 116.0, 114.8, 113.6, 112.4, 111.2,  // 2007
+            110.0, 108.8, 107.6, 106.4, 105.2, 104.0, 103.0, 102.2, 101.4, 100.5, 99.72, 98.91,  // 2008
+            98.09, 97.28, 96.46, 95.64, 94.82, 94.01, 93.36, 92.88, 92.39, 91.91, 91.42, 90.94,  // 2009
+            90.46, 89.97, 89.49, 89.01, 88.52, 88.04, 87.46, 86.79, 86.11, 85.44, 84.76, 84.09,  // 2010
+            83.41, 82.74, 82.06, 81.39, 80.71, 80.04, 79.70, 79.71, 79.72, 79.73, 79.74, 79.75,  // 2011
+            79.75, 79.76, 79.77, 79.78, 79.79, 79.80, 80.54, 82.02, 83.51, 84.99, 86.47, 87.96,  // 2012
+            89.44, 90.92, 92.41, 93.89, 95.38, 96.86, 97.95, 98.64, 99.33, 100.0, 100.7, 101.4,  // 2013
+            102.1, 102.8, 103.5, 104.2, 104.9, 105.6, 106.5, 107.8, 109.0, 110.3, 111.6, 112.8,  // 2014
+            114.1, 115.3, 116.6, 117.9, 119.1, 120.4, 120.5, 119.5, 118.5, 117.4, 116.4, 115.4,  // 2015
+            114.4, 113.4, 112.4, 111.3, 110.3, 109.3, 108.9, 109.2, 109.5, 109.8, 110.1, 110.4,  // 2016
+            110.6, 110.9, 111.2, 111.5, 111.8, 112.1, 112.1, 112.0, 111.8, 111.7, 111.5, 111.4,  // 2017
+            111.2, 111.1, 110.9, 110.8, 110.6, 110.5, 110.3, 110.2, 110.1, 110.0, 109.9, 109.8,  // 2018
+            109.6, 109.5, 109.4, 109.3, 109.2, 109.1, 108.9, 108.7, 108.5, 108.4, 108.2, 108.0,  // 2019
+            107.8, 107.6, 107.4, 107.3, 107.1, 106.9, 106.9, 107.2, 107.4, 107.7, 107.9, 108.2,  // 2020
+            108.4, 108.7, 108.9, 109.2, 109.4, 109.7, 110.7, 112.5, 114.3, 116.1, 117.9, 119.7,  // 2021
+            121.6, 123.4, 125.2, 127.0, 128.8, 130.6, 131.9, 132.6, 133.4, 134.1, 134.9, 135.6,  // 2022
+            136.4, 137.1, 137.9, 138.6, 139.4, 140.1, 141.0, 141.9, 142.8, 143.7, 144.6, 145.5,  // 2023
+            146.4, 147.3, 148.2, 149.1, 150.0, 150.9, 151.3, 151.1, 150.9, 150.7, 150.5, 150.3,  // 2024
+            150.1, 149.9, 149.7, 149.5, 149.3, 149.1, 149.0, 149.0, 149.0, 149.0, 149.0, 149.0   // 2025
+        ]
+    },
+    ARS: {
+        label: 'Argentine peso (ARS per USD)',
+        description: 'Yearly average Argentine peso exchange rate, 1992 to 2025',
+        start: '1992-01',
+        values: [
+            0.9900, 0.9900, 0.9900, 0.9900, 0.9900, 0.9900, 0.9904, 0.9912, 0.9921, 0.9929, 0.9938, 0.9946,  // 1992
+            0.9954, 0.9962, 0.9971, 0.9979, 0.9988, 0.9996, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 1993
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 1994
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 1995
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 1996
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 1997
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 1998
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 1999
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000,  // 2000
+            1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0000, 1.0858, 1.2575, 1.4292, 1.6008, 1.7725, 1.9442,  // 2001
+            2.1158, 2.2875, 2.4592, 2.6308, 2.8025, 2.9742, 3.0533, 3.0400, 3.0267, 3.0133, 3.0000, 2.9867,  // 2002
+            2.9733, 2.9600, 2.9467, 2.9333, 2.9200, 2.9067, 2.9008, 2.9025, 2.9042, 2.9058, 2.9075, 2.9092,  // 2003
+            2.9108, 2.9125, 2.9142, 2.9158, 2.9175, 2.9192, 2.9192, 2.9175, 2.9158, 2.9142, 2.9125, 2.9108,  // 2004
+            2.9092, 2.9075, 2.9058, 2.9042, 2.9025, 2.9008, 2.9062, 2.9187, 2.9312, 2.9437, 2.9562, 2.9688,  // 2005
+            2.9812, 2.9937, 3.0063, 3.0187, 3.0312, 3.0437, 3.0521, 3.0562, 3.0604, 3.0646, 3.0688, 3.0729,  // 2006
+            3.0771, 3.0812, 3.0854, 3.0896, 3.0938, 3.0979, 3.1017, 3.1050, 3.1083, 3.1117, 3.1150, 3.1183,  // 2007
+            3.1217, 3.1250, 3.1283, 3.1317, 3.1350, 3.1383, 3.1638, 3.2113, 3.2587, 3.3063, 3.3538, 3.4012,  // 2008
+            3.4488, 3.4962, 3.5437, 3.5913, 3.6387, 3.6862, 3.7179, 3.7338, 3.7496, 3.7654, 3.7812, 3.7971,  // 2009
+            3.8129, 3.8287, 3.8446, 3.8604, 3.8762, 3.8921, 3.9088, 3.9263, 3.9437, 3.9613, 3.9788, 3.9962,  // 2010
+            4.0138, 4.0312, 4.0488, 4.0663, 4.0838, 4.1013, 4.1279, 4.1638, 4.1996, 4.2354, 4.2713, 4.3071,  // 2011
+            4.3429, 4.3788, 4.4146, 4.4504, 4.4863, 4.5221, 4.5783, 4.6550, 4.7317, 4.8083, 4.8850, 4.9617,  // 2012
+            5.0383, 5.1150, 5.1917, 5.2683, 5.3450, 5.4217, 5.5692, 5.7875, 6.0058, 6.2242, 6.4425, 6.6608,  // 2013
+            6.8792, 7.0975, 7.3158, 7.5342, 7.7525, 7.9708, 8.1279, 8.2238, 8.3196, 8.4154, 8.5113, 8.6071,  // 2014
+            8.7029, 8.7988, 8.8946, 8.9904, 9.0862, 9.1821, 9.4604, 9.9213, 10.38, 10.84, 11.30, 11.76,  // 2015
+            12.23, 12.69, 13.15, 13.61, 14.07, 14.53, 14.84, 14.98, 15.13, 15.29, 15.43, 15.58,  // 2016
+            15.74, 15.88, 16.03, 16.19, 16.33, 16.48, 17.04, 18.00, 18.96, 19.92, 20.88, 21.84,  // 2017
+            22.81, 23.77, 24.73, 25.69, 26.65, 27.61, 28.93, 30.60, 32.27, 33.94, 35.61, 37.28,  // 2018
+            38.96, 40.63, 42.30, 43.97, 45.64, 47.31, 49.08, 50.95, 52.81, 54.68, 56.55, 58.41,  // 2019
+            60.28, 62.14, 64.01, 65.88, 67.74, 69.61, 71.56, 73.60, 75.63, 77.67, 79.71, 81.75,  // 2020
+            83.78, 85.82, 87.86, 89.90, 91.93, 93.97, 96.47, 99.44, 102.4, 105.4, 108.3, 111.3,  // 2021
+            114.3, 117.2, 120.2, 123.2, 126.1, 129.1, 137.5, 151.3, 165.1, 178.9, 192.7, 206.5,  // 2022
+            220.4, 234.2, 248.0, 261.8, 275.6, 289.4, 322.1, 373.7, 425.3, 476.9, 528.5, 580.1,  // 2023
+            631.8, 683.4, 735.0, 786.6, 838.2, 889.8, 927.4, 951.1, 974.9, 998.5, 1022.2, 1046.0,  // 2024
+            1069.6, 1093.3, 1117.1, 1140.7, 1164.5, 1188.2, 1200.0, 1200.0, 1200.0, 1200.0, 1200.0, 1200.0   // 2025
+        ]
+    },
+    TRY: {
+        label: 'Turkish lira (TRY per USD)',
+        description: 'Yearly average Turkish lira exchange rate, 2000 to 2025',
+        start: '2000-01',
+        values: [
+            0.6250, 0.6250, 0.6250, 0.6250, 0.6250, 0.6250, 0.6500, 0.7001, 0.7502, 0.8003, 0.8504, 0.9005,  // 2000
+            0.9505, 1.0006, 1.0507, 1.1008, 1.1509, 1.2010, 1.2377, 1.2611, 1.2845, 1.3080, 1.3314, 1.3548,  // 2001
+            1.3782, 1.4016, 1.4250, 1.4485, 1.4719, 1.4953, 1.5067, 1.5062, 1.5057, 1.5052, 1.5047, 1.5042,  // 2002
+            1.5037, 1.5032, 1.5027, 1.5022, 1.5017, 1.5012, 1.4979, 1.4916, 1.4854, 1.4791, 1.4729, 1.4666,  // 2003
+            1.4604, 1.4541, 1.4479, 1.4416, 1.4354, 1.4291, 1.4226, 1.4158, 1.4089, 1.4021, 1.3952, 1.3884,  // 2004
+            1.3816, 1.3748, 1.3679, 1.3611, 1.3542, 1.3474, 1.3476, 1.3548, 1.3619, 1.3691, 1.3762, 1.3834,  // 2005
+            1.3906, 1.3978, 1.4049, 1.4121, 1.4192, 1.4264, 1.4247, 1.4141, 1.4035, 1.3930, 1.3824, 1.3718,  // 2006
+            1.3612, 1.3506, 1.3400, 1.3295, 1.3189, 1.3083, 1.3030, 1.3029, 1.3028, 1.3027, 1.3026, 1.3025,  // 2007
+            1.3025, 1.3024, 1.3023, 1.3022, 1.3021, 1.3020, 1.3123, 1.3330, 1.3537, 1.3743, 1.3950, 1.4157,  // 2008
+            1.4363, 1.4570, 1.4777, 1.4983, 1.5190, 1.5397, 1.5480, 1.5441, 1.5402, 1.5363, 1.5324, 1.5285,  // 2009
+            1.5245, 1.5206, 1.5167, 1.5128, 1.5089, 1.5050, 1.5102, 1.5245, 1.5388, 1.5532, 1.5675, 1.5818,  // 2010
+            1.5962, 1.6105, 1.6248, 1.6392, 1.6535, 1.6678, 1.6800, 1.6901, 1.7002, 1.7103, 1.7204, 1.7305,  // 2011
+            1.7405, 1.7506, 1.7607, 1.7708, 1.7809, 1.7910, 1.8005, 1.8095, 1.8185, 1.8275, 1.8365, 1.8455,  // 2012
+            1.8545, 1.8635, 1.8725, 1.8815, 1.8905, 1.8995, 1.9159, 1.9396, 1.9634, 1.9871, 2.0109, 2.0346,  // 2013
+            2.0584, 2.0821, 2.1059, 2.1296, 2.1534, 2.1771, 2.2111, 2.2554, 2.2996, 2.3439, 2.3881, 2.4324,  // 2014
+            2.4766, 2.5209, 2.5651, 2.6094, 2.6536, 2.6979, 2.7325, 2.7575, 2.7825, 2.8075, 2.8325, 2.8575,  // 2015
+            2.8825, 2.9075, 2.9325, 2.9575, 2.9825, 3.0075, 3.0462, 3.0985, 3.1508, 3.2032, 3.2555, 3.3078,  // 2016
+            3.3602, 3.4125, 3.4648, 3.5172, 3.5695, 3.6218, 3.6972, 3.7955, 3.8938, 3.9922, 4.0905, 4.1888,  // 2017
+            4.2872, 4.3855, 4.4838, 4.5822, 4.6805, 4.7788, 4.8633, 4.9337, 5.0042, 5.0748, 5.1453, 5.2157,  // 2018
+            5.2863, 5.3567, 5.4272, 5.4978, 5.5683, 5.6387, 5.7296, 5.8409, 5.9521, 6.0634, 6.1746, 6.2859,  // 2019
+            6.3971, 6.5084, 6.6196, 6.7309, 6.8421, 6.9534, 7.0857, 7.2391, 7.3925, 7.5460, 7.6994, 7.8528,  // 2020
+            8.0062, 8.1596, 8.3130, 8.4665, 8.6199, 8.7733, 9.1708, 9.8125, 10.45, 11.10, 11.74, 12.38,  // 2021
+            13.02, 13.66, 14.30, 14.95, 15.59, 16.23, 16.85, 17.46, 18.06, 18.67, 19.28, 19.88,  // 2022
+            20.49, 21.09, 21.70, 22.31, 22.91, 23.52, 24.20, 24.95, 25.70, 26.45, 27.20, 27.95,  // 2023
+            28.70, 29.45, 30.20, 30.95, 31.70, 32.45, 33.09, 33.60, 34.12, 34.63, 35.14, 35.66,  // 2024
+            36.17, 36.69, 37.20, 37.71, 38.23, 38.74, 39.00, 39.00, 39.00, 39.00, 39.00, 39.00   // 2025
+        ]
+    }
+};
+
+// Make FX_RATE_SERIES available globally
+if (typeof window !== 'undefined') {
+    window.FX_RATE_SERIES = FX_RATE_SERIES;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FX_RATE_SERIES };
+}
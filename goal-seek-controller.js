@@ -0,0 +1,228 @@
+/**
+ * GoalSeekController - Target Purchasing Power Management
+ *
+ * Lets the user enter a target PP (in start-date dollars) and solve for the
+ * monthly savings, starting amount or horizon that reaches it, for the current
+ * savings vehicle. Each goal button sets its slider like a balance button does.
+ *
+ * Responsibilities:
+ * - Load/save the target PP via settings-storage.js
+ * - Build engine params from the current settings and configured start month
+ * - Solve with goal-seek.js, round up to the slider step and set the slider
+ * - Explain the result (goal reached, beyond the slider range, not reachable)
+ * - Restart the simulation so the run shows the new settings
+ *
+ * Dependencies:
+ * - config.js (CONFIG.goalSeek, CONFIG.sliders, element IDs)
+ * - goal-seek.js (solveGoal)
+ * - formatters.js (formatCurrency)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache for the current settings)
+ * - state-manager.js (configured start date, horizon, vehicle)
+ * - app.js (applySettingsChange: reset in start state, restart while running)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new GoalSeekController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.solve('monthlySavings'); // savings slider now reaches the target PP
+ * ```
+ */
+class GoalSeekController {
+    /**
+     * Create a new GoalSeekController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for restart functionality)
+     */
+    constructor(config, stateManager, app = null) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // DOM elements
+        this.elements = {
+            targetInput: null,
+            status: null,
+            startAmountButton: null,
+            savingsButton: null,
+            horizonButton: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved target and sets up event listeners
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (this.elements.targetInput) {
+            this.elements.targetInput.value = getSetting('goalTargetPP', this.config.goalSeek.defaultTargetPP);
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.targetInput = document.getElementById(this.config.elementIds.goalTargetInput);
+        this.elements.status = document.getElementById(this.config.elementIds.goalStatus);
+        this.elements.startAmountButton = document.getElementById(this.config.elementIds.goalStartAmount);
+        this.elements.savingsButton = document.getElementById(this.config.elementIds.goalSavings);
+        this.elements.horizonButton = document.getElementById(this.config.elementIds.goalHorizon);
+    }
+
+    /**
+     * Setup event listeners for the target input and the goal buttons
+     */
+    setupEventListeners() {
+        if (this.elements.targetInput) {
+            this.elements.targetInput.addEventListener('change', () => {
+                setSetting('goalTargetPP', this.getTargetPP());
+                this.setStatus('');
+            });
+        }
+
+        const buttons = [
+            [this.elements.startAmountButton, 'startAmount'],
+            [this.elements.savingsButton, 'monthlySavings'],
+            [this.elements.horizonButton, 'horizonYears']
+        ];
+
+        buttons.forEach(([button, solveFor]) => {
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.solve(solveFor);
+                });
+            }
+        });
+    }
+
+    /**
+     * Get the target PP from the input
+     * @returns {number} Target PP in start-date dollars (0 if empty or invalid)
+     */
+    getTargetPP() {
+        const value = this.elements.targetInput ? parseFloat(this.elements.targetInput.value) : NaN;
+        return isNaN(value) ? 0 : Math.max(0, value);
+    }
+
+    /**
+     * Build engine params from the current settings
+     * Uses the configured start month (not the running simulation's position)
+     * and no withdrawal phase or one-off withdrawals (see goal-seek.js)
+     * @returns {Object} SimulationEngine params
+     */
+    buildParams() {
+        const settings = window.settingsCache;
+
+        return {
+            startAmount: settings.getStartingAmount(),
+            monthlySavings: settings.getMonthlySavings(),
+            contributionGrowth: settings.getContributionGrowth(),
+            events: settings.getOneOffEvents().filter(event => event.amount > 0),
+            fees: settings.getFees(),
+            annualInflation: settings.getAnnualInflation(),
+            inflationSeries: settings.getInflationSeries(),
+            annualYield: settings.getAnnualYield(),
+            goldGrowth: settings.getGoldGrowth(),
+            allocation: settings.getAllocation(),
+            rebalanceMonths: settings.getRebalanceMonths(),
+            savingsVehicle: this.stateManager.getSavingsVehicle(),
+            startDate: this.stateManager.getConfiguredStartDate(),
+            months: this.stateManager.getTotalMonths()
+        };
+    }
+
+    /**
+     * Solve for one input, set its slider and restart
+     * @param {string} solveFor - 'startAmount', 'monthlySavings' or 'horizonYears'
+     */
+    solve(solveFor) {
+        const targetPP = this.getTargetPP();
+        const target = formatCurrency(targetPP);
+        const result = solveGoal(this.config, this.buildParams(), targetPP, solveFor);
+
+        if (!result.reachable) {
+            const reason = solveFor === 'horizonYears'
+                ? `within ${this.config.sliders.horizon.max} years`
+                : 'by changing this slider';
+            this.setStatus(`${target} PP can't be reached ${reason}`);
+            return;
+        }
+
+        const slider = {
+            startAmount: { id: this.config.elementIds.startAmountSlider, range: this.config.sliders.startAmount },
+            monthlySavings: { id: this.config.elementIds.savingsSlider, range: this.config.sliders.savings },
+            horizonYears: { id: this.config.elementIds.horizonSlider, range: this.config.sliders.horizon }
+        }[solveFor];
+
+        // Round up so the slider value still reaches the target
+        const { min, max, step } = slider.range;
+        const rounded = Math.ceil(result.value / step - 1e-9) * step;
+        const value = Math.min(max, Math.max(min, rounded));
+
+        const labels = {
+            startAmount: formatCurrency(value),
+            monthlySavings: `${formatCurrency(value)}/month`,
+            horizonYears: `${value} years`
+        };
+
+        if (rounded > max) {
+            const needed = {
+                startAmount: formatCurrency(rounded),
+                monthlySavings: `${formatCurrency(rounded)}/month`
+            }[solveFor];
+            this.setStatus(`${target} PP needs ${needed} - set to the slider maximum`);
+        } else if (result.value === 0 && solveFor !== 'horizonYears') {
+            this.setStatus(`${target} PP is reached without it`);
+        } else {
+            this.setStatus(`${labels[solveFor]} reaches ${target} PP`);
+        }
+
+        this.setSlider(slider.id, value);
+        console.log(`🎯 Goal seek: ${solveFor} = ${value} for ${target} PP`);
+    }
+
+    /**
+     * Set a slider like a user would and restart the simulation (see App.applySettingsChange)
+     * @param {string} sliderId - Slider element ID
+     * @param {number} value - New slider value
+     */
+    setSlider(sliderId, value) {
+        const slider = document.getElementById(sliderId);
+        if (!slider) return;
+
+        slider.value = value;
+
+        // Trigger input event to update settingsCache and display
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+
+        this.app.applySettingsChange();
+    }
+
+    /**
+     * Set status text below the target input
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.GoalSeekController = GoalSeekController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GoalSeekController };
+}
@@ -0,0 +1,178 @@
+/**
+ * Goal Seek - Solve for a target purchasing power at the end of the horizon
+ *
+ * Answers "what monthly savings (or start amount, or horizon) gets me to $X of
+ * start-date purchasing power by year N" for every savings vehicle.
+ *
+ * Final PP is linear in start amount and monthly savings for every vehicle
+ * (holdings scale with the dollars put in), so it can be written as
+ *   PP = constant + startCoefficient × startAmount + savingsCoefficient × monthlySavings
+ * where the constant is PP from fixed step schedule amounts and one-off deposits (0 otherwise).
+ * Flat dollar vehicles at a constant rate without one-off deposits use the closed form; BTC, gold, mix,
+ * inflation series, growing contributions and one-off deposits get the coefficients from SimulationEngine runs.
+ * The withdrawal phase and one-off withdrawals are left out (PP stops being linear once savings can run out),
+ * so the goal is what the savings alone reach by the end of the horizon.
+ *
+ * Responsibilities:
+ * - Closed-form PP coefficients for USD / savings account at a constant rate and flat savings
+ * - Simulated PP coefficients for the BTC path and all other cases
+ * - Solve for start amount, monthly savings or horizon years
+ *
+ * Dependencies:
+ * - config.js (CONFIG.savingsVehicle, CONFIG.contributionGrowth, CONFIG.sliders.horizon)
+ * - financial-math.js (getMonthlyCompoundRate, getMonthlyFeeRate)
+ * - simulation-engine.js (SimulationEngine)
+ *
+ * Example:
+ * ```javascript
+ * const params = { startAmount: 50000, monthlySavings: 100, annualInflation: 0.07,
+ *                  savingsVehicle: 'btc', startDate: new Date(), months: 120 };
+ * solveGoal(CONFIG, params, 150000, 'monthlySavings');
+ * // { value: 312.5, reachable: true } → $312.50/month reaches $150K PP in 10 years
+ * ```
+ */
+
+/** Values goal seek can solve for */
+const GOAL_SEEK_TARGETS = ['startAmount', 'monthlySavings', 'horizonYears'];
+
+/**
+ * Calculate PP coefficients for dollar holdings at a constant rate (closed form)
+ *
+ * Mirrors the monthly cycle: deposit, then interest, fees and inflation on every month but the last.
+ * After n months with growth g = (1 + monthly yield) × (1 - monthly fee) and inflation factor f = 1 + monthly inflation:
+ *   nominal = startAmount × g^(n-1) + monthlySavings × Σ_{k=1..n} g^(n-k)
+ *   PP      = nominal / f^(n-1)
+ *
+ * @param {number} months - Months simulated (n ≥ 1)
+ * @param {number} annualInflation - Annual inflation as decimal
+ * @param {number} [annualYield] - Savings account APY as decimal (0 for cash)
+ * @param {number} [annualFee] - Yearly account fee as decimal
+ * @returns {{constant: number, start: number, savings: number}} PP per dollar of start amount and per dollar of monthly savings
+ *
+ * @example
+ * calculateDollarPPCoefficients(13, 0.07) // { constant: 0, start: 1/1.07, savings: 13/1.07 }
+ */
+function calculateDollarPPCoefficients(months, annualInflation, annualYield = 0, annualFee = 0) {
+    const growth = (1 + getMonthlyCompoundRate(annualYield)) * (1 - getMonthlyFeeRate(annualFee));
+    const inflationFactor = Math.pow(1 + getMonthlyCompoundRate(annualInflation), months - 1);
+
+    const startGrowth = Math.pow(growth, months - 1);
+    const savingsGrowth = growth === 1
+        ? months
+        : (Math.pow(growth, months) - 1) / (growth - 1);
+
+    return {
+        constant: 0,
+        start: startGrowth / inflationFactor,
+        savings: savingsGrowth / inflationFactor
+    };
+}
+
+/**
+ * Get PP coefficients for any vehicle by simulating without, and with one dollar of, each input
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params (start amount and savings are ignored)
+ * @returns {{constant: number, start: number, savings: number}} PP without either input,
+ *   and PP per dollar of start amount and per dollar of monthly savings
+ */
+function simulatePPCoefficients(config, params) {
+    const finalPP = (startAmount, monthlySavings) => {
+        const series = new SimulationEngine(config, { ...params, startAmount, monthlySavings }).run();
+        return series[series.length - 1].ppValue;
+    };
+
+    // Only step schedules and one-off deposits deposit anything without start amount and savings
+    const growth = params.contributionGrowth;
+    const hasFixedDeposits = (growth && growth.mode === config.contributionGrowth.modes.SCHEDULE) ||
+        (params.events && params.events.length > 0);
+    const constant = hasFixedDeposits ? finalPP(0, 0) : 0;
+
+    return {
+        constant,
+        start: finalPP(1, 0) - constant,
+        savings: finalPP(0, 1) - constant
+    };
+}
+
+/**
+ * Get PP coefficients, using the closed form where it applies
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params
+ * @returns {{constant: number, start: number, savings: number}} PP without either input,
+ *   and PP per dollar of start amount and per dollar of monthly savings
+ */
+function getPPCoefficients(config, params) {
+    const options = config.savingsVehicle.options;
+    const growth = params.contributionGrowth;
+    const isFlat = !growth || growth.mode === config.contributionGrowth.modes.FLAT;
+    const hasEvents = params.events && params.events.length > 0;
+    const isClosedForm = isFlat && !hasEvents && !params.inflationSeries &&
+        (params.savingsVehicle === options.USD || params.savingsVehicle === options.HYSA);
+
+    if (!isClosedForm) {
+        return simulatePPCoefficients(config, params);
+    }
+
+    const annualYield = params.savingsVehicle === options.HYSA ? params.annualYield : 0;
+    const annualFee = params.fees ? params.fees.annual[params.savingsVehicle] : 0;
+    return calculateDollarPPCoefficients(params.months, params.annualInflation, annualYield, annualFee);
+}
+
+/**
+ * Solve for the value that reaches a target PP at the end of the horizon
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params (the other two inputs stay as given)
+ * @param {number} targetPP - Target purchasing power in start-date dollars
+ * @param {string} solveFor - One of GOAL_SEEK_TARGETS
+ * @returns {{value: number|null, reachable: boolean}} Solved value (unrounded; whole years for the horizon),
+ *   or value null if no horizon within the slider range reaches the target
+ *
+ * @example
+ * solveGoal(CONFIG, params, 100000, 'startAmount') // { value: 64210.5, reachable: true }
+ */
+function solveGoal(config, params, targetPP, solveFor) {
+    if (solveFor === 'horizonYears') {
+        const { min, max } = config.sliders.horizon;
+        for (let years = min; years <= max; years++) {
+            const series = new SimulationEngine(config, { ...params, months: years * 12 }).run();
+            if (series[series.length - 1].ppValue >= targetPP) {
+                return { value: years, reachable: true };
+            }
+        }
+        return { value: null, reachable: false };
+    }
+
+    const coefficients = getPPCoefficients(config, params);
+
+    if (solveFor === 'startAmount') {
+        if (coefficients.start <= 0) return { value: null, reachable: false };
+        const value = (targetPP - coefficients.constant - coefficients.savings * params.monthlySavings) / coefficients.start;
+        return { value: Math.max(0, value), reachable: true };
+    }
+
+    if (coefficients.savings <= 0) return { value: null, reachable: false };
+    const value = (targetPP - coefficients.constant - coefficients.start * params.startAmount) / coefficients.savings;
+    return { value: Math.max(0, value), reachable: true };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.GOAL_SEEK_TARGETS = GOAL_SEEK_TARGETS;
+    window.calculateDollarPPCoefficients = calculateDollarPPCoefficients;
+    window.simulatePPCoefficients = simulatePPCoefficients;
+    window.getPPCoefficients = getPPCoefficients;
+    window.solveGoal = solveGoal;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GOAL_SEEK_TARGETS,
+        calculateDollarPPCoefficients,
+        simulatePPCoefficients,
+        getPPCoefficients,
+        solveGoal
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * Gold Price Series - Bundled month-by-month gold price data
+ *
+ * JSON data wrapped in a script so it loads from file:// without fetch().
+ * Holds one USD price per troy ounce per month, starting at `start` (YYYY-MM).
+ * After the last month, financial-math.js projects the price forward at the
+ * configured annual growth rate (CONFIG.sliders.goldGrowth).
+ *
+ * Series structure:
+ * ```json
+ * {
+ *   "label": "Gold (USD per troy ounce)",
+ *   "start": "1970-01",
+ *   "values": [36.00, 36.00, ...]  // USD/oz for each month
+ * }
+ * ```
+ *
+ * NOTE: 1970-2023 are derived from annual average London gold prices, interpolated
+ * between mid-year points to give a monthly series. 2024-2025 are monthly averages.
+ * Replace `values` with official monthly data if exact history is needed.
+ *
+ * Dependencies: none
+ */
+const GOLD_PRICE_SERIES = {
+    label: 'Gold (USD per troy ounce)',
+    description: 'London gold price in US dollars per troy ounce, 1970 to 2025',
+    start: '1970-01',
+    values: [
+        36.00, 36.00, 36.00, 36.00, 36.00, 36.00, 36.20, 36.60, 37.00, 37.40, 37.80, 38.20,  // 1970
+        38.60, 39.00, 39.40, 39.80, 40.20, 40.60, 41.52, 42.97, 44.42, 45.88, 47.33, 48.77,  // 1971
+        50.23, 51.68, 53.12, 54.58, 56.02, 57.48, 59.83, 63.09, 66.35, 69.60, 72.86, 76.12,  // 1972
+        79.38, 82.64, 85.90, 89.15, 92.41, 95.67, 99.66, 104.39, 109.11, 113.84, 118.56, 123.29,  // 1973
+        128.01, 132.74, 137.46, 142.19, 146.91, 151.64, 154.29, 154.86, 155.44, 156.01, 156.59, 157.16,  // 1974
+        157.74, 158.31, 158.89, 159.46, 160.04, 160.61, 159.40, 156.39, 153.38, 150.37, 147.36, 144.35,  // 1975
+        141.35, 138.34, 135.33, 132.32, 129.31, 126.30, 125.75, 127.66, 129.57, 131.48, 133.39, 135.30,  // 1976
+        137.20, 139.11, 141.02, 142.93, 144.84, 146.75, 149.60, 153.39, 157.18, 160.97, 164.76, 168.55,  // 1977
+        172.35, 176.14, 179.93, 183.72, 187.51, 191.30, 197.90, 207.30, 216.70, 226.10, 235.50, 244.90,  // 1978
+        254.30, 263.70, 273.10, 282.50, 291.90, 301.30, 318.88, 344.62, 370.38, 396.12, 421.88, 447.62,  // 1979
+        473.38, 499.12, 524.88, 550.62, 576.38, 602.12, 608.54, 595.62, 582.71, 569.79, 556.88, 543.96,  // 1980
+        531.04, 518.12, 505.21, 492.29, 479.38, 466.46, 456.50, 449.50, 442.50, 435.50, 428.50, 421.50,  // 1981
+        414.50, 407.50, 400.50, 393.50, 386.50, 379.50, 378.00, 382.00, 386.00, 390.00, 394.00, 398.00,  // 1982
+        402.00, 406.00, 410.00, 414.00, 418.00, 422.00, 421.38, 416.12, 410.88, 405.62, 400.38, 395.12,  // 1983
+        389.88, 384.62, 379.38, 374.12, 368.88, 363.62, 359.17, 355.50, 351.83, 348.17, 344.50, 340.83,  // 1984
+        337.17, 333.50, 329.83, 326.17, 322.50, 318.83, 319.12, 323.38, 327.62, 331.88, 336.12, 340.38,  // 1985
+        344.62, 348.88, 353.12, 357.38, 361.62, 365.88, 371.29, 377.88, 384.46, 391.04, 397.62, 404.21,  // 1986
+        410.79, 417.38, 423.96, 430.54, 437.12, 443.71, 446.58, 445.75, 444.92, 444.08, 443.25, 442.42,  // 1987
+        441.58, 440.75, 439.92, 439.08, 438.25, 437.42, 434.67, 430.00, 425.33, 420.67, 416.00, 411.33,  // 1988
+        406.67, 402.00, 397.33, 392.67, 388.00, 383.33, 381.10, 381.31, 381.52, 381.73, 381.94, 382.15,  // 1989
+        382.35, 382.56, 382.77, 382.98, 383.19, 383.40, 382.61, 380.82, 379.04, 377.26, 375.48, 373.69,  // 1990
+        371.91, 370.12, 368.34, 366.56, 364.78, 362.99, 361.34, 359.81, 358.29, 356.76, 355.24, 353.71,  // 1991
+        352.19, 350.66, 349.14, 347.61, 346.09, 344.56, 344.47, 345.80, 347.13, 348.47, 349.80, 351.13,  // 1992
+        352.47, 353.80, 355.13, 356.47, 357.80, 359.13, 360.81, 362.82, 364.84, 366.86, 368.88, 370.89,  // 1993
+        372.91, 374.93, 376.94, 378.96, 380.98, 382.99, 384.00, 384.01, 384.02, 384.03, 384.04, 384.05,  // 1994
+        384.05, 384.06, 384.07, 384.08, 384.09, 384.10, 384.25, 384.56, 384.87, 385.18, 385.49, 385.80,  // 1995
+        386.10, 386.41, 386.72, 387.03, 387.34, 387.65, 385.43, 380.70, 375.97, 371.23, 366.50, 361.77,  // 1996
+        357.03, 352.30, 347.57, 342.83, 338.10, 333.37, 329.46, 326.39, 323.31, 320.24, 317.16, 314.09,  // 1997
+        311.01, 307.94, 304.86, 301.79, 298.71, 295.64, 293.47, 292.20, 290.93, 289.67, 288.40, 287.13,  // 1998
+        285.87, 284.60, 283.33, 282.07, 280.80, 279.53, 278.91, 278.92, 278.94, 278.96, 278.98, 278.99,  // 1999
+        279.01, 279.02, 279.04, 279.06, 279.08, 279.09, 278.76, 278.09, 277.41, 276.74, 276.06, 275.39,  // 2000
+        274.71, 274.04, 273.36, 272.69, 272.01, 271.34, 272.61, 275.84, 279.06, 282.29, 285.51, 288.74,  // 2001
+        291.96, 295.19, 298.41, 301.64, 304.86, 308.09, 311.94, 316.41, 320.89, 325.36, 329.84, 334.31,  // 2002
+        338.79, 343.26, 347.74, 352.21, 356.69, 361.16, 365.33, 369.19, 373.05, 376.90, 380.76, 384.62,  // 2003
+        388.48, 392.34, 396.20, 400.05, 403.91, 407.77, 411.16, 414.07, 416.99, 419.91, 422.82, 425.74,  // 2004
+        428.66, 431.57, 434.49, 437.41, 440.32, 443.24, 451.32, 464.55, 477.78, 491.02, 504.25, 517.48,  // 2005
+        530.72, 543.95, 557.18, 570.42, 583.65, 596.88, 607.33, 614.99, 622.65, 630.30, 637.96, 645.62,  // 2006
+        653.28, 660.94, 668.60, 676.25, 683.91, 691.57, 702.76, 717.48, 732.19, 746.91, 761.62, 776.34,  // 2007
+        791.06, 805.77, 820.49, 835.21, 849.92, 864.64, 876.18, 884.55, 892.92, 901.28, 909.65, 918.02,  // 2008
+        926.38, 934.75, 943.12, 951.48, 959.85, 968.22, 982.90, 1003.91, 1024.92, 1045.93, 1066.94, 1087.95,  // 2009
+        1108.95, 1129.96, 1150.97, 1171.98, 1192.99, 1214.00, 1238.96, 1267.88, 1296.79, 1325.71, 1354.62, 1383.54,  // 2010
+        1412.46, 1441.38, 1470.29, 1499.21, 1528.12, 1557.04, 1575.56, 1583.69, 1591.81, 1599.94, 1608.06, 1616.19,  // 2011
+        1624.31, 1632.44, 1640.56, 1648.69, 1656.81, 1664.94, 1658.26, 1636.78, 1615.29, 1593.81, 1572.33, 1550.84,  // 2012
+        1529.36, 1507.88, 1486.39, 1464.91, 1443.42, 1421.94, 1405.17, 1393.10, 1381.03, 1368.97, 1356.90, 1344.83,  // 2013
+        1332.77, 1320.70, 1308.63, 1296.57, 1284.50, 1272.43, 1261.97, 1253.11, 1244.25, 1235.40, 1226.54, 1217.68,  // 2014
+        1208.82, 1199.96, 1191.10, 1182.25, 1173.39, 1164.53, 1163.88, 1171.42, 1178.97, 1186.52, 1194.08, 1201.62,  // 2015
+        1209.17, 1216.72, 1224.28, 1231.83, 1239.38, 1246.92, 1250.97, 1251.50, 1252.03, 1252.57, 1253.10, 1253.63,  // 2016
+        1254.17, 1254.70, 1255.23, 1255.77, 1256.30, 1256.83, 1257.57, 1258.52, 1259.47, 1260.42, 1261.38, 1262.33,  // 2017
+        1263.27, 1264.22, 1265.17, 1266.12, 1267.08, 1268.03, 1273.67, 1284.01, 1294.35, 1304.70, 1315.04, 1325.38,  // 2018
+        1335.72, 1346.06, 1356.40, 1366.75, 1377.09, 1387.43, 1408.31, 1439.72, 1471.14, 1502.56, 1533.97, 1565.39,  // 2019
+        1596.81, 1628.22, 1659.64, 1691.06, 1722.47, 1753.89, 1770.81, 1773.22, 1775.64, 1778.06, 1780.47, 1782.89,  // 2020
+        1785.31, 1787.72, 1790.14, 1792.56, 1794.97, 1797.39, 1798.66, 1798.79, 1798.91, 1799.04, 1799.16, 1799.29,  // 2021
+        1799.41, 1799.54, 1799.66, 1799.79, 1799.91, 1800.04, 1805.95, 1817.65, 1829.35, 1841.05, 1852.75, 1864.45,  // 2022
+        1876.15, 1887.85, 1899.55, 1911.25, 1922.95, 1934.65, 1947.69, 1962.08, 1976.46, 1990.85, 2005.23, 2019.62,  // 2023
+        2034.00, 2023.00, 2159.00, 2332.00, 2350.00, 2326.00, 2398.00, 2470.00, 2571.00, 2690.00, 2651.00, 2648.00,  // 2024
+        2709.00, 2895.00, 2984.00, 3193.00, 3280.00, 3352.00, 3340.00, 3366.00, 3665.00  // 2025
+    ]
+};
+
+// Make GOLD_PRICE_SERIES available globally
+if (typeof window !== 'undefined') {
+    window.GOLD_PRICE_SERIES = GOLD_PRICE_SERIES;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GOLD_PRICE_SERIES };
+}
@@ -0,0 +1,301 @@
+/**
+ * Goods Price Series - Bundled month-by-month prices of everyday goods
+ *
+ * JSON data wrapped in a script so it loads from file:// without fetch().
+ * Each series is keyed by good and holds one USD price per unit of that good
+ * for each month, starting at `start` (YYYY-MM). The "Measure in" selector divides
+ * the pig's contents by these prices to count goods instead of money.
+ * After the last month, financial-math.js projects the price forward at the
+ * series' own annual growth rate (`growth`, in percent).
+ * Prices are converted to the base currency with the FX model (fx-rate-series.js).
+ *
+ * Series structure:
+ * ```json
+ * {
+ *   "label": "Median homes",
+ *   "unit": "homes",
+ *   "growth": 4,
+ *   "start": "1970-01",
+ *   "values": [23000, 23000, ...]  // USD per home for each month
+ * }
+ * ```
+ *
+ * NOTE: Homes, tuition and gasoline are derived from yearly averages (tuition from
+ * five-yearly points), interpolated between mid-year points to give a monthly series.
+ * The minimum wage follows the dates of the federal increases.
+ * Replace `values` with official monthly data if exact history is needed.
+ *
+ * Dependencies: none
+ */
+const GOODS_PRICE_SERIES = {
+    home: {
+        label: 'Median homes',
+        unit: 'homes',
+        description: 'US median sales price of a new home, yearly average, 1970 to 2025',
+        growth: 4,
+        start: '1970-01',
+        values: [
+            23000, 23000, 23000, 23000, 23000, 23000, 23100, 23300, 23500, 23600, 23800, 24000,  // 1970
+            24200, 24400, 24600, 24700, 24900, 25100, 25300, 25500, 25700, 25900, 26100, 26300,  // 1971
+            26500, 26700, 26900, 27100, 27300, 27500, 27800, 28200, 28600, 29000, 29400, 29800,  // 1972
+            30300, 30700, 31100, 31500, 31900, 32300, 32600, 32900, 33200, 33500, 33800, 34100,  // 1973
+            34300, 34600, 34900, 35200, 35500, 35800, 36000, 36300, 36600, 36900, 37200, 37500,  // 1974
+            37700, 38000, 38300, 38600, 38900, 39200, 39500, 39900, 40300, 40700, 41100, 41500,  // 1975
+            42000, 42400, 42800, 43200, 43600, 44000, 44400, 44800, 45200, 45500, 45900, 46300,  // 1976
+            46700, 47100, 47500, 47800, 48200, 48600, 49100, 49700, 50200, 50800, 51400, 52000,  // 1977
+            52500, 53100, 53700, 54300, 54800, 55400, 56000, 56600, 57200, 57800, 58400, 59000,  // 1978
+            59600, 60200, 60800, 61400, 62000, 62600, 63000, 63100, 63300, 63400, 63500, 63700,  // 1979
+            63800, 64000, 64100, 64200, 64400, 64500, 64800, 65100, 65500, 65900, 66200, 66600,  // 1980
+            66900, 67300, 67600, 68000, 68400, 68700, 68900, 69000, 69000, 69000, 69000, 69100,  // 1981
+            69100, 69200, 69200, 69200, 69200, 69300, 69600, 70000, 70600, 71000, 71600, 72000,  // 1982
+            72600, 73000, 73600, 74000, 74600, 75000, 75500, 75900, 76300, 76600, 77000, 77400,  // 1983
+            77800, 78200, 78600, 78900, 79300, 79700, 80100, 80400, 80800, 81200, 81600, 81900,  // 1984
+            82300, 82600, 83000, 83400, 83800, 84100, 84600, 85300, 85900, 86500, 87200, 87800,  // 1985
+            88500, 89100, 89800, 90400, 91000, 91700, 92500, 93600, 94600, 95600, 96700, 97700,  // 1986
+            98800, 99800, 100900, 101900, 102900, 104000, 104800, 105500, 106200, 106800, 107500, 108200,  // 1987
+            108800, 109500, 110200, 110800, 111500, 112200, 112800, 113400, 114100, 114700, 115300, 115900,  // 1988
+            116600, 117200, 117800, 118400, 119100, 119700, 120100, 120400, 120600, 120800, 121100, 121300,  // 1989
+            121600, 121800, 122100, 122300, 122500, 122800, 122800, 122500, 122300, 122100, 121800, 121600,  // 1990
+            121300, 121100, 120800, 120600, 120400, 120100, 120100, 120200, 120300, 120400, 120600, 120700,  // 1991
+            120800, 120900, 121100, 121200, 121300, 121400, 121700, 122100, 122500, 123000, 123400, 123800,  // 1992
+            124200, 124600, 125000, 125500, 125900, 126300, 126600, 126900, 127200, 127500, 127800, 128100,  // 1993
+            128400, 128700, 129000, 129300, 129600, 129900, 130200, 130500, 130800, 131100, 131500, 131800,  // 1994
+            132100, 132400, 132800, 133100, 133400, 133700, 134200, 134700, 135200, 135700, 136200, 136700,  // 1995
+            137200, 137700, 138200, 138700, 139200, 139700, 140200, 140800, 141200, 141800, 142200, 142800,  // 1996
+            143200, 143800, 144200, 144800, 145200, 145800, 146300, 146800, 147400, 147900, 148400, 149000,  // 1997
+            149500, 150100, 150600, 151100, 151700, 152200, 152900, 153600, 154300, 155000, 155700, 156400,  // 1998
+            157100, 157800, 158500, 159200, 159900, 160600, 161300, 162000, 162700, 163300, 164000, 164700,  // 1999
+            165300, 166000, 166700, 167300, 168000, 168700, 169300, 169800, 170300, 170800, 171300, 171800,  // 2000
+            172400, 172900, 173400, 173900, 174400, 174900, 175700, 176800, 177800, 178800, 179800, 180900,  // 2001
+            181900, 183000, 184000, 185000, 186000, 187100, 187900, 188500, 189100, 189800, 190400, 191000,  // 2002
+            191600, 192200, 192800, 193500, 194100, 194700, 196100, 198200, 200400, 202600, 204800, 206900,  // 2003
+            209100, 211200, 213400, 215600, 217800, 219900, 221800, 223500, 225100, 226800, 228500, 230100,  // 2004
+            231800, 233400, 235100, 236800, 238400, 240100, 241100, 241600, 242100, 242500, 243000, 243500,  // 2005
+            243900, 244400, 244900, 245300, 245800, 246300, 246600, 246700, 246800, 246900, 247000, 247100,  // 2006
+            247300, 247400, 247500, 247600, 247700, 247800, 247200, 245900, 244600, 243300, 242000, 240700,  // 2007
+            239300, 238000, 236700, 235400, 234100, 232800, 231500, 230200, 228900, 227600, 226300, 225000,  // 2008
+            223800, 222500, 221200, 219900, 218600, 217300, 216900, 217300, 217800, 218200, 218600, 219000,  // 2009
+            219500, 219900, 220300, 220700, 221200, 221600, 222000, 222500, 222900, 223400, 223800, 224300,  // 2010
+            224700, 225200, 225600, 226100, 226500, 227000, 227900, 229400, 231000, 232400, 234000, 235500,  // 2011
+            236900, 238400, 240000, 241400, 243000, 244500, 246200, 248200, 250100, 252100, 254100, 256100,  // 2012
+            258000, 260000, 262000, 264000, 265900, 267900, 269700, 271400, 273000, 274600, 276200, 277900,  // 2013
+            279500, 281200, 282800, 284400, 286000, 287700, 288700, 289200, 289700, 290200, 290600, 291100,  // 2014
+            291600, 292100, 292500, 293000, 293500, 294000, 294800, 295900, 297000, 298200, 299300, 300400,  // 2015
+            301600, 302700, 303800, 305000, 306100, 307200, 308400, 309700, 311000, 312300, 313500, 314800,  // 2016
+            316100, 317400, 318600, 319900, 321200, 322500, 323200, 323300, 323500, 323700, 323800, 324000,  // 2017
+            324100, 324300, 324400, 324600, 324800, 324900, 324900, 324600, 324300, 324000, 323700, 323400,  // 2018
+            323100, 322800, 322500, 322200, 321900, 321600, 322100, 323400, 324700, 326000, 327300, 328600,  // 2019
+            329800, 331100, 332400, 333700, 335000, 336300, 339400, 344400, 349400, 354500, 359500, 364500,  // 2020
+            369500, 374500, 379500, 384600, 389600, 394600, 399600, 404700, 409700, 414800, 419900, 424900,  // 2021
+            430000, 435000, 440100, 445200, 450200, 455300, 456500, 453800, 451200, 448500, 445900, 443200,  // 2022
+            440600, 437900, 435300, 432600, 430000, 427300, 425700, 425100, 424500, 424000, 423400, 422800,  // 2023
+            422200, 421600, 421000, 420500, 419900, 419300, 418900, 418600, 418400, 418100, 417900, 417600,  // 2024
+            417400, 417100, 416900, 416600, 416400, 416100, 416000, 416000, 416000, 416000, 416000, 416000   // 2025
+        ]
+    },
+    tuition: {
+        label: 'Years of tuition',
+        unit: 'years of tuition',
+        description: 'One year of tuition and fees at a US public four-year college, 1970 to 2025',
+        growth: 5,
+        start: '1970-01',
+        values: [
+            480, 480, 480, 480, 480, 480, 481, 484, 486, 489, 491, 494,  // 1970
+            496, 499, 501, 504, 506, 509, 511, 512, 514, 516, 518, 519,  // 1971
+            521, 522, 524, 526, 528, 529, 531, 534, 536, 539, 541, 544,  // 1972
+            546, 549, 551, 554, 556, 559, 561, 564, 566, 569, 571, 574,  // 1973
+            576, 579, 581, 584, 586, 589, 591, 594, 596, 599, 601, 604,  // 1974
+            606, 609, 611, 614, 616, 619, 621, 624, 626, 629, 631, 634,  // 1975
+            636, 639, 641, 644, 646, 649, 652, 655, 658, 662, 665, 668,  // 1976
+            672, 675, 678, 682, 685, 688, 692, 695, 698, 702, 705, 708,  // 1977
+            712, 715, 718, 722, 725, 728, 731, 734, 736, 739, 741, 744,  // 1978
+            746, 749, 751, 754, 756, 759, 762, 765, 768, 772, 775, 778,  // 1979
+            782, 785, 788, 792, 795, 798, 804, 811, 819, 826, 834, 841,  // 1980
+            849, 856, 864, 871, 879, 886, 894, 901, 909, 916, 924, 931,  // 1981
+            939, 946, 954, 961, 969, 976, 984, 992, 1001, 1009, 1018, 1026,  // 1982
+            1034, 1042, 1051, 1059, 1068, 1076, 1085, 1094, 1103, 1112, 1121, 1130,  // 1983
+            1140, 1149, 1158, 1167, 1176, 1185, 1195, 1206, 1217, 1228, 1239, 1250,  // 1984
+            1260, 1271, 1282, 1293, 1304, 1315, 1324, 1332, 1341, 1349, 1358, 1366,  // 1985
+            1374, 1382, 1391, 1399, 1408, 1416, 1425, 1434, 1443, 1452, 1461, 1470,  // 1986
+            1480, 1489, 1498, 1507, 1516, 1525, 1535, 1545, 1555, 1565, 1575, 1585,  // 1987
+            1595, 1605, 1615, 1625, 1635, 1645, 1655, 1665, 1675, 1685, 1695, 1705,  // 1988
+            1715, 1725, 1735, 1745, 1755, 1765, 1776, 1788, 1799, 1811, 1822, 1834,  // 1989
+            1846, 1858, 1869, 1881, 1892, 1904, 1916, 1929, 1941, 1954, 1966, 1979,  // 1990
+            1991, 2004, 2016, 2029, 2041, 2054, 2067, 2081, 2095, 2110, 2124, 2138,  // 1991
+            2152, 2166, 2180, 2195, 2209, 2223, 2238, 2252, 2268, 2282, 2298, 2312,  // 1992
+            2328, 2342, 2358, 2372, 2388, 2402, 2418, 2434, 2450, 2465, 2481, 2497,  // 1993
+            2513, 2529, 2545, 2560, 2576, 2592, 2609, 2626, 2644, 2661, 2679, 2696,  // 1994
+            2714, 2731, 2749, 2766, 2784, 2801, 2815, 2826, 2837, 2848, 2859, 2870,  // 1995
+            2880, 2891, 2902, 2913, 2924, 2935, 2945, 2956, 2967, 2978, 2989, 3000,  // 1996
+            3010, 3021, 3032, 3043, 3054, 3065, 3076, 3088, 3099, 3111, 3122, 3134,  // 1997
+            3146, 3158, 3169, 3181, 3192, 3204, 3216, 3229, 3241, 3254, 3266, 3279,  // 1998
+            3291, 3304, 3316, 3329, 3341, 3354, 3366, 3379, 3391, 3404, 3416, 3429,  // 1999
+            3441, 3454, 3466, 3479, 3491, 3504, 3524, 3551, 3579, 3606, 3634, 3661,  // 2000
+            3689, 3716, 3744, 3771, 3799, 3826, 3855, 3885, 3915, 3945, 3975, 4005,  // 2001
+            4035, 4065, 4095, 4125, 4155, 4185, 4216, 4249, 4281, 4314, 4346, 4379,  // 2002
+            4411, 4444, 4476, 4509, 4541, 4574, 4608, 4644, 4680, 4715, 4751, 4787,  // 2003
+            4823, 4859, 4895, 4930, 4966, 5002, 5040, 5079, 5118, 5157, 5196, 5235,  // 2004
+            5275, 5314, 5353, 5392, 5431, 5470, 5505, 5536, 5567, 5598, 5629, 5660,  // 2005
+            5690, 5721, 5752, 5783, 5814, 5845, 5877, 5910, 5943, 5977, 6010, 6043,  // 2006
+            6077, 6110, 6143, 6177, 6210, 6243, 6277, 6312, 6348, 6382, 6418, 6453,  // 2007
+            6487, 6522, 6558, 6592, 6628, 6663, 6699, 6736, 6774, 6811, 6849, 6886,  // 2008
+            6924, 6961, 6999, 7036, 7074, 7111, 7150, 7189, 7228, 7267, 7306, 7345,  // 2009
+            7385, 7424, 7463, 7502, 7541, 7580, 7614, 7642, 7671, 7699, 7728, 7756,  // 2010
+            7784, 7812, 7841, 7869, 7898, 7926, 7954, 7982, 8011, 8039, 8068, 8096,  // 2011
+            8124, 8152, 8181, 8209, 8238, 8266, 8295, 8325, 8355, 8385, 8415, 8445,  // 2012
+            8475, 8505, 8535, 8565, 8595, 8625, 8656, 8688, 8719, 8751, 8782, 8814,  // 2013
+            8846, 8878, 8909, 8941, 8972, 9004, 9036, 9069, 9101, 9134, 9166, 9199,  // 2014
+            9231, 9264, 9296, 9329, 9361, 9394, 9419, 9438, 9456, 9474, 9492, 9511,  // 2015
+            9529, 9548, 9566, 9584, 9602, 9621, 9639, 9658, 9676, 9694, 9712, 9731,  // 2016
+            9749, 9768, 9786, 9804, 9822, 9841, 9860, 9879, 9898, 9917, 9936, 9955,  // 2017
+            9975, 9994, 10013, 10032, 10051, 10070, 10090, 10110, 10130, 10150, 10170, 10190,  // 2018
+            10210, 10230, 10250, 10270, 10290, 10310, 10330, 10350, 10370, 10390, 10410, 10430,  // 2019
+            10450, 10470, 10490, 10510, 10530, 10550, 10570, 10590, 10610, 10630, 10650, 10670,  // 2020
+            10690, 10710, 10730, 10750, 10770, 10790, 10810, 10830, 10850, 10870, 10890, 10910,  // 2021
+            10930, 10950, 10970, 10990, 11010, 11030, 11050, 11071, 11092, 11113, 11134, 11155,  // 2022
+            11175, 11196, 11217, 11238, 11259, 11280, 11300, 11321, 11342, 11363, 11384, 11405,  // 2023
+            11425, 11446, 11467, 11488, 11509, 11530, 11551, 11572, 11594, 11616, 11638, 11659,  // 2024
+            11681, 11702, 11724, 11746, 11768, 11789, 11800, 11800, 11800, 11800, 11800, 11800   // 2025
+        ]
+    },
+    gasoline: {
+        label: 'Gallons of gasoline',
+        unit: 'gallons of gasoline',
+        description: 'US regular gasoline, yearly average retail price per gallon, 1970 to 2025',
+        growth: 3,
+        start: '1970-01',
+        values: [
+            0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360,  // 1970
+            0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.360,  // 1971
+            0.360, 0.360, 0.360, 0.360, 0.360, 0.360, 0.361, 0.364, 0.366, 0.369, 0.371, 0.374,  // 1972
+            0.376, 0.379, 0.381, 0.384, 0.386, 0.389, 0.396, 0.408, 0.419, 0.431, 0.443, 0.454,  // 1973
+            0.466, 0.478, 0.489, 0.501, 0.513, 0.524, 0.532, 0.535, 0.538, 0.542, 0.545, 0.548,  // 1974
+            0.552, 0.555, 0.558, 0.562, 0.565, 0.568, 0.571, 0.573, 0.574, 0.576, 0.577, 0.579,  // 1975
+            0.581, 0.583, 0.584, 0.586, 0.587, 0.589, 0.591, 0.594, 0.596, 0.599, 0.601, 0.604,  // 1976
+            0.606, 0.609, 0.611, 0.614, 0.616, 0.619, 0.620, 0.621, 0.622, 0.623, 0.624, 0.625,  // 1977
+            0.625, 0.626, 0.627, 0.628, 0.629, 0.630, 0.640, 0.659, 0.678, 0.697, 0.716, 0.735,  // 1978
+            0.755, 0.774, 0.793, 0.812, 0.831, 0.850, 0.874, 0.901, 0.929, 0.956, 0.984, 1.011,  // 1979
+            1.039, 1.066, 1.094, 1.121, 1.149, 1.176, 1.195, 1.205, 1.215, 1.225, 1.235, 1.245,  // 1980
+            1.255, 1.265, 1.275, 1.285, 1.295, 1.305, 1.306, 1.299, 1.291, 1.284, 1.276, 1.269,  // 1981
+            1.261, 1.254, 1.246, 1.239, 1.231, 1.224, 1.218, 1.212, 1.208, 1.202, 1.198, 1.192,  // 1982
+            1.188, 1.182, 1.177, 1.172, 1.167, 1.162, 1.159, 1.156, 1.154, 1.151, 1.149, 1.146,  // 1983
+            1.144, 1.141, 1.139, 1.136, 1.134, 1.131, 1.130, 1.129, 1.128, 1.127, 1.126, 1.125,  // 1984
+            1.125, 1.124, 1.123, 1.122, 1.121, 1.120, 1.109, 1.088, 1.066, 1.044, 1.022, 1.001,  // 1985
+            0.979, 0.958, 0.936, 0.914, 0.893, 0.871, 0.862, 0.865, 0.868, 0.872, 0.875, 0.878,  // 1986
+            0.882, 0.885, 0.888, 0.892, 0.895, 0.898, 0.900, 0.900, 0.900, 0.900, 0.900, 0.900,  // 1987
+            0.900, 0.900, 0.900, 0.900, 0.900, 0.900, 0.904, 0.912, 0.921, 0.929, 0.938, 0.946,  // 1988
+            0.954, 0.963, 0.971, 0.979, 0.988, 0.996, 1.006, 1.019, 1.031, 1.044, 1.056, 1.069,  // 1989
+            1.081, 1.094, 1.106, 1.119, 1.131, 1.144, 1.150, 1.149, 1.148, 1.147, 1.146, 1.145,  // 1990
+            1.145, 1.144, 1.143, 1.142, 1.141, 1.140, 1.140, 1.139, 1.138, 1.137, 1.136, 1.135,  // 1991
+            1.135, 1.134, 1.133, 1.132, 1.131, 1.130, 1.129, 1.127, 1.126, 1.124, 1.123, 1.121,  // 1992
+            1.119, 1.117, 1.116, 1.114, 1.113, 1.111, 1.110, 1.110, 1.110, 1.110, 1.110, 1.110,  // 1993
+            1.110, 1.110, 1.110, 1.110, 1.110, 1.110, 1.112, 1.115, 1.118, 1.122, 1.125, 1.128,  // 1994
+            1.132, 1.135, 1.138, 1.142, 1.145, 1.148, 1.153, 1.160, 1.167, 1.173, 1.180, 1.187,  // 1995
+            1.193, 1.200, 1.207, 1.213, 1.220, 1.227, 1.230, 1.230, 1.230, 1.230, 1.230, 1.230,  // 1996
+            1.230, 1.230, 1.230, 1.230, 1.230, 1.230, 1.223, 1.209, 1.195, 1.180, 1.166, 1.152,  // 1997
+            1.138, 1.124, 1.110, 1.095, 1.081, 1.067, 1.065, 1.074, 1.083, 1.092, 1.101, 1.110,  // 1998
+            1.120, 1.129, 1.138, 1.147, 1.156, 1.165, 1.184, 1.212, 1.241, 1.269, 1.297, 1.326,  // 1999
+            1.354, 1.383, 1.411, 1.439, 1.468, 1.496, 1.508, 1.504, 1.500, 1.495, 1.491, 1.487,  // 2000
+            1.483, 1.479, 1.475, 1.470, 1.466, 1.462, 1.456, 1.448, 1.439, 1.431, 1.423, 1.414,  // 2001
+            1.406, 1.397, 1.389, 1.381, 1.373, 1.364, 1.370, 1.389, 1.408, 1.427, 1.446, 1.465,  // 2002
+            1.485, 1.504, 1.523, 1.542, 1.561, 1.580, 1.602, 1.626, 1.650, 1.675, 1.699, 1.723,  // 2003
+            1.747, 1.771, 1.795, 1.820, 1.844, 1.868, 1.897, 1.932, 1.968, 2.002, 2.037, 2.073,  // 2004
+            2.107, 2.143, 2.178, 2.212, 2.247, 2.283, 2.312, 2.336, 2.360, 2.385, 2.409, 2.433,  // 2005
+            2.457, 2.481, 2.505, 2.530, 2.554, 2.578, 2.599, 2.616, 2.634, 2.651, 2.669, 2.686,  // 2006
+            2.704, 2.721, 2.739, 2.756, 2.774, 2.791, 2.820, 2.859, 2.898, 2.937, 2.976, 3.015,  // 2007
+            3.055, 3.094, 3.133, 3.172, 3.211, 3.250, 3.232, 3.155, 3.078, 3.002, 2.925, 2.848,  // 2008
+            2.772, 2.695, 2.618, 2.542, 2.465, 2.388, 2.368, 2.405, 2.442, 2.478, 2.515, 2.552,  // 2009
+            2.588, 2.625, 2.662, 2.698, 2.735, 2.772, 2.821, 2.882, 2.944, 3.006, 3.067, 3.129,  // 2010
+            3.191, 3.252, 3.314, 3.376, 3.438, 3.499, 3.535, 3.544, 3.553, 3.562, 3.571, 3.580,  // 2011
+            3.590, 3.599, 3.608, 3.617, 3.626, 3.635, 3.635, 3.626, 3.617, 3.608, 3.599, 3.590,  // 2012
+            3.580, 3.571, 3.562, 3.553, 3.544, 3.535, 3.523, 3.510, 3.497, 3.483, 3.470, 3.457,  // 2013
+            3.443, 3.430, 3.417, 3.403, 3.390, 3.377, 3.332, 3.255, 3.178, 3.102, 3.025, 2.948,  // 2014
+            2.872, 2.795, 2.718, 2.642, 2.565, 2.488, 2.437, 2.411, 2.385, 2.360, 2.334, 2.308,  // 2015
+            2.282, 2.256, 2.230, 2.205, 2.179, 2.153, 2.152, 2.175, 2.198, 2.222, 2.245, 2.268,  // 2016
+            2.292, 2.315, 2.338, 2.362, 2.385, 2.408, 2.432, 2.458, 2.483, 2.507, 2.533, 2.558,  // 2017
+            2.582, 2.607, 2.633, 2.657, 2.683, 2.708, 2.715, 2.705, 2.695, 2.685, 2.675, 2.665,  // 2018
+            2.655, 2.645, 2.635, 2.625, 2.615, 2.605, 2.582, 2.546, 2.510, 2.475, 2.439, 2.403,  // 2019
+            2.367, 2.331, 2.295, 2.260, 2.224, 2.188, 2.205, 2.275, 2.345, 2.415, 2.485, 2.555,  // 2020
+            2.625, 2.695, 2.765, 2.835, 2.905, 2.975, 3.049, 3.127, 3.206, 3.284, 3.362, 3.441,  // 2021
+            3.519, 3.598, 3.676, 3.754, 3.833, 3.911, 3.932, 3.896, 3.860, 3.825, 3.789, 3.753,  // 2022
+            3.717, 3.681, 3.645, 3.610, 3.574, 3.538, 3.511, 3.493, 3.474, 3.456, 3.438, 3.419,  // 2023
+            3.401, 3.382, 3.364, 3.346, 3.327, 3.309, 3.294, 3.281, 3.269, 3.256, 3.244, 3.231,  // 2024
+            3.219, 3.206, 3.194, 3.181, 3.169, 3.156, 3.150, 3.150, 3.150, 3.150, 3.150, 3.150   // 2025
+        ]
+    },
+    minimumWage: {
+        label: 'Hours of minimum-wage work',
+        unit: 'hours of minimum-wage work',
+        description: 'US federal minimum wage per hour, 1970 to 2025',
+        growth: 3,
+        start: '1970-01',
+        values: [
+            1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60,  // 1970
+            1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60,  // 1971
+            1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60,  // 1972
+            1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60, 1.60,  // 1973
+            1.60, 1.60, 1.60, 1.60, 2.00, 2.00, 2.00, 2.00, 2.00, 2.00, 2.00, 2.00,  // 1974
+            2.10, 2.10, 2.10, 2.10, 2.10, 2.10, 2.10, 2.10, 2.10, 2.10, 2.10, 2.10,  // 1975
+            2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30,  // 1976
+            2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30, 2.30,  // 1977
+            2.65, 2.65, 2.65, 2.65, 2.65, 2.65, 2.65, 2.65, 2.65, 2.65, 2.65, 2.65,  // 1978
+            2.90, 2.90, 2.90, 2.90, 2.90, 2.90, 2.90, 2.90, 2.90, 2.90, 2.90, 2.90,  // 1979
+            3.10, 3.10, 3.10, 3.10, 3.10, 3.10, 3.10, 3.10, 3.10, 3.10, 3.10, 3.10,  // 1980
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1981
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1982
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1983
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1984
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1985
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1986
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1987
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1988
+            3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35, 3.35,  // 1989
+            3.35, 3.35, 3.35, 3.80, 3.80, 3.80, 3.80, 3.80, 3.80, 3.80, 3.80, 3.80,  // 1990
+            3.80, 3.80, 3.80, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25,  // 1991
+            4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25,  // 1992
+            4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25,  // 1993
+            4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25,  // 1994
+            4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25,  // 1995
+            4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.25, 4.75, 4.75, 4.75,  // 1996
+            4.75, 4.75, 4.75, 4.75, 4.75, 4.75, 4.75, 4.75, 5.15, 5.15, 5.15, 5.15,  // 1997
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 1998
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 1999
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 2000
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 2001
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 2002
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 2003
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 2004
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 2005
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.15,  // 2006
+            5.15, 5.15, 5.15, 5.15, 5.15, 5.15, 5.85, 5.85, 5.85, 5.85, 5.85, 5.85,  // 2007
+            5.85, 5.85, 5.85, 5.85, 5.85, 5.85, 6.55, 6.55, 6.55, 6.55, 6.55, 6.55,  // 2008
+            6.55, 6.55, 6.55, 6.55, 6.55, 6.55, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2009
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2010
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2011
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2012
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2013
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2014
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2015
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2016
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2017
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2018
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2019
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2020
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2021
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2022
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2023
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25,  // 2024
+            7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25, 7.25   // 2025
+        ]
+    }
+};
+
+// Make GOODS_PRICE_SERIES available globally
+if (typeof window !== 'undefined') {
+    window.GOODS_PRICE_SERIES = GOODS_PRICE_SERIES;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GOODS_PRICE_SERIES };
+}
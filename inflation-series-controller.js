@@ -0,0 +1,185 @@
+/**
+ * InflationSeriesController - Inflation Source Selector Management
+ *
+ * Lets the user run the pig against a bundled month-by-month inflation series
+ * (from inflation-series.js) instead of the constant slider rate.
+ *
+ * Responsibilities:
+ * - Fill the source selector with the constant option and all bundled series
+ * - Move the start month to the series' first month when the series doesn't cover it
+ * - Restart the simulation when the source changes
+ *
+ * Dependencies:
+ * - config.js (CONFIG.inflationSource, element IDs)
+ * - inflation-series.js (INFLATION_SERIES data)
+ * - financial-math.js (getSeriesAnnualInflation)
+ * - dom-cache.js (settingsCache.readInflationSource)
+ * - state-manager.js (getConfiguredStartDate)
+ * - app.js (simulation period controller, applySettingsChange)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new InflationSeriesController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * ```
+ */
+class InflationSeriesController {
+    /**
+     * Create a new InflationSeriesController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for restart functionality)
+     */
+    constructor(config, stateManager, app = null) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // DOM elements
+        this.elements = {
+            sourceSelect: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Fills selectors and sets up event listeners
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.sourceSelect) return;
+
+        // Fill selector
+        this.populateSourceOptions();
+
+        // Sync settings cache with filled selector
+        if (window.settingsCache) {
+            window.settingsCache.readInflationSource();
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.sourceSelect = document.getElementById(this.config.elementIds.inflationSourceSelect);
+    }
+
+    /**
+     * Fill the source selector: constant rate first, then one option per bundled series
+     */
+    populateSourceOptions() {
+        const select = this.elements.sourceSelect;
+        select.innerHTML = '';
+
+        select.appendChild(this.createOption(
+            this.config.inflationSource.CONSTANT,
+            this.config.inflationSource.constantLabel
+        ));
+
+        const seriesMap = typeof INFLATION_SERIES !== 'undefined' ? INFLATION_SERIES : {};
+        Object.keys(seriesMap).forEach(id => {
+            const option = this.createOption(id, seriesMap[id].label);
+            option.title = seriesMap[id].description || '';
+            select.appendChild(option);
+        });
+
+        select.value = this.config.inflationSource.default;
+    }
+
+    /**
+     * Create an <option> element
+     * @param {string} value - Option value
+     * @param {string} label - Option text
+     * @returns {HTMLOptionElement} Option element
+     */
+    createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    /**
+     * Setup event listeners for selector changes
+     */
+    setupEventListeners() {
+        this.elements.sourceSelect.addEventListener('change', () => {
+            this.handleSourceChange();
+        });
+    }
+
+    /**
+     * Handle inflation source change
+     * Moves the start month into the series if needed and restarts
+     */
+    handleSourceChange() {
+        this.alignStartMonth();
+        this.restartSimulation();
+    }
+
+    /**
+     * Select a source without restarting (e.g. from a shared link)
+     * The start month is left as chosen; months outside the series use the slider rate
+     * @param {string} source - 'constant' or a series id from INFLATION_SERIES
+     */
+    selectSource(source) {
+        if (!this.elements.sourceSelect) return;
+
+        this.elements.sourceSelect.value = source;
+
+        if (window.settingsCache) {
+            window.settingsCache.readInflationSource();
+        }
+    }
+
+    /**
+     * Move the start month to the series' first month if the series doesn't cover it
+     * (e.g. a "start now" run switched to a series that ends before today)
+     */
+    alignStartMonth() {
+        const series = this.getSelectedSeries();
+        if (!series || !this.app || !this.app.simulationPeriodController) return;
+
+        const startDate = this.stateManager.getConfiguredStartDate();
+        if (getSeriesAnnualInflation(series, startDate) === null) {
+            this.app.simulationPeriodController.selectStartMonth(series.start);
+        }
+    }
+
+    /**
+     * Restart the simulation so it begins at the new start date (see App.applySettingsChange)
+     */
+    restartSimulation() {
+        this.app.applySettingsChange();
+
+        // Leak oval follows the rate of the new start month
+        if (window.displayManager) {
+            window.displayManager.updateLeakOval();
+        }
+    }
+
+    /**
+     * Get the series selected in the source selector
+     * @returns {Object|null} Series entry, or null for constant rate
+     */
+    getSelectedSeries() {
+        if (typeof INFLATION_SERIES === 'undefined') return null;
+        return INFLATION_SERIES[this.elements.sourceSelect.value] || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.InflationSeriesController = InflationSeriesController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InflationSeriesController };
+}
@@ -0,0 +1,188 @@
+/**
+ * Inflation Series - Bundled month-by-month inflation data
+ *
+ * JSON data wrapped in a script so it loads from file:// without fetch().
+ * Each series is keyed by id and holds one annualized rate (percent) per month,
+ * starting at `start` (YYYY-MM). Add a series by adding another entry here.
+ *
+ * Series structure:
+ * ```json
+ * {
+ *   "label": "US CPI + M2 growth",
+ *   "start": "1970-01",
+ *   "values": [12.30, 12.30, ...]  // annual % for each month
+ * }
+ * ```
+ *
+ * Episode structure:
+ * ```json
+ * {
+ *   "label": "Weimar Germany 1921–23",
+ *   "description": "...",          // shown below the preset selector
+ *   "episode": true,
+ *   "period": "month",             // optional: values are monthly % (default: annual %)
+ *   "start": "1921-01",
+ *   "values": [0, -2, ...]
+ * }
+ * ```
+ *
+ * Series with `period: 'month'` hold month-over-month price rises (percent) instead,
+ * which is how hyperinflation episodes are recorded; getSeriesAnnualInflation()
+ * annualizes them. Series with `episode: true` are historical episodes offered as
+ * presets on the start screen (start month, horizon and rates in one click).
+ *
+ * NOTE: "us-cpi-m2" is derived from annual US CPI-U (average) and M2 (Dec/Dec)
+ * growth rates, interpolated between mid-year points to give a monthly series.
+ * Replace `values` with official monthly data if exact history is needed.
+ *
+ * NOTE: the episodes are rounded from published monthly price indices: German cost
+ * of living / wholesale prices (Weimar), Zimbabwe CPI with Hanke's estimates after
+ * official data stopped in mid-2008, INDEC CPI (Argentina), TurkStat CPI (Turkey) and
+ * US CPI-U year-over-year rates interpolated between quarterly points (1970s).
+ *
+ * Dependencies: none
+ */
+const INFLATION_SERIES = {
+    'us-cpi-m2': {
+        label: 'US CPI + M2 growth',
+        description: 'US consumer price inflation plus money supply (M2) growth, 1970 to today',
+        start: '1970-01',
+        values: [
+            12.30, 12.30, 12.30, 12.30, 12.30, 12.30, 12.53, 12.99, 13.45, 13.90, 14.36, 14.82,  // 1970
+            15.28, 15.74, 16.20, 16.65, 17.11, 17.57, 17.73, 17.60, 17.47, 17.33, 17.20, 17.07,  // 1971
+            16.93, 16.80, 16.67, 16.53, 16.40, 16.27, 16.06, 15.77, 15.49, 15.21, 14.93, 14.64,  // 1972
+            14.36, 14.07, 13.79, 13.51, 13.23, 12.94, 12.95, 13.25, 13.55, 13.85, 14.15, 14.45,  // 1973
+            14.75, 15.05, 15.35, 15.65, 15.95, 16.25, 16.62, 17.06, 17.50, 17.95, 18.39, 18.83,  // 1974
+            19.27, 19.71, 20.15, 20.60, 21.04, 21.48, 21.61, 21.43, 21.24, 21.06, 20.88, 20.69,  // 1975
+            20.51, 20.32, 20.14, 19.96, 19.77, 19.59, 19.40, 19.20, 19.00, 18.80, 18.60, 18.40,  // 1976
+            18.20, 18.00, 17.80, 17.60, 17.40, 17.20, 17.04, 16.91, 16.79, 16.66, 16.54, 16.41,  // 1977
+            16.29, 16.16, 16.04, 15.91, 15.79, 15.66, 15.75, 16.04, 16.33, 16.62, 16.91, 17.20,  // 1978
+            17.50, 17.79, 18.08, 18.37, 18.66, 18.95, 19.24, 19.51, 19.79, 20.06, 20.34, 20.61,  // 1979
+            20.89, 21.16, 21.44, 21.71, 21.99, 22.26, 22.28, 22.05, 21.82, 21.58, 21.35, 21.12,  // 1980
+            20.88, 20.65, 20.42, 20.18, 19.95, 19.72, 19.42, 19.06, 18.70, 18.35, 17.99, 17.63,  // 1981
+            17.27, 16.91, 16.55, 16.20, 15.84, 15.48, 15.30, 15.31, 15.32, 15.33, 15.34, 15.35,  // 1982
+            15.35, 15.36, 15.37, 15.38, 15.39, 15.40, 15.27, 15.01, 14.75, 14.50, 14.24, 13.98,  // 1983
+            13.72, 13.46, 13.20, 12.95, 12.69, 12.43, 12.30, 12.30, 12.30, 12.30, 12.30, 12.30,  // 1984
+            12.30, 12.30, 12.30, 12.30, 12.30, 12.30, 12.25, 12.16, 12.07, 11.98, 11.89, 11.80,  // 1985
+            11.70, 11.61, 11.52, 11.43, 11.34, 11.25, 11.06, 10.79, 10.51, 10.24, 9.96, 9.69,  // 1986
+            9.41, 9.14, 8.86, 8.59, 8.31, 8.04, 7.96, 8.08, 8.19, 8.31, 8.43, 8.54,  // 1987
+            8.66, 8.78, 8.89, 9.01, 9.13, 9.24, 9.33, 9.40, 9.47, 9.53, 9.60, 9.67,  // 1988
+            9.73, 9.80, 9.87, 9.93, 10.00, 10.07, 10.07, 10.03, 9.98, 9.92, 9.88, 9.82,  // 1989
+            9.77, 9.72, 9.68, 9.62, 9.57, 9.53, 9.41, 9.22, 9.04, 8.86, 8.68, 8.49,  // 1990
+            8.31, 8.12, 7.94, 7.76, 7.58, 7.39, 7.19, 6.96, 6.74, 6.51, 6.29, 6.06,  // 1991
+            5.84, 5.61, 5.39, 5.16, 4.94, 4.71, 4.60, 4.59, 4.58, 4.57, 4.56, 4.55,  // 1992
+            4.55, 4.54, 4.53, 4.52, 4.51, 4.50, 4.44, 4.31, 4.19, 4.06, 3.94, 3.81,  // 1993
+            3.69, 3.56, 3.44, 3.31, 3.19, 3.06, 3.15, 3.46, 3.77, 4.08, 4.39, 4.70,  // 1994
+            5.00, 5.31, 5.62, 5.93, 6.24, 6.55, 6.73, 6.80, 6.87, 6.93, 7.00, 7.07,  // 1995
+            7.13, 7.20, 7.27, 7.33, 7.40, 7.47, 7.52, 7.55, 7.58, 7.62, 7.65, 7.68,  // 1996
+            7.72, 7.75, 7.78, 7.82, 7.85, 7.88, 7.99, 8.16, 8.34, 8.51, 8.69, 8.86,  // 1997
+            9.04, 9.21, 9.39, 9.56, 9.74, 9.91, 9.94, 9.81, 9.69, 9.56, 9.44, 9.31,  // 1998
+            9.19, 9.06, 8.94, 8.81, 8.69, 8.56, 8.54, 8.62, 8.71, 8.79, 8.88, 8.96,  // 1999
+            9.04, 9.12, 9.21, 9.29, 9.38, 9.46, 9.65, 9.94, 10.23, 10.52, 10.81, 11.10,  // 2000
+            11.40, 11.69, 11.98, 12.27, 12.56, 12.85, 12.81, 12.43, 12.04, 11.66, 11.28, 10.89,  // 2001
+            10.51, 10.12, 9.74, 9.36, 8.98, 8.59, 8.35, 8.26, 8.17, 8.08, 7.99, 7.90,  // 2002
+            7.80, 7.71, 7.62, 7.53, 7.44, 7.35, 7.35, 7.45, 7.55, 7.65, 7.75, 7.85,  // 2003
+            7.95, 8.05, 8.15, 8.25, 8.35, 8.45, 8.46, 8.38, 8.29, 8.21, 8.12, 8.04,  // 2004
+            7.96, 7.88, 7.79, 7.71, 7.62, 7.54, 7.53, 7.59, 7.65, 7.70, 7.76, 7.82,  // 2005
+            7.88, 7.94, 8.00, 8.05, 8.11, 8.17, 8.22, 8.25, 8.28, 8.32, 8.35, 8.38,  // 2006
+            8.42, 8.45, 8.48, 8.52, 8.55, 8.58, 8.80, 9.20, 9.60, 10.00, 10.40, 10.80,  // 2007
+            11.20, 11.60, 12.00, 12.40, 12.80, 13.20, 12.98, 12.12, 11.27, 10.43, 9.57, 8.72,  // 2008
+            7.88, 7.02, 6.17, 5.33, 4.47, 3.62, 3.28, 3.45, 3.62, 3.78, 3.95, 4.12,  // 2009
+            4.28, 4.45, 4.62, 4.78, 4.95, 5.12, 5.52, 6.17, 6.83, 7.47, 8.12, 8.78,  // 2010
+            9.42, 10.07, 10.73, 11.37, 12.03, 12.68, 12.90, 12.69, 12.48, 12.27, 12.06, 11.85,  // 2011
+            11.65, 11.44, 11.23, 11.02, 10.81, 10.60, 10.34, 10.03, 9.71, 9.39, 9.07, 8.76,  // 2012
+            8.44, 8.12, 7.81, 7.49, 7.17, 6.86, 6.74, 6.81, 6.89, 6.96, 7.04, 7.11,  // 2013
+            7.19, 7.26, 7.34, 7.41, 7.49, 7.56, 7.53, 7.39, 7.25, 7.10, 6.96, 6.82,  // 2014
+            6.68, 6.54, 6.40, 6.25, 6.11, 5.97, 6.00, 6.21, 6.42, 6.63, 6.84, 7.05,  // 2015
+            7.25, 7.46, 7.67, 7.88, 8.09, 8.30, 8.34, 8.23, 8.11, 7.99, 7.88, 7.76,  // 2016
+            7.64, 7.53, 7.41, 7.29, 7.17, 7.06, 6.96, 6.89, 6.81, 6.74, 6.66, 6.59,  // 2017
+            6.51, 6.44, 6.36, 6.29, 6.21, 6.14, 6.20, 6.40, 6.60, 6.80, 7.00, 7.20,  // 2018
+            7.40, 7.60, 7.80, 8.00, 8.20, 8.40, 9.23, 10.70, 12.17, 13.63, 15.10, 16.57,  // 2019
+            18.03, 19.50, 20.97, 22.43, 23.90, 25.37, 25.74, 25.01, 24.29, 23.56, 22.84, 22.11,  // 2020
+            21.39, 20.66, 19.94, 19.21, 18.49, 17.76, 16.95, 16.06, 15.17, 14.28, 13.39, 12.50,  // 2021
+            11.60, 10.71, 9.82, 8.93, 8.04, 7.15, 6.50, 6.10, 5.70, 5.30, 4.90, 4.50,  // 2022
+            4.10, 3.70, 3.30, 2.90, 2.50, 2.10, 2.10, 2.50, 2.90, 3.30, 3.70, 4.10,  // 2023
+            4.50, 4.90, 5.30, 5.70, 6.10, 6.50, 6.72, 6.76, 6.80, 6.85, 6.89, 6.93,  // 2024
+            6.97, 7.01, 7.05, 7.10, 7.14, 7.18, 7.20, 7.20, 7.20, 7.20, 7.20, 7.20  // 2025
+        ]
+    },
+    'weimar-1921': {
+        label: 'Weimar Germany 1921–23',
+        description: 'War debts and reparations paid with the printing press: prices doubled every few days by late 1923, until the Rentenmark ended it',
+        episode: true,
+        period: 'month',
+        start: '1921-01',
+        values: [
+            0, -2, -1, -1, 0, 4, 6, 13, 7, 15, 25, 3,  // 1921
+            5, 9, 20, 14, 3, 7, 42, 86, 42, 94, 104, 36,  // 1922
+            129, 45, -10, 4, 55, 182, 387, 1822, 2385, 29525, 10102, 0  // 1923
+        ]
+    },
+    'zimbabwe-2007': {
+        label: 'Zimbabwe 2007–08',
+        description: 'Collapsing output and money printing: monthly inflation passed 79 billion percent in November 2008, then the US dollar took over',
+        episode: true,
+        period: 'month',
+        start: '2007-01',
+        values: [
+            33, 51, 50, 101, 56, 86, 31, 12, 39, 136, 132, 240,  // 2007
+            121, 125, 281, 212, 434, 839, 2600, 3190, 12400, 690000, 79600000000  // 2008
+        ]
+    },
+    'argentina-2018': {
+        label: 'Argentina 2018–24',
+        description: 'Peso crises, deficits financed by the central bank and price controls: inflation climbed to over 200% a year by 2023',
+        episode: true,
+        period: 'month',
+        start: '2018-01',
+        values: [
+            1.8, 2.4, 2.3, 2.7, 2.1, 3.7, 3.1, 3.9, 6.5, 5.4, 3.2, 2.6,  // 2018
+            2.9, 3.8, 4.7, 3.4, 3.1, 2.7, 2.2, 4.0, 5.9, 3.3, 4.3, 3.7,  // 2019
+            2.3, 2.0, 3.3, 1.5, 1.5, 2.2, 1.9, 2.7, 2.8, 3.8, 3.2, 4.0,  // 2020
+            4.0, 3.6, 4.8, 4.1, 3.3, 3.2, 3.0, 2.5, 3.5, 3.5, 2.5, 3.8,  // 2021
+            3.9, 4.7, 6.7, 6.0, 5.1, 5.3, 7.4, 7.0, 6.2, 6.3, 4.9, 5.1,  // 2022
+            6.0, 6.6, 7.7, 8.4, 7.8, 6.0, 6.3, 12.4, 12.7, 8.3, 12.8, 25.5,  // 2023
+            20.6, 13.2, 11.0, 8.8, 4.2, 4.6, 4.0, 4.2, 3.5, 2.7, 2.4, 2.7  // 2024
+        ]
+    },
+    'turkey-2021': {
+        label: 'Turkey 2021–23',
+        description: 'Rate cuts against rising prices sank the lira: inflation peaked above 85% a year in late 2022',
+        episode: true,
+        period: 'month',
+        start: '2021-01',
+        values: [
+            1.68, 0.91, 1.08, 1.68, 0.89, 1.94, 1.80, 1.12, 1.25, 2.39, 3.51, 13.58,  // 2021
+            11.10, 4.81, 5.46, 7.25, 2.98, 4.95, 2.37, 1.46, 3.08, 3.54, 2.88, 1.18,  // 2022
+            6.65, 3.15, 2.29, 2.39, 0.04, 3.92, 9.49, 9.09, 4.75, 3.43, 3.28, 2.93  // 2023
+        ]
+    },
+    'us-stagflation-1973': {
+        label: 'US 1970s stagflation',
+        description: 'Oil shocks and loose money: US consumer prices rose 5-15% a year for a decade, until the Volcker rate hikes',
+        episode: true,
+        start: '1973-01',
+        values: [
+            3.60, 4.08, 4.56, 5.04, 5.52, 6.00, 6.45, 6.90, 7.35, 7.80, 8.25, 8.70,  // 1973
+            9.07, 9.43, 9.80, 10.17, 10.53, 10.90, 11.13, 11.37, 11.60, 11.83, 12.07, 12.30,  // 1974
+            11.82, 11.33, 10.85, 10.37, 9.88, 9.40, 8.98, 8.57, 8.15, 7.73, 7.32, 6.90,  // 1975
+            6.73, 6.57, 6.40, 6.23, 6.07, 5.90, 5.73, 5.57, 5.40, 5.23, 5.07, 4.90,  // 1976
+            5.23, 5.57, 5.90, 6.23, 6.57, 6.90, 6.87, 6.83, 6.80, 6.77, 6.73, 6.70,  // 1977
+            6.82, 6.93, 7.05, 7.17, 7.28, 7.40, 7.67, 7.93, 8.20, 8.47, 8.73, 9.00,  // 1978
+            9.32, 9.63, 9.95, 10.27, 10.58, 10.90, 11.30, 11.70, 12.10, 12.50, 12.90, 13.30,  // 1979
+            13.80, 14.30, 14.80, 14.67, 14.53, 14.40, 14.08, 13.77, 13.45, 13.13, 12.82, 12.50,  // 1980
+            12.02, 11.53, 11.05, 10.57, 10.08, 9.60, 9.48, 9.37, 9.25, 9.13, 9.02, 8.90,  // 1981
+            8.60, 8.30, 8.00, 7.70, 7.40, 7.10, 6.55, 6.00, 5.45, 4.90, 4.35, 3.80  // 1982
+        ]
+    }
+};
+
+// Make INFLATION_SERIES available globally
+if (typeof window !== 'undefined') {
+    window.INFLATION_SERIES = INFLATION_SERIES;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { INFLATION_SERIES };
+}
@@ -3,6 +3,8 @@
  *
  * Provides a unified interface for liquid containers (pig and mug).
  * Eliminates duplication between pig and mug collision detection logic.
+ * The selector is looked up inside a root element, so each pig scene
+ * (main and comparison) gets its own containers.
  *
  * Responsibilities:
  * - Get container's liquid surface Y position
@@ -24,6 +26,15 @@
  * );
  * const surfaceY = pigContainer.getSurfaceY();
  * const hasCollision = pigContainer.checkCollision(dropY, dropSize);
+ *
+ * // Pig of the comparison scene, filled from a second state manager
+ * const comparisonPig = new LiquidContainer(
+ *     CONFIG.selectors.pigOvalContainer,
+ *     'fillLevel',
+ *     CONFIG,
+ *     comparisonState,
+ *     document.getElementById(CONFIG.elementIds.comparisonScene)
+ * );
  * ```
  */
 class LiquidContainer {
@@ -33,12 +44,14 @@ class LiquidContainer {
      * @param {string} fillLevelKey - State key for fill level ('fillLevel' or 'mugFillLevel')
      * @param {Object} config - CONFIG object
      * @param {StateManager} stateManager - State manager instance
+     * @param {Document|HTMLElement} [root=document] - Element to look the selector up in (e.g. a pig scene)
      */
-    constructor(selector, fillLevelKey, config, stateManager) {
+    constructor(selector, fillLevelKey, config, stateManager, root = document) {
         this.selector = selector;
         this.fillLevelKey = fillLevelKey;
         this.config = config;
         this.stateManager = stateManager;
+        this.root = root;
     }
 
     /**
@@ -46,7 +59,7 @@ class LiquidContainer {
      * @returns {HTMLElement|null} Container element or null if not found
      */
     getElement() {
-        return document.querySelector(this.selector);
+        return this.root.querySelector(this.selector);
     }
 
     /**
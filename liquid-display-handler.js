@@ -3,10 +3,14 @@
  * 
  * Responsibilities:
  * - Update pig oval fill visual (height)
+ * - Color the pig fill per savings vehicle (stacked layers in mix mode)
  * - Update pig percentage display (centered on pig)
  * - Update banker's mug fill visual (height)
  * - Update debug displays for fill levels
  * 
+ * Elements are looked up inside a root element, so the comparison pig scene
+ * gets its own handler bound to its own state manager.
+ * 
  * Dependencies:
  * - config.js (CONFIG constants)
  * - state-manager.js (state values)
@@ -15,6 +19,10 @@
  * ```javascript
  * const liquidHandler = new LiquidDisplayHandler(CONFIG, stateManager);
  * liquidHandler.initialize();
+ *
+ * // Comparison scene
+ * const comparisonHandler = new LiquidDisplayHandler(CONFIG, comparisonState, comparisonSceneElement);
+ * comparisonHandler.initialize();
  * ```
  */
 class LiquidDisplayHandler {
@@ -22,10 +30,12 @@ class LiquidDisplayHandler {
      * Create a new LiquidDisplayHandler
      * @param {Object} config - Configuration object (CONFIG from config.js)
      * @param {Object} stateManager - State manager instance
+     * @param {Document|HTMLElement} [root=document] - Element holding the pig scene
      */
-    constructor(config, stateManager) {
+    constructor(config, stateManager, root = document) {
         this.config = config;
         this.state = stateManager;
+        this.root = root;
         
         // Cache DOM elements
         this.elements = {
@@ -64,13 +74,17 @@ class LiquidDisplayHandler {
      */
     cacheElements() {
         // Pig elements
-        this.elements.pigOvalFill = document.querySelector(this.config.selectors.pigOvalFill);
-        this.elements.pigPercentageDisplay = document.getElementById(this.config.elementIds.pigPercentageDisplay);
-        this.elements.debugFillValue = document.getElementById(this.config.elementIds.debugFillValue);
+        this.elements.pigOvalFill = this.root.querySelector(this.config.selectors.pigOvalFill);
+        this.elements.pigPercentageDisplay = this.root.querySelector(this.config.selectors.pigPercentage);
         
         // Mug elements
-        this.elements.bankerMugFill = document.querySelector(this.config.selectors.bankerMugFill);
-        this.elements.debugMugValue = document.getElementById(this.config.elementIds.debugMugValue);
+        this.elements.bankerMugFill = this.root.querySelector(this.config.selectors.bankerMugFill);
+
+        // Debug displays (if present) only follow the main pig
+        if (this.root === document) {
+            this.elements.debugFillValue = document.getElementById(this.config.elementIds.debugFillValue);
+            this.elements.debugMugValue = document.getElementById(this.config.elementIds.debugMugValue);
+        }
     }
     
     /**
@@ -84,6 +98,11 @@ class LiquidDisplayHandler {
         if (this.elements.pigOvalFill) {
             this.elements.pigOvalFill.style.height = fillLevel + '%';
         }
+
+        // Mix mode layers change size with every deposit, inflation step and price move
+        if (this.state.getSavingsVehicle() === this.config.savingsVehicle.options.MIX) {
+            this.updatePigFillColor();
+        }
         
         // Update percentage display centered on pig
         if (this.elements.pigPercentageDisplay) {
@@ -119,7 +138,8 @@ class LiquidDisplayHandler {
 
     /**
      * Update the pig fill color based on current savings vehicle
-     * USD: green gradient, BTC: orange gradient
+     * USD: green gradient, BTC: orange gradient, HYSA: teal gradient, gold: gold gradient,
+     * mix: one band per vehicle, stacked bottom to top
      */
     updatePigFillColor() {
         if (!this.elements.pigOvalFill) return;
@@ -130,6 +150,17 @@ class LiquidDisplayHandler {
             // BTC mode: orange gradient
             this.elements.pigOvalFill.style.background =
                 `linear-gradient(to top, ${this.config.colors.btcFillStart}, ${this.config.colors.btcFillEnd})`;
+        } else if (vehicle === this.config.savingsVehicle.options.HYSA) {
+            // HYSA mode: teal gradient
+            this.elements.pigOvalFill.style.background =
+                `linear-gradient(to top, ${this.config.colors.hysaFillStart}, ${this.config.colors.hysaFillEnd})`;
+        } else if (vehicle === this.config.savingsVehicle.options.GOLD) {
+            // Gold mode: gold gradient
+            this.elements.pigOvalFill.style.background =
+                `linear-gradient(to top, ${this.config.colors.goldFillStart}, ${this.config.colors.goldFillEnd})`;
+        } else if (vehicle === this.config.savingsVehicle.options.MIX) {
+            // Mix mode: stacked bands sized by each vehicle's share of the fill
+            this.elements.pigOvalFill.style.background = this.buildLayerGradient(this.state.getAllocationFillLevels());
         } else {
             // USD mode: green gradient (default)
             this.elements.pigOvalFill.style.background =
@@ -137,6 +168,33 @@ class LiquidDisplayHandler {
         }
     }
     
+    /**
+     * Build a hard-stop gradient with one band per mix mode layer
+     * Band heights are relative to the fill element, so each layer's share of the total fill
+     * @param {Object} layerFills - Fill level percentage per vehicle ({ usd, hysa, gold, btc })
+     * @returns {string} CSS linear-gradient
+     */
+    buildLayerGradient(layerFills) {
+        const total = sumAllocation(layerFills);
+        const stops = [];
+        let bottom = 0;
+
+        ALLOCATION_VEHICLES.forEach(vehicle => {
+            if (total <= 0 || layerFills[vehicle] <= 0) return;
+
+            const top = bottom + (layerFills[vehicle] / total) * 100;
+            stops.push(`${this.config.colors[vehicle + 'FillStart']} ${bottom.toFixed(2)}%`);
+            stops.push(`${this.config.colors[vehicle + 'FillEnd']} ${top.toFixed(2)}%`);
+            bottom = top;
+        });
+
+        if (stops.length === 0) {
+            return `linear-gradient(to top, ${this.config.colors.usdFillStart}, ${this.config.colors.usdFillEnd})`;
+        }
+
+        return `linear-gradient(to top, ${stops.join(', ')})`;
+    }
+
     /**
      * Get current pig fill level as percentage
      * @returns {number} Fill level (0-100)
@@ -0,0 +1,132 @@
+/**
+ * MeasureController - "Measure In" Selector Management
+ *
+ * Lets the user express purchasing power as a count of concrete goods (median homes,
+ * years of tuition, gallons of gasoline, ounces of gold, hours of minimum-wage work)
+ * instead of money. Only the display changes: the PP label, the full pig baseline and
+ * the chart switch units, the simulation keeps running in the base currency.
+ *
+ * Responsibilities:
+ * - Fill the selector with money, gold and all bundled goods series
+ * - Load/save the selected measure via settings-storage.js
+ * - Set the measure in StateManager (display handlers subscribe to it)
+ *
+ * Dependencies:
+ * - config.js (CONFIG.measure, element IDs)
+ * - goods-price-series.js (GOODS_PRICE_SERIES data)
+ * - financial-math.js (getGoodsInfo)
+ * - settings-storage.js (getSetting, setSetting)
+ * - state-manager.js (setMeasure)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new MeasureController(CONFIG, stateManager);
+ * controller.initialize();
+ * controller.selectMeasure('home'); // PP shown in median homes
+ * ```
+ */
+class MeasureController {
+    /**
+     * Create a new MeasureController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     */
+    constructor(config, stateManager) {
+        this.config = config;
+        this.stateManager = stateManager;
+
+        // DOM elements
+        this.elements = {
+            measureSelect: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Fills the selector, restores the saved measure and sets up event listeners
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.measureSelect) return;
+
+        // Fill selector
+        this.populateOptions();
+
+        // Restore saved measure
+        this.selectMeasure(getSetting('measure', this.config.measure.default));
+
+        // Setup event listeners
+        this.elements.measureSelect.addEventListener('change', (e) => {
+            this.selectMeasure(e.target.value);
+        });
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.measureSelect = document.getElementById(this.config.elementIds.measureSelect);
+    }
+
+    /**
+     * Fill the selector: money first, then gold and one option per bundled goods series
+     */
+    populateOptions() {
+        const select = this.elements.measureSelect;
+        select.innerHTML = '';
+
+        select.appendChild(this.createOption(this.config.measure.CURRENCY, this.config.measure.currencyLabel));
+
+        const goodIds = [
+            this.config.measure.GOLD,
+            ...Object.keys(typeof GOODS_PRICE_SERIES !== 'undefined' ? GOODS_PRICE_SERIES : {})
+        ];
+        goodIds.forEach(id => {
+            const goods = getGoodsInfo(id);
+            const option = this.createOption(id, goods.label);
+            option.title = goods.description || '';
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Create an <option> element
+     * @param {string} value - Option value
+     * @param {string} label - Option text
+     * @returns {HTMLOptionElement} Option element
+     */
+    createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    /**
+     * Select the unit PP is shown in (saved to storage)
+     * Unknown measures fall back to money
+     * @param {string} measure - 'currency', 'gold' or a good id from GOODS_PRICE_SERIES
+     */
+    selectMeasure(measure) {
+        const valid = getGoodsInfo(measure) ? measure : this.config.measure.CURRENCY;
+
+        if (this.elements.measureSelect) {
+            this.elements.measureSelect.value = valid;
+        }
+
+        setSetting('measure', valid);
+        this.stateManager.setMeasure(valid);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MeasureController = MeasureController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MeasureController };
+}
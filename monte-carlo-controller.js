@@ -0,0 +1,311 @@
+/**
+ * MonteCarloController - Monte Carlo Mode Management
+ *
+ * Runs the current scenario along many random paths (stochastic inflation, BTC
+ * log-normal around the price model) in a Web Worker, and publishes the percentile
+ * bands via StateManager for the chart and the savings panel.
+ * Runs again whenever the simulation (re)starts, so the bands always match the
+ * settings the animated run started with.
+ *
+ * Responsibilities:
+ * - Fill the path count selector (Off / 500 / 1,000 / 5,000 paths)
+ * - Load/save the path count via settings-storage.js
+ * - Build engine params from the current settings and simulation start
+ * - Run paths in monte-carlo-worker.js, or fewer paths on the page where workers are unavailable (e.g. file://)
+ * - Ignore results of runs superseded by a newer one
+ *
+ * Dependencies:
+ * - config.js (CONFIG.monteCarlo, element IDs)
+ * - monte-carlo.js (runMonteCarlo, fallback without a worker)
+ * - financial-math.js (getBtcPriceModel, getBaseCurrency, passed to the worker)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache for the current settings)
+ * - state-manager.js (simulation start, horizon, vehicle, setMonteCarloResult)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new MonteCarloController(CONFIG, stateManager);
+ * controller.initialize();
+ * ```
+ */
+class MonteCarloController {
+    /**
+     * Create a new MonteCarloController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     */
+    constructor(config, stateManager) {
+        this.config = config;
+        this.stateManager = stateManager;
+
+        // Worker (created on first run; null if workers are unavailable)
+        this.worker = null;
+        this.workerUnavailable = false;
+
+        // Id of the latest run - results of older runs are ignored
+        this.jobId = 0;
+
+        // Timeout for the delayed run after a restart
+        this.runTimeoutId = null;
+
+        // DOM elements
+        this.elements = {
+            pathsSelect: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved path count and runs if Monte Carlo is on
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.pathsSelect) return;
+
+        // Fill selector and restore saved choice
+        this.populatePathOptions();
+        const savedPaths = getSetting('monteCarloPaths', this.config.monteCarlo.defaultPaths);
+        const isValid = this.config.monteCarlo.pathOptions.includes(savedPaths);
+        this.elements.pathsSelect.value = String(isValid ? savedPaths : this.config.monteCarlo.defaultPaths);
+
+        // Setup event listeners
+        this.elements.pathsSelect.addEventListener('change', () => {
+            setSetting('monteCarloPaths', this.getPaths());
+            this.handlePathsChange();
+        });
+
+        // New start (restart, reset, resumed session) → new bands
+        this.stateManager.subscribe('simulationStartDate', () => {
+            this.scheduleRun();
+        });
+
+        this.scheduleRun();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.pathsSelect = document.getElementById(this.config.elementIds.monteCarloPathsSelect);
+        this.elements.status = document.getElementById(this.config.elementIds.monteCarloStatus);
+    }
+
+    /**
+     * Fill the path count selector
+     */
+    populatePathOptions() {
+        const select = this.elements.pathsSelect;
+        select.innerHTML = '';
+
+        this.config.monteCarlo.pathOptions.forEach(paths => {
+            const option = document.createElement('option');
+            option.value = String(paths);
+            option.textContent = paths === 0 ? 'Off' : `${paths.toLocaleString()} paths`;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Get the selected path count
+     * @returns {number} Number of paths (0 = Monte Carlo off)
+     */
+    getPaths() {
+        return this.elements.pathsSelect ? parseInt(this.elements.pathsSelect.value) : 0;
+    }
+
+    /**
+     * Handle path count change
+     * Turning Monte Carlo off cancels a running job and hides the bands
+     */
+    handlePathsChange() {
+        if (this.getPaths() === 0) {
+            this.cancel();
+            this.stateManager.setMonteCarloResult(null);
+            this.setStatus('');
+            return;
+        }
+
+        this.scheduleRun();
+    }
+
+    /**
+     * Run after a short delay (restarts often come in bursts, e.g. while resetting settings)
+     */
+    scheduleRun() {
+        if (this.getPaths() === 0) return;
+
+        if (this.runTimeoutId !== null) {
+            clearTimeout(this.runTimeoutId);
+        }
+
+        this.runTimeoutId = setTimeout(() => {
+            this.runTimeoutId = null;
+            this.run();
+        }, this.config.monteCarlo.rerunDelayMs);
+    }
+
+    /**
+     * Cancel a scheduled or running job (its result will be ignored)
+     */
+    cancel() {
+        if (this.runTimeoutId !== null) {
+            clearTimeout(this.runTimeoutId);
+            this.runTimeoutId = null;
+        }
+        this.jobId++;
+    }
+
+    /**
+     * Build engine params from the current settings
+     * @returns {Object} SimulationEngine params (structured-cloneable for the worker)
+     */
+    buildParams() {
+        const settings = window.settingsCache;
+        const startDate = this.stateManager.get('simulationStartDate');
+
+        return {
+            startAmount: settings.getStartingAmount(),
+            monthlySavings: settings.getMonthlySavings(),
+            contributionGrowth: settings.getContributionGrowth(),
+            events: settings.getOneOffEvents(),
+            withdrawal: this.stateManager.getWithdrawalParams(startDate),
+            taxModel: settings.getCapitalGainsTax(),
+            fees: settings.getFees(),
+            annualInflation: settings.getAnnualInflation(),
+            inflationSeries: settings.getInflationSeries(),
+            annualYield: settings.getAnnualYield(),
+            goldGrowth: settings.getGoldGrowth(),
+            allocation: settings.getAllocation(),
+            rebalanceMonths: settings.getRebalanceMonths(),
+            savingsVehicle: this.stateManager.getSavingsVehicle(),
+            startDate: startDate,
+            months: this.stateManager.getTotalMonths()
+        };
+    }
+
+    /**
+     * Run the selected number of paths for the current settings
+     */
+    run() {
+        const paths = this.getPaths();
+        if (paths === 0) return;
+
+        const jobId = ++this.jobId;
+        const params = this.buildParams();
+        const options = { paths, seed: Date.now() };
+
+        this.setStatus(`Running ${paths.toLocaleString()} paths…`);
+
+        const worker = this.getWorker();
+        if (worker) {
+            worker.postMessage({ jobId, params, btcPriceModel: getBtcPriceModel(), currency: getBaseCurrency(), options });
+        } else {
+            this.runInPage(jobId, params, options);
+        }
+    }
+
+    /**
+     * Run paths on the page (blocks the animation briefly)
+     * Used where workers are unavailable, e.g. Chrome with file:// pages;
+     * the path count is capped at CONFIG.monteCarlo.inPageMaxPaths
+     * @param {number} jobId - Run id
+     * @param {Object} params - SimulationEngine params
+     * @param {Object} options - runMonteCarlo options
+     */
+    runInPage(jobId, params, options) {
+        const paths = Math.min(options.paths, this.config.monteCarlo.inPageMaxPaths);
+        this.setStatus(`Running ${paths.toLocaleString()} paths on the page (no worker)…`);
+
+        setTimeout(() => {
+            if (jobId !== this.jobId) return;
+            this.finishRun(runMonteCarlo(this.config, params, { ...options, paths }));
+        }, 0);
+    }
+
+    /**
+     * Get the worker, creating it on first use
+     * @returns {Worker|null} Worker, or null if workers are unavailable
+     */
+    getWorker() {
+        if (this.worker || this.workerUnavailable) {
+            return this.worker;
+        }
+
+        try {
+            this.worker = new Worker(this.config.monteCarlo.workerScript);
+        } catch (error) {
+            console.warn('Monte Carlo worker unavailable, running on the page:', error.message);
+            this.workerUnavailable = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (event) => {
+            this.handleWorkerMessage(event.data);
+        });
+
+        // Script failed to load (e.g. blocked) - fall back to the page and retry
+        this.worker.addEventListener('error', (event) => {
+            console.warn('Monte Carlo worker failed, running on the page:', event.message);
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.workerUnavailable = true;
+            this.run();
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} data - Message ({ jobId, type, donePaths | result | message })
+     */
+    handleWorkerMessage(data) {
+        if (data.jobId !== this.jobId) return; // Superseded by a newer run
+
+        if (data.type === 'progress') {
+            const percent = Math.round(data.donePaths / this.getPaths() * 100);
+            this.setStatus(`Running ${this.getPaths().toLocaleString()} paths… ${percent}%`);
+        } else if (data.type === 'result') {
+            this.finishRun(data.result);
+        } else if (data.type === 'error') {
+            console.error('Monte Carlo run failed:', data.message);
+            this.setStatus('Monte Carlo run failed');
+        }
+    }
+
+    /**
+     * Publish a finished run
+     * @param {Object} result - Result of runMonteCarlo
+     */
+    finishRun(result) {
+        this.stateManager.setMonteCarloResult(result);
+
+        const percent = Math.round(result.probabilityPpAboveDeposits * 100);
+        this.setStatus(`${result.paths.toLocaleString()} paths: PP ends above deposits in ${percent}%`);
+        console.log(`🎲 Monte Carlo: ${result.paths} paths, PP above deposits in ${percent}%`);
+    }
+
+    /**
+     * Set status text below the path selector
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MonteCarloController = MonteCarloController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MonteCarloController };
+}
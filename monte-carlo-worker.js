@@ -0,0 +1,54 @@
+/**
+ * Monte Carlo Worker - Runs Monte Carlo paths and sensitivity grids off the main thread
+ *
+ * Thousands of paths, or a heatmap's 121 runs over a long horizon, take a few seconds;
+ * running them here keeps the pig animation and the sliders smooth.
+ *
+ * Messages in:  { jobId, params, btcPriceModel: { id, options }, currency, options: { paths, seed } }
+ *               { jobId, task: 'sensitivity', params, btcPriceModel, currency, options: { startAmounts, savingsAmounts } }
+ * Messages out: { jobId, type: 'progress', donePaths }   (sensitivity: doneCells)
+ *               { jobId, type: 'result', result }   (see runMonteCarlo / computeSensitivityGrid)
+ *               { jobId, type: 'error', message }
+ *
+ * Dependencies (loaded via importScripts):
+ * - config.js, financial-math.js, gold-price-series.js, fx-rate-series.js, simulation-engine.js, monte-carlo.js,
+ *   sensitivity.js
+ *
+ * Example:
+ * ```javascript
+ * const worker = new Worker('monte-carlo-worker.js');
+ * worker.onmessage = (event) => console.log(event.data);
+ * worker.postMessage({ jobId: 1, params, btcPriceModel: getBtcPriceModel(), currency: getBaseCurrency(), options: { paths: 1000 } });
+ * ```
+ */
+importScripts('config.js', 'financial-math.js', 'gold-price-series.js', 'fx-rate-series.js', 'simulation-engine.js', 'monte-carlo.js',
+    'sensitivity.js');
+
+self.onmessage = (event) => {
+    const { jobId, task, params, btcPriceModel, currency, options } = event.data;
+
+    try {
+        // The worker has its own copy of financial-math.js - select the page's price model
+        setBtcPriceModel(btcPriceModel.id, btcPriceModel.options);
+
+        // ...and its base currency (prices and pig capacity in that currency)
+        setBaseCurrency(currency);
+        applyCurrencyScale(currency);
+
+        let result;
+        if (task === 'sensitivity') {
+            result = computeSensitivityGrid(CONFIG, params, options.startAmounts, options.savingsAmounts, {
+                onProgress: (doneCells) => self.postMessage({ jobId, type: 'progress', doneCells })
+            });
+        } else {
+            result = runMonteCarlo(CONFIG, params, {
+                ...options,
+                onProgress: (donePaths) => self.postMessage({ jobId, type: 'progress', donePaths })
+            });
+        }
+
+        self.postMessage({ jobId, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ jobId, type: 'error', message: error.message });
+    }
+};
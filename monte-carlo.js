@@ -0,0 +1,240 @@
+/**
+ * Monte Carlo - Many randomized runs of the headless simulation
+ *
+ * Runs SimulationEngine along many random paths instead of the single deterministic one:
+ * the annual inflation rate wanders around the chosen rate (slider or series), and BTC
+ * trades log-normally around the active price model (the power law median by default).
+ * Both shocks are mean-reverting AR(1) processes, so high-inflation spells and BTC
+ * booms/busts last for a while before fading, as they do in the historical data.
+ *
+ * Responsibilities:
+ * - Seeded random numbers (same seed = same paths)
+ * - Stochastic engine (SimulationEngine with inflation shocks and BTC residuals)
+ * - Percentiles of savings and PP value per month across all paths
+ * - Share of paths where PP ends above total deposits
+ *
+ * Dependencies:
+ * - config.js (CONFIG.monteCarlo volatility and persistence)
+ * - financial-math.js (setBtcPriceResidual)
+ * - simulation-engine.js (SimulationEngine)
+ *
+ * Example:
+ * ```javascript
+ * const result = runMonteCarlo(CONFIG, { startAmount: 50000, savingsVehicle: 'btc', months: 120 }, { paths: 1000, seed: 42 });
+ * console.log(result.pp[10][120], result.pp[50][120], result.pp[90][120]);
+ * console.log(result.probabilityPpAboveDeposits); // e.g. 0.74
+ * ```
+ */
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a standard normal sampler from a uniform generator (Box-Muller)
+ * @param {function(): number} random - Generator returning numbers in [0, 1)
+ * @returns {function(): number} Sampler returning normally distributed numbers (mean 0, sd 1)
+ */
+function createNormalSampler(random) {
+    return () => {
+        const u = 1 - random(); // (0, 1] - avoids log(0)
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+}
+
+/**
+ * Get a percentile of sorted values (linear interpolation between neighbours)
+ * @param {ArrayLike<number>} sortedValues - Values sorted ascending
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function calculatePercentile(sortedValues, percentile) {
+    const position = (sortedValues.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * SimulationEngine with random inflation shocks and BTC price residuals
+ *
+ * Each month both shocks move one AR(1) step: shock = persistence × shock + innovation,
+ * with the innovation scaled so the shocks settle at the configured volatility.
+ */
+class StochasticSimulationEngine extends SimulationEngine {
+    /**
+     * Create a new StochasticSimulationEngine
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} params - Simulation inputs (see SimulationEngine)
+     * @param {function(): number} random - Generator returning numbers in [0, 1)
+     */
+    constructor(config, params, random) {
+        super(config, params);
+        this.normal = createNormalSampler(random);
+    }
+
+    /**
+     * Reset state and shocks to month 0
+     */
+    reset() {
+        this.inflationShock = 0;   // Added to the annual inflation rate (decimal)
+        this.btcLogResidual = 0;   // Natural log of the BTC price multiplier
+        super.reset();
+    }
+
+    /**
+     * Simulate one month with new shocks
+     * The BTC residual only applies while this engine steps (the shared price model is restored after)
+     * @returns {Object} Snapshot recorded for the new month
+     */
+    step() {
+        if (this.isFinished()) {
+            return super.step();
+        }
+
+        this.advanceShocks();
+
+        setBtcPriceResidual(this.btcLogResidual);
+        try {
+            return super.step();
+        } finally {
+            setBtcPriceResidual(0);
+        }
+    }
+
+    /**
+     * Move inflation shock and BTC residual one AR(1) step
+     */
+    advanceShocks() {
+        const settings = this.config.monteCarlo;
+        const innovation = (volatility, persistence) =>
+            volatility * Math.sqrt(1 - persistence * persistence) * this.normal();
+
+        this.inflationShock = settings.inflationPersistence * this.inflationShock +
+            innovation(settings.inflationVolatility, settings.inflationPersistence);
+        this.btcLogResidual = settings.btcPersistence * this.btcLogResidual +
+            innovation(settings.btcVolatility, settings.btcPersistence);
+    }
+
+    /**
+     * Get annual inflation rate for the current simulation month
+     * @returns {number} Chosen rate (series or constant) plus the current shock, as decimal
+     */
+    getAnnualInflation() {
+        return super.getAnnualInflation() + this.inflationShock;
+    }
+
+    /**
+     * Record only what the percentiles need
+     * A full snapshot (dates, holdings, fill levels) per month and path adds up over thousands of paths
+     * @returns {Object} { savingsValue, ppValue } in dollars
+     */
+    snapshot() {
+        const savingsValue = this.getSavingsValue();
+        return { savingsValue, ppValue: savingsValue / this.state.cumulativeInflationFactor };
+    }
+}
+
+/**
+ * Run the simulation along many random paths
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - Simulation inputs (see SimulationEngine)
+ * @param {Object} [options] - Run options
+ * @param {number} [options.paths] - Number of paths (default 1000)
+ * @param {number} [options.seed] - Random seed (default: current time)
+ * @param {function(number)} [options.onProgress] - Called with the number of finished paths every 100 paths
+ * @returns {Object} Result: { paths, seed, months, savings, pp, probabilityPpAboveDeposits }
+ *   where savings and pp map each CONFIG.monteCarlo percentile to one value per month (USD)
+ */
+function runMonteCarlo(config, params, options = {}) {
+    const paths = options.paths || 1000;
+    const seed = options.seed !== undefined ? options.seed : Date.now();
+    const random = createSeededRandom(seed);
+
+    let savingsByMonth = null;
+    let ppByMonth = null;
+    let ppAboveDeposits = 0;
+
+    for (let path = 0; path < paths; path++) {
+        const engine = new StochasticSimulationEngine(config, params, random);
+        const series = engine.run();
+
+        if (!savingsByMonth) {
+            savingsByMonth = series.map(() => new Float64Array(paths));
+            ppByMonth = series.map(() => new Float64Array(paths));
+        }
+
+        series.forEach((record, month) => {
+            savingsByMonth[month][path] = record.savingsValue;
+            ppByMonth[month][path] = record.ppValue;
+        });
+
+        if (series[series.length - 1].ppValue > engine.state.nominalDollarsSaved) {
+            ppAboveDeposits++;
+        }
+
+        if (options.onProgress && (path + 1) % 100 === 0) {
+            options.onProgress(path + 1);
+        }
+    }
+
+    // Percentiles per month (sorting in place is fine - the per-path order isn't needed anymore)
+    const savings = {};
+    const pp = {};
+    config.monteCarlo.percentiles.forEach(percentile => {
+        savings[percentile] = [];
+        pp[percentile] = [];
+    });
+
+    savingsByMonth.forEach((values, month) => {
+        values.sort();
+        ppByMonth[month].sort();
+        config.monteCarlo.percentiles.forEach(percentile => {
+            savings[percentile].push(calculatePercentile(values, percentile));
+            pp[percentile].push(calculatePercentile(ppByMonth[month], percentile));
+        });
+    });
+
+    return {
+        paths,
+        seed,
+        months: savingsByMonth.map((values, month) => month),
+        savings,
+        pp,
+        probabilityPpAboveDeposits: ppAboveDeposits / paths
+    };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.createSeededRandom = createSeededRandom;
+    window.createNormalSampler = createNormalSampler;
+    window.calculatePercentile = calculatePercentile;
+    window.StochasticSimulationEngine = StochasticSimulationEngine;
+    window.runMonteCarlo = runMonteCarlo;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSeededRandom,
+        createNormalSampler,
+        calculatePercentile,
+        StochasticSimulationEngine,
+        runMonteCarlo
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * OneOffEventsController - One-Off Deposit and Withdrawal Events Management
+ *
+ * Lets the user add lump sums at specific months on top of the monthly savings:
+ * a bonus deposit in month 24, a car purchase in month 60, an inheritance.
+ * Events are typed as "month:amount label" entries (negative amounts are withdrawals,
+ * months count from the start). They are persisted in localStorage and read by
+ * SettingsCache, so StateManager and SimulationEngine pick them up like any slider value.
+ *
+ * Responsibilities:
+ * - Load/save the events text via settings-storage.js
+ * - List the parsed events, or flag text that can't be parsed
+ * - Redraw the event markers on the chart when the events change
+ *
+ * Dependencies:
+ * - config.js (CONFIG.oneOffEvents, element IDs)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache.readOneOffEvents)
+ * - financial-math.js (parseOneOffEvents)
+ * - formatters.js (formatCurrency)
+ * - display-manager.js (chart handler updateEvents)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new OneOffEventsController(CONFIG);
+ * controller.initialize();
+ * controller.setEvents('24:5000 bonus, 60:-20000 car');
+ * ```
+ */
+class OneOffEventsController {
+    /**
+     * Create a new OneOffEventsController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     */
+    constructor(config) {
+        this.config = config;
+
+        // DOM elements
+        this.elements = {
+            eventsInput: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved events before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.eventsInput) return;
+
+        // Restore saved events
+        this.loadFromStorage();
+
+        // Sync settings cache with restored values
+        if (window.settingsCache) {
+            window.settingsCache.readOneOffEvents();
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        this.updateStatus();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.eventsInput = document.getElementById(this.config.elementIds.oneOffEventsInput);
+        this.elements.status = document.getElementById(this.config.elementIds.oneOffEventsStatus);
+    }
+
+    /**
+     * Load the events text from storage
+     */
+    loadFromStorage() {
+        const saved = getSetting('oneOffEvents', '');
+
+        this.elements.eventsInput.placeholder = this.config.oneOffEvents.placeholder;
+        this.elements.eventsInput.value = typeof saved === 'string' ? saved : '';
+    }
+
+    /**
+     * Setup event listeners for the events input
+     * SettingsCache keeps its own listener; a change applies from the next month
+     */
+    setupEventListeners() {
+        this.elements.eventsInput.addEventListener('input', () => {
+            this.updateStatus();
+            this.updateChart();
+        });
+        this.elements.eventsInput.addEventListener('change', () => {
+            this.saveToStorage();
+        });
+    }
+
+    /**
+     * Set the events programmatically (e.g. from a shared link)
+     * @param {string} text - Events as "month:amount label" entries
+     */
+    setEvents(text) {
+        if (!this.elements.eventsInput) return;
+
+        this.elements.eventsInput.value = text;
+        this.saveToStorage();
+
+        if (window.settingsCache) {
+            window.settingsCache.readOneOffEvents();
+        }
+        this.updateStatus();
+        this.updateChart();
+    }
+
+    /**
+     * Get the events text as shown in the input
+     * @returns {string} Events as "month:amount label" entries ('' = no events)
+     */
+    getEvents() {
+        return this.elements.eventsInput ? this.elements.eventsInput.value.trim() : '';
+    }
+
+    /**
+     * Save the events text to storage
+     */
+    saveToStorage() {
+        setSetting('oneOffEvents', this.getEvents());
+    }
+
+    /**
+     * List the parsed events, or flag text that can't be parsed
+     */
+    updateStatus() {
+        if (!this.elements.status) return;
+
+        const events = parseOneOffEvents(this.getEvents());
+        if (events === null) {
+            this.elements.status.textContent = `Use month:amount entries, e.g. ${this.config.oneOffEvents.placeholder}`;
+        } else if (events.length === 0) {
+            this.elements.status.textContent = 'Lump sums at month N (negative = withdrawal)';
+        } else {
+            this.elements.status.textContent = events
+                .map(event => {
+                    const amount = (event.amount < 0 ? '-' : '+') + formatCurrency(Math.abs(event.amount));
+                    return [`month ${event.month}: ${amount}`, event.label].filter(Boolean).join(' ');
+                })
+                .join(', ');
+        }
+    }
+
+    /**
+     * Redraw the event markers on the chart
+     */
+    updateChart() {
+        if (window.displayManager) {
+            window.displayManager.getHandler('chart').updateEvents();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.OneOffEventsController = OneOffEventsController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OneOffEventsController };
+}
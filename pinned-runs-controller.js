@@ -0,0 +1,238 @@
+/**
+ * PinnedRunsController - "Pin This Run" Chart Overlays
+ *
+ * Restarting clears the chart, so a run can't be compared with the next one.
+ * Pinning keeps the current run's savings and PP series on the chart as faded traces,
+ * labeled with the run's parameters in the legend, across restarts and page reloads.
+ * Up to CONFIG.pinnedRuns.maxRuns runs are kept; pinning another unpins the oldest.
+ *
+ * Responsibilities:
+ * - Pin the current run (chart series, start date, base currency, label, color)
+ * - Load/save pinned runs via settings-storage.js
+ * - List pinned runs, each with a remove button
+ * - Hand the pinned runs to the chart handler
+ *
+ * Dependencies:
+ * - config.js (CONFIG.pinnedRuns, vehicle names, element IDs)
+ * - settings-storage.js (getPinnedRuns, savePinnedRuns)
+ * - formatters.js (formatCurrency, formatDateShort)
+ * - financial-math.js (getBaseCurrency)
+ * - dom-cache.js (settingsCache for the run's inputs)
+ * - state-manager.js (vehicle, start date, months elapsed)
+ * - app.js (chart handler)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new PinnedRunsController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.pinRun();             // current run stays on the chart
+ * controller.removeRun(runId);
+ * ```
+ */
+class PinnedRunsController {
+    /**
+     * Create a new PinnedRunsController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for the chart handler)
+     */
+    constructor(config, stateManager, app) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // Pinned runs, oldest first
+        this.runs = [];
+
+        // DOM elements
+        this.elements = {
+            pinButton: null,
+            list: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores pinned runs onto the chart and sets up the pin button
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        // Restore pinned runs
+        this.runs = getPinnedRuns();
+        this.updateChart();
+        this.renderList();
+
+        // Setup event listeners
+        if (this.elements.pinButton) {
+            this.elements.pinButton.addEventListener('click', () => {
+                this.pinRun();
+            });
+        }
+
+        // Nothing to pin before the first month has passed
+        this.updatePinButton();
+        this.stateManager.subscribe('currentSimDate', () => {
+            this.updatePinButton();
+        });
+
+        // Every reset (e.g. a base currency change) - refresh which runs share the value axis
+        this.stateManager.subscribe('simulationStartDate', () => {
+            this.renderList();
+        });
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.pinButton = document.getElementById(this.config.elementIds.pinRunButton);
+        this.elements.list = document.getElementById(this.config.elementIds.pinnedRunsList);
+    }
+
+    /**
+     * Pin the current run (saved to storage)
+     * The oldest pinned run is unpinned once CONFIG.pinnedRuns.maxRuns are kept
+     * @returns {Object|null} Pinned run, or null when no month has passed yet
+     */
+    pinRun() {
+        const chart = this.app.displayManager.getHandler('chart').getSnapshot();
+        if (chart.months.length < 2) return null;
+
+        const run = {
+            id: `run-${Date.now()}`,
+            label: this.buildRunLabel(),
+            currency: getBaseCurrency(),
+            startDate: this.stateManager.get('simulationStartDate').toISOString(),
+            months: chart.months,
+            savingsData: chart.savingsData,
+            ppData: chart.ppData,
+            color: this.pickColor()
+        };
+
+        this.runs = [...this.runs, run].slice(-this.config.pinnedRuns.maxRuns);
+        this.saveAndUpdate();
+
+        return run;
+    }
+
+    /**
+     * Remove a pinned run (saved to storage)
+     * @param {string} id - Run id
+     */
+    removeRun(id) {
+        this.runs = this.runs.filter(run => run.id !== id);
+        this.saveAndUpdate();
+    }
+
+    /**
+     * Get the pinned runs
+     * @returns {Array<Object>} Pinned runs, oldest first
+     */
+    getRuns() {
+        return this.runs;
+    }
+
+    /**
+     * Save the pinned runs, then update the chart and the list
+     */
+    saveAndUpdate() {
+        savePinnedRuns(this.runs);
+        this.updateChart();
+        this.renderList();
+    }
+
+    /**
+     * Describe the current run for the legend
+     * @returns {string} Label (e.g., "Bitcoin · $50,000 + $100/mo · 7% · 2012-01, 10y")
+     */
+    buildRunLabel() {
+        const settings = window.settingsCache;
+        const series = settings.getInflationSeries();
+        const inflation = series
+            ? series.label
+            : `${parseFloat((settings.getAnnualInflation() * 100).toFixed(2))}%`;
+        const months = this.stateManager.getMonthsElapsed();
+        const length = months % 12 === 0 ? `${months / 12}y` : `${months}mo`;
+
+        return [
+            this.config.savingsVehicle.names[this.stateManager.getSavingsVehicle()],
+            `${formatCurrency(settings.getStartingAmount())} + ${formatCurrency(settings.getMonthlySavings())}/mo`,
+            inflation,
+            `${formatDateShort(this.stateManager.get('simulationStartDate'))}, ${length}`
+        ].join(' · ');
+    }
+
+    /**
+     * Pick the first run color not in use (cycles when all are taken)
+     * @returns {string} CSS color
+     */
+    pickColor() {
+        const colors = this.config.pinnedRuns.colors;
+        const used = this.runs.map(run => run.color);
+        return colors.find(color => !used.includes(color)) || colors[this.runs.length % colors.length];
+    }
+
+    /**
+     * Hand the pinned runs to the chart
+     */
+    updateChart() {
+        if (this.app.displayManager) {
+            this.app.displayManager.getHandler('chart').setPinnedRuns(this.runs);
+        }
+    }
+
+    /**
+     * Enable the pin button once the run has at least one month
+     */
+    updatePinButton() {
+        if (this.elements.pinButton) {
+            this.elements.pinButton.disabled = this.stateManager.getMonthsElapsed() === 0;
+        }
+    }
+
+    /**
+     * List the pinned runs, each with its color and a remove button
+     * Runs pinned in another base currency are marked (they're hidden on the chart)
+     */
+    renderList() {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.runs.forEach(run => {
+            const item = document.createElement('div');
+            item.className = 'pinned-run';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'pinned-run-swatch';
+            swatch.style.background = run.color;
+
+            const label = document.createElement('span');
+            label.textContent = run.currency === getBaseCurrency() ? run.label : `${run.label} (${run.currency}, hidden)`;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'small-button';
+            removeButton.textContent = '×';
+            removeButton.title = 'Unpin this run';
+            removeButton.setAttribute('aria-label', 'Unpin this run');
+            removeButton.addEventListener('click', () => {
+                this.removeRun(run.id);
+            });
+
+            item.append(swatch, label, removeButton);
+            list.appendChild(item);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PinnedRunsController = PinnedRunsController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PinnedRunsController };
+}
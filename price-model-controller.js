@@ -0,0 +1,299 @@
+/**
+ * PriceModelController - BTC Price Model Selector Management
+ *
+ * Lets presenters choose how BTC is valued: power law parameter sets, power law
+ * lower/upper bands, a constant CAGR, or a user-supplied CSV of monthly prices.
+ * The choice is persisted in localStorage and applied through setBtcPriceModel,
+ * so convertUsdToBtc, convertBtcToUsd and calculateFullPigInBtc all follow it.
+ *
+ * Responsibilities:
+ * - Fill the model selector from BTC_PRICE_MODELS
+ * - Load/save model, CAGR and CSV prices via settings-storage.js
+ * - Show the CAGR input and CSV file input only for their models
+ * - Show the model controls only in BTC and mix mode
+ * - Restart the simulation when the model changes (full pig BTC capacity depends on it)
+ *
+ * Dependencies:
+ * - config.js (CONFIG.btcPriceModel, element IDs)
+ * - financial-math.js (BTC_PRICE_MODELS, setBtcPriceModel, parseMonthlyPriceCsv)
+ * - settings-storage.js (getSetting, setSetting)
+ * - state-manager.js (savingsVehicle subscription)
+ * - app.js (applySettingsChange: reset in start state, restart while running)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new PriceModelController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * ```
+ */
+class PriceModelController {
+    /**
+     * Create a new PriceModelController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for restart functionality)
+     */
+    constructor(config, stateManager, app = null) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // Monthly prices loaded from a CSV file (null until loaded)
+        this.csvSeries = null;
+
+        // DOM elements
+        this.elements = {
+            controlGroup: null,
+            modelSelect: null,
+            cagrInput: null,
+            csvInput: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Applies the saved model before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        // Fill selector and restore saved choice
+        this.populateModelOptions();
+        this.loadFromStorage();
+        this.applyModel(false);
+
+        if (!this.elements.modelSelect) return;
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Model controls are only relevant while saving (partly) in BTC
+        this.stateManager.subscribe('savingsVehicle', () => {
+            this.updateVisibility();
+        });
+        this.updateVisibility();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.controlGroup = document.getElementById(this.config.elementIds.btcPriceModelControlGroup);
+        this.elements.modelSelect = document.getElementById(this.config.elementIds.btcPriceModelSelect);
+        this.elements.cagrInput = document.getElementById(this.config.elementIds.btcCagrInput);
+        this.elements.csvInput = document.getElementById(this.config.elementIds.btcPriceCsvInput);
+        this.elements.status = document.getElementById(this.config.elementIds.btcPriceModelStatus);
+    }
+
+    /**
+     * Fill the model selector with one option per registered model
+     */
+    populateModelOptions() {
+        const select = this.elements.modelSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.keys(BTC_PRICE_MODELS).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = BTC_PRICE_MODELS[id].label;
+            option.title = BTC_PRICE_MODELS[id].description;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Load model, CAGR and CSV prices from storage
+     * Falls back to defaults for unknown or missing values
+     */
+    loadFromStorage() {
+        const savedModel = getSetting('btcPriceModel', this.config.btcPriceModel.default);
+        const savedCagr = getSetting('btcCagr', this.config.btcPriceModel.cagr.default);
+        this.csvSeries = getSetting('btcPriceCsv', null);
+
+        console.log('📦 Loading BTC price model from storage:', savedModel);
+
+        if (this.elements.modelSelect) {
+            const isValid = Object.prototype.hasOwnProperty.call(BTC_PRICE_MODELS, savedModel);
+            this.elements.modelSelect.value = isValid ? savedModel : this.config.btcPriceModel.default;
+        }
+
+        if (this.elements.cagrInput) {
+            this.elements.cagrInput.value = savedCagr;
+        }
+    }
+
+    /**
+     * Setup event listeners for model, CAGR and CSV changes
+     */
+    setupEventListeners() {
+        this.elements.modelSelect.addEventListener('change', () => {
+            setSetting('btcPriceModel', this.elements.modelSelect.value);
+            this.applyModel();
+        });
+
+        if (this.elements.cagrInput) {
+            this.elements.cagrInput.addEventListener('change', () => {
+                this.elements.cagrInput.value = this.getCagrPercent();
+                setSetting('btcCagr', this.getCagrPercent());
+                this.applyModel();
+            });
+        }
+
+        if (this.elements.csvInput) {
+            this.elements.csvInput.addEventListener('change', () => {
+                const file = this.elements.csvInput.files[0];
+                if (file) {
+                    this.loadCsvFile(file);
+                }
+            });
+        }
+    }
+
+    /**
+     * Select a model (and CAGR) programmatically without restarting (e.g. from a shared link)
+     * @param {string} modelId - Model id from BTC_PRICE_MODELS
+     * @param {number} [cagrPercent] - CAGR in percent for the constant CAGR model
+     */
+    selectModel(modelId, cagrPercent) {
+        if (this.elements.modelSelect && modelId !== undefined) {
+            this.elements.modelSelect.value = modelId;
+            setSetting('btcPriceModel', modelId);
+        }
+
+        if (this.elements.cagrInput && cagrPercent !== undefined) {
+            this.elements.cagrInput.value = cagrPercent;
+            setSetting('btcCagr', this.getCagrPercent());
+        }
+
+        this.applyModel(false);
+    }
+
+    /**
+     * Read a CSV file of monthly prices and switch to it
+     * @param {File} file - CSV file selected by the user
+     */
+    loadCsvFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            const series = parseMonthlyPriceCsv(String(reader.result));
+
+            if (!series) {
+                this.setStatus(`No monthly prices found in ${file.name}`);
+                return;
+            }
+
+            this.csvSeries = series;
+            setSetting('btcPriceCsv', series);
+            console.log(`✓ Loaded ${series.values.length} monthly BTC prices from ${file.name}`);
+            this.applyModel();
+        };
+
+        reader.onerror = () => {
+            this.setStatus(`Could not read ${file.name}`);
+        };
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * Apply the selected model to the price functions
+     * @param {boolean} restart - Whether to restart the simulation (false during initialization)
+     */
+    applyModel(restart = true) {
+        const selectedId = this.elements.modelSelect
+            ? this.elements.modelSelect.value
+            : this.config.btcPriceModel.default;
+
+        const activeId = setBtcPriceModel(selectedId, {
+            cagr: this.getCagrPercent() / 100,
+            series: this.csvSeries
+        });
+
+        console.log('✓ BTC price model set to:', activeId);
+
+        this.updateModelInputs();
+        this.updateStatus(selectedId, activeId);
+
+        // The full pig BTC capacity uses the new model from the next reset
+        if (restart) {
+            this.app.applySettingsChange();
+        }
+    }
+
+    /**
+     * Get CAGR from the input, clamped to CONFIG range
+     * @returns {number} CAGR in percent
+     */
+    getCagrPercent() {
+        const { min, max, default: defaultCagr } = this.config.btcPriceModel.cagr;
+        const value = this.elements.cagrInput ? parseFloat(this.elements.cagrInput.value) : NaN;
+        return isNaN(value) ? defaultCagr : Math.min(max, Math.max(min, value));
+    }
+
+    /**
+     * Show the CAGR input and CSV file input only for their models
+     */
+    updateModelInputs() {
+        const selectedId = this.elements.modelSelect ? this.elements.modelSelect.value : null;
+
+        if (this.elements.cagrInput) {
+            this.elements.cagrInput.style.display = selectedId === 'constant-cagr' ? '' : 'none';
+        }
+
+        if (this.elements.csvInput) {
+            this.elements.csvInput.style.display = selectedId === 'csv' ? '' : 'none';
+        }
+    }
+
+    /**
+     * Show model description, CSV range, or why the default model is used instead
+     * @param {string} selectedId - Model chosen in the selector
+     * @param {string} activeId - Model actually applied
+     */
+    updateStatus(selectedId, activeId) {
+        if (selectedId !== activeId) {
+            this.setStatus('Choose a CSV file with one "YYYY-MM,price" row per month');
+        } else if (activeId === 'csv') {
+            const { firstYear, lastYear } = getSeriesYearRange(this.csvSeries);
+            this.setStatus(`${this.csvSeries.values.length} monthly prices (${firstYear}–${lastYear})`);
+        } else {
+            this.setStatus(BTC_PRICE_MODELS[activeId].description);
+        }
+    }
+
+    /**
+     * Set status text below the selector
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    /**
+     * Show model controls only in BTC and mix mode
+     */
+    updateVisibility() {
+        if (!this.elements.controlGroup) return;
+
+        const vehicle = this.stateManager.getSavingsVehicle();
+        const holdsBtc = vehicle === this.config.savingsVehicle.options.BTC ||
+                         vehicle === this.config.savingsVehicle.options.MIX;
+        this.elements.controlGroup.style.display = holdsBtc ? '' : 'none';
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PriceModelController = PriceModelController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PriceModelController };
+}
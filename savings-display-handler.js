@@ -3,15 +3,20 @@
  *
  * Responsibilities:
  * - Update total savings display ($XX,XXX)
+ * - Break down holdings per vehicle in mix mode
  * - Update purchasing power lost percentage (XX%)
- * - Update purchasing power value display ($(YYYY-MM)XXXXX)
+ * - Update purchasing power value display ($(YYYY-MM)XXXXX, or a count of goods)
  * - Update total deposits display ($XX,XXX)
  * - Show/hide deposits row based on BTC mode activation
+ * - Show cumulative fees and spreads paid (hidden until the first fee)
+ * - Show the Monte Carlo probability that PP ends above total deposits
  * - Update debug displays for bank dollars
  *
  * Dependencies:
  * - config.js (CONFIG constants)
- * - state-manager.js (state values including nominalDollarsSaved, btcModeEverActive)
+ * - state-manager.js (state values including nominalDollarsSaved, btcModeEverActive, totalFeesPaid, monteCarloResult, measure)
+ * - financial-math.js (getGoodsInfo)
+ * - formatters.js (formatCurrency, formatPurchasingPower in the base currency, formatGoodsAmount)
  *
  * Example:
  * ```javascript
@@ -37,6 +42,11 @@ class SavingsDisplayHandler {
             ppStartDate: null,
             totalContributionsValue: null,
             depositsRow: null,
+            feesRow: null,
+            totalFeesValue: null,
+            allocationBreakdown: null,
+            ppProbabilityRow: null,
+            ppProbabilityValue: null,
             debugBankDollars: null
         };
     }
@@ -54,6 +64,8 @@ class SavingsDisplayHandler {
         this.updatePPDisplay();
         this.updateContributionsDisplay();
         this.updateDepositsRowVisibility();
+        this.updateFeesDisplay();
+        this.updateProbabilityDisplay();
     }
     
     /**
@@ -71,6 +83,17 @@ class SavingsDisplayHandler {
         this.elements.depositsRow = document.getElementById('depositsRow');
         this.elements.totalContributionsValue = document.getElementById('totalContributionsValue');
 
+        // Fees row and total fees display
+        this.elements.feesRow = document.getElementById(this.config.elementIds.feesRow);
+        this.elements.totalFeesValue = document.getElementById(this.config.elementIds.totalFeesValue);
+
+        // Mix mode holdings per vehicle
+        this.elements.allocationBreakdown = document.getElementById(this.config.elementIds.allocationBreakdown);
+
+        // Monte Carlo probability row
+        this.elements.ppProbabilityRow = document.getElementById(this.config.elementIds.ppProbabilityRow);
+        this.elements.ppProbabilityValue = document.getElementById(this.config.elementIds.ppProbabilityValue);
+
         // Debug
         this.elements.debugBankDollars = document.getElementById(this.config.elementIds.debugBankDollars);
     }
@@ -88,13 +111,22 @@ class SavingsDisplayHandler {
             if (savingsVehicle === 'btc') {
                 const totalBtc = this.state.getTotalSavingsBtc();
                 this.elements.totalSavingsValue.textContent = this.formatBtcAmount(totalBtc);
+            } else if (savingsVehicle === 'gold') {
+                const totalGold = this.state.getTotalSavingsGold();
+                this.elements.totalSavingsValue.textContent = this.formatGoldAmount(totalGold);
+            } else if (savingsVehicle === 'mix') {
+                // Total in dollars, holdings per vehicle in the breakdown row
+                const totalValue = Math.floor(this.state.getSavingsUsdValue());
+                this.elements.totalSavingsValue.textContent = formatCurrency(totalValue);
             } else {
                 // Floor to whole number (no decimals)
                 const totalSavingsFloored = Math.floor(totalSavings);
-                this.elements.totalSavingsValue.textContent = '$' + totalSavingsFloored.toLocaleString();
+                this.elements.totalSavingsValue.textContent = formatCurrency(totalSavingsFloored);
             }
         }
 
+        this.updateAllocationBreakdown();
+
         // Update purchasing power gained/lost with dynamic label
         if (this.elements.totalBankValue) {
             const ppInfo = this.state.getPPGainedOrLostInfo();
@@ -111,8 +143,62 @@ class SavingsDisplayHandler {
 
         // Update debug display with bank dollar amount
         if (this.elements.debugBankDollars) {
-            this.elements.debugBankDollars.textContent = '$' + totalBankSavings.toLocaleString();
+            this.elements.debugBankDollars.textContent = formatCurrency(totalBankSavings);
+        }
+    }
+
+    /**
+     * Update the per-vehicle holdings row (mix mode only)
+     * One entry per held vehicle: color swatch, holdings in the vehicle's unit, share of total value
+     */
+    updateAllocationBreakdown() {
+        const breakdown = this.elements.allocationBreakdown;
+        if (!breakdown) return;
+
+        if (this.state.get('savingsVehicle') !== this.config.savingsVehicle.options.MIX) {
+            breakdown.style.display = 'none';
+            return;
+        }
+
+        const holdings = this.state.get('allocationHoldings');
+        const values = this.state.getAllocationValues();
+        const totalValue = sumAllocation(values);
+
+        breakdown.innerHTML = '';
+        ALLOCATION_VEHICLES.forEach(vehicle => {
+            if (values[vehicle] <= 0) return;
+
+            const item = document.createElement('span');
+            item.className = 'allocation-item';
+            item.title = this.config.savingsVehicle.names[vehicle];
+
+            const swatch = document.createElement('span');
+            swatch.className = 'allocation-swatch';
+            swatch.style.background = this.config.colors[vehicle + 'FillStart'];
+            item.appendChild(swatch);
+
+            const share = totalValue > 0 ? Math.round((values[vehicle] / totalValue) * 100) : 0;
+            item.appendChild(document.createTextNode(`${this.formatHoldings(vehicle, holdings[vehicle])} (${share}%)`));
+            breakdown.appendChild(item);
+        });
+
+        breakdown.style.display = '';
+    }
+
+    /**
+     * Format a vehicle's holdings in its own unit
+     * @param {string} vehicle - Vehicle ('usd', 'btc', 'hysa' or 'gold')
+     * @param {number} amount - Holdings (dollars, BTC or troy ounces)
+     * @returns {string} Formatted holdings (e.g., "$40,000", "₿0.12345", "3.200 oz")
+     */
+    formatHoldings(vehicle, amount) {
+        if (vehicle === this.config.savingsVehicle.options.BTC) {
+            return this.formatBtcAmount(amount);
+        }
+        if (vehicle === this.config.savingsVehicle.options.GOLD) {
+            return this.formatGoldAmount(amount);
         }
+        return formatCurrency(Math.floor(amount));
     }
 
     /**
@@ -124,10 +210,20 @@ class SavingsDisplayHandler {
         // Format with 5 decimal places for readability
         return '₿' + btcAmount.toFixed(5);
     }
+
+    /**
+     * Format gold amount for display
+     * @param {number} goldAmount - Amount in troy ounces
+     * @returns {string} Formatted gold string (e.g., "13.642 oz")
+     */
+    formatGoldAmount(goldAmount) {
+        return goldAmount.toFixed(3) + ' oz';
+    }
     
     /**
      * Update the purchasing power (PP) value display
-     * Format: $(YYYY-MM)XXXXX where YYYY-MM is the simulation start date
+     * Format: $(YYYY-MM)XXXXX where YYYY-MM is the simulation start date,
+     * or a count of goods (e.g. "1.25 homes") when measuring in goods
      */
     updatePPDisplay() {
         // Get PP value in dollars (based on current fill level)
@@ -139,9 +235,13 @@ class SavingsDisplayHandler {
         // Check if we have the combined element (ppValueFormatted) or separate elements
         const combinedElement = document.getElementById('ppValueFormatted');
 
-        if (combinedElement) {
+        // Measured in goods: what the savings buy at today's price of the good
+        const goods = getGoodsInfo(this.state.getMeasure());
+        if (combinedElement && goods) {
+            combinedElement.textContent = formatGoodsAmount(this.state.getPPInGoods(), goods.unit);
+        } else if (combinedElement) {
             // New format: Combined display with date prefix
-            combinedElement.textContent = `$(${startDate})${ppValue.toLocaleString()}`;
+            combinedElement.textContent = formatPurchasingPower(ppValue, startDate);
         } else {
             // Old format: Separate ppStartDate and ppValue elements
             if (this.elements.ppStartDate) {
@@ -149,7 +249,7 @@ class SavingsDisplayHandler {
             }
 
             if (this.elements.ppValue) {
-                this.elements.ppValue.textContent = '$' + ppValue.toLocaleString();
+                this.elements.ppValue.textContent = formatCurrency(ppValue);
             }
         }
     }
@@ -166,12 +266,12 @@ class SavingsDisplayHandler {
 
         // Floor to whole number and format
         const totalDepositsFloored = Math.floor(totalDeposits);
-        this.elements.totalContributionsValue.textContent = '$' + totalDepositsFloored.toLocaleString();
+        this.elements.totalContributionsValue.textContent = formatCurrency(totalDepositsFloored);
     }
 
     /**
      * Update deposits row visibility
-     * Show if BTC mode was ever active during this simulation
+     * Show if BTC or gold mode was ever active during this simulation
      */
     updateDepositsRowVisibility() {
         if (!this.elements.depositsRow) return;
@@ -185,6 +285,36 @@ class SavingsDisplayHandler {
         }
     }
 
+    /**
+     * Update the total fees display
+     * Shows all fees and spreads paid so far; hidden while nothing was charged
+     */
+    updateFeesDisplay() {
+        if (!this.elements.feesRow) return;
+
+        const totalFees = this.state.get('totalFeesPaid');
+        this.elements.feesRow.style.display = totalFees > 0 ? '' : 'none';
+
+        if (this.elements.totalFeesValue) {
+            this.elements.totalFeesValue.textContent = formatCurrency(Math.floor(totalFees));
+        }
+    }
+
+    /**
+     * Show the share of Monte Carlo paths where PP ends above total deposits
+     * Hidden while Monte Carlo is off
+     */
+    updateProbabilityDisplay() {
+        if (!this.elements.ppProbabilityRow) return;
+
+        const result = this.state.get('monteCarloResult');
+        this.elements.ppProbabilityRow.style.display = result ? '' : 'none';
+
+        if (result && this.elements.ppProbabilityValue) {
+            this.elements.ppProbabilityValue.textContent = Math.round(result.probabilityPpAboveDeposits * 100) + '%';
+        }
+    }
+
     /**
      * Get current total savings
      * @returns {number} Total savings in dollars
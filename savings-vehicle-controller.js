@@ -1,25 +1,30 @@
 /**
  * SavingsVehicleController - Savings Vehicle Toggle Management
  *
- * Manages the savings vehicle toggle (USD $ vs BTC ₿) and persists user preference in localStorage.
- * This determines which asset the user's savings are held in (dollars or bitcoin).
+ * Manages the savings vehicle toggle (USD $ vs BTC ₿ vs savings account % vs gold Au vs Mix) and
+ * persists user preference in localStorage. This determines which asset the user's savings are held in
+ * (dollars, bitcoin, dollars in a high-yield savings account, gold, or a split across them).
  *
  * Responsibilities:
  * - Initialize toggle from storage (or use default)
  * - Handle toggle change events
  * - Save preference to storage and state manager
  * - Provide current savings vehicle value
+ * - Disable BTC while the simulation date is before Bitcoin had a price
+ * - Show the APY slider in savings account and mix mode, with the real (inflation-adjusted) yield
+ * - Show the gold growth projection slider in gold and mix mode
  *
  * Dependencies:
  * - config.js (CONFIG.savingsVehicle)
  * - settings-storage.js (getSetting, setSetting)
  * - state-manager.js (stateManager to update savingsVehicle state)
+ * - financial-math.js (isBitcoinPriced, calculateRealRate)
  *
  * Example:
  * ```javascript
  * const controller = new SavingsVehicleController(CONFIG, stateManager);
  * controller.initialize();
- * console.log(controller.getCurrentVehicle()); // "usd" or "btc"
+ * console.log(controller.getCurrentVehicle()); // "usd", "btc", "hysa", "gold" or "mix"
  * ```
  */
 class SavingsVehicleController {
@@ -32,14 +37,25 @@ class SavingsVehicleController {
         this.config = config;
         this.stateManager = stateManager;
 
-        // Current savings vehicle ("usd" or "btc")
+        // Current savings vehicle ("usd", "btc", "hysa", "gold" or "mix")
         this.currentVehicle = null;
 
         // DOM elements
         this.elements = {
             usdRadio: null,
             btcRadio: null,
-            toggleContainer: null
+            hysaRadio: null,
+            goldRadio: null,
+            mixRadio: null,
+            toggleContainer: null,
+            apyControlGroup: null,
+            apySlider: null,
+            apyValue: null,
+            apyRealValue: null,
+            inflationSlider: null,
+            goldGrowthControlGroup: null,
+            goldGrowthSlider: null,
+            goldGrowthValue: null
         };
     }
 
@@ -56,6 +72,14 @@ class SavingsVehicleController {
 
         // Setup event listeners
         this.setupEventListeners();
+
+        // History runs can start before BTC existed - follow the simulation date
+        this.stateManager.subscribe('currentSimDate', () => {
+            this.updateAvailability();
+            this.updateApyDisplay();
+        });
+        this.updateAvailability();
+        this.updateApyDisplay();
     }
 
     /**
@@ -64,7 +88,22 @@ class SavingsVehicleController {
     cacheElements() {
         this.elements.usdRadio = document.getElementById(this.config.elementIds.savingsVehicleUsd);
         this.elements.btcRadio = document.getElementById(this.config.elementIds.savingsVehicleBtc);
+        this.elements.hysaRadio = document.getElementById(this.config.elementIds.savingsVehicleHysa);
+        this.elements.goldRadio = document.getElementById(this.config.elementIds.savingsVehicleGold);
+        this.elements.mixRadio = document.getElementById(this.config.elementIds.savingsVehicleMix);
         this.elements.toggleContainer = document.getElementById('savingsVehicleToggle');
+
+        // Savings account yield
+        this.elements.apyControlGroup = document.getElementById(this.config.elementIds.apyControlGroup);
+        this.elements.apySlider = document.getElementById(this.config.elementIds.apySlider);
+        this.elements.apyValue = document.getElementById(this.config.elementIds.apyValue);
+        this.elements.apyRealValue = document.getElementById(this.config.elementIds.apyRealValue);
+        this.elements.inflationSlider = document.getElementById(this.config.elementIds.inflationSlider);
+
+        // Gold price projection
+        this.elements.goldGrowthControlGroup = document.getElementById(this.config.elementIds.goldGrowthControlGroup);
+        this.elements.goldGrowthSlider = document.getElementById(this.config.elementIds.goldGrowthSlider);
+        this.elements.goldGrowthValue = document.getElementById(this.config.elementIds.goldGrowthValue);
     }
 
     /**
@@ -77,12 +116,8 @@ class SavingsVehicleController {
 
         console.log('📦 Loading savings vehicle from storage:', savedVehicle);
 
-        // Validate saved value (ensure it's either "usd" or "btc")
-        const isValid = savedVehicle === this.config.savingsVehicle.options.USD ||
-                       savedVehicle === this.config.savingsVehicle.options.BTC;
-
         // Use saved value if valid, otherwise use default
-        this.currentVehicle = isValid ? savedVehicle : this.config.savingsVehicle.default;
+        this.currentVehicle = this.isValidVehicle(savedVehicle) ? savedVehicle : this.config.savingsVehicle.default;
 
         console.log('✓ Savings vehicle set to:', this.currentVehicle);
 
@@ -114,11 +149,56 @@ class SavingsVehicleController {
                 }
             });
         }
+
+        if (this.elements.hysaRadio) {
+            this.elements.hysaRadio.addEventListener('change', () => {
+                if (this.elements.hysaRadio.checked) {
+                    this.handleVehicleChange(this.config.savingsVehicle.options.HYSA);
+                }
+            });
+        }
+
+        if (this.elements.goldRadio) {
+            this.elements.goldRadio.addEventListener('change', () => {
+                if (this.elements.goldRadio.checked) {
+                    this.handleVehicleChange(this.config.savingsVehicle.options.GOLD);
+                }
+            });
+        }
+
+        if (this.elements.mixRadio) {
+            this.elements.mixRadio.addEventListener('change', () => {
+                if (this.elements.mixRadio.checked) {
+                    this.handleVehicleChange(this.config.savingsVehicle.options.MIX);
+                }
+            });
+        }
+
+        // APY takes effect from the next monthly interest credit
+        if (this.elements.apySlider) {
+            this.elements.apySlider.addEventListener('input', () => {
+                this.updateApyDisplay();
+            });
+        }
+
+        // Real yield depends on the inflation rate as well
+        if (this.elements.inflationSlider) {
+            this.elements.inflationSlider.addEventListener('input', () => {
+                this.updateApyDisplay();
+            });
+        }
+
+        // Gold growth only changes the price after the bundled series ends
+        if (this.elements.goldGrowthSlider) {
+            this.elements.goldGrowthSlider.addEventListener('input', () => {
+                this.updateGoldGrowthDisplay();
+            });
+        }
     }
 
     /**
      * Handle savings vehicle change
-     * @param {string} newVehicle - New vehicle value ("usd" or "btc")
+     * @param {string} newVehicle - New vehicle value ("usd", "btc", "hysa", "gold" or "mix")
      */
     handleVehicleChange(newVehicle) {
         // Update current vehicle
@@ -132,12 +212,47 @@ class SavingsVehicleController {
         // Update toggle background color
         this.updateToggleBackgroundColor();
 
+        // Show or hide the APY and gold growth sliders
+        this.updateApyDisplay();
+        this.updateGoldGrowthDisplay();
+
         // Save to storage
         this.saveToStorage();
 
         console.log('Savings vehicle changed to:', newVehicle);
     }
 
+    /**
+     * Select a vehicle programmatically (e.g. from a shared link)
+     * Behaves like clicking the toggle, including saving to storage
+     * @param {string} vehicle - Vehicle value ("usd", "btc", "hysa", "gold" or "mix")
+     */
+    selectVehicle(vehicle) {
+        if (!this.isValidVehicle(vehicle)) return;
+
+        this.handleVehicleChange(vehicle);
+        this.updateUI();
+    }
+
+    /**
+     * Enable/disable the BTC option based on the current simulation date
+     * Also syncs the toggle when StateManager fell back to USD (reset before BTC had a price)
+     */
+    updateAvailability() {
+        const currentDate = this.stateManager.get('currentSimDate');
+
+        if (this.elements.btcRadio) {
+            this.elements.btcRadio.disabled = !isBitcoinPriced(currentDate);
+        }
+
+        // Don't save: the stored preference is kept for the next page load
+        const stateVehicle = this.stateManager.getSavingsVehicle();
+        if (stateVehicle !== this.currentVehicle) {
+            this.currentVehicle = stateVehicle;
+            this.updateUI();
+        }
+    }
+
     /**
      * Update UI to match current vehicle
      */
@@ -150,27 +265,84 @@ class SavingsVehicleController {
             if (this.elements.btcRadio) {
                 this.elements.btcRadio.checked = true;
             }
+        } else if (this.currentVehicle === this.config.savingsVehicle.options.HYSA) {
+            if (this.elements.hysaRadio) {
+                this.elements.hysaRadio.checked = true;
+            }
+        } else if (this.currentVehicle === this.config.savingsVehicle.options.GOLD) {
+            if (this.elements.goldRadio) {
+                this.elements.goldRadio.checked = true;
+            }
+        } else if (this.currentVehicle === this.config.savingsVehicle.options.MIX) {
+            if (this.elements.mixRadio) {
+                this.elements.mixRadio.checked = true;
+            }
         }
 
         // Update toggle background color
         this.updateToggleBackgroundColor();
+
+        // APY slider only applies to the savings account, growth slider only to gold (both can be in a mix)
+        this.updateApyDisplay();
+        this.updateGoldGrowthDisplay();
+    }
+
+    /**
+     * Update APY label, real yield and slider visibility
+     * Real yield is shown against the inflation rate of the current simulation month
+     */
+    updateApyDisplay() {
+        if (this.elements.apyControlGroup) {
+            this.elements.apyControlGroup.style.display = this.isHYSA() || this.isMix() ? '' : 'none';
+        }
+
+        if (!this.elements.apySlider) return;
+
+        const annualYield = parseFloat(this.elements.apySlider.value) / 100;
+
+        if (this.elements.apyValue) {
+            this.elements.apyValue.textContent = this.elements.apySlider.value;
+        }
+
+        if (this.elements.apyRealValue) {
+            const realRate = calculateRealRate(annualYield, this.stateManager.getAnnualInflation());
+            const sign = realRate >= 0 ? '+' : '';
+            this.elements.apyRealValue.textContent = `${sign}${(realRate * 100).toFixed(1)}%`;
+            this.elements.apyRealValue.classList.toggle('real-yield-positive', realRate >= 0);
+            this.elements.apyRealValue.classList.toggle('real-yield-negative', realRate < 0);
+        }
+    }
+
+    /**
+     * Update gold growth label and slider visibility
+     */
+    updateGoldGrowthDisplay() {
+        if (this.elements.goldGrowthControlGroup) {
+            this.elements.goldGrowthControlGroup.style.display = this.isGold() || this.isMix() ? '' : 'none';
+        }
+
+        if (this.elements.goldGrowthSlider && this.elements.goldGrowthValue) {
+            this.elements.goldGrowthValue.textContent = this.elements.goldGrowthSlider.value;
+        }
     }
 
     /**
      * Update toggle background color based on current vehicle
      * USD mode: green (#4CAF50)
      * BTC mode: orange (#F7931A)
+     * HYSA mode: teal (#00838F)
+     * Gold mode: gold (#C9A227)
+     * Mix mode: purple (#7E57C2)
      */
     updateToggleBackgroundColor() {
         if (!this.elements.toggleContainer) return;
 
-        if (this.currentVehicle === this.config.savingsVehicle.options.BTC) {
-            // BTC mode: add orange class
-            this.elements.toggleContainer.classList.add('btc-mode');
-        } else {
-            // USD mode: remove orange class (reverts to green)
-            this.elements.toggleContainer.classList.remove('btc-mode');
-        }
+        // USD mode has no class (reverts to green)
+        const classList = this.elements.toggleContainer.classList;
+        classList.toggle('btc-mode', this.currentVehicle === this.config.savingsVehicle.options.BTC);
+        classList.toggle('hysa-mode', this.currentVehicle === this.config.savingsVehicle.options.HYSA);
+        classList.toggle('gold-mode', this.currentVehicle === this.config.savingsVehicle.options.GOLD);
+        classList.toggle('mix-mode', this.currentVehicle === this.config.savingsVehicle.options.MIX);
     }
 
     /**
@@ -184,7 +356,7 @@ class SavingsVehicleController {
 
     /**
      * Get current savings vehicle
-     * @returns {string} Current vehicle ("usd" or "btc")
+     * @returns {string} Current vehicle ("usd", "btc", "hysa", "gold" or "mix")
      */
     getCurrentVehicle() {
         return this.currentVehicle;
@@ -206,16 +378,46 @@ class SavingsVehicleController {
         return this.currentVehicle === this.config.savingsVehicle.options.BTC;
     }
 
+    /**
+     * Check if current vehicle is the high-yield savings account
+     * @returns {boolean} True if HYSA
+     */
+    isHYSA() {
+        return this.currentVehicle === this.config.savingsVehicle.options.HYSA;
+    }
+
+    /**
+     * Check if current vehicle is gold
+     * @returns {boolean} True if gold
+     */
+    isGold() {
+        return this.currentVehicle === this.config.savingsVehicle.options.GOLD;
+    }
+
+    /**
+     * Check if current vehicle is the mixed allocation
+     * @returns {boolean} True if mix
+     */
+    isMix() {
+        return this.currentVehicle === this.config.savingsVehicle.options.MIX;
+    }
+
+    /**
+     * Check if a value is one of the configured savings vehicles
+     * @param {string} vehicle - Vehicle to check
+     * @returns {boolean} True if valid
+     */
+    isValidVehicle(vehicle) {
+        return Object.values(this.config.savingsVehicle.options).includes(vehicle);
+    }
+
     /**
      * Set savings vehicle programmatically
-     * @param {string} vehicle - Vehicle to set ("usd" or "btc")
+     * @param {string} vehicle - Vehicle to set ("usd", "btc", "hysa", "gold" or "mix")
      */
     setVehicle(vehicle) {
         // Validate input
-        const isValid = vehicle === this.config.savingsVehicle.options.USD ||
-                       vehicle === this.config.savingsVehicle.options.BTC;
-
-        if (!isValid) {
+        if (!this.isValidVehicle(vehicle)) {
             console.warn('Invalid savings vehicle:', vehicle);
             return;
         }
@@ -0,0 +1,357 @@
+/**
+ * ScenarioController - Shareable Scenario Links
+ *
+ * Reads a scenario from the page URL on load (e.g. "index.html#start=50000&save=100&vehicle=btc")
+ * and applies it to the controls, and builds a link to the current scenario for the Share button.
+ * A page opened from a scenario link skips the start overlay and runs right away.
+ *
+ * Responsibilities:
+ * - Apply slider values, start month and speed from the URL before settings are read
+ * - Select vehicle, comparison vehicle, price model, split, contribution growth, one-off events, withdrawal phase,
+ *   capital gains tax, fees and inflation source through their controllers
+ * - Apply a saved scenario while running (session resume), including its base currency
+ * - Build and copy a link for the current settings (Share button)
+ * - Report whether the page was opened from a scenario link
+ *
+ * Dependencies:
+ * - config.js (element IDs, vehicle options)
+ * - scenario-url.js (encodeScenario, getScenarioFromLocation)
+ * - financial-math.js (getBtcPriceModel, getBaseCurrency)
+ * - settings-storage.js (getSetting)
+ * - dom-cache.js (settingsCache for the current settings)
+ * - state-manager.js (playback speed, savings vehicle)
+ * - app.js (savings vehicle, comparison, inflation series, price model, allocation, contribution growth,
+ *   one-off events, withdrawal, capital gains tax, fee and currency controllers)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new ScenarioController(CONFIG, stateManager, app);
+ * controller.applyInputs();   // before domCache.initialize()
+ * // ... other controllers ...
+ * controller.initialize();
+ * if (controller.hasScenario()) { startStateController.exitStartState(); }
+ * ```
+ */
+class ScenarioController {
+    /**
+     * Create a new ScenarioController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for the settings controllers)
+     */
+    constructor(config, stateManager, app = null) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // Scenario read from the URL (empty when opened without one)
+        this.scenario = getScenarioFromLocation(window.location);
+
+        // Timeout for restoring the Share button text
+        this.feedbackTimeoutId = null;
+
+        // DOM elements
+        this.elements = {
+            shareButton: null
+        };
+    }
+
+    /**
+     * Apply slider values, start month and speed from the URL
+     * Must run before domCache.initialize() reads the sliders
+     * @param {Object} [scenario] - Scenario to apply (defaults to the one read from the URL)
+     */
+    applyInputs(scenario = this.scenario) {
+        if (Object.keys(scenario).length === 0) return;
+
+        console.log('🔗 Applying scenario:', scenario);
+
+        // Sliders and their value labels
+        this.setSlider(scenario.startAmount, this.config.elementIds.startAmountSlider, this.config.elementIds.startAmountValue);
+        this.setSlider(scenario.monthlySavings, this.config.elementIds.savingsSlider, this.config.elementIds.savingsValue);
+        this.setSlider(scenario.annualInflation, this.config.elementIds.inflationSlider, this.config.elementIds.inflationValue);
+        this.setSlider(scenario.apy, this.config.elementIds.apySlider, null);
+        this.setSlider(scenario.goldGrowth, this.config.elementIds.goldGrowthSlider, null);
+        this.setSlider(scenario.horizonYears, this.config.elementIds.horizonSlider, this.config.elementIds.horizonValue);
+
+        // Start month (null = start now)
+        const startDateInput = document.getElementById(this.config.elementIds.startDateInput);
+        if (startDateInput && scenario.startMonth !== undefined) {
+            startDateInput.value = scenario.startMonth || '';
+        }
+
+        if (scenario.playbackSpeed !== undefined) {
+            this.stateManager.setPlaybackSpeed(scenario.playbackSpeed);
+        }
+    }
+
+    /**
+     * Set a slider (and its value label)
+     * @param {number|undefined} value - Slider value (undefined leaves the slider unchanged)
+     * @param {string} sliderId - Slider element ID
+     * @param {string|null} labelId - Value label element ID (null if the label follows the slider)
+     */
+    setSlider(value, sliderId, labelId) {
+        if (value === undefined) return;
+
+        const slider = document.getElementById(sliderId);
+        if (slider) {
+            slider.value = value;
+        }
+
+        const label = labelId ? document.getElementById(labelId) : null;
+        if (label && slider) {
+            label.textContent = slider.value;
+        }
+    }
+
+    /**
+     * Initialize the controller
+     * Applies the remaining URL settings through their controllers and sets up the Share button
+     * Must run after the settings controllers and before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (this.hasScenario() && this.app) {
+            this.applySelections();
+        }
+
+        // Setup event listeners
+        if (this.elements.shareButton) {
+            this.elements.shareButton.addEventListener('click', () => {
+                this.shareScenario();
+            });
+        }
+    }
+
+    /**
+     * Select vehicle, comparison vehicle, price model, split, contribution growth, one-off events, withdrawal phase,
+     * capital gains tax, fees and inflation source from the URL
+     * Each behaves like the matching user choice (saved to storage), without restarting
+     * @param {Object} [scenario] - Scenario to apply (defaults to the one read from the URL)
+     */
+    applySelections(scenario = this.scenario) {
+        if (scenario.savingsVehicle !== undefined) {
+            this.app.savingsVehicleController.selectVehicle(scenario.savingsVehicle);
+        }
+
+        if (scenario.comparisonVehicle !== undefined) {
+            this.app.comparisonController.setVehicle(scenario.comparisonVehicle);
+        }
+
+        if (scenario.btcPriceModel !== undefined || scenario.btcCagr !== undefined) {
+            this.app.priceModelController.selectModel(scenario.btcPriceModel, scenario.btcCagr);
+        }
+
+        if (scenario.allocation !== undefined || scenario.rebalanceMonths !== undefined) {
+            this.app.allocationController.setAllocation(scenario.allocation, scenario.rebalanceMonths);
+        }
+
+        if (scenario.contributionGrowth !== undefined || scenario.contributionRaise !== undefined ||
+            scenario.contributionSchedule !== undefined) {
+            this.app.contributionGrowthController.setGrowth(
+                scenario.contributionGrowth, scenario.contributionRaise, scenario.contributionSchedule);
+        }
+
+        if (scenario.oneOffEvents !== undefined) {
+            this.app.oneOffEventsController.setEvents(scenario.oneOffEvents);
+        }
+
+        if (scenario.withdrawalStart !== undefined) {
+            this.app.withdrawalController.setWithdrawal(
+                scenario.withdrawalStart || '', scenario.withdrawalAmount, scenario.withdrawalMode);
+        }
+
+        if (scenario.taxMode !== undefined || scenario.taxRate !== undefined || scenario.taxShortTermRate !== undefined) {
+            this.app.capitalGainsTaxController.setTax(scenario.taxMode, scenario.taxRate, scenario.taxShortTermRate);
+        }
+
+        if (scenario.annualFees !== undefined || scenario.btcSpread !== undefined || scenario.conversionFee !== undefined) {
+            this.app.feeController.setFees(scenario.annualFees, scenario.btcSpread, scenario.conversionFee);
+        }
+
+        if (scenario.inflationSource !== undefined) {
+            this.app.inflationSeriesController.selectSource(scenario.inflationSource);
+        }
+    }
+
+    /**
+     * Apply a scenario while the app is running (e.g. when resuming a saved session)
+     * Updates the controls and settings cache without resetting the simulation state
+     * @param {Object} scenario - Scenario fields (see SCENARIO_URL_PARAMS)
+     */
+    applyScenario(scenario) {
+        // Currency first: it rescales the amount inputs the scenario then overrides
+        if (scenario.currency !== undefined && this.app) {
+            this.app.currencyController.applyCurrency(scenario.currency);
+        }
+
+        this.applyInputs(scenario);
+
+        if (window.settingsCache) {
+            window.settingsCache.initializeValues();
+        }
+
+        if (window.displayManager) {
+            window.displayManager.getHandler('chart').updateHorizon();
+        }
+
+        if (this.app) {
+            this.applySelections(scenario);
+            this.app.savingsVehicleController.updateApyDisplay();
+            this.app.savingsVehicleController.updateGoldGrowthDisplay();
+        }
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.shareButton = document.getElementById(this.config.elementIds.shareButton);
+    }
+
+    /**
+     * Check if the page was opened from a scenario link
+     * @returns {boolean} True if the URL contained at least one valid scenario value
+     */
+    hasScenario() {
+        return Object.keys(this.scenario).length > 0;
+    }
+
+    /**
+     * Collect the current settings as a scenario
+     * Vehicle-specific settings are only included for the vehicles that use them
+     * The start month is null when the run starts now, the withdrawal start null without a withdrawal phase,
+     * the one-off events null without events
+     * @returns {Object} Scenario fields (see SCENARIO_URL_PARAMS)
+     */
+    getCurrentScenario() {
+        const options = this.config.savingsVehicle.options;
+        const vehicle = this.stateManager.getSavingsVehicle();
+        const readSlider = (id) => parseFloat(document.getElementById(id).value);
+        const growth = this.app.contributionGrowthController.getGrowth();
+        const withdrawal = this.app.withdrawalController.getWithdrawal();
+        const tax = this.app.capitalGainsTaxController.getTax();
+        const fees = this.app.feeController.getFees();
+
+        const scenario = {
+            currency: getBaseCurrency(),
+            startAmount: readSlider(this.config.elementIds.startAmountSlider),
+            monthlySavings: readSlider(this.config.elementIds.savingsSlider),
+            contributionGrowth: growth.mode,
+            oneOffEvents: this.app.oneOffEventsController.getEvents() || null,
+            annualInflation: readSlider(this.config.elementIds.inflationSlider),
+            inflationSource: window.settingsCache.getInflationSource(),
+            startMonth: document.getElementById(this.config.elementIds.startDateInput).value || null,
+            horizonYears: readSlider(this.config.elementIds.horizonSlider),
+            withdrawalStart: withdrawal.start || null,
+            taxMode: tax.mode,
+            annualFees: fees.annual,
+            btcSpread: fees.btcSpread,
+            conversionFee: fees.conversion,
+            savingsVehicle: vehicle,
+            comparisonVehicle: this.app.comparisonController.getVehicle(),
+            playbackSpeed: this.stateManager.getPlaybackSpeed()
+        };
+
+        if (growth.mode === this.config.contributionGrowth.modes.RAISE) {
+            scenario.contributionRaise = growth.raise;
+        } else if (growth.mode === this.config.contributionGrowth.modes.SCHEDULE) {
+            scenario.contributionSchedule = growth.schedule;
+        }
+
+        if (withdrawal.start) {
+            scenario.withdrawalAmount = withdrawal.amount;
+            scenario.withdrawalMode = withdrawal.mode;
+        }
+
+        if (tax.mode !== this.config.capitalGainsTax.modes.NONE) {
+            scenario.taxRate = tax.rate;
+        }
+        if (tax.mode === this.config.capitalGainsTax.modes.SPLIT) {
+            scenario.taxShortTermRate = tax.shortTermRate;
+        }
+
+        if (vehicle === options.BTC || vehicle === options.MIX) {
+            scenario.btcPriceModel = getBtcPriceModel().id;
+            if (scenario.btcPriceModel === 'constant-cagr') {
+                scenario.btcCagr = getSetting('btcCagr', this.config.btcPriceModel.cagr.default);
+            }
+        }
+
+        if (vehicle === options.HYSA || vehicle === options.MIX) {
+            scenario.apy = readSlider(this.config.elementIds.apySlider);
+        }
+
+        if (vehicle === options.GOLD || vehicle === options.MIX) {
+            scenario.goldGrowth = readSlider(this.config.elementIds.goldGrowthSlider);
+        }
+
+        if (vehicle === options.MIX) {
+            scenario.allocation = window.settingsCache.getAllocation();
+            scenario.rebalanceMonths = window.settingsCache.getRebalanceMonths();
+        }
+
+        return scenario;
+    }
+
+    /**
+     * Build a link to the current scenario
+     * @returns {string} Page URL with the scenario in the hash
+     */
+    buildShareUrl() {
+        const pageUrl = window.location.href.split('#')[0].split('?')[0];
+        return `${pageUrl}#${encodeScenario(this.getCurrentScenario())}`;
+    }
+
+    /**
+     * Put the current scenario in the address bar and copy the link
+     * Falls back to a prompt where the clipboard is unavailable (e.g. file://)
+     */
+    shareScenario() {
+        const url = this.buildShareUrl();
+
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', url);
+        }
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.showFeedback('Link copied'))
+                .catch(() => window.prompt('Copy this link:', url));
+        } else {
+            window.prompt('Copy this link:', url);
+        }
+    }
+
+    /**
+     * Briefly show feedback text on the Share button
+     * @param {string} text - Feedback text
+     */
+    showFeedback(text) {
+        const button = this.elements.shareButton;
+        if (!button) return;
+
+        if (this.feedbackTimeoutId !== null) {
+            clearTimeout(this.feedbackTimeoutId);
+        }
+
+        button.textContent = text;
+        this.feedbackTimeoutId = setTimeout(() => {
+            this.feedbackTimeoutId = null;
+            button.textContent = 'Share';
+        }, this.config.SHARE_FEEDBACK_MS);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ScenarioController = ScenarioController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScenarioController };
+}
@@ -0,0 +1,312 @@
+/**
+ * Scenario URL - Encode/decode a full scenario in a shareable link
+ *
+ * Pure utility functions for turning the current settings into URL parameters
+ * (e.g. "#start=50000&save=100&infl=7&vehicle=btc&speed=2") and back.
+ * Decoding validates every value against CONFIG, so a hand-edited or outdated
+ * link can only select values the UI itself offers.
+ *
+ * Responsibilities:
+ * - Map scenario fields to short URL parameter names
+ * - Encode a scenario as a query/hash string
+ * - Decode and validate a query/hash string (unknown or invalid values are dropped)
+ * - Read the scenario from the page location (query and hash, hash wins)
+ *
+ * Dependencies:
+ * - config.js (base currencies, slider ranges, earliest start month, vehicles, comparison, speeds, rebalance options,
+ *   contribution growth, withdrawal phase, capital gains tax, fees)
+ * - financial-math.js (BTC_PRICE_MODELS, ALLOCATION_VEHICLES, parseStartMonth, parseContributionSchedule,
+ *   parseOneOffEvents)
+ * - inflation-series.js (INFLATION_SERIES, optional)
+ *
+ * Example:
+ * ```javascript
+ * const hash = encodeScenario({ startAmount: 50000, monthlySavings: 100, savingsVehicle: 'btc' });
+ * // "start=50000&save=100&vehicle=btc"
+ *
+ * const scenario = decodeScenario(hash);
+ * // { startAmount: 50000, monthlySavings: 100, savingsVehicle: 'btc' }
+ * ```
+ */
+
+/** URL parameter name for each scenario field */
+const SCENARIO_URL_PARAMS = {
+    currency: 'cur',
+    startAmount: 'start',
+    monthlySavings: 'save',
+    contributionGrowth: 'growth',
+    contributionRaise: 'raise',
+    contributionSchedule: 'steps',
+    oneOffEvents: 'events',
+    withdrawalStart: 'draw',
+    withdrawalAmount: 'drawamt',
+    withdrawalMode: 'drawmode',
+    taxMode: 'tax',
+    taxRate: 'taxrate',
+    taxShortTermRate: 'taxshort',
+    annualFees: 'fees',
+    btcSpread: 'spread',
+    conversionFee: 'convfee',
+    annualInflation: 'infl',
+    inflationSource: 'src',
+    startMonth: 'date',
+    horizonYears: 'years',
+    savingsVehicle: 'vehicle',
+    comparisonVehicle: 'vs',
+    playbackSpeed: 'speed',
+    btcPriceModel: 'model',
+    btcCagr: 'cagr',
+    apy: 'apy',
+    goldGrowth: 'gold',
+    allocation: 'mix',
+    rebalanceMonths: 'rebal'
+};
+
+/** Scenario fields holding an amount of money (range scaled to the link's base currency) */
+const SCENARIO_AMOUNT_FIELDS = ['startAmount', 'monthlySavings'];
+
+/** Scenario fields backed by a slider (value clamped to CONFIG.sliders range) */
+const SCENARIO_SLIDER_FIELDS = {
+    startAmount: 'startAmount',
+    monthlySavings: 'savings',
+    annualInflation: 'inflation',
+    apy: 'apy',
+    goldGrowth: 'goldGrowth',
+    horizonYears: 'horizon'
+};
+
+/** Legacy parameter: January of this year as the start month (links from before the month picker) */
+const SCENARIO_LEGACY_YEAR_PARAM = 'year';
+
+/**
+ * Encode a scenario as URL parameters
+ * Fields that are missing, null or undefined are left out
+ * @param {Object} scenario - Scenario fields (see SCENARIO_URL_PARAMS); percentages as shown in the UI
+ * @returns {string} Parameter string without leading "?" or "#"
+ */
+function encodeScenario(scenario) {
+    const params = new URLSearchParams();
+
+    Object.keys(SCENARIO_URL_PARAMS).forEach(field => {
+        const value = scenario[field];
+        if (value === undefined || value === null) return;
+
+        if (field === 'allocation' || field === 'annualFees') {
+            // Percentages in ALLOCATION_VEHICLES order, e.g. "80-0-0-20"
+            params.set(SCENARIO_URL_PARAMS[field], ALLOCATION_VEHICLES.map(vehicle => value[vehicle] || 0).join('-'));
+        } else {
+            params.set(SCENARIO_URL_PARAMS[field], String(value));
+        }
+    });
+
+    return params.toString();
+}
+
+/**
+ * Decode URL parameters into a scenario
+ * Numbers are clamped to their CONFIG range; unknown options are dropped
+ * @param {string} paramString - Parameter string (leading "?" or "#" is ignored)
+ * @returns {Object} Valid scenario fields only (empty object if none)
+ */
+function decodeScenario(paramString) {
+    const params = new URLSearchParams(String(paramString || '').replace(/^[?#]/, ''));
+    const scenario = {};
+
+    const readNumber = (field) => {
+        const raw = params.get(SCENARIO_URL_PARAMS[field]);
+        if (raw === null || raw.trim() === '') return null;
+        const value = Number(raw);
+        return isFinite(value) ? value : null;
+    };
+
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    // Base currency; amounts are in that currency, CONFIG ranges in the currently applied one
+    const currency = params.get(SCENARIO_URL_PARAMS.currency);
+    let amountRatio = 1;
+    if (currency !== null && Object.prototype.hasOwnProperty.call(CONFIG.currency.options, currency)) {
+        scenario.currency = currency;
+        amountRatio = CONFIG.currency.options[currency].amountScale / CONFIG.currency.amountScale;
+    }
+
+    // Slider values
+    Object.keys(SCENARIO_SLIDER_FIELDS).forEach(field => {
+        const value = readNumber(field);
+        if (value !== null) {
+            const { min, max } = CONFIG.sliders[SCENARIO_SLIDER_FIELDS[field]];
+            const ratio = SCENARIO_AMOUNT_FIELDS.includes(field) ? amountRatio : 1;
+            scenario[field] = clamp(value, min * ratio, max * ratio);
+        }
+    });
+
+    // Contribution growth: mode, annual raise and step schedule ("year:amount" pairs)
+    const growth = params.get(SCENARIO_URL_PARAMS.contributionGrowth);
+    if (Object.values(CONFIG.contributionGrowth.modes).includes(growth)) {
+        scenario.contributionGrowth = growth;
+    }
+
+    const raise = readNumber('contributionRaise');
+    if (raise !== null) {
+        scenario.contributionRaise = clamp(raise, CONFIG.contributionGrowth.raise.min, CONFIG.contributionGrowth.raise.max);
+    }
+
+    const steps = params.get(SCENARIO_URL_PARAMS.contributionSchedule);
+    if (steps !== null && parseContributionSchedule(steps) !== null) {
+        scenario.contributionSchedule = steps;
+    }
+
+    // One-off deposits and withdrawals ("month:amount label" entries)
+    const events = params.get(SCENARIO_URL_PARAMS.oneOffEvents);
+    if (events !== null && parseOneOffEvents(events) !== null) {
+        scenario.oneOffEvents = events;
+    }
+
+    // Withdrawal phase: first withdrawal month ('YYYY-MM'), monthly amount and mode
+    const withdrawalStart = params.get(SCENARIO_URL_PARAMS.withdrawalStart);
+    if (parseStartMonth(withdrawalStart)) {
+        scenario.withdrawalStart = withdrawalStart;
+    }
+
+    const withdrawalAmount = readNumber('withdrawalAmount');
+    if (withdrawalAmount !== null) {
+        scenario.withdrawalAmount = clamp(withdrawalAmount,
+            CONFIG.withdrawal.amount.min * amountRatio, CONFIG.withdrawal.amount.max * amountRatio);
+    }
+
+    const withdrawalMode = params.get(SCENARIO_URL_PARAMS.withdrawalMode);
+    if (Object.values(CONFIG.withdrawal.modes).includes(withdrawalMode)) {
+        scenario.withdrawalMode = withdrawalMode;
+    }
+
+    // Capital gains tax: mode, rate (long-term when split) and short-term rate
+    const taxMode = params.get(SCENARIO_URL_PARAMS.taxMode);
+    if (Object.values(CONFIG.capitalGainsTax.modes).includes(taxMode)) {
+        scenario.taxMode = taxMode;
+    }
+
+    const taxRate = readNumber('taxRate');
+    if (taxRate !== null) {
+        scenario.taxRate = clamp(taxRate, CONFIG.capitalGainsTax.rate.min, CONFIG.capitalGainsTax.rate.max);
+    }
+
+    const taxShortTermRate = readNumber('taxShortTermRate');
+    if (taxShortTermRate !== null) {
+        scenario.taxShortTermRate = clamp(taxShortTermRate,
+            CONFIG.capitalGainsTax.shortTermRate.min, CONFIG.capitalGainsTax.shortTermRate.max);
+    }
+
+    // Fees: yearly fee per vehicle (in ALLOCATION_VEHICLES order), BTC spread and conversion fee
+    const annualFees = params.get(SCENARIO_URL_PARAMS.annualFees);
+    if (annualFees !== null) {
+        const percents = annualFees.split('-').map(Number);
+        if (percents.length === ALLOCATION_VEHICLES.length && percents.every(percent => isFinite(percent) && percent >= 0)) {
+            scenario.annualFees = {};
+            ALLOCATION_VEHICLES.forEach((vehicle, i) => {
+                scenario.annualFees[vehicle] = Math.min(CONFIG.fees.annual.max, percents[i]);
+            });
+        }
+    }
+
+    const btcSpread = readNumber('btcSpread');
+    if (btcSpread !== null) {
+        scenario.btcSpread = clamp(btcSpread, CONFIG.fees.btcSpread.min, CONFIG.fees.btcSpread.max);
+    }
+
+    const conversionFee = readNumber('conversionFee');
+    if (conversionFee !== null) {
+        scenario.conversionFee = clamp(conversionFee, CONFIG.fees.conversion.min, CONFIG.fees.conversion.max);
+    }
+
+    // Inflation source (constant rate or a bundled series)
+    const source = params.get(SCENARIO_URL_PARAMS.inflationSource);
+    const seriesMap = typeof INFLATION_SERIES !== 'undefined' ? INFLATION_SERIES : {};
+    if (source === CONFIG.inflationSource.CONSTANT || Object.prototype.hasOwnProperty.call(seriesMap, source)) {
+        scenario.inflationSource = source;
+    }
+
+    // Start month ('YYYY-MM'), or January of a legacy start year
+    const legacyYear = params.get(SCENARIO_LEGACY_YEAR_PARAM);
+    const month = params.get(SCENARIO_URL_PARAMS.startMonth) || (/^\d{4}$/.test(legacyYear || '') ? `${legacyYear}-01` : null);
+    if (parseStartMonth(month, CONFIG.simulation.earliestStartMonth)) {
+        scenario.startMonth = month;
+    }
+
+    // Savings vehicle
+    const vehicle = params.get(SCENARIO_URL_PARAMS.savingsVehicle);
+    if (Object.values(CONFIG.savingsVehicle.options).includes(vehicle)) {
+        scenario.savingsVehicle = vehicle;
+    }
+
+    // Comparison vehicle (or off)
+    const comparison = params.get(SCENARIO_URL_PARAMS.comparisonVehicle);
+    if (comparison === CONFIG.comparison.OFF || Object.values(CONFIG.savingsVehicle.options).includes(comparison)) {
+        scenario.comparisonVehicle = comparison;
+    }
+
+    // Playback speed
+    const speed = readNumber('playbackSpeed');
+    if (CONFIG.playback.speeds.includes(speed)) {
+        scenario.playbackSpeed = speed;
+    }
+
+    // BTC price model and constant CAGR
+    const model = params.get(SCENARIO_URL_PARAMS.btcPriceModel);
+    if (model !== null && Object.prototype.hasOwnProperty.call(BTC_PRICE_MODELS, model)) {
+        scenario.btcPriceModel = model;
+    }
+
+    const cagr = readNumber('btcCagr');
+    if (cagr !== null) {
+        scenario.btcCagr = clamp(cagr, CONFIG.btcPriceModel.cagr.min, CONFIG.btcPriceModel.cagr.max);
+    }
+
+    // Mix mode split and rebalance schedule
+    const mix = params.get(SCENARIO_URL_PARAMS.allocation);
+    if (mix !== null) {
+        const percents = mix.split('-').map(Number);
+        if (percents.length === ALLOCATION_VEHICLES.length && percents.every(percent => isFinite(percent) && percent >= 0)) {
+            scenario.allocation = {};
+            ALLOCATION_VEHICLES.forEach((vehicle, i) => {
+                scenario.allocation[vehicle] = Math.min(100, percents[i]);
+            });
+        }
+    }
+
+    const rebalance = readNumber('rebalanceMonths');
+    if (CONFIG.allocation.rebalanceOptions.some(option => option.months === rebalance)) {
+        scenario.rebalanceMonths = rebalance;
+    }
+
+    return scenario;
+}
+
+/**
+ * Read the scenario from a page location
+ * Query parameters and hash parameters are merged (hash wins)
+ * @param {Location|Object} location - Page location (needs search and hash)
+ * @returns {Object} Valid scenario fields only (empty object if none)
+ */
+function getScenarioFromLocation(location) {
+    return {
+        ...decodeScenario(location.search),
+        ...decodeScenario(location.hash)
+    };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SCENARIO_URL_PARAMS = SCENARIO_URL_PARAMS;
+    window.encodeScenario = encodeScenario;
+    window.decodeScenario = decodeScenario;
+    window.getScenarioFromLocation = getScenarioFromLocation;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENARIO_URL_PARAMS,
+        encodeScenario,
+        decodeScenario,
+        getScenarioFromLocation
+    };
+}
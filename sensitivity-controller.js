@@ -0,0 +1,425 @@
+/**
+ * SensitivityController - Start Amount × Monthly Savings Heatmap
+ *
+ * Shows a heatmap of final PP (or PP lost %) for every combination of start amount and
+ * monthly savings on the slider ranges, for the current inflation, vehicle and other settings.
+ * The heatmap replaces the chart while shown; clicking a cell loads its start amount and
+ * savings into the sliders like the balance buttons do.
+ *
+ * Responsibilities:
+ * - Fill the metric selector and load/save the chosen metric via settings-storage.js
+ * - Toggle between chart and heatmap (heatmap-mode class on body)
+ * - Compute the grid with sensitivity.js on show and after every reset, in monte-carlo-worker.js
+ *   (or on the page where workers are unavailable), with progress in the status line
+ * - Ignore grids of updates superseded by a newer one
+ * - Draw the heatmap with the current sliders marked
+ * - Load a clicked cell into the sliders and restart the simulation
+ *
+ * Dependencies:
+ * - config.js (CONFIG.sensitivity, CONFIG.sliders, element IDs, CSS classes)
+ * - sensitivity.js (buildSensitivityAxis, computeSensitivityGrid fallback without a worker)
+ * - monte-carlo-worker.js (runs the grid off the main thread)
+ * - financial-math.js (getBtcPriceModel, getBaseCurrency, passed to the worker)
+ * - formatters.js (formatCurrency, getCurrencySymbol, formatMonths)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache for the current settings)
+ * - state-manager.js (configured start date, horizon, vehicle)
+ * - app.js (applySettingsChange: reset in start state, restart while running)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new SensitivityController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.setVisible(true);     // heatmap in place of the chart
+ * controller.loadCell(20000, 300); // sliders to $20,000 + $300/month
+ * ```
+ */
+class SensitivityController {
+    /**
+     * Create a new SensitivityController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for restart functionality)
+     */
+    constructor(config, stateManager, app = null) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // Heatmap shown in place of the chart
+        this.visible = false;
+
+        // Last computed grid (from computeSensitivityGrid)
+        this.grid = null;
+
+        // Worker (created on first update; null if workers are unavailable)
+        this.worker = null;
+        this.workerUnavailable = false;
+
+        // Id of the latest update - grids of older updates are ignored
+        this.jobId = 0;
+
+        // DOM elements
+        this.elements = {
+            toggleButton: null,
+            metricSelect: null,
+            status: null,
+            panel: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved metric and sets up event listeners
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.panel || !this.elements.toggleButton) return;
+
+        // Fill selector and restore saved metric
+        this.populateMetricOptions();
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Every reset (settings applied, restart) and vehicle switch - recompute while shown
+        ['simulationStartDate', 'savingsVehicle'].forEach(key => {
+            this.stateManager.subscribe(key, () => {
+                if (this.visible) {
+                    this.update();
+                }
+            });
+        });
+
+        this.setStatus('Final PP for every start amount × monthly savings');
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.toggleButton = document.getElementById(this.config.elementIds.heatmapToggle);
+        this.elements.metricSelect = document.getElementById(this.config.elementIds.heatmapMetric);
+        this.elements.status = document.getElementById(this.config.elementIds.heatmapStatus);
+        this.elements.panel = document.getElementById(this.config.elementIds.heatmapPanel);
+    }
+
+    /**
+     * Fill the metric selector and restore the saved metric
+     */
+    populateMetricOptions() {
+        const select = this.elements.metricSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(this.config.sensitivity.metrics).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        const saved = getSetting('sensitivityMetric', this.config.sensitivity.defaultMetric);
+        select.value = saved in this.config.sensitivity.metrics ? saved : this.config.sensitivity.defaultMetric;
+    }
+
+    /**
+     * Setup event listeners for the toggle button and metric selector
+     */
+    setupEventListeners() {
+        this.elements.toggleButton.addEventListener('click', () => {
+            this.setVisible(!this.visible);
+        });
+
+        if (this.elements.metricSelect) {
+            this.elements.metricSelect.addEventListener('change', () => {
+                setSetting('sensitivityMetric', this.getMetric());
+                this.render();
+            });
+        }
+
+        // Sliders apply without a reset - recompute once one is released
+        document.addEventListener('change', (e) => {
+            if (this.visible && e.target.type === 'range') {
+                this.update();
+            }
+        });
+    }
+
+    /**
+     * Get the selected metric
+     * @returns {string} Key of CONFIG.sensitivity.metrics ('pp' or 'ppLost')
+     */
+    getMetric() {
+        return this.elements.metricSelect ? this.elements.metricSelect.value : this.config.sensitivity.defaultMetric;
+    }
+
+    /**
+     * Show the heatmap in place of the chart, or the chart again
+     * @param {boolean} visible - True to show the heatmap
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        document.body.classList.toggle(this.config.cssClasses.heatmapMode, visible);
+        this.elements.toggleButton.textContent = visible ? 'Chart' : 'Heatmap';
+
+        if (visible) {
+            // Mobile mode places the chart panel from JavaScript - take its spot
+            const chartPanel = document.querySelector('.chart-panel');
+            this.elements.panel.style.top = chartPanel ? chartPanel.style.top : '';
+            this.update();
+        }
+    }
+
+    /**
+     * Build engine params from the current settings
+     * Uses the configured start month (not the running simulation's position)
+     * @returns {Object} SimulationEngine params (start amount and savings are set per cell)
+     */
+    buildParams() {
+        const settings = window.settingsCache;
+        const startDate = this.stateManager.getConfiguredStartDate();
+
+        return {
+            contributionGrowth: settings.getContributionGrowth(),
+            events: settings.getOneOffEvents(),
+            withdrawal: this.stateManager.getWithdrawalParams(startDate),
+            taxModel: settings.getCapitalGainsTax(),
+            fees: settings.getFees(),
+            annualInflation: settings.getAnnualInflation(),
+            inflationSeries: settings.getInflationSeries(),
+            annualYield: settings.getAnnualYield(),
+            goldGrowth: settings.getGoldGrowth(),
+            allocation: settings.getAllocation(),
+            rebalanceMonths: settings.getRebalanceMonths(),
+            savingsVehicle: this.stateManager.getSavingsVehicle(),
+            startDate: startDate,
+            months: this.stateManager.getTotalMonths()
+        };
+    }
+
+    /**
+     * Compute the grid for the current settings and draw it once done
+     * The previous grid stays on screen while the worker runs
+     */
+    update() {
+        const { steps } = this.config.sensitivity;
+        const jobId = ++this.jobId;
+        const params = this.buildParams();
+        const options = {
+            startAmounts: buildSensitivityAxis(this.config.sliders.startAmount, steps),
+            savingsAmounts: buildSensitivityAxis(this.config.sliders.savings, steps)
+        };
+
+        this.setStatus(`Computing ${this.getCellCount()} runs…`);
+
+        const worker = this.getWorker();
+        if (worker) {
+            worker.postMessage({
+                jobId,
+                task: 'sensitivity',
+                params,
+                btcPriceModel: getBtcPriceModel(),
+                currency: getBaseCurrency(),
+                options
+            });
+        } else {
+            this.runInPage(jobId, params, options);
+        }
+    }
+
+    /**
+     * Compute the grid on the page (blocks the animation briefly)
+     * Used where workers are unavailable, e.g. Chrome with file:// pages
+     * @param {number} jobId - Update id
+     * @param {Object} params - SimulationEngine params
+     * @param {Object} options - Axes ({ startAmounts, savingsAmounts })
+     */
+    runInPage(jobId, params, options) {
+        setTimeout(() => {
+            if (jobId !== this.jobId) return;
+            this.finishUpdate(computeSensitivityGrid(this.config, params, options.startAmounts, options.savingsAmounts));
+        }, 0);
+    }
+
+    /**
+     * Get the worker, creating it on first use
+     * @returns {Worker|null} Worker, or null if workers are unavailable
+     */
+    getWorker() {
+        if (this.worker || this.workerUnavailable) {
+            return this.worker;
+        }
+
+        try {
+            this.worker = new Worker(this.config.monteCarlo.workerScript);
+        } catch (error) {
+            console.warn('Sensitivity worker unavailable, running on the page:', error.message);
+            this.workerUnavailable = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (event) => {
+            this.handleWorkerMessage(event.data);
+        });
+
+        // Script failed to load (e.g. blocked) - fall back to the page and retry
+        this.worker.addEventListener('error', (event) => {
+            console.warn('Sensitivity worker failed, running on the page:', event.message);
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.workerUnavailable = true;
+            this.update();
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} data - Message ({ jobId, type, doneCells | result | message })
+     */
+    handleWorkerMessage(data) {
+        if (data.jobId !== this.jobId) return; // Superseded by a newer update
+
+        if (data.type === 'progress') {
+            const cells = this.getCellCount();
+            this.setStatus(`Computing ${cells} runs… ${Math.round(data.doneCells / cells * 100)}%`);
+        } else if (data.type === 'result') {
+            this.finishUpdate(data.result);
+        } else if (data.type === 'error') {
+            console.error('Sensitivity grid failed:', data.message);
+            this.setStatus('Heatmap failed');
+        }
+    }
+
+    /**
+     * Get the number of simulation runs per grid
+     * @returns {number} Cells on the start amount × savings axes
+     */
+    getCellCount() {
+        return this.config.sensitivity.steps * this.config.sensitivity.steps;
+    }
+
+    /**
+     * Draw a finished grid
+     * @param {Object} grid - Result of computeSensitivityGrid
+     */
+    finishUpdate(grid) {
+        this.grid = grid;
+        this.render();
+        this.setStatus('Click a cell to load its start amount and savings');
+    }
+
+    /**
+     * Draw the heatmap of the selected metric, with the current sliders marked
+     */
+    render() {
+        if (!this.visible || !this.grid || typeof Plotly === 'undefined') return;
+
+        const metric = this.getMetric();
+        const isLost = metric === 'ppLost';
+        const symbol = getCurrencySymbol();
+        const settings = window.settingsCache;
+
+        const heatmap = {
+            type: 'heatmap',
+            x: this.grid.startAmounts,
+            y: this.grid.savingsAmounts,
+            z: this.grid[metric],
+            colorscale: this.config.sensitivity.colorscale,
+            reversescale: isLost,
+            colorbar: { thickness: 10, ticksuffix: isLost ? '%' : '' },
+            hovertemplate: `Start ${symbol}%{x:,.0f} + ${symbol}%{y:,.0f}/mo<br>` +
+                (isLost ? 'PP lost %{z:.1f}%' : `PP ${symbol}%{z:,.0f}`) + '<extra></extra>'
+        };
+
+        const current = {
+            type: 'scatter',
+            mode: 'markers',
+            x: [settings.getStartingAmount()],
+            y: [settings.getMonthlySavings()],
+            name: 'Current',
+            marker: { symbol: 'x', size: 10, color: '#000' },
+            hoverinfo: 'skip',
+            showlegend: false
+        };
+
+        const layout = {
+            title: {
+                text: `${this.config.sensitivity.metrics[metric]} after ${formatMonths(this.stateManager.getTotalMonths())}`,
+                font: { size: 14 }
+            },
+            xaxis: { title: `Start amount (${symbol})`, fixedrange: true },
+            yaxis: { title: `Monthly savings (${symbol})`, fixedrange: true },
+            margin: { l: 60, r: 20, t: 40, b: 40 },
+            paper_bgcolor: 'transparent'
+        };
+
+        Plotly.newPlot(this.elements.panel, [heatmap, current], layout, {
+            displayModeBar: false, // Hide Plotly toolbar
+            responsive: true
+        });
+
+        // newPlot drops previous listeners - bind the cell click again
+        this.elements.panel.on('plotly_click', (event) => {
+            const point = event.points && event.points[0];
+            if (point) {
+                this.loadCell(point.x, point.y);
+            }
+        });
+    }
+
+    /**
+     * Load a cell's start amount and savings into the sliders and restart (see App.applySettingsChange)
+     * @param {number} startAmount - Start amount
+     * @param {number} monthlySavings - Monthly savings
+     */
+    loadCell(startAmount, monthlySavings) {
+        this.setSlider(this.config.elementIds.startAmountSlider, startAmount);
+        this.setSlider(this.config.elementIds.savingsSlider, monthlySavings);
+
+        this.app.applySettingsChange();
+
+        this.setStatus(`Loaded ${formatCurrency(startAmount)} + ${formatCurrency(monthlySavings)}/mo`);
+        console.log(`🔥 Heatmap: start ${startAmount}, savings ${monthlySavings}`);
+    }
+
+    /**
+     * Set a slider like a user would (settings cache and label follow)
+     * @param {string} sliderId - Slider element ID
+     * @param {number} value - New slider value
+     */
+    setSlider(sliderId, value) {
+        const slider = document.getElementById(sliderId);
+        if (!slider) return;
+
+        slider.value = value;
+
+        // Trigger input event to update settingsCache and display
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Show a status line below the selector
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SensitivityController = SensitivityController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SensitivityController };
+}
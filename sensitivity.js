@@ -0,0 +1,118 @@
+/**
+ * Sensitivity - Final purchasing power across start amount × monthly savings
+ *
+ * The balance buttons give a single break-even point; the sensitivity grid answers
+ * "what if I saved a bit more?" for every combination of start amount and monthly
+ * savings over the slider ranges. Every cell is a full SimulationEngine run (the same
+ * monthly cycle as StateManager), so the vehicle, inflation series, withdrawals, taxes
+ * and fees of the current settings all apply.
+ *
+ * Responsibilities:
+ * - Spread axis values evenly over a slider range
+ * - Run one simulation per cell and collect final PP and PP lost %
+ *
+ * Dependencies:
+ * - config.js (slider ranges)
+ * - simulation-engine.js (SimulationEngine)
+ *
+ * Example:
+ * ```javascript
+ * const grid = computeSensitivityGrid(CONFIG, params,
+ *     buildSensitivityAxis(CONFIG.sliders.startAmount, 11),
+ *     buildSensitivityAxis(CONFIG.sliders.savings, 11));
+ * grid.pp[2][5]; // Final PP with $200/month and a $50,000 start
+ * ```
+ */
+
+/**
+ * Spread values evenly over a slider range, rounded to the slider step
+ *
+ * @param {Object} range - Slider range ({ min, max, step })
+ * @param {number} steps - Number of values (at least 2: min and max)
+ * @returns {Array<number>} Ascending values from min to max
+ *
+ * @example
+ * buildSensitivityAxis({ min: 0, max: 1000, step: 10 }, 5) // [0, 250, 500, 750, 1000]
+ */
+function buildSensitivityAxis(range, steps) {
+    const count = Math.max(2, Math.round(steps));
+    const step = range.step || 1;
+
+    return Array.from({ length: count }, (_, index) => {
+        const value = range.min + index * (range.max - range.min) / (count - 1);
+        return Math.round(value / step) * step;
+    });
+}
+
+/**
+ * Calculate the share of deposited dollars lost to inflation (negative when PP gained)
+ * Same comparison as StateManager.getPPGainedOrLostInfo(): PP against nominal dollars saved
+ *
+ * @param {number} ppValue - Final purchasing power in start-date dollars
+ * @param {number} nominalDollarsSaved - Start amount plus all deposits
+ * @returns {number} PP lost in percent (0 when nothing was deposited)
+ *
+ * @example
+ * calculatePPLostPercent(75000, 100000) // 25
+ * calculatePPLostPercent(150000, 100000) // -50 (gained)
+ */
+function calculatePPLostPercent(ppValue, nominalDollarsSaved) {
+    if (nominalDollarsSaved <= 0) return 0;
+    return (nominalDollarsSaved - ppValue) / nominalDollarsSaved * 100;
+}
+
+/**
+ * Run the simulation for every start amount × monthly savings combination
+ * Rows follow the savings axis, columns the start amount axis (Plotly heatmap layout)
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params (start amount and savings are replaced per cell)
+ * @param {Array<number>} startAmounts - Start amount axis (columns)
+ * @param {Array<number>} savingsAmounts - Monthly savings axis (rows)
+ * @param {Object} [options] - Options
+ * @param {function(number)} [options.onProgress] - Called with the number of finished cells after every row
+ * @returns {{startAmounts: Array<number>, savingsAmounts: Array<number>,
+ *            pp: Array<Array<number>>, ppLost: Array<Array<number>>}} Final PP and PP lost % per cell
+ */
+function computeSensitivityGrid(config, params, startAmounts, savingsAmounts, options = {}) {
+    const pp = [];
+    const ppLost = [];
+
+    savingsAmounts.forEach(monthlySavings => {
+        const ppRow = [];
+        const lostRow = [];
+
+        startAmounts.forEach(startAmount => {
+            const series = new SimulationEngine(config, { ...params, startAmount, monthlySavings }).run();
+            const last = series[series.length - 1];
+
+            ppRow.push(last.ppValue);
+            lostRow.push(calculatePPLostPercent(last.ppValue, last.nominalDollarsSaved));
+        });
+
+        pp.push(ppRow);
+        ppLost.push(lostRow);
+
+        if (options.onProgress) {
+            options.onProgress(pp.length * startAmounts.length);
+        }
+    });
+
+    return { startAmounts, savingsAmounts, pp, ppLost };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.buildSensitivityAxis = buildSensitivityAxis;
+    window.calculatePPLostPercent = calculatePPLostPercent;
+    window.computeSensitivityGrid = computeSensitivityGrid;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildSensitivityAxis,
+        calculatePPLostPercent,
+        computeSensitivityGrid
+    };
+}
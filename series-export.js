@@ -0,0 +1,120 @@
+/**
+ * Series Export - CSV/JSON formatting of the monthly time series
+ *
+ * Pure utility functions for turning the month rows recorded by ChartHandler
+ * (or SimulationEngine-style rows with the same fields) into downloadable text.
+ * Money columns are in the base currency (named in the JSON scenario).
+ *
+ * Responsibilities:
+ * - Define export columns (header, row field, decimals)
+ * - Build CSV text (one header line, one line per month)
+ * - Build JSON text (scenario + one object per month)
+ * - Build export file names from the simulation start month
+ *
+ * Dependencies: none
+ *
+ * Example:
+ * ```javascript
+ * const csv = buildMonthlyCsv(chartHandler.getMonthRows());
+ * // "month,date,nominal_deposits,nominal_withdrawals,vehicle,...\n0,2025-10,50000.00,0.00,usd,..."
+ *
+ * const json = buildMonthlyJson(rows, { startAmount: 50000, savingsVehicle: 'usd' });
+ * ```
+ */
+
+/** Export columns in output order (decimals: null = written as-is) */
+const MONTHLY_EXPORT_COLUMNS = [
+    { key: 'month', header: 'month', decimals: null },
+    { key: 'date', header: 'date', decimals: null },
+    { key: 'nominalDeposits', header: 'nominal_deposits', decimals: 2 },
+    { key: 'nominalWithdrawals', header: 'nominal_withdrawals', decimals: 2 },
+    { key: 'vehicle', header: 'vehicle', decimals: null },
+    { key: 'savingsValue', header: 'savings_value', decimals: 2 },
+    { key: 'btcHoldings', header: 'btc_holdings', decimals: 8 },
+    { key: 'ppValue', header: 'pp_value', decimals: 2 },
+    { key: 'cumulativeInflationFactor', header: 'cumulative_inflation_factor', decimals: 6 },
+    { key: 'bankTotal', header: 'bank_total', decimals: 2 },
+    { key: 'pigFillLevel', header: 'pig_fill_pct', decimals: 4 },
+    { key: 'mugFillLevel', header: 'mug_fill_pct', decimals: 4 }
+];
+
+/**
+ * Format one value for a CSV cell
+ * Quotes text containing separators, quotes or line breaks
+ * @param {*} value - Cell value
+ * @param {number|null} decimals - Fixed decimals for numbers (null = as-is)
+ * @returns {string} CSV cell
+ */
+function formatCsvCell(value, decimals) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    if (typeof value === 'number') {
+        return decimals === null || !isFinite(value) ? String(value) : value.toFixed(decimals);
+    }
+
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text with one line per month
+ * @param {Array<Object>} rows - Month rows (fields as in MONTHLY_EXPORT_COLUMNS)
+ * @returns {string} CSV text with header line (lines end in "\n")
+ */
+function buildMonthlyCsv(rows) {
+    const header = MONTHLY_EXPORT_COLUMNS.map(column => column.header).join(',');
+    const lines = rows.map(row =>
+        MONTHLY_EXPORT_COLUMNS.map(column => formatCsvCell(row[column.key], column.decimals)).join(',')
+    );
+
+    return [header, ...lines].join('\n') + '\n';
+}
+
+/**
+ * Build JSON text with the scenario and one object per month
+ * @param {Array<Object>} rows - Month rows (fields as in MONTHLY_EXPORT_COLUMNS)
+ * @param {Object} [scenario] - Settings the rows were simulated with
+ * @returns {string} Pretty-printed JSON text
+ */
+function buildMonthlyJson(rows, scenario = {}) {
+    const months = rows.map(row => {
+        const month = {};
+        MONTHLY_EXPORT_COLUMNS.forEach(column => {
+            month[column.key] = row[column.key];
+        });
+        return month;
+    });
+
+    return JSON.stringify({ scenario, months }, null, 2);
+}
+
+/**
+ * Build an export file name from the first month of the rows
+ * @param {Array<Object>} rows - Month rows
+ * @param {string} extension - File extension without dot ('csv' or 'json')
+ * @returns {string} File name (e.g., "purchasing-power-pig-2025-10.csv")
+ */
+function getExportFileName(rows, extension) {
+    const startMonth = rows.length > 0 ? rows[0].date : 'export';
+    return `purchasing-power-pig-${startMonth}.${extension}`;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MONTHLY_EXPORT_COLUMNS = MONTHLY_EXPORT_COLUMNS;
+    window.buildMonthlyCsv = buildMonthlyCsv;
+    window.buildMonthlyJson = buildMonthlyJson;
+    window.getExportFileName = getExportFileName;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MONTHLY_EXPORT_COLUMNS,
+        buildMonthlyCsv,
+        buildMonthlyJson,
+        getExportFileName
+    };
+}
@@ -0,0 +1,316 @@
+/**
+ * SessionController - Saved Simulation Sessions
+ *
+ * Saves the full simulation (settings, state, chart series and vehicle periods, month)
+ * to localStorage so a run survives a page reload. The current run is saved to an
+ * autosave slot every month and offered as "resume where you left off" on the start
+ * screen; named slots keep several runs side by side. The autosave slot is stored apart
+ * from the named slots, which are only written when the user saves or deletes one.
+ *
+ * Responsibilities:
+ * - Capture a session (scenario + state snapshot + chart snapshot + comparison pig)
+ * - Autosave the running session every month
+ * - Save, load and delete named slots via settings-storage.js
+ * - Report saves that fail because the browser storage is full
+ * - Show the resume button in start state when an autosaved session exists
+ *
+ * Dependencies:
+ * - config.js (CONFIG.sessions, element IDs)
+ * - settings-storage.js (getSessions, getSession, saveSession, deleteSession, getAutosave, saveAutosave,
+ *   deleteAutosave, isStorageFull)
+ * - formatters.js (formatDate)
+ * - state-manager.js (getSessionSnapshot, isStartState subscription)
+ * - app.js (scenarioController, displayManager, comparisonController, resumeSession)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new SessionController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.autosave(); // called by app.js after each month
+ * ```
+ */
+class SessionController {
+    /**
+     * Create a new SessionController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for capturing and resuming sessions)
+     */
+    constructor(config, stateManager, app) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // Whether the last autosave failed (reported once, not every month)
+        this.autosaveFailed = false;
+
+        // DOM elements
+        this.elements = {
+            slotSelect: null,
+            loadButton: null,
+            saveButton: null,
+            deleteButton: null,
+            status: null,
+            resumeButton: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Fills the slot selector and offers the autosaved session
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        // Fill selector and show resume button
+        this.populateSlotOptions();
+        this.updateResumeButton();
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Resume is only offered on the start screen
+        this.stateManager.subscribe('isStartState', () => {
+            this.updateResumeButton();
+        });
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.slotSelect = document.getElementById(this.config.elementIds.sessionSelect);
+        this.elements.loadButton = document.getElementById(this.config.elementIds.sessionLoadButton);
+        this.elements.saveButton = document.getElementById(this.config.elementIds.sessionSaveButton);
+        this.elements.deleteButton = document.getElementById(this.config.elementIds.sessionDeleteButton);
+        this.elements.status = document.getElementById(this.config.elementIds.sessionStatus);
+        this.elements.resumeButton = document.getElementById(this.config.elementIds.resumeButton);
+    }
+
+    /**
+     * Setup event listeners for slot buttons and the resume button
+     */
+    setupEventListeners() {
+        if (this.elements.loadButton) {
+            this.elements.loadButton.addEventListener('click', () => {
+                this.loadSlot(this.elements.slotSelect.value);
+            });
+        }
+
+        if (this.elements.saveButton) {
+            this.elements.saveButton.addEventListener('click', () => {
+                this.saveAs();
+            });
+        }
+
+        if (this.elements.deleteButton) {
+            this.elements.deleteButton.addEventListener('click', () => {
+                this.deleteSlot(this.elements.slotSelect.value);
+            });
+        }
+
+        if (this.elements.resumeButton) {
+            this.elements.resumeButton.addEventListener('click', () => {
+                this.loadSlot(this.config.sessions.autosaveSlot);
+            });
+        }
+    }
+
+    /**
+     * Fill the slot selector with all saved sessions (autosave first)
+     * @param {string} [selectedName] - Slot to select after filling
+     */
+    populateSlotOptions(selectedName) {
+        const select = this.elements.slotSelect;
+        if (!select) return;
+
+        const sessions = getSessions();
+        const autosaveSlot = this.config.sessions.autosaveSlot;
+        const autosave = getAutosave();
+        if (autosave) {
+            sessions[autosaveSlot] = autosave;
+        }
+        const names = Object.keys(sessions).sort((a, b) => {
+            if (a === autosaveSlot) return -1;
+            if (b === autosaveSlot) return 1;
+            return a.localeCompare(b);
+        });
+
+        select.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name} (${this.formatSessionMonth(sessions[name])})`;
+            select.appendChild(option);
+        });
+
+        if (selectedName && names.includes(selectedName)) {
+            select.value = selectedName;
+        }
+
+        const hasSlots = names.length > 0;
+        if (this.elements.loadButton) this.elements.loadButton.disabled = !hasSlots;
+        if (this.elements.deleteButton) this.elements.deleteButton.disabled = !hasSlots;
+    }
+
+    /**
+     * Capture the current session
+     * @returns {Object} Session: settings as a scenario, simulation state, chart data,
+     *                   inflation loss still falling towards the mug and the comparison pig (null when off)
+     */
+    captureSession() {
+        return {
+            savedAt: new Date().toISOString(),
+            scenario: this.app.scenarioController.getCurrentScenario(),
+            state: this.stateManager.getSessionSnapshot(),
+            chart: this.app.displayManager.getHandler('chart').getSnapshot(),
+            pendingMugDollars: this.app.pendingMugDollars,
+            comparison: this.app.comparisonController.getSnapshot()
+        };
+    }
+
+    /**
+     * Save the running session to the autosave slot
+     * Skipped in start state (nothing has run yet)
+     */
+    autosave() {
+        if (this.stateManager.get('isStartState')) return;
+
+        const autosaveSlot = this.config.sessions.autosaveSlot;
+        const session = this.captureSession();
+
+        if (!saveAutosave(session)) {
+            if (!this.autosaveFailed) {
+                this.autosaveFailed = true;
+                this.setStatus(isStorageFull()
+                    ? 'Autosave failed - browser storage is full, delete saved sessions to make room'
+                    : 'Autosave failed - browser storage is unavailable');
+            }
+            return;
+        }
+        this.autosaveFailed = false;
+
+        // Keep the selection stable - only refill when the slot first appears
+        const select = this.elements.slotSelect;
+        const option = select ? Array.from(select.options).find(o => o.value === autosaveSlot) : null;
+        if (option) {
+            option.textContent = `${autosaveSlot} (${this.formatSessionMonth(session)})`;
+        } else {
+            this.populateSlotOptions(select ? select.value : undefined);
+        }
+    }
+
+    /**
+     * Ask for a slot name and save the current session to it
+     */
+    saveAs() {
+        const defaultName = `${this.config.savingsVehicle.names[this.stateManager.getSavingsVehicle()]} – ${formatDate(this.stateManager.get('currentSimDate'))}`;
+        const name = window.prompt('Save session as:', defaultName);
+        if (!name || !name.trim()) return;
+
+        const slotName = name.trim();
+        if (slotName === this.config.sessions.autosaveSlot) {
+            this.setStatus(`"${slotName}" is saved automatically - pick another name`);
+            return;
+        }
+
+        if (saveSession(slotName, this.captureSession())) {
+            this.populateSlotOptions(slotName);
+            this.setStatus(`Saved "${slotName}"`);
+        } else if (isStorageFull()) {
+            this.setStatus('Could not save - browser storage is full, delete saved sessions to make room');
+        } else {
+            this.setStatus('Could not save - browser storage is unavailable');
+        }
+    }
+
+    /**
+     * Get the session saved in a slot
+     * @param {string} name - Slot name (the autosave slot or a named slot)
+     * @returns {Object|null} Session, or null if the slot is empty
+     */
+    getSlot(name) {
+        return name === this.config.sessions.autosaveSlot ? getAutosave() : getSession(name);
+    }
+
+    /**
+     * Resume the session saved in a slot
+     * @param {string} name - Slot name
+     */
+    loadSlot(name) {
+        const session = name ? this.getSlot(name) : null;
+
+        if (!session || !session.state || !session.scenario) {
+            this.setStatus(`No saved session "${name}"`);
+            return;
+        }
+
+        this.app.resumeSession(session);
+        this.populateSlotOptions(name);
+        this.setStatus(`Resumed "${name}" at ${this.formatSessionMonth(session)}`);
+    }
+
+    /**
+     * Delete the session saved in a slot
+     * @param {string} name - Slot name
+     */
+    deleteSlot(name) {
+        if (!name) return;
+
+        if (name === this.config.sessions.autosaveSlot) {
+            deleteAutosave();
+        } else {
+            deleteSession(name);
+        }
+        this.populateSlotOptions();
+        this.updateResumeButton();
+        this.setStatus(`Deleted "${name}"`);
+    }
+
+    /**
+     * Show the resume button in start state when an autosaved session exists
+     */
+    updateResumeButton() {
+        const button = this.elements.resumeButton;
+        if (!button) return;
+
+        const session = getAutosave();
+        const isStartState = this.stateManager.get('isStartState');
+
+        button.style.display = session && isStartState ? '' : 'none';
+        if (session) {
+            button.textContent = `Resume where you left off (${this.formatSessionMonth(session)})`;
+        }
+    }
+
+    /**
+     * Format the simulation month a session was saved at
+     * @param {Object} session - Saved session
+     * @returns {string} Formatted month (e.g., "2031 May")
+     */
+    formatSessionMonth(session) {
+        const date = session && session.state ? new Date(session.state.currentSimDate) : null;
+        return date && !isNaN(date.getTime()) ? formatDate(date) : 'unknown month';
+    }
+
+    /**
+     * Set status text below the slot selector
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SessionController = SessionController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionController };
+}
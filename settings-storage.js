@@ -12,6 +12,25 @@
  * }
  * ```
  *
+ * Named simulation sessions are stored under their own key (snapshots are larger
+ * than settings and shouldn't be rewritten on every setting change):
+ * ```json
+ * {
+ *   "BTC since 2015": { "savedAt": "...", "scenario": {...}, "state": {...}, "chart": {...} },
+ *   "Gold 1970s": { ... }
+ * }
+ * ```
+ *
+ * The autosaved session (rewritten every month) has a key of its own, so autosaving
+ * never rewrites the named sessions.
+ *
+ * Runs pinned on the chart are a list under a third key, oldest first:
+ * ```json
+ * [
+ *   { "id": "...", "label": "Bitcoin · $50,000 + $100/mo ...", "months": [...], "savingsData": [...], "ppData": [...] }
+ * ]
+ * ```
+ *
  * Example:
  * ```javascript
  * // Get current settings
@@ -88,12 +107,190 @@ function saveSettings(settings) {
     }
 }
 
+/** localStorage key for saved simulation sessions */
+const SESSIONS_STORAGE_KEY = 'ppp_sessions';
+
+/**
+ * Get all saved sessions from localStorage
+ * @returns {Object} Sessions by slot name (empty object if none exist)
+ */
+function getSessions() {
+    try {
+        const value = localStorage.getItem(SESSIONS_STORAGE_KEY);
+
+        if (!value) {
+            return {};
+        }
+
+        return JSON.parse(value);
+    } catch (e) {
+        console.warn('Failed to parse sessions from localStorage:', e);
+        return {};
+    }
+}
+
+/**
+ * Get a saved session
+ * @param {string} name - Slot name
+ * @returns {Object|null} Session, or null if the slot is empty
+ */
+function getSession(name) {
+    const sessions = getSessions();
+    return sessions.hasOwnProperty(name) ? sessions[name] : null;
+}
+
+/**
+ * Save a session to a named slot (replaces an existing session with the same name)
+ * @param {string} name - Slot name
+ * @param {Object} session - Session snapshot (must be JSON-serializable)
+ * @returns {boolean} True if saved (false when localStorage is unavailable or full, see isStorageFull)
+ */
+function saveSession(name, session) {
+    const sessions = getSessions();
+    sessions[name] = session;
+
+    return writeSessionStorage(SESSIONS_STORAGE_KEY, sessions, 'session');
+}
+
+/**
+ * Delete a saved session
+ * @param {string} name - Slot name
+ */
+function deleteSession(name) {
+    const sessions = getSessions();
+    delete sessions[name];
+
+    try {
+        localStorage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(sessions));
+    } catch (e) {
+        console.error('Failed to delete session from localStorage:', e);
+    }
+}
+
+/** localStorage key for the autosaved session */
+const AUTOSAVE_STORAGE_KEY = 'ppp_autosave';
+
+/**
+ * Get the autosaved session from localStorage
+ * @returns {Object|null} Session, or null if nothing was autosaved
+ */
+function getAutosave() {
+    try {
+        const value = localStorage.getItem(AUTOSAVE_STORAGE_KEY);
+        return value ? JSON.parse(value) : null;
+    } catch (e) {
+        console.warn('Failed to parse autosaved session from localStorage:', e);
+        return null;
+    }
+}
+
+/**
+ * Save the autosaved session (replaces the previous one, named sessions are left alone)
+ * @param {Object} session - Session snapshot (must be JSON-serializable)
+ * @returns {boolean} True if saved (false when localStorage is unavailable or full, see isStorageFull)
+ */
+function saveAutosave(session) {
+    return writeSessionStorage(AUTOSAVE_STORAGE_KEY, session, 'autosaved session');
+}
+
+/**
+ * Delete the autosaved session
+ */
+function deleteAutosave() {
+    try {
+        localStorage.removeItem(AUTOSAVE_STORAGE_KEY);
+    } catch (e) {
+        console.error('Failed to delete autosaved session from localStorage:', e);
+    }
+}
+
+/** Whether the last failed session write ran out of storage space */
+let lastSessionWriteFull = false;
+
+/**
+ * Write session data to localStorage
+ * @param {string} key - localStorage key
+ * @param {*} value - Value to store as JSON
+ * @param {string} label - What is saved (for the error log)
+ * @returns {boolean} True if saved
+ */
+function writeSessionStorage(key, value, label) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        lastSessionWriteFull = false;
+        return true;
+    } catch (e) {
+        // Name differs per browser (Firefox: NS_ERROR_DOM_QUOTA_REACHED), legacy codes 22 / 1014
+        lastSessionWriteFull = e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            e.code === 22 || e.code === 1014);
+        console.error(`Failed to save ${label} to localStorage:`, e);
+        return false;
+    }
+}
+
+/**
+ * Check whether the last failed session save ran out of storage space
+ * (as opposed to localStorage being unavailable, e.g. disabled by the browser)
+ * @returns {boolean} True if the browser storage quota was exceeded
+ */
+function isStorageFull() {
+    return lastSessionWriteFull;
+}
+
+/** localStorage key for runs pinned on the chart */
+const PINNED_RUNS_STORAGE_KEY = 'ppp_pinned_runs';
+
+/**
+ * Get the runs pinned on the chart from localStorage
+ * @returns {Array<Object>} Pinned runs, oldest first (empty array if none exist)
+ */
+function getPinnedRuns() {
+    try {
+        const value = localStorage.getItem(PINNED_RUNS_STORAGE_KEY);
+
+        if (!value) {
+            return [];
+        }
+
+        const runs = JSON.parse(value);
+        return Array.isArray(runs) ? runs : [];
+    } catch (e) {
+        console.warn('Failed to parse pinned runs from localStorage:', e);
+        return [];
+    }
+}
+
+/**
+ * Save the runs pinned on the chart (replaces the stored list)
+ * @param {Array<Object>} runs - Pinned runs, oldest first (must be JSON-serializable)
+ * @returns {boolean} True if saved (false when localStorage is unavailable or full)
+ */
+function savePinnedRuns(runs) {
+    try {
+        localStorage.setItem(PINNED_RUNS_STORAGE_KEY, JSON.stringify(runs));
+        return true;
+    } catch (e) {
+        console.error('Failed to save pinned runs to localStorage:', e);
+        return false;
+    }
+}
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.getSettings = getSettings;
     window.getSetting = getSetting;
     window.setSetting = setSetting;
     window.saveSettings = saveSettings;
+    window.getSessions = getSessions;
+    window.getSession = getSession;
+    window.saveSession = saveSession;
+    window.deleteSession = deleteSession;
+    window.getAutosave = getAutosave;
+    window.saveAutosave = saveAutosave;
+    window.deleteAutosave = deleteAutosave;
+    window.isStorageFull = isStorageFull;
+    window.getPinnedRuns = getPinnedRuns;
+    window.savePinnedRuns = savePinnedRuns;
 }
 
 // Support direct exports if using as module
@@ -102,6 +299,16 @@ if (typeof module !== 'undefined' && module.exports) {
         getSettings,
         getSetting,
         setSetting,
-        saveSettings
+        saveSettings,
+        getSessions,
+        getSession,
+        saveSession,
+        deleteSession,
+        getAutosave,
+        saveAutosave,
+        deleteAutosave,
+        isStorageFull,
+        getPinnedRuns,
+        savePinnedRuns
     };
 }
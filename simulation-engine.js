@@ -0,0 +1,635 @@
+/**
+ * SimulationEngine - Headless month-by-month simulation
+ *
+ * Runs the purchasing power economics without the DOM, AnimationEngine or timers.
+ * Mirrors the monthly cycle of the animated view (StateManager + drop landing):
+ *   1. Deposit this month's contribution (monthly savings after growth) at the current simulation date,
+ *      or sell this month's withdrawal once the withdrawal phase started (params.withdrawal);
+ *      gains realized on BTC / gold are taxed by params.taxModel, the tax flows into the banker's mug;
+ *      BTC purchases pay the spread from params.fees; one-off events (params.events) are deposited
+ *      or withdrawn in their month on top of it
+ *   2. Advance the simulation date by one month
+ *   3. Rebalance mix holdings when due, credit savings account interest (HYSA / mix), charge the
+ *      account / custody fees from params.fees, then apply monthly inflation
+ *      (all skipped on the final month, like the animated view)
+ *
+ * Inflation is either constant (params.annualInflation) or taken month by month from
+ * params.inflationSeries, falling back to the constant rate outside the series.
+ *
+ * Responsibilities:
+ * - Hold its own simulation state (same field names as StateManager)
+ * - Step one month at a time, or run the full horizon
+ * - Record a snapshot per month (savings, BTC, gold, mix holdings, PP, bank total, tax and fees paid, fill levels)
+ * - Report how many months withdrawals last in each vehicle (calculateWithdrawalLongevity)
+ *
+ * Dependencies:
+ * - config.js (CONFIG constants, isDollarVehicle)
+ * - financial-math.js (getMonthlyCompoundRate, calculateContribution, getOneOffEventAmount, calculateWithdrawal,
+ *   calculateWithdrawalShare, scaleAllocationHoldings, capital gains tax lots, fees and spreads, convertUsdToBtc, convertBtcToUsd,
+ *   calculateInflationLossFromFactor, calculateMonthlyInterest, getSeriesAnnualInflation,
+ *   isBitcoinPriced, convertUsdToGold, convertGoldToUsd, mixed allocation helpers)
+ * - gold-price-series.js (GOLD_PRICE_SERIES, for the gold vehicle)
+ *
+ * Example:
+ * ```javascript
+ * const engine = new SimulationEngine(CONFIG, {
+ *     startAmount: 50000,
+ *     monthlySavings: 100,
+ *     annualInflation: 0.07,
+ *     savingsVehicle: 'usd',
+ *     startDate: new Date('2025-01-01')
+ * });
+ * const series = engine.run(); // 361 snapshots (month 0 to 360, default 30-year horizon)
+ * console.log(series[series.length - 1].ppValue);
+ * ```
+ *
+ * Node (unit tests):
+ * ```javascript
+ * Object.assign(global, require('./config.js'), require('./financial-math.js'));
+ * const { SimulationEngine } = require('./simulation-engine.js');
+ * ```
+ */
+class SimulationEngine {
+    /**
+     * Create a new SimulationEngine
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} params - Simulation inputs (missing keys fall back to slider defaults)
+     * @param {number} params.startAmount - Starting amount in dollars
+     * @param {number} params.monthlySavings - Monthly savings in dollars
+     * @param {Object|null} params.contributionGrowth - Contribution growth ({ mode, annualRaise, schedule }), or null for flat savings
+     * @param {Object|null} params.withdrawal - Withdrawal phase ({ fromMonth, monthlyAmount, indexed }), or null to only save
+     * @param {Array|null} params.events - One-off deposits / withdrawals ({ month, amount } from parseOneOffEvents), or null
+     * @param {Object|null} params.taxModel - Capital gains tax ({ mode, rate, shortTermRate }), or null for no tax
+     * @param {Object|null} params.fees - Fees as decimals ({ annual: per vehicle, btcSpread }), or null for no fees
+     * @param {number} params.annualInflation - Annual inflation as decimal (e.g., 0.07 for 7%)
+     * @param {Object|null} params.inflationSeries - Month-by-month series (entry from INFLATION_SERIES), or null
+     * @param {number} params.annualYield - Savings account APY as decimal (used in 'hysa' mode)
+     * @param {number} params.goldGrowth - Gold price growth after the bundled series, as decimal
+     * @param {Object} params.allocation - Mix mode split in percent per vehicle (e.g., { usd: 80, btc: 20 })
+     * @param {number} params.rebalanceMonths - Months between mix mode rebalances (0 = never)
+     * @param {string} params.savingsVehicle - Savings vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
+     * @param {Date} params.startDate - Simulation start date
+     * @param {number} params.months - Number of months to simulate
+     */
+    constructor(config, params = {}) {
+        this.config = config;
+        this.params = { ...SimulationEngine.getDefaultParams(config), ...params };
+
+        // Simulation state (initialized in reset())
+        this.state = null;
+
+        // Recorded snapshots (index = months elapsed)
+        this.series = [];
+
+        this.reset();
+    }
+
+    /**
+     * Get default simulation inputs from CONFIG
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @returns {Object} Default params
+     */
+    static getDefaultParams(config) {
+        return {
+            startAmount: config.sliders.startAmount.default,
+            monthlySavings: config.sliders.savings.default,
+            contributionGrowth: null,
+            withdrawal: null,
+            events: null,
+            taxModel: null,
+            fees: null,
+            annualInflation: config.sliders.inflation.default / 100,
+            inflationSeries: null,
+            annualYield: config.sliders.apy.default / 100,
+            goldGrowth: config.sliders.goldGrowth.default / 100,
+            allocation: config.allocation.default,
+            rebalanceMonths: config.allocation.defaultRebalanceMonths,
+            savingsVehicle: config.savingsVehicle.default,
+            startDate: new Date(),
+            months: config.sliders.horizon.default * 12
+        };
+    }
+
+    /**
+     * Reset state to month 0 (same initial values as StateManager.reset)
+     */
+    reset() {
+        const { startAmount, goldGrowth } = this.params;
+        const startDate = new Date(this.params.startDate);
+
+        // Before BTC had a price, value the BTC side at its first traded date (as StateManager does)
+        const btcPriced = isBitcoinPriced(startDate);
+        const btcReferenceDate = btcPriced ? startDate : BITCOIN_FIRST_PRICE_DATE;
+
+        let savingsVehicle = this.params.savingsVehicle;
+        if (savingsVehicle === this.config.savingsVehicle.options.BTC && !btcPriced) {
+            console.warn('SimulationEngine: BTC has no price at start date, simulating in USD');
+            savingsVehicle = this.config.savingsVehicle.options.USD;
+        }
+
+        // Full pig capacity in BTC stays constant throughout the simulation
+        const fullPigBtc = convertUsdToBtc(this.config.PIG_CAPACITY_DOLLARS, btcReferenceDate);
+
+        this.state = {
+            month: 0,
+            currentSimDate: new Date(startDate),
+            simulationStartDate: new Date(startDate),
+            savingsVehicle: savingsVehicle,
+            totalSavings: startAmount,
+            totalSavingsBtc: convertUsdToBtc(startAmount, btcReferenceDate),
+            totalSavingsGold: convertUsdToGold(startAmount, startDate, goldGrowth),
+            allocationHoldings: savingsVehicle === this.config.savingsVehicle.options.MIX
+                ? buyAllocation(startAmount, this.params.allocation, startDate, goldGrowth)
+                : createEmptyAllocation(),
+            nominalDollarsSaved: startAmount,
+            nominalDollarsWithdrawn: 0,
+            depletedMonth: null,
+            taxLots: createTaxLots(),
+            totalTaxPaid: 0,
+            totalFeesPaid: 0,
+            totalBankSavings: 0,
+            cumulativeInflationFactor: 1.0,
+            fullPigBtcCapacity: fullPigBtc,
+            fullPigGoldCapacity: convertUsdToGold(this.config.PIG_CAPACITY_DOLLARS, startDate, goldGrowth),
+            fillLevel: 0,
+            mugFillLevel: this.config.MIN_FILL_PERCENTAGE
+        };
+        this.state.fillLevel = this.calculateFillLevel();
+        this.syncTaxLots();
+
+        this.series = [this.snapshot()];
+    }
+
+    /**
+     * Check whether the full horizon has been simulated
+     * @returns {boolean} True if finished
+     */
+    isFinished() {
+        return this.state.month >= this.params.months;
+    }
+
+    /**
+     * Simulate one month
+     * @returns {Object} Snapshot recorded for the new month
+     */
+    step() {
+        if (this.isFinished()) {
+            return this.series[this.series.length - 1];
+        }
+
+        // 1. Deposit this month's contribution at the current date (withdraw in the withdrawal phase)
+        if (this.isWithdrawalPhase()) {
+            this.withdraw(this.getWithdrawal());
+        } else {
+            this.addMonthlySavings(this.getContribution());
+        }
+
+        // One-off event of this month (negative amounts are withdrawals)
+        const eventAmount = getOneOffEventAmount(this.params.events, this.state.month);
+        if (eventAmount > 0) {
+            this.addMonthlySavings(eventAmount);
+        } else if (eventAmount < 0) {
+            this.withdraw(-eventAmount);
+        }
+
+        // 2. Advance one month
+        const newDate = new Date(this.state.currentSimDate);
+        newDate.setMonth(newDate.getMonth() + 1);
+        this.state.currentSimDate = newDate;
+        this.state.month++;
+
+        // 3. Rebalance, interest, then inflation (animated view stops before inflating the final month)
+        if (!this.isFinished()) {
+            this.rebalanceIfDue();
+            this.applyMonthlyInterest();
+            this.applyMonthlyFees();
+            this.applyMonthlyInflation(getMonthlyCompoundRate(this.getAnnualInflation()));
+        }
+
+        const snapshot = this.snapshot();
+        this.series.push(snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Simulate all remaining months
+     * @returns {Array<Object>} Full series of snapshots (month 0 to params.months)
+     */
+    run() {
+        while (!this.isFinished()) {
+            this.step();
+        }
+        return this.series;
+    }
+
+    /**
+     * Get annual inflation rate for the current simulation month
+     * @returns {number} Annual inflation as decimal (series rate, or constant outside the series)
+     */
+    getAnnualInflation() {
+        const seriesRate = getSeriesAnnualInflation(this.params.inflationSeries, this.state.currentSimDate);
+        return seriesRate !== null ? seriesRate : this.params.annualInflation;
+    }
+
+    /**
+     * Get the contribution for the current simulation month
+     * @returns {number} Monthly savings after contribution growth, in dollars
+     */
+    getContribution() {
+        return calculateContribution(
+            this.params.monthlySavings,
+            this.params.contributionGrowth,
+            this.state.month,
+            this.state.cumulativeInflationFactor
+        );
+    }
+
+    /**
+     * Check whether the current month withdraws instead of depositing
+     * @returns {boolean} True once params.withdrawal.fromMonth is reached
+     */
+    isWithdrawalPhase() {
+        const withdrawal = this.params.withdrawal;
+        return !!withdrawal && this.state.month >= withdrawal.fromMonth;
+    }
+
+    /**
+     * Get the withdrawal for the current simulation month
+     * @returns {number} Dollars requested this month (indexed withdrawals grow with inflation)
+     */
+    getWithdrawal() {
+        const { monthlyAmount, indexed } = this.params.withdrawal;
+        return calculateWithdrawal(monthlyAmount, indexed, this.state.cumulativeInflationFactor);
+    }
+
+    /**
+     * Withdraw from the active vehicle, selling every holding pro rata plus the capital gains tax
+     * (same rules as StateManager.withdrawFromPig)
+     * @param {number} amount - Dollar amount requested
+     * @returns {number} Dollars withdrawn after tax (less than requested when the savings run out)
+     */
+    withdraw(amount) {
+        const savingsValue = this.getSavingsValue();
+        const plan = planTaxedWithdrawal(amount, savingsValue, this.getTaxableHoldings(), this.state.taxLots, {
+            date: this.state.currentSimDate,
+            month: this.state.month,
+            goldGrowth: this.params.goldGrowth,
+            taxModel: this.params.taxModel
+        });
+        const share = plan.share;
+        if (share === 0) return 0;
+
+        const remaining = 1 - share;
+        this.state.totalSavings *= remaining;
+        this.state.totalSavingsBtc *= remaining;
+        this.state.totalSavingsGold *= remaining;
+        this.state.allocationHoldings = scaleAllocationHoldings(this.state.allocationHoldings, remaining);
+
+        this.state.taxLots = plan.lots;
+
+        const withdrawn = Math.max(0, Math.max(0, savingsValue) * share - plan.tax);
+        this.state.nominalDollarsWithdrawn += withdrawn;
+        // Only the withdrawal phase runs the savings out - deposits refill the pig after an early event
+        if (share === 1 && this.state.depletedMonth === null && this.isWithdrawalPhase()) {
+            this.state.depletedMonth = this.state.month;
+        }
+
+        this.addTaxToMug(plan.tax);
+        this.state.fillLevel = this.calculateFillLevel();
+        return withdrawn;
+    }
+
+    /**
+     * Get the BTC / gold units held in the active vehicle (the holdings capital gains tax applies to)
+     * @returns {Object} Units per taxable asset ({ btc, gold })
+     */
+    getTaxableHoldings() {
+        return getTaxableHoldings(this.state.savingsVehicle, this.state);
+    }
+
+    /**
+     * Match cost basis lots to the current holdings after an untaxed change (deposit, rebalance)
+     */
+    syncTaxLots() {
+        this.state.taxLots = syncTaxLots(
+            this.state.taxLots,
+            this.getTaxableHoldings(),
+            this.state.currentSimDate,
+            this.state.month,
+            this.params.goldGrowth
+        );
+    }
+
+    /**
+     * Pay capital gains tax into the banker's mug
+     * @param {number} dollars - Tax in dollars
+     */
+    addTaxToMug(dollars) {
+        if (dollars <= 0) return;
+
+        this.state.totalTaxPaid += dollars;
+        this.state.mugFillLevel = this.clampFill(
+            this.state.mugFillLevel + (dollars / this.config.MUG_CAPACITY_DOLLARS) * 100
+        );
+    }
+
+    /**
+     * Pay a fee or spread into the banker's mug
+     * @param {number} dollars - Fee in dollars
+     */
+    addFeeToMug(dollars) {
+        if (dollars <= 0) return;
+
+        this.state.totalFeesPaid += dollars;
+        this.state.mugFillLevel = this.clampFill(
+            this.state.mugFillLevel + (dollars / this.config.MUG_CAPACITY_DOLLARS) * 100
+        );
+    }
+
+    /**
+     * Deposit monthly savings into the active vehicle (BTC purchases pay the spread)
+     * @param {number} amount - Dollar amount to deposit
+     */
+    addMonthlySavings(amount) {
+        if (amount === 0) return;
+
+        const btcSpread = this.params.fees ? this.params.fees.btcSpread : 0;
+
+        if (this.state.savingsVehicle === this.config.savingsVehicle.options.BTC) {
+            const spreadFee = calculatePercentageFee(amount, btcSpread);
+            this.state.totalSavingsBtc += convertUsdToBtc(amount - spreadFee, this.state.currentSimDate);
+            this.addFeeToMug(spreadFee);
+        } else if (this.state.savingsVehicle === this.config.savingsVehicle.options.GOLD) {
+            this.state.totalSavingsGold += convertUsdToGold(amount, this.state.currentSimDate, this.params.goldGrowth);
+        } else if (this.state.savingsVehicle === this.config.savingsVehicle.options.MIX) {
+            const bought = buyAllocationWithSpread(
+                amount, this.params.allocation, this.state.currentSimDate, this.params.goldGrowth, btcSpread);
+            this.state.allocationHoldings = addAllocationHoldings(this.state.allocationHoldings, bought.holdings);
+            this.addFeeToMug(bought.fee);
+        } else {
+            this.state.totalSavings += amount;
+        }
+        this.syncTaxLots();
+        this.state.nominalDollarsSaved += amount;
+        this.state.fillLevel = this.calculateFillLevel();
+    }
+
+    /**
+     * Rebalance mix holdings back to the split when the schedule is due (mix mode only)
+     * @returns {boolean} Whether holdings were rebalanced
+     */
+    rebalanceIfDue() {
+        const interval = this.params.rebalanceMonths;
+        if (this.state.savingsVehicle !== this.config.savingsVehicle.options.MIX) return false;
+        if (!interval || this.state.month % interval !== 0) return false;
+
+        this.state.allocationHoldings = rebalanceAllocation(
+            this.state.allocationHoldings,
+            this.params.allocation,
+            this.state.currentSimDate,
+            this.params.goldGrowth
+        );
+        this.syncTaxLots();
+        this.state.fillLevel = this.calculateFillLevel();
+        return true;
+    }
+
+    /**
+     * Credit one month of savings account interest (HYSA mode, or the HYSA share in mix mode)
+     * @returns {number} Interest credited in dollars
+     */
+    applyMonthlyInterest() {
+        if (this.state.savingsVehicle === this.config.savingsVehicle.options.MIX) {
+            const interest = calculateMonthlyInterest(this.state.allocationHoldings.hysa, this.params.annualYield * 100);
+            this.state.allocationHoldings = addAllocationHoldings(this.state.allocationHoldings, { hysa: interest });
+            this.state.fillLevel = this.calculateFillLevel();
+            return interest;
+        }
+
+        if (this.state.savingsVehicle !== this.config.savingsVehicle.options.HYSA) return 0;
+
+        const interest = calculateMonthlyInterest(this.state.totalSavings, this.params.annualYield * 100);
+        this.state.totalSavings += interest;
+        this.state.fillLevel = this.calculateFillLevel();
+        return interest;
+    }
+
+    /**
+     * Charge one month of account / custody fees (same rules as StateManager.applyMonthlyFees)
+     * @returns {number} Fees charged in dollars
+     */
+    applyMonthlyFees() {
+        const fees = this.params.fees;
+        if (!fees) return 0;
+
+        const vehicle = this.state.savingsVehicle;
+        let fee;
+
+        if (vehicle === this.config.savingsVehicle.options.MIX) {
+            const charged = chargeAllocationFees(
+                this.state.allocationHoldings, fees.annual, this.state.currentSimDate, this.params.goldGrowth);
+            this.state.allocationHoldings = charged.holdings;
+            fee = charged.fee;
+        } else {
+            const rate = getMonthlyFeeRate(fees.annual[vehicle]);
+            if (rate <= 0) return 0;
+
+            fee = this.getSavingsValue() * rate;
+            if (vehicle === this.config.savingsVehicle.options.BTC) {
+                this.state.totalSavingsBtc *= 1 - rate;
+            } else if (vehicle === this.config.savingsVehicle.options.GOLD) {
+                this.state.totalSavingsGold *= 1 - rate;
+            } else {
+                this.state.totalSavings *= 1 - rate;
+            }
+        }
+
+        if (fee <= 0) return 0;
+
+        this.syncTaxLots();
+        this.addFeeToMug(fee);
+        this.state.fillLevel = this.calculateFillLevel();
+        return fee;
+    }
+
+    /**
+     * Apply one month of inflation
+     * For dollar holdings (USD, HYSA, their mix layers) the lost purchasing power flows into the banker's mug
+     * @param {number} monthlyRate - Monthly inflation rate as decimal
+     */
+    applyMonthlyInflation(monthlyRate) {
+        const oldFactor = this.state.cumulativeInflationFactor;
+        const newFactor = oldFactor * (1 + monthlyRate);
+        this.state.cumulativeInflationFactor = newFactor;
+
+        const dollarSavings = this.getDollarSavings();
+        if (dollarSavings > 0) {
+            const inflationDollars = calculateInflationLossFromFactor(dollarSavings, oldFactor, newFactor);
+            this.state.totalBankSavings += inflationDollars;
+            this.state.mugFillLevel = this.clampFill(
+                this.state.mugFillLevel + (inflationDollars / this.config.MUG_CAPACITY_DOLLARS) * 100
+            );
+        }
+
+        this.state.fillLevel = this.calculateFillLevel();
+    }
+
+    /**
+     * Get dollars exposed to inflation
+     * @returns {number} USD / HYSA balance, the dollar layers in mix mode, 0 for BTC / gold
+     */
+    getDollarSavings() {
+        if (this.state.savingsVehicle === this.config.savingsVehicle.options.MIX) {
+            return this.state.allocationHoldings.usd + this.state.allocationHoldings.hysa;
+        }
+        return isDollarVehicle(this.state.savingsVehicle) ? this.state.totalSavings : 0;
+    }
+
+    /**
+     * Get current savings value in USD (BTC at the active price model, gold at the gold price model)
+     * @returns {number} Savings value in dollars
+     */
+    getSavingsValue() {
+        if (this.state.savingsVehicle === this.config.savingsVehicle.options.MIX) {
+            return sumAllocation(valueAllocation(this.state.allocationHoldings, this.state.currentSimDate, this.params.goldGrowth));
+        }
+        if (this.state.savingsVehicle === this.config.savingsVehicle.options.BTC) {
+            return convertBtcToUsd(this.state.totalSavingsBtc, this.state.currentSimDate);
+        }
+        if (this.state.savingsVehicle === this.config.savingsVehicle.options.GOLD) {
+            return convertGoldToUsd(this.state.totalSavingsGold, this.state.currentSimDate, this.params.goldGrowth);
+        }
+        return this.state.totalSavings;
+    }
+
+    /**
+     * Get current purchasing power in start-date dollars
+     * @returns {number} Purchasing power in dollars (unrounded)
+     */
+    getPPValue() {
+        return this.getSavingsValue() / this.state.cumulativeInflationFactor;
+    }
+
+    /**
+     * Calculate pig fill level for the active vehicle
+     * USD / HYSA: purchasing power vs pig capacity, BTC / gold: holdings vs full pig capacity,
+     * mix: sum of the stacked layers
+     * @returns {number} Fill level (0-100)
+     */
+    calculateFillLevel() {
+        let level;
+        if (this.state.savingsVehicle === this.config.savingsVehicle.options.MIX) {
+            level = sumAllocation(this.getAllocationFillLevels());
+        } else if (this.state.savingsVehicle === this.config.savingsVehicle.options.BTC) {
+            level = (this.state.totalSavingsBtc / this.state.fullPigBtcCapacity) * 100;
+        } else if (this.state.savingsVehicle === this.config.savingsVehicle.options.GOLD) {
+            level = (this.state.totalSavingsGold / this.state.fullPigGoldCapacity) * 100;
+        } else {
+            level = (this.getPPValue() / this.config.PIG_CAPACITY_DOLLARS) * 100;
+        }
+        return this.clampFill(level);
+    }
+
+    /**
+     * Get the fill level of each mix layer
+     * @returns {Object} Fill level percentage per vehicle ({ usd, hysa, gold, btc })
+     */
+    getAllocationFillLevels() {
+        return calculateAllocationFillLevels(
+            this.state.allocationHoldings,
+            this.state.cumulativeInflationFactor,
+            this.state.fullPigBtcCapacity,
+            this.state.fullPigGoldCapacity
+        );
+    }
+
+    /**
+     * Clamp a fill level to CONFIG min/max
+     * @param {number} level - Fill level percentage
+     * @returns {number} Clamped fill level
+     */
+    clampFill(level) {
+        return Math.min(this.config.MAX_FILL_PERCENTAGE, Math.max(this.config.MIN_FILL_PERCENTAGE, level));
+    }
+
+    /**
+     * Create a snapshot of the current month
+     * @returns {Object} Month snapshot
+     */
+    snapshot() {
+        return {
+            month: this.state.month,
+            date: new Date(this.state.currentSimDate),
+            savingsVehicle: this.state.savingsVehicle,
+            savingsValue: this.getSavingsValue(),
+            totalSavingsBtc: this.state.totalSavingsBtc,
+            totalSavingsGold: this.state.totalSavingsGold,
+            allocationHoldings: { ...this.state.allocationHoldings },
+            nominalDollarsSaved: this.state.nominalDollarsSaved,
+            nominalDollarsWithdrawn: this.state.nominalDollarsWithdrawn,
+            depletedMonth: this.state.depletedMonth,
+            totalTaxPaid: this.state.totalTaxPaid,
+            totalFeesPaid: this.state.totalFeesPaid,
+            ppValue: this.getPPValue(),
+            cumulativeInflationFactor: this.state.cumulativeInflationFactor,
+            annualInflation: this.getAnnualInflation(),
+            totalBankSavings: this.state.totalBankSavings,
+            fillLevel: this.state.fillLevel,
+            mugFillLevel: this.state.mugFillLevel
+        };
+    }
+
+    /**
+     * Get recorded snapshots
+     * @returns {Array<Object>} Series of snapshots so far
+     */
+    getSeries() {
+        return this.series;
+    }
+}
+
+/**
+ * Calculate how many months the withdrawals last in each savings vehicle
+ * Runs the same params once per vehicle; BTC is left out when it has no price at the start date
+ *
+ * @param {Object} config - Configuration object (CONFIG from config.js)
+ * @param {Object} params - SimulationEngine params with a withdrawal phase
+ * @returns {Object|null} Months of withdrawals paid in full per vehicle (null = lasts past the horizon),
+ *   or null without a withdrawal phase
+ *
+ * @example
+ * calculateWithdrawalLongevity(CONFIG, { ...params, withdrawal: { fromMonth: 120, monthlyAmount: 2000, indexed: true } })
+ * // { usd: 61, btc: null, hysa: 84, gold: 112, mix: 97 }
+ */
+function calculateWithdrawalLongevity(config, params) {
+    if (!params.withdrawal) {
+        return null;
+    }
+
+    const btcPriced = isBitcoinPriced(new Date(params.startDate || Date.now()));
+    const longevity = {};
+    Object.values(config.savingsVehicle.options).forEach(vehicle => {
+        if (vehicle === config.savingsVehicle.options.BTC && !btcPriced) {
+            return;
+        }
+
+        const engine = new SimulationEngine(config, { ...params, savingsVehicle: vehicle });
+        engine.run();
+
+        const depletedMonth = engine.state.depletedMonth;
+        longevity[vehicle] = depletedMonth === null ? null : depletedMonth - params.withdrawal.fromMonth;
+    });
+
+    return longevity;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationEngine = SimulationEngine;
+    window.calculateWithdrawalLongevity = calculateWithdrawalLongevity;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationEngine, calculateWithdrawalLongevity };
+}
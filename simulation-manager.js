@@ -5,8 +5,9 @@
  * Extracted from StateManager to keep state management pure.
  *
  * Responsibilities:
- * - Add monthly savings to pig
+ * - Add monthly savings to pig (withdraw from it in the withdrawal phase)
  * - Apply monthly inflation
+ * - Credit monthly savings account interest (HYSA mode)
  * - Add inflation losses to mug
  * - Advance simulation date
  * - Calculate derived values (PP, percentages)
@@ -53,6 +54,40 @@ class SimulationManager {
         return this.stateManager.addMonthlySavingsToPig();
     }
 
+    /**
+     * Check whether this month withdraws instead of depositing
+     * @returns {boolean} True once the withdrawal start month is reached
+     */
+    isWithdrawalPhase() {
+        return this.stateManager.isWithdrawalPhase();
+    }
+
+    /**
+     * Withdraw this month's withdrawal from the pig
+     * Delegates to StateManager which sells the holdings pro rata
+     * @returns {number} Dollars withdrawn (0 once the savings are empty)
+     */
+    withdrawFromPig() {
+        return this.stateManager.withdrawFromPig();
+    }
+
+    /**
+     * Get this month's one-off event (positive = deposit, negative = withdrawal)
+     * @returns {number} Dollars (0 without an event)
+     */
+    getOneOffEventAmount() {
+        return this.stateManager.getOneOffEventAmount();
+    }
+
+    /**
+     * Apply this month's one-off deposit or withdrawal
+     * Delegates to StateManager which buys or sells like a monthly deposit / withdrawal
+     * @returns {number} Dollars withdrawn (0 for deposits)
+     */
+    applyOneOffEvent() {
+        return this.stateManager.applyOneOffEvent();
+    }
+
     /**
      * Apply monthly inflation to purchasing power
      * Delegates to StateManager which handles cumulative inflation factor
@@ -63,6 +98,33 @@ class SimulationManager {
         return this.stateManager.applyMonthlyInflation();
     }
 
+    /**
+     * Credit monthly savings account interest
+     * Delegates to StateManager (no-op outside HYSA mode)
+     * @returns {number} Dollar amount of interest credited
+     */
+    applyMonthlyInterest() {
+        return this.stateManager.applyMonthlyInterest();
+    }
+
+    /**
+     * Charge monthly account / custody fees
+     * Delegates to StateManager (no-op without fees)
+     * @returns {number} Dollar amount of fees charged
+     */
+    applyMonthlyFees() {
+        return this.stateManager.applyMonthlyFees();
+    }
+
+    /**
+     * Rebalance mixed allocation holdings when the schedule is due
+     * Delegates to StateManager (no-op outside mix mode)
+     * @returns {boolean} Whether holdings were rebalanced
+     */
+    rebalanceAllocationIfDue() {
+        return this.stateManager.rebalanceAllocationIfDue();
+    }
+
     /**
      * Add inflation loss to banker's mug
      * @param {number} dollarAmount - Dollar amount to add to mug
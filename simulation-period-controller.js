@@ -0,0 +1,156 @@
+/**
+ * SimulationPeriodController - Start Month and Horizon Management
+ *
+ * Lets the user choose when the simulation starts (any month since 1970, e.g. to
+ * backtest BTC from 2012) and how many years it runs before finishing.
+ * An empty start month means "start now".
+ *
+ * Responsibilities:
+ * - Update the horizon label and fit the chart's month axis when the slider moves
+ * - Restart the simulation when the start month changes (or is cleared with "Today")
+ * - Select a start month without restarting (e.g. when picking an inflation series)
+ *
+ * Dependencies:
+ * - config.js (CONFIG.sliders.horizon, CONFIG.simulation, element IDs)
+ * - dom-cache.js (settingsCache.readStartMonth)
+ * - display-manager.js (chart handler, leak oval)
+ * - app.js (applySettingsChange: reset in start state, restart while running)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new SimulationPeriodController(CONFIG, stateManager, app);
+ * controller.initialize();
+ * controller.selectStartMonth('2012-01'); // next (re)start begins January 2012
+ * ```
+ */
+class SimulationPeriodController {
+    /**
+     * Create a new SimulationPeriodController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     * @param {Object} app - App instance (for restart functionality)
+     */
+    constructor(config, stateManager, app = null) {
+        this.config = config;
+        this.stateManager = stateManager;
+        this.app = app;
+
+        // DOM elements
+        this.elements = {
+            horizonSlider: null,
+            horizonValue: null,
+            startDateInput: null,
+            nowButton: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Sets the earliest selectable month and sets up event listeners
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (this.elements.startDateInput) {
+            this.elements.startDateInput.min = this.config.simulation.earliestStartMonth;
+        }
+
+        this.updateHorizonLabel();
+
+        // Setup event listeners
+        this.setupEventListeners();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.horizonSlider = document.getElementById(this.config.elementIds.horizonSlider);
+        this.elements.horizonValue = document.getElementById(this.config.elementIds.horizonValue);
+        this.elements.startDateInput = document.getElementById(this.config.elementIds.startDateInput);
+        this.elements.nowButton = document.getElementById(this.config.elementIds.startDateNowButton);
+    }
+
+    /**
+     * Setup event listeners for the horizon slider, month picker and "Today" button
+     */
+    setupEventListeners() {
+        if (this.elements.horizonSlider) {
+            this.elements.horizonSlider.addEventListener('input', () => {
+                this.handleHorizonChange();
+            });
+        }
+
+        if (this.elements.startDateInput) {
+            this.elements.startDateInput.addEventListener('change', () => {
+                this.restartSimulation();
+            });
+        }
+
+        if (this.elements.nowButton) {
+            this.elements.nowButton.addEventListener('click', () => {
+                if (!this.elements.startDateInput || this.elements.startDateInput.value === '') return;
+                this.selectStartMonth('');
+                this.restartSimulation();
+            });
+        }
+    }
+
+    /**
+     * Handle horizon slider change
+     * A running simulation keeps going; it finishes once it reaches the new horizon
+     */
+    handleHorizonChange() {
+        this.updateHorizonLabel();
+
+        if (window.displayManager) {
+            window.displayManager.getHandler('chart').updateHorizon();
+        }
+    }
+
+    /**
+     * Show the horizon slider value in its label
+     */
+    updateHorizonLabel() {
+        if (this.elements.horizonValue && this.elements.horizonSlider) {
+            this.elements.horizonValue.textContent = this.elements.horizonSlider.value;
+        }
+    }
+
+    /**
+     * Select a start month without restarting
+     * @param {string} month - Month as 'YYYY-MM' ('' = start now)
+     */
+    selectStartMonth(month) {
+        if (!this.elements.startDateInput) return;
+
+        this.elements.startDateInput.value = month;
+
+        if (window.settingsCache) {
+            window.settingsCache.readStartMonth();
+        }
+    }
+
+    /**
+     * Restart the simulation so it begins at the new start date (see App.applySettingsChange)
+     */
+    restartSimulation() {
+        this.app.applySettingsChange();
+
+        // Leak oval follows the rate of the new start month
+        if (window.displayManager) {
+            window.displayManager.updateLeakOval();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationPeriodController = SimulationPeriodController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationPeriodController };
+}
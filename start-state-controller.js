@@ -5,6 +5,7 @@
  * - Manage start/welcome state transitions
  * - Handle "Start" button behavior (restart button in start state)
  * - Handle Enter key to begin simulation
+ * - Handle playback speed selector
  * - Update restart button text based on state
  * - Coordinate transition animations
  *
@@ -35,13 +36,15 @@ class StartStateController {
         this.elements = {
             overlay: null,
             restartButton: null,
-            pauseButton: null
+            pauseButton: null,
+            speedSelect: null
         };
         
         // Bind methods to preserve 'this' context
         this.handleRestartClick = this.handleRestartClick.bind(this);
         this.handleEnterKey = this.handleEnterKey.bind(this);
         this.handlePauseClick = this.handlePauseClick.bind(this);
+        this.handleSpeedChange = this.handleSpeedChange.bind(this);
     }
     
     /**
@@ -57,6 +60,14 @@ class StartStateController {
         
         // 3. Update UI based on current state
         this.updateRestartButtonText();
+        this.populateSpeedOptions();
+
+        // 4. Keep speed selector in sync with state (e.g. speed set from a shared link)
+        if (this.stateManager) {
+            this.stateManager.subscribe('playbackSpeed', () => {
+                this.updateSpeedSelect();
+            });
+        }
     }
     
     /**
@@ -66,6 +77,7 @@ class StartStateController {
         this.elements.overlay = document.getElementById('startOverlay');
         this.elements.restartButton = document.getElementById(this.config.elementIds.restartButton);
         this.elements.pauseButton = document.getElementById(this.config.elementIds.pauseButton);
+        this.elements.speedSelect = document.getElementById(this.config.elementIds.speedSelect);
     }
     
     /**
@@ -84,6 +96,11 @@ class StartStateController {
         if (this.elements.pauseButton) {
             this.elements.pauseButton.addEventListener('click', this.handlePauseClick);
         }
+
+        // Playback speed selector
+        if (this.elements.speedSelect) {
+            this.elements.speedSelect.addEventListener('change', this.handleSpeedChange);
+        }
     }
     
     /**
@@ -139,6 +156,42 @@ class StartStateController {
         }
     }
     
+    /**
+     * Handle playback speed change
+     * TimingManager picks up the new speed via the playbackSpeed subscription
+     */
+    handleSpeedChange() {
+        if (this.stateManager) {
+            this.stateManager.setPlaybackSpeed(parseFloat(this.elements.speedSelect.value));
+        }
+    }
+
+    /**
+     * Fill the speed selector with the configured speeds
+     */
+    populateSpeedOptions() {
+        const select = this.elements.speedSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.config.playback.speeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}×`;
+            select.appendChild(option);
+        });
+
+        this.updateSpeedSelect();
+    }
+
+    /**
+     * Show the current playback speed in the selector
+     */
+    updateSpeedSelect() {
+        if (!this.elements.speedSelect || !this.stateManager) return;
+        this.elements.speedSelect.value = String(this.stateManager.getPlaybackSpeed());
+    }
+
     /**
      * Exit start state and begin simulation
      * Handles transition animations and state updates
@@ -234,6 +287,11 @@ class StartStateController {
         if (this.elements.pauseButton) {
             this.elements.pauseButton.removeEventListener('click', this.handlePauseClick);
         }
+
+        // Remove speed selector listener
+        if (this.elements.speedSelect) {
+            this.elements.speedSelect.removeEventListener('change', this.handleSpeedChange);
+        }
     }
 }
 
@@ -12,6 +12,31 @@
  * - config.js (CONFIG constants)
  * - dom-cache.js (settingsCache for slider values)
  */
+/** Simulation state fields saved with a session (the rest is animation/UI state) */
+const SESSION_STATE_KEYS = [
+    'fillLevel',
+    'totalSavings',
+    'totalSavingsBtc',
+    'totalSavingsGold',
+    'allocationHoldings',
+    'nominalDollarsSaved',
+    'nominalDollarsWithdrawn',
+    'depletedMonth',
+    'taxLots',
+    'totalTaxPaid',
+    'totalFeesPaid',
+    'totalBankSavings',
+    'mugFillLevel',
+    'currentSimDate',
+    'simulationStartDate',
+    'savingsVehicle',
+    'fullPigBtcCapacity',
+    'fullPigGoldCapacity',
+    'cumulativeInflationFactor',
+    'btcModeEverActive',
+    'isSimulationFinished'
+];
+
 class StateManager {
     constructor() {
         this.state = {
@@ -19,21 +44,34 @@ class StateManager {
             fillLevel: CONFIG.MIN_FILL_PERCENTAGE,  // Pig fill percentage (0-100)
             totalSavings: 0,                        // Total dollar amount saved (current value, can differ from nominal in BTC mode)
             totalSavingsBtc: 0,                     // Total BTC amount saved (BTC mode)
+            totalSavingsGold: 0,                    // Total gold saved in troy ounces (gold mode)
+            allocationHoldings: createEmptyAllocation(), // Sub-balances per vehicle (mix mode): dollars, oz, BTC
             nominalDollarsSaved: 0,                 // Nominal dollar amount deposited (for PP Lost/Gained calculation)
+            nominalDollarsWithdrawn: 0,             // Nominal dollar amount withdrawn in the withdrawal phase
+            depletedMonth: null,                    // Months elapsed when the withdrawal phase emptied the savings (null = not yet)
+            taxLots: createTaxLots(),               // Cost basis lots of BTC / gold holdings (for capital gains tax)
+            totalTaxPaid: 0,                        // Total capital gains tax paid into the banker's mug
+            totalFeesPaid: 0,                       // Total fees and spreads paid into the banker's mug
             totalBankSavings: 0,                    // Total dollar amount lost to inflation
             mugFillLevel: CONFIG.MIN_FILL_PERCENTAGE, // Banker's mug fill percentage (0-100)
             currentSimDate: new Date(),             // Current simulation date
             simulationStartDate: new Date(),        // Date when simulation started (for PP reference)
-            savingsVehicle: 'usd',                  // Savings vehicle ('usd' or 'btc')
+            savingsVehicle: 'usd',                  // Savings vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
             fullPigBtcCapacity: 0,                  // Full pig capacity in BTC (calculated at simulation start)
+            fullPigGoldCapacity: 0,                 // Full pig capacity in troy ounces (calculated at simulation start)
             cumulativeInflationFactor: 1.0,         // Cumulative inflation erosion factor (1.0 = no erosion)
-            btcModeEverActive: false,               // Whether BTC mode was activated during this simulation (for deposits row visibility)
+            btcModeEverActive: false,               // Whether a non-dollar vehicle (BTC, gold, mix) was active during this simulation (for deposits row visibility)
 
             // Animation state
             lastDropTime: 0,                        // Timestamp of last drop creation
             isPaused: false,                        // Animation pause state
+            playbackSpeed: CONFIG.playback.default, // Speed multiplier (2 = one month every 500ms)
+            monteCarloResult: null,                 // Percentile bands of the last Monte Carlo run (null = off)
+            measure: CONFIG.measure.default,        // Unit PP is shown in ('currency', 'gold' or a good id)
+            lastTaxCharge: null,                    // Last capital gains tax charged ({ dollars }), drives the tax drop
+            lastFeeCharge: null,                    // Last fee or spread charged ({ dollars }), drives the fee drop
             isStartState: true,                     // Whether in initial start/welcome state
-            isSimulationFinished: false,            // Whether simulation reached 360 months
+            isSimulationFinished: false,            // Whether simulation reached the horizon (see getTotalMonths)
             
             // UI state
             previousWidth: window.innerWidth,
@@ -150,19 +188,189 @@ class StateManager {
     }
     
     /**
-     * Get current annual inflation rate from SettingsCache
+     * Get annual inflation rate for a simulation month
+     * Uses the selected inflation series when it covers the date, otherwise the slider rate
+     * @param {Date} date - Simulation date (defaults to current simulation date)
      * @returns {number} Annual inflation as decimal (e.g., 0.07 for 7%)
      */
-    getAnnualInflation() {
+    getAnnualInflation(date = this.state.currentSimDate) {
+        const seriesRate = getSeriesAnnualInflation(this.getInflationSeries(), date);
+        if (seriesRate !== null) {
+            return seriesRate;
+        }
         return window.settingsCache ? window.settingsCache.getAnnualInflation() : (CONFIG.sliders.inflation.default / 100);
     }
     
     /**
-     * Get current monthly inflation rate from SettingsCache
+     * Get monthly inflation rate for a simulation month
+     * @param {Date} date - Simulation date (defaults to current simulation date)
      * @returns {number} Monthly inflation rate as decimal
      */
-    getMonthlyInflationRate() {
-        return window.settingsCache ? window.settingsCache.getMonthlyInflationRate() : getMonthlyCompoundRate(CONFIG.sliders.inflation.default / 100);
+    getMonthlyInflationRate(date = this.state.currentSimDate) {
+        return getMonthlyCompoundRate(this.getAnnualInflation(date));
+    }
+
+    /**
+     * Get savings account annual yield from SettingsCache
+     * @returns {number} APY as decimal (e.g., 0.045 for 4.5%)
+     */
+    getAnnualYield() {
+        return window.settingsCache ? window.settingsCache.getAnnualYield() : (CONFIG.sliders.apy.default / 100);
+    }
+
+    /**
+     * Get gold price growth used after the bundled series ends
+     * @returns {number} Annual growth as decimal (e.g., 0.05 for 5%)
+     */
+    getGoldGrowth() {
+        return window.settingsCache ? window.settingsCache.getGoldGrowth() : (CONFIG.sliders.goldGrowth.default / 100);
+    }
+
+    /**
+     * Get mix mode split from SettingsCache
+     * @returns {Object} Percent per vehicle (e.g., { usd: 80, btc: 20, hysa: 0, gold: 0 })
+     */
+    getAllocation() {
+        return window.settingsCache ? window.settingsCache.getAllocation() : CONFIG.allocation.default;
+    }
+
+    /**
+     * Get months between mix mode rebalances from SettingsCache
+     * @returns {number} Months between rebalances (0 = never rebalance)
+     */
+    getRebalanceMonths() {
+        return window.settingsCache ? window.settingsCache.getRebalanceMonths() : CONFIG.allocation.defaultRebalanceMonths;
+    }
+
+    /**
+     * Get contribution growth settings from SettingsCache
+     * @returns {Object|null} { mode, annualRaise, schedule }, or null (flat) without SettingsCache
+     */
+    getContributionGrowth() {
+        return window.settingsCache ? window.settingsCache.getContributionGrowth() : null;
+    }
+
+    /**
+     * Get this month's contribution (monthly savings after contribution growth)
+     * @returns {number} Dollars deposited this month
+     */
+    getMonthlyContribution() {
+        return calculateContribution(
+            this.getMonthlySavings(),
+            this.getContributionGrowth(),
+            this.getMonthsElapsed(),
+            this.state.cumulativeInflationFactor
+        );
+    }
+
+    /**
+     * Get withdrawal phase settings from SettingsCache
+     * @returns {Object|null} { startDate, monthlyAmount, indexed }, or null without SettingsCache
+     */
+    getWithdrawal() {
+        return window.settingsCache ? window.settingsCache.getWithdrawal() : null;
+    }
+
+    /**
+     * Get the month the withdrawal phase starts at
+     * @param {Date} startDate - Simulation start date (defaults to the running simulation's)
+     * @returns {number|null} Months since the start, or null without a withdrawal phase
+     */
+    getWithdrawalStartMonth(startDate = this.state.simulationStartDate) {
+        const withdrawal = this.getWithdrawal();
+        return withdrawal ? calculateWithdrawalStartMonth(startDate, withdrawal.startDate) : null;
+    }
+
+    /**
+     * Check whether this month withdraws instead of depositing
+     * @returns {boolean} True once the withdrawal start month is reached
+     */
+    isWithdrawalPhase() {
+        const startMonth = this.getWithdrawalStartMonth();
+        return startMonth !== null && this.getMonthsElapsed() >= startMonth;
+    }
+
+    /**
+     * Get this month's withdrawal (indexed withdrawals grow with the simulated inflation)
+     * @returns {number} Dollars requested this month (0 without a withdrawal phase)
+     */
+    getMonthlyWithdrawal() {
+        const withdrawal = this.getWithdrawal();
+        if (!withdrawal) return 0;
+
+        return calculateWithdrawal(withdrawal.monthlyAmount, withdrawal.indexed, this.state.cumulativeInflationFactor);
+    }
+
+    /**
+     * Get withdrawal settings as SimulationEngine params
+     * @param {Date} startDate - Start date of the headless run
+     * @returns {Object|null} { fromMonth, monthlyAmount, indexed }, or null without a withdrawal phase
+     */
+    getWithdrawalParams(startDate) {
+        const fromMonth = this.getWithdrawalStartMonth(startDate);
+        if (fromMonth === null) return null;
+
+        const { monthlyAmount, indexed } = this.getWithdrawal();
+        return { fromMonth, monthlyAmount, indexed };
+    }
+
+    /**
+     * Get one-off deposit and withdrawal events from SettingsCache
+     * @returns {Array} Parsed events ({ month, amount, label }), empty without SettingsCache
+     */
+    getOneOffEvents() {
+        return window.settingsCache ? window.settingsCache.getOneOffEvents() : [];
+    }
+
+    /**
+     * Get this month's one-off flow
+     * @returns {number} Dollars (positive = deposit, negative = withdrawal, 0 = no event)
+     */
+    getOneOffEventAmount() {
+        return getOneOffEventAmount(this.getOneOffEvents(), this.getMonthsElapsed());
+    }
+
+    /**
+     * Get capital gains tax settings from SettingsCache
+     * @returns {Object|null} { mode, rate, shortTermRate }, or null (no tax) without SettingsCache
+     */
+    getCapitalGainsTax() {
+        return window.settingsCache ? window.settingsCache.getCapitalGainsTax() : null;
+    }
+
+    /**
+     * Get fee and spread settings from SettingsCache
+     * @returns {Object|null} { annual, btcSpread, conversion }, or null (no fees) without SettingsCache
+     */
+    getFees() {
+        return window.settingsCache ? window.settingsCache.getFees() : null;
+    }
+
+    /**
+     * Get selected inflation series from SettingsCache
+     * @returns {Object|null} Series entry, or null when using the constant slider rate
+     */
+    getInflationSeries() {
+        return window.settingsCache ? window.settingsCache.getInflationSeries() : null;
+    }
+
+    /**
+     * Get the date a new simulation starts at
+     * The month chosen in the start month picker, otherwise now
+     * @returns {Date} Simulation start date
+     */
+    getConfiguredStartDate() {
+        const startDate = window.settingsCache ? window.settingsCache.getStartDate() : null;
+        return startDate || new Date();
+    }
+
+    /**
+     * Get the number of months simulated before the run finishes
+     * @returns {number} Horizon in months (horizon slider years × 12)
+     */
+    getTotalMonths() {
+        const years = window.settingsCache ? window.settingsCache.getHorizonYears() : CONFIG.sliders.horizon.default;
+        return years * 12;
     }
     
     // ========== Convenience Methods for Common Operations ==========
@@ -210,7 +418,7 @@ class StateManager {
     /**
      * Apply monthly inflation to purchasing power
      * Updates cumulative inflation factor and recalculates fill level (USD mode only)
-     * Uses current inflation rate from SettingsCache
+     * Uses the inflation rate for the current simulation month (series or slider)
      * @returns {number} Dollar amount of purchasing power lost to inflation
      */
     applyMonthlyInflation() {
@@ -224,17 +432,20 @@ class StateManager {
         // Debug: Log cumulative inflation factor
         console.log(`💸 Inflation applied: Factor ${oldFactor.toFixed(6)} → ${newFactor.toFixed(6)} (${((newFactor - 1) * 100).toFixed(2)}% cumulative erosion)`);
 
-        // Only recalculate fill level in USD mode (BTC fill level is independent of inflation)
-        if (this.state.savingsVehicle === 'usd') {
+        // Only recalculate fill level for dollar vehicles (BTC fill level is independent of inflation)
+        if (isDollarVehicle(this.state.savingsVehicle)) {
             // Recalculate fill level from purchasing power
             const purchasingPower = this.state.totalSavings / newFactor;
             const newFillLevel = (purchasingPower / CONFIG.PIG_CAPACITY_DOLLARS) * 100;
             this.updateFillLevel(newFillLevel);
+        } else if (this.state.savingsVehicle === CONFIG.savingsVehicle.options.MIX) {
+            // Mix mode: only the dollar layers shrink
+            this.updateFillLevel(this.calculateFillLevel());
         }
 
-        // Calculate inflation loss in dollars (for visual drop in USD mode)
+        // Calculate inflation loss in dollars (for visual drop, dollar holdings only)
         const inflationDollars = calculateInflationLossFromFactor(
-            this.state.totalSavings,
+            this.getDollarSavings(),
             oldFactor,
             newFactor
         );
@@ -242,24 +453,98 @@ class StateManager {
         return inflationDollars;
     }
     
+    /**
+     * Apply one month of savings account interest (HYSA mode only)
+     * APY compounds monthly on the nominal balance; PP grows when it outpaces the inflation factor
+     * @returns {number} Dollar amount of interest credited (0 outside HYSA mode)
+     */
+    applyMonthlyInterest() {
+        if (this.state.savingsVehicle === CONFIG.savingsVehicle.options.MIX) {
+            return this.applyAllocationInterest();
+        }
+
+        if (this.state.savingsVehicle !== CONFIG.savingsVehicle.options.HYSA) return 0;
+
+        const interest = calculateMonthlyInterest(this.state.totalSavings, this.getAnnualYield() * 100);
+        if (interest <= 0) return 0;
+
+        this.addToTotalSavings(interest);
+
+        // Recalculate fill level from purchasing power
+        const purchasingPower = this.state.totalSavings / this.state.cumulativeInflationFactor;
+        const newFillLevel = (purchasingPower / CONFIG.PIG_CAPACITY_DOLLARS) * 100;
+        this.updateFillLevel(Math.min(CONFIG.MAX_FILL_PERCENTAGE, newFillLevel));
+
+        console.log(`🏦 Interest credited: $${interest.toFixed(2)} (${(this.getAnnualYield() * 100).toFixed(1)}% APY)`);
+
+        return interest;
+    }
+
+    /**
+     * Apply one month of savings account interest to the HYSA layer (mix mode)
+     * @returns {number} Dollar amount of interest credited
+     */
+    applyAllocationInterest() {
+        const holdings = this.state.allocationHoldings;
+        const interest = calculateMonthlyInterest(holdings.hysa, this.getAnnualYield() * 100);
+        if (interest <= 0) return 0;
+
+        this.setState({
+            allocationHoldings: addAllocationHoldings(holdings, { hysa: interest })
+        });
+        this.updateFillLevel(Math.min(CONFIG.MAX_FILL_PERCENTAGE, this.calculateFillLevel()));
+
+        console.log(`🏦 Interest credited on savings account share: $${interest.toFixed(2)}`);
+
+        return interest;
+    }
+
+    /**
+     * Rebalance mix mode holdings back to the target split when the schedule is due
+     * Called once per month after the date advanced (no-op outside mix mode)
+     * @returns {boolean} Whether holdings were rebalanced
+     */
+    rebalanceAllocationIfDue() {
+        if (this.state.savingsVehicle !== CONFIG.savingsVehicle.options.MIX) return false;
+
+        const interval = this.getRebalanceMonths();
+        const monthsElapsed = this.getMonthsElapsed();
+        if (!interval || monthsElapsed === 0 || monthsElapsed % interval !== 0) return false;
+
+        const holdings = rebalanceAllocation(
+            this.state.allocationHoldings,
+            this.getAllocation(),
+            this.state.currentSimDate,
+            this.getGoldGrowth()
+        );
+        this.setState({ allocationHoldings: holdings });
+        this.syncTaxLots();
+        this.updateFillLevel(Math.min(CONFIG.MAX_FILL_PERCENTAGE, this.calculateFillLevel()));
+
+        console.log(`⚖️ Rebalanced mix at month ${monthsElapsed}`);
+
+        return true;
+    }
+
     /**
      * Add monthly savings to pig fill level
-     * Uses current monthly savings from SettingsCache
+     * Uses this month's contribution (monthly savings from SettingsCache after growth)
      * Recalculates fill level based on purchasing power
      * Returns false if pig is full, true if added
+     * @param {number} [monthlySavings] - Dollars to deposit (defaults to this month's contribution)
      * @returns {boolean} Whether savings were added (false if pig full)
      */
-    addMonthlySavingsToPig() {
-        const monthlySavings = this.getMonthlySavings();
-
+    addMonthlySavingsToPig(monthlySavings = this.getMonthlyContribution()) {
         if (monthlySavings === 0) return false;
 
         const savingsVehicle = this.state.savingsVehicle;
 
         if (savingsVehicle === 'btc') {
-            // BTC mode: Convert USD monthly savings to BTC at current date
+            // BTC mode: Convert USD monthly savings to BTC at current date (after the purchase spread)
             const currentDate = this.state.currentSimDate;
-            const btcAmount = convertUsdToBtc(monthlySavings, currentDate);
+            const fees = this.getFees();
+            const spreadFee = calculatePercentageFee(monthlySavings, fees ? fees.btcSpread : 0);
+            const btcAmount = convertUsdToBtc(monthlySavings - spreadFee, currentDate);
 
             // Add to BTC total and track nominal dollar amount
             const newTotalBtc = this.state.totalSavingsBtc + btcAmount;
@@ -270,6 +555,9 @@ class StateManager {
                 nominalDollarsSaved: newNominalDollars  // Track nominal dollars deposited
             });
 
+            this.syncTaxLots();
+            this.addFeeToMug(spreadFee);
+
             // Recalculate fill level based on BTC capacity
             const fullPigBtc = this.state.fullPigBtcCapacity;
             const newFillLevel = (newTotalBtc / fullPigBtc) * 100;
@@ -285,8 +573,61 @@ class StateManager {
             this.updateFillLevel(newFillLevel);
             return true;
 
+        } else if (savingsVehicle === CONFIG.savingsVehicle.options.GOLD) {
+            // Gold mode: Convert USD monthly savings to ounces at current date
+            const currentDate = this.state.currentSimDate;
+            const goldAmount = convertUsdToGold(monthlySavings, currentDate, this.getGoldGrowth());
+
+            this.setState({
+                totalSavingsGold: this.state.totalSavingsGold + goldAmount,
+                nominalDollarsSaved: this.state.nominalDollarsSaved + monthlySavings  // Track nominal dollars deposited
+            });
+
+            this.syncTaxLots();
+
+            // Recalculate fill level based on gold capacity
+            const newFillLevel = this.calculateFillLevel();
+
+            console.log(`💰 Added ${goldAmount.toFixed(4)} oz gold (from $${monthlySavings}) at ${currentDate.toISOString().split('T')[0]}`);
+
+            // Check if pig is full
+            if (newFillLevel >= CONFIG.MAX_FILL_PERCENTAGE) {
+                this.updateFillLevel(CONFIG.MAX_FILL_PERCENTAGE);
+                return false;
+            }
+
+            this.updateFillLevel(newFillLevel);
+            return true;
+
+        } else if (savingsVehicle === CONFIG.savingsVehicle.options.MIX) {
+            // Mix mode: Split monthly savings across vehicles at current date (BTC share pays the spread)
+            const currentDate = this.state.currentSimDate;
+            const fees = this.getFees();
+            const bought = buyAllocationWithSpread(
+                monthlySavings, this.getAllocation(), currentDate, this.getGoldGrowth(), fees ? fees.btcSpread : 0);
+
+            this.setState({
+                allocationHoldings: addAllocationHoldings(this.state.allocationHoldings, bought.holdings),
+                nominalDollarsSaved: this.state.nominalDollarsSaved + monthlySavings  // Track nominal dollars deposited
+            });
+
+            this.syncTaxLots();
+            this.addFeeToMug(bought.fee);
+
+            // Recalculate fill level from all layers
+            const newFillLevel = this.calculateFillLevel();
+
+            // Check if pig is full
+            if (newFillLevel >= CONFIG.MAX_FILL_PERCENTAGE) {
+                this.updateFillLevel(CONFIG.MAX_FILL_PERCENTAGE);
+                return false;
+            }
+
+            this.updateFillLevel(newFillLevel);
+            return true;
+
         } else {
-            // USD mode: Use existing logic with cumulative inflation factor
+            // USD / HYSA mode: Use existing logic with cumulative inflation factor
 
             // Add to total savings (in USD mode, totalSavings = nominalDollarsSaved)
             this.addToTotalSavings(monthlySavings);
@@ -311,6 +652,190 @@ class StateManager {
         }
     }
     
+    /**
+     * Withdraw this month's withdrawal from the pig
+     * Sells every holding (or mix layer) pro rata at the current date, plus enough to pay the
+     * capital gains tax on BTC / gold; when the savings can't cover it, the rest is withdrawn
+     * and the savings are depleted
+     * @param {number} [requested] - Dollars requested (defaults to this month's withdrawal)
+     * @returns {number} Dollars withdrawn after tax (0 once the savings are empty)
+     */
+    withdrawFromPig(requested = this.getMonthlyWithdrawal()) {
+        const savingsValue = this.getSavingsUsdValue();
+        const plan = planTaxedWithdrawal(requested, savingsValue, this.getTaxableHoldings(), this.state.taxLots, this.getTaxSale());
+        const share = plan.share;
+
+        if (share === 0) return 0;
+
+        const withdrawn = Math.max(0, Math.max(0, savingsValue) * share - plan.tax);
+        const remaining = 1 - share;
+        const updates = {
+            totalSavings: this.state.totalSavings * remaining,
+            totalSavingsBtc: this.state.totalSavingsBtc * remaining,
+            totalSavingsGold: this.state.totalSavingsGold * remaining,
+            allocationHoldings: scaleAllocationHoldings(this.state.allocationHoldings, remaining),
+            taxLots: plan.lots,
+            nominalDollarsWithdrawn: this.state.nominalDollarsWithdrawn + withdrawn
+        };
+
+        // Only the withdrawal phase runs the savings out - deposits refill the pig after an early event
+        if (share === 1 && this.state.depletedMonth === null && this.isWithdrawalPhase()) {
+            updates.depletedMonth = this.getMonthsElapsed();
+            console.log(`🪫 Savings depleted at month ${updates.depletedMonth}`);
+        }
+
+        this.setState(updates);
+        this.updateFillLevel(this.calculateFillLevel());
+        this.addTaxToMug(plan.tax);
+
+        if (withdrawn > 0) {
+            console.log(`🏧 Withdrew $${withdrawn.toFixed(2)} at ${this.state.currentSimDate.toISOString().split('T')[0]}`);
+        }
+
+        return withdrawn;
+    }
+
+    /**
+     * Apply this month's one-off event (a lump-sum deposit or withdrawal)
+     * Deposits buy the current vehicle like a contribution; withdrawals sell pro rata like a monthly withdrawal
+     * @returns {number} Dollars withdrawn after tax (0 for deposits and months without an event)
+     */
+    applyOneOffEvent() {
+        const amount = this.getOneOffEventAmount();
+
+        if (amount > 0) {
+            this.addMonthlySavingsToPig(amount);
+            return 0;
+        }
+
+        return amount < 0 ? this.withdrawFromPig(-amount) : 0;
+    }
+
+    /**
+     * Get the BTC / gold units held in the current vehicle (the holdings capital gains tax applies to)
+     * @param {string} vehicle - Vehicle (defaults to current vehicle)
+     * @returns {Object} Units per taxable asset ({ btc, gold })
+     */
+    getTaxableHoldings(vehicle = this.state.savingsVehicle) {
+        return getTaxableHoldings(vehicle, this.state);
+    }
+
+    /**
+     * Get the sale context for realizing tax lots at the current simulation date
+     * @returns {Object} { date, month, goldGrowth, taxModel }
+     */
+    getTaxSale() {
+        return {
+            date: this.state.currentSimDate,
+            month: this.getMonthsElapsed(),
+            goldGrowth: this.getGoldGrowth(),
+            taxModel: this.getCapitalGainsTax()
+        };
+    }
+
+    /**
+     * Match cost basis lots to the current holdings after an untaxed change (deposit, rebalance)
+     * @param {string} vehicle - Vehicle whose holdings to match (defaults to current vehicle)
+     */
+    syncTaxLots(vehicle = this.state.savingsVehicle) {
+        this.setState({
+            taxLots: syncTaxLots(
+                this.state.taxLots,
+                this.getTaxableHoldings(vehicle),
+                this.state.currentSimDate,
+                this.getMonthsElapsed(),
+                this.getGoldGrowth()
+            )
+        });
+    }
+
+    /**
+     * Pay capital gains tax into the banker's mug
+     * The mug fills right away; lastTaxCharge lets the app animate the tax drop
+     * @param {number} dollarAmount - Tax in dollars
+     */
+    addTaxToMug(dollarAmount) {
+        if (dollarAmount <= 0) return;
+
+        this.setState({
+            totalTaxPaid: this.state.totalTaxPaid + dollarAmount,
+            lastTaxCharge: { dollars: dollarAmount }
+        });
+        this.updateMugFillLevel(this.state.mugFillLevel + calculateMugDropVolume(dollarAmount));
+
+        console.log(`🧾 Capital gains tax: $${dollarAmount.toFixed(2)}`);
+    }
+
+    /**
+     * Charge one month of account / custody fees on the current holdings
+     * Each holding (or mix layer) shrinks by its vehicle's monthly fee rate; the fees go to the banker's mug
+     * @returns {number} Fees charged in dollars
+     */
+    applyMonthlyFees() {
+        const fees = this.getFees();
+        if (!fees) return 0;
+
+        const vehicle = this.state.savingsVehicle;
+        let fee;
+
+        if (vehicle === CONFIG.savingsVehicle.options.MIX) {
+            const charged = chargeAllocationFees(
+                this.state.allocationHoldings, fees.annual, this.state.currentSimDate, this.getGoldGrowth());
+            this.setState({ allocationHoldings: charged.holdings });
+            fee = charged.fee;
+        } else {
+            const rate = getMonthlyFeeRate(fees.annual[vehicle]);
+            if (rate <= 0) return 0;
+
+            fee = this.getSavingsUsdValue() * rate;
+            if (vehicle === CONFIG.savingsVehicle.options.BTC) {
+                this.setState({ totalSavingsBtc: this.state.totalSavingsBtc * (1 - rate) });
+            } else if (vehicle === CONFIG.savingsVehicle.options.GOLD) {
+                this.setState({ totalSavingsGold: this.state.totalSavingsGold * (1 - rate) });
+            } else {
+                this.setState({ totalSavings: this.state.totalSavings * (1 - rate) });
+            }
+        }
+
+        if (fee <= 0) return 0;
+
+        this.syncTaxLots();
+        this.updateFillLevel(Math.min(CONFIG.MAX_FILL_PERCENTAGE, this.calculateFillLevel()));
+        this.addFeeToMug(fee);
+
+        return fee;
+    }
+
+    /**
+     * Get the yearly fee rate paid on the current holdings (mix: weighted by layer value)
+     * @returns {number} Yearly fee as decimal (0 without fees)
+     */
+    getAnnualFeeRate() {
+        const fees = this.getFees();
+        if (!fees) return 0;
+
+        const vehicle = this.state.savingsVehicle;
+        const values = vehicle === CONFIG.savingsVehicle.options.MIX ? this.getAllocationValues() : {};
+        return getAnnualFeeRate(vehicle, fees.annual, values);
+    }
+
+    /**
+     * Pay a fee or spread into the banker's mug
+     * The mug fills right away; lastFeeCharge lets the app animate the fee drop
+     * @param {number} dollarAmount - Fee in dollars
+     */
+    addFeeToMug(dollarAmount) {
+        if (dollarAmount <= 0) return;
+
+        this.setState({
+            totalFeesPaid: this.state.totalFeesPaid + dollarAmount,
+            lastFeeCharge: { dollars: dollarAmount }
+        });
+        this.updateMugFillLevel(this.state.mugFillLevel + calculateMugDropVolume(dollarAmount));
+
+        console.log(`🧾 Fee: $${dollarAmount.toFixed(2)}`);
+    }
+
     /**
      * Add inflation loss to banker's mug
      * @param {number} dollarAmount - Dollar amount to add to mug
@@ -349,6 +874,46 @@ class StateManager {
     setPaused(paused) {
         this.setState({ isPaused: paused });
     }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - Speed multiplier (one of CONFIG.playback.speeds)
+     */
+    setPlaybackSpeed(speed) {
+        this.setState({ playbackSpeed: speed });
+    }
+
+    /**
+     * Get playback speed
+     * @returns {number} Speed multiplier (1 = one month per DROP_INTERVAL_MS)
+     */
+    getPlaybackSpeed() {
+        return this.state.playbackSpeed;
+    }
+
+    /**
+     * Set the unit PP is shown in
+     * @param {string} measure - 'currency', 'gold' or a good id from GOODS_PRICE_SERIES
+     */
+    setMeasure(measure) {
+        this.setState({ measure: measure });
+    }
+
+    /**
+     * Get the unit PP is shown in
+     * @returns {string} 'currency', 'gold' or a good id
+     */
+    getMeasure() {
+        return this.state.measure;
+    }
+
+    /**
+     * Set Monte Carlo result
+     * @param {Object|null} result - Result of runMonteCarlo, or null to hide the bands
+     */
+    setMonteCarloResult(result) {
+        this.setState({ monteCarloResult: result });
+    }
     
     /**
      * Update simulation date (advance by one month)
@@ -369,30 +934,37 @@ class StateManager {
 
     /**
      * Get current savings vehicle
-     * @returns {string} Savings vehicle ('usd' or 'btc')
+     * @returns {string} Savings vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
      */
     getSavingsVehicle() {
         return this.state.savingsVehicle;
     }
 
     /**
-     * Set savings vehicle and convert between USD and BTC
-     * @param {string} newVehicle - Savings vehicle ('usd' or 'btc')
+     * Set savings vehicle and convert savings into it
+     * @param {string} newVehicle - Savings vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
      */
     setSavingsVehicle(newVehicle) {
         const oldVehicle = this.state.savingsVehicle;
 
+        // BTC can't be bought before it had a market price (e.g. history runs from 1970)
+        if (newVehicle === 'btc' && !isBitcoinPriced(this.state.currentSimDate)) {
+            console.warn('BTC not available before', BITCOIN_FIRST_PRICE_DATE.toISOString().split('T')[0]);
+            return;
+        }
+
         // Only convert if switching vehicles AND there are savings to convert
-        // Skip conversion during initial load (when totalSavings and totalSavingsBtc are both 0)
-        const hasSavings = this.state.totalSavings > 0 || this.state.totalSavingsBtc > 0;
+        // Skip conversion during initial load (when all holdings are 0)
+        const hasSavings = this.state.totalSavings > 0 || this.state.totalSavingsBtc > 0 ||
+                           this.state.totalSavingsGold > 0 || sumAllocation(this.state.allocationHoldings) > 0;
 
         if (oldVehicle !== newVehicle && hasSavings) {
             this.convertSavingsVehicle(oldVehicle, newVehicle);
         }
 
-        // Mark BTC mode as ever active if switching to BTC (for deposits row visibility)
+        // Mark BTC/gold/mix mode as ever active (savings no longer shown in dollars, so show deposits row)
         const stateUpdate = { savingsVehicle: newVehicle };
-        if (newVehicle === 'btc' && !this.state.isStartState) {
+        if (!isDollarVehicle(newVehicle) && !this.state.isStartState) {
             stateUpdate.btcModeEverActive = true;
         }
 
@@ -400,38 +972,156 @@ class StateManager {
     }
 
     /**
-     * Convert savings between USD and BTC using current simulation date
-     * @param {string} fromVehicle - Current vehicle ('usd' or 'btc')
-     * @param {string} toVehicle - Target vehicle ('usd' or 'btc')
+     * Convert savings between vehicles using current simulation date
+     * Holdings are valued in dollars at the current date, then bought into the target vehicle.
+     * Selling BTC / gold realizes their gains: the capital gains tax goes to the banker's mug
+     * and only the rest is bought into the target vehicle.
+     * Switches that convert (anything but USD ↔ HYSA) pay the conversion fee on the proceeds.
+     * Dollar vehicles (USD cash, HYSA) share totalSavings, so moving between them needs no conversion
+     * Mix mode splits the dollar value by the allocation into allocationHoldings
+     * @param {string} fromVehicle - Current vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
+     * @param {string} toVehicle - Target vehicle ('usd', 'btc', 'hysa', 'gold' or 'mix')
      */
     convertSavingsVehicle(fromVehicle, toVehicle) {
         const currentDate = this.state.currentSimDate;
+        const dateLabel = currentDate.toISOString().split('T')[0];
 
-        if (fromVehicle === 'usd' && toVehicle === 'btc') {
-            // USD → BTC: Convert total USD savings to BTC at current date
-            const usdAmount = this.state.totalSavings;
+        // Sell all BTC / gold of the old vehicle (nothing to realize for dollar vehicles)
+        const sale = realizeTaxLots(this.state.taxLots, this.getTaxableHoldings(fromVehicle), this.getTaxSale());
+        const proceeds = this.getSavingsUsdValue(fromVehicle) - sale.tax;
+        this.setState({ taxLots: sale.lots });
+        this.addTaxToMug(sale.tax);
+
+        // Moving dollars between cash and a savings account converts nothing
+        const fees = this.getFees();
+        const conversionFee = isDollarVehicle(fromVehicle) && isDollarVehicle(toVehicle)
+            ? 0
+            : calculatePercentageFee(proceeds, fees ? fees.conversion : 0);
+        const usdAmount = proceeds - conversionFee;
+        this.addFeeToMug(conversionFee);
+
+        if (toVehicle === CONFIG.savingsVehicle.options.MIX) {
+            // → Mix: Split dollar value across vehicles at current date
+            const holdings = buyAllocation(usdAmount, this.getAllocation(), currentDate, this.getGoldGrowth());
+            this.setState({ allocationHoldings: holdings });
+
+            console.log(`💱 Split $${usdAmount.toLocaleString()} (${fromVehicle.toUpperCase()}) across mix at ${dateLabel}`);
+        } else if (toVehicle === CONFIG.savingsVehicle.options.BTC) {
+            // → BTC: Convert dollar value to BTC at current date
             const btcAmount = convertUsdToBtc(usdAmount, currentDate);
             this.setState({ totalSavingsBtc: btcAmount });
 
-            // Recalculate fill level based on BTC capacity
-            const fullPigBtc = this.state.fullPigBtcCapacity;
-            const newFillLevel = (btcAmount / fullPigBtc) * 100;
-            this.updateFillLevel(Math.min(CONFIG.MAX_FILL_PERCENTAGE, newFillLevel));
-
-            console.log(`💱 Converted $${usdAmount.toLocaleString()} → ${btcAmount.toFixed(8)} BTC at ${currentDate.toISOString().split('T')[0]}`);
-        } else if (fromVehicle === 'btc' && toVehicle === 'usd') {
-            // BTC → USD: Convert total BTC savings to USD at current date
-            const btcAmount = this.state.totalSavingsBtc;
-            const usdAmount = convertBtcToUsd(btcAmount, currentDate);
+            console.log(`💱 Converted $${usdAmount.toLocaleString()} (${fromVehicle.toUpperCase()}) → ${btcAmount.toFixed(8)} BTC at ${dateLabel}`);
+        } else if (toVehicle === CONFIG.savingsVehicle.options.GOLD) {
+            // → Gold: Convert dollar value to ounces at current date
+            const goldAmount = convertUsdToGold(usdAmount, currentDate, this.getGoldGrowth());
+            this.setState({ totalSavingsGold: goldAmount });
+
+            console.log(`💱 Converted $${usdAmount.toLocaleString()} (${fromVehicle.toUpperCase()}) → ${goldAmount.toFixed(4)} oz gold at ${dateLabel}`);
+        } else if (isDollarVehicle(fromVehicle)) {
+            // USD ↔ HYSA: Same dollars, only whether they earn interest changes
+            console.log(`💱 Moved $${usdAmount.toLocaleString()} from ${fromVehicle.toUpperCase()} to ${toVehicle.toUpperCase()}`);
+        } else {
+            // BTC / gold → USD / HYSA: Sell holdings at current date
             this.setState({ totalSavings: usdAmount });
 
-            // Recalculate fill level based on purchasing power (USD adjusted by inflation)
-            const purchasingPower = usdAmount / this.state.cumulativeInflationFactor;
-            const newFillLevel = (purchasingPower / CONFIG.PIG_CAPACITY_DOLLARS) * 100;
-            this.updateFillLevel(Math.min(CONFIG.MAX_FILL_PERCENTAGE, newFillLevel));
+            console.log(`💱 Converted ${fromVehicle.toUpperCase()} → $${usdAmount.toLocaleString()} at ${dateLabel}`);
+        }
 
-            console.log(`💱 Converted ${btcAmount.toFixed(8)} BTC → $${usdAmount.toLocaleString()} at ${currentDate.toISOString().split('T')[0]}`);
+        // Sub-balances only exist while in mix mode
+        if (fromVehicle === CONFIG.savingsVehicle.options.MIX) {
+            this.setState({ allocationHoldings: createEmptyAllocation() });
         }
+
+        // Bought BTC / gold starts new cost basis lots
+        this.syncTaxLots(toVehicle);
+
+        // Recalculate fill level for the target vehicle
+        this.updateFillLevel(Math.min(CONFIG.MAX_FILL_PERCENTAGE, this.calculateFillLevel(toVehicle)));
+    }
+
+    /**
+     * Get the dollar value of a vehicle's holdings at the current simulation date
+     * BTC is valued at the active price model, gold at the gold price model, mix as the sum of its layers
+     * @param {string} vehicle - Vehicle to value (defaults to current vehicle)
+     * @returns {number} Holdings value in dollars (unrounded)
+     */
+    getSavingsUsdValue(vehicle = this.state.savingsVehicle) {
+        const currentDate = this.state.currentSimDate;
+
+        if (vehicle === CONFIG.savingsVehicle.options.MIX) {
+            return sumAllocation(this.getAllocationValues());
+        }
+
+        if (vehicle === CONFIG.savingsVehicle.options.BTC) {
+            return convertBtcToUsd(this.state.totalSavingsBtc, currentDate);
+        }
+
+        if (vehicle === CONFIG.savingsVehicle.options.GOLD) {
+            return convertGoldToUsd(this.state.totalSavingsGold, currentDate, this.getGoldGrowth());
+        }
+
+        return this.state.totalSavings;
+    }
+
+    /**
+     * Get the dollar value of each mix mode layer at the current simulation date
+     * @returns {Object} Dollar value per vehicle ({ usd, hysa, gold, btc })
+     */
+    getAllocationValues() {
+        return valueAllocation(this.state.allocationHoldings, this.state.currentSimDate, this.getGoldGrowth());
+    }
+
+    /**
+     * Get the pig fill level of each mix mode layer (stacked bottom to top in ALLOCATION_VEHICLES order)
+     * @returns {Object} Fill level percentage per vehicle ({ usd, hysa, gold, btc })
+     */
+    getAllocationFillLevels() {
+        return calculateAllocationFillLevels(
+            this.state.allocationHoldings,
+            this.state.cumulativeInflationFactor,
+            this.state.fullPigBtcCapacity,
+            this.state.fullPigGoldCapacity
+        );
+    }
+
+    /**
+     * Get dollars exposed to inflation (leak into the banker's mug)
+     * @returns {number} USD / HYSA balance, the dollar layers in mix mode, 0 for BTC / gold
+     */
+    getDollarSavings() {
+        const vehicle = this.state.savingsVehicle;
+
+        if (vehicle === CONFIG.savingsVehicle.options.MIX) {
+            return this.state.allocationHoldings.usd + this.state.allocationHoldings.hysa;
+        }
+
+        return isDollarVehicle(vehicle) ? this.state.totalSavings : 0;
+    }
+
+    /**
+     * Calculate pig fill level for a vehicle from current holdings
+     * BTC / gold: holdings vs full pig capacity at start date (independent of inflation)
+     * USD / HYSA: purchasing power vs pig capacity in dollars
+     * Mix: sum of its stacked layers
+     * @param {string} vehicle - Vehicle (defaults to current vehicle)
+     * @returns {number} Fill level percentage (unclamped)
+     */
+    calculateFillLevel(vehicle = this.state.savingsVehicle) {
+        if (vehicle === CONFIG.savingsVehicle.options.MIX) {
+            return sumAllocation(this.getAllocationFillLevels());
+        }
+
+        if (vehicle === CONFIG.savingsVehicle.options.BTC) {
+            return (this.state.totalSavingsBtc / this.state.fullPigBtcCapacity) * 100;
+        }
+
+        if (vehicle === CONFIG.savingsVehicle.options.GOLD) {
+            return (this.state.totalSavingsGold / this.state.fullPigGoldCapacity) * 100;
+        }
+
+        const purchasingPower = this.state.totalSavings / this.state.cumulativeInflationFactor;
+        return (purchasingPower / CONFIG.PIG_CAPACITY_DOLLARS) * 100;
     }
 
     /**
@@ -467,6 +1157,28 @@ class StateManager {
         return this.state.totalSavingsBtc;
     }
 
+    /**
+     * Get BTC actually held (BTC mode, or the BTC layer in mix mode)
+     * @returns {number} BTC holdings (0 for other vehicles)
+     */
+    getBtcHoldings() {
+        const vehicle = this.state.savingsVehicle;
+
+        if (vehicle === CONFIG.savingsVehicle.options.MIX) {
+            return this.state.allocationHoldings.btc;
+        }
+
+        return vehicle === CONFIG.savingsVehicle.options.BTC ? this.state.totalSavingsBtc : 0;
+    }
+
+    /**
+     * Get total savings in gold
+     * @returns {number} Total gold saved in troy ounces
+     */
+    getTotalSavingsGold() {
+        return this.state.totalSavingsGold;
+    }
+
     /**
      * Update viewport state
      * @param {Object} viewport - Viewport properties (width, height, scale, etc.)
@@ -484,12 +1196,16 @@ class StateManager {
         // Use provided amount or get from SettingsCache
         const amount = startAmount !== null ? startAmount : this.getStartingAmount();
 
-        // Set simulation start date to now
-        const startDate = new Date();
+        // Set simulation start date (now, or chosen start month)
+        const startDate = this.getConfiguredStartDate();
+
+        // Before BTC had a price, value the BTC side at its first traded date instead
+        const btcPriced = isBitcoinPriced(startDate);
+        const btcReferenceDate = btcPriced ? startDate : BITCOIN_FIRST_PRICE_DATE;
 
         // Calculate full pig capacity in BTC at simulation start date
         // This value is stored so it remains constant throughout the simulation
-        const fullPigBtc = calculateFullPigInBtc(startDate);
+        const fullPigBtc = calculateFullPigInBtc(btcReferenceDate);
 
         // Debug log to verify calculation
         if (fullPigBtc > 0) {
@@ -499,16 +1215,32 @@ class StateManager {
         }
 
         // Convert starting amount to BTC (for BTC mode)
-        const startAmountBtc = convertUsdToBtc(amount, startDate);
+        const startAmountBtc = convertUsdToBtc(amount, btcReferenceDate);
+
+        // Full pig capacity and starting amount in gold (for gold mode)
+        const goldGrowth = this.getGoldGrowth();
+        const fullPigGold = calculateFullPigInGold(startDate, goldGrowth);
+        const startAmountGold = convertUsdToGold(amount, startDate, goldGrowth);
+
+        // Mix mode: split starting amount across vehicles (BTC share stays in USD until BTC has a price)
+        const startHoldings = buyAllocation(amount, this.getAllocation(), startDate, goldGrowth);
 
-        // Determine fill level based on current vehicle
-        const currentVehicle = this.state.savingsVehicle;
+        // Determine fill level based on current vehicle (USD until BTC has a price)
+        const currentVehicle = btcPriced || this.state.savingsVehicle !== 'btc' ? this.state.savingsVehicle : 'usd';
         let initialFillLevel;
 
         if (currentVehicle === 'btc') {
             // BTC mode: fill level based on BTC capacity
             initialFillLevel = (startAmountBtc / fullPigBtc) * 100;
             console.log(`🔄 Reset in BTC mode: ${amount.toLocaleString()} = ${startAmountBtc.toFixed(8)} BTC`);
+        } else if (currentVehicle === CONFIG.savingsVehicle.options.GOLD) {
+            // Gold mode: fill level based on gold capacity
+            initialFillLevel = (startAmountGold / fullPigGold) * 100;
+            console.log(`🔄 Reset in gold mode: ${amount.toLocaleString()} = ${startAmountGold.toFixed(4)} oz`);
+        } else if (currentVehicle === CONFIG.savingsVehicle.options.MIX) {
+            // Mix mode: fill level is the sum of the stacked layers (no inflation yet)
+            initialFillLevel = sumAllocation(calculateAllocationFillLevels(startHoldings, 1.0, fullPigBtc, fullPigGold));
+            console.log(`🔄 Reset in mix mode: ${amount.toLocaleString()} split across vehicles`);
         } else {
             // USD mode: fill level based on USD capacity
             initialFillLevel = (amount / CONFIG.PIG_CAPACITY_DOLLARS) * 100;
@@ -518,7 +1250,20 @@ class StateManager {
             fillLevel: initialFillLevel,
             totalSavings: amount,                 // Always store USD amount
             totalSavingsBtc: startAmountBtc,      // Always store BTC equivalent
+            totalSavingsGold: startAmountGold,    // Always store gold equivalent
+            allocationHoldings: currentVehicle === CONFIG.savingsVehicle.options.MIX ? startHoldings : createEmptyAllocation(),
             nominalDollarsSaved: amount,          // Initialize nominal amount
+            nominalDollarsWithdrawn: 0,
+            depletedMonth: null,
+            taxLots: syncTaxLots(createTaxLots(), getTaxableHoldings(currentVehicle, {
+                totalSavingsBtc: startAmountBtc,
+                totalSavingsGold: startAmountGold,
+                allocationHoldings: startHoldings
+            }), startDate, 0, goldGrowth),
+            totalTaxPaid: 0,
+            lastTaxCharge: null,
+            totalFeesPaid: 0,
+            lastFeeCharge: null,
             totalBankSavings: 0,
             mugFillLevel: CONFIG.MIN_FILL_PERCENTAGE,
             lastDropTime: 0,
@@ -527,9 +1272,11 @@ class StateManager {
             currentSimDate: new Date(startDate),
             simulationStartDate: new Date(startDate),
             fullPigBtcCapacity: fullPigBtc,
+            fullPigGoldCapacity: fullPigGold,
             cumulativeInflationFactor: 1.0,       // Reset to 1.0 (no erosion at start)
-            btcModeEverActive: currentVehicle === 'btc'  // Set based on current vehicle (from localStorage)
-            // Note: savingsVehicle is NOT reset - it persists across restarts
+            savingsVehicle: currentVehicle,       // Only changes when BTC has no price at the start date (BTC → USD)
+            btcModeEverActive: !isDollarVehicle(currentVehicle)  // Set based on current vehicle (from localStorage)
+            // Note: savingsVehicle otherwise persists across restarts
         });
     }
     
@@ -540,6 +1287,45 @@ class StateManager {
     initializeFromStartingAmount() {
         this.reset(this.getStartingAmount());
     }
+
+    /**
+     * Get simulation state for a saved session
+     * Dates are stored as ISO strings so the snapshot survives JSON
+     * @returns {Object} Serializable simulation state (see SESSION_STATE_KEYS)
+     */
+    getSessionSnapshot() {
+        const snapshot = {};
+
+        SESSION_STATE_KEYS.forEach(key => {
+            const value = this.state[key];
+            snapshot[key] = value instanceof Date ? value.toISOString() : value;
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Restore simulation state from a saved session
+     * Replaces the state set by reset() - settings must be restored first
+     * @param {Object} snapshot - State from getSessionSnapshot()
+     */
+    restoreSessionSnapshot(snapshot) {
+        const updates = {};
+
+        SESSION_STATE_KEYS.forEach(key => {
+            if (snapshot[key] === undefined) return;
+
+            updates[key] = (key === 'currentSimDate' || key === 'simulationStartDate')
+                ? new Date(snapshot[key])
+                : snapshot[key];
+        });
+
+        this.setState({
+            ...updates,
+            lastDropTime: 0,
+            isPaused: false
+        });
+    }
     
     /**
      * Get months elapsed since simulation started
@@ -582,20 +1368,19 @@ class StateManager {
      * @returns {number} Purchasing power in dollars
      */
     getPPValue() {
-        const savingsVehicle = this.state.savingsVehicle;
+        // BTC / gold are valued in dollars at the current date first, then adjusted for inflation
+        const purchasingPower = this.getSavingsUsdValue() / this.state.cumulativeInflationFactor;
+        return Math.round(purchasingPower);
+    }
 
-        if (savingsVehicle === 'btc') {
-            // BTC mode: Convert BTC to USD at current date, then adjust for inflation
-            const currentDate = this.state.currentSimDate;
-            const totalBtc = this.state.totalSavingsBtc;
-            const usdValue = convertBtcToUsd(totalBtc, currentDate);
-            const purchasingPower = usdValue / this.state.cumulativeInflationFactor;
-            return Math.round(purchasingPower);
-        } else {
-            // USD mode: Divide total savings by cumulative inflation factor
-            const purchasingPower = this.state.totalSavings / this.state.cumulativeInflationFactor;
-            return Math.round(purchasingPower);
-        }
+    /**
+     * Get purchasing power as a count of goods
+     * The savings value at the current date divided by the good's price at that date
+     * @param {string} goodId - 'gold' or a good id (defaults to the selected measure)
+     * @returns {number} Units of the good the savings buy
+     */
+    getPPInGoods(goodId = this.state.measure) {
+        return convertToGoods(this.getSavingsUsdValue(), goodId, this.state.currentSimDate, this.getGoldGrowth());
     }
 
     /**
@@ -2,17 +2,19 @@
  * TimingManager - Manages drop creation timing
  *
  * Handles the interval timer that creates savings drops every second (1 drop = 1 month).
- * Automatically pauses/resumes based on state manager pause state.
+ * Automatically pauses/resumes based on state manager pause state, and follows
+ * the playback speed (2x = one drop every 500ms).
  *
  * Responsibilities:
  * - Create savings drops at regular intervals (default 1000ms)
  * - Start/stop interval timer
  * - Pause/resume (via state manager subscription)
+ * - Scale the interval by the playback speed (via state manager subscription)
  * - Trigger callback to create drop
  *
  * Dependencies:
  * - config.js (for DROP_INTERVAL_MS)
- * - state-manager.js (to check pause state and subscribe to changes)
+ * - state-manager.js (to check pause state and speed, and subscribe to changes)
  *
  * Example:
  * ```javascript
@@ -38,6 +40,9 @@ class TimingManager {
 
         // Subscribe to pause state changes
         this.setupPauseSubscription();
+
+        // Subscribe to playback speed changes
+        this.setupSpeedSubscription();
     }
 
     /**
@@ -56,6 +61,27 @@ class TimingManager {
         });
     }
 
+    /**
+     * Setup subscription to playback speed
+     * Restarts an active interval so the new speed applies from the next drop
+     */
+    setupSpeedSubscription() {
+        this.stateManager.subscribe('playbackSpeed', () => {
+            if (this.isIntervalActive()) {
+                this.startInterval();
+            }
+        });
+    }
+
+    /**
+     * Get time between drops at the current playback speed
+     * @returns {number} Interval in milliseconds
+     */
+    getDropIntervalMs() {
+        const speed = this.stateManager.get('playbackSpeed') || 1;
+        return this.config.DROP_INTERVAL_MS / speed;
+    }
+
     /**
      * Start the timing manager
      * Begins creating drops at regular intervals
@@ -95,7 +121,7 @@ class TimingManager {
             if (!isPaused && !isFinished) {
                 this.createDropCallback();
             }
-        }, this.config.DROP_INTERVAL_MS);
+        }, this.getDropIntervalMs());
     }
 
     /**
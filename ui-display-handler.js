@@ -5,13 +5,16 @@
  * - Update pause button text and styling
  * - Update info panel baseline text (dynamic parts only)
  * - Toggle info panel expansion/collapse with [+]/[-] button
- * - Update leak oval size (based on inflation rate)
+ * - Update leak oval size (based on inflation rate of the current month)
+ * - Update fee leak oval size (based on the yearly fee of the current holdings)
+ * - Update inflation label when running against a month-by-month series
  * - Position chart panel below info panel in mobile mode
  *
  * Dependencies:
  * - config.js (CONFIG constants)
- * - state-manager.js (state values)
- * - formatters.js (formatCurrencyK, formatDate)
+ * - state-manager.js (state values, measure)
+ * - financial-math.js (getGoodsInfo, convertToGoods)
+ * - formatters.js (getCurrencySymbol, formatCurrencyK, formatGoodsAmount, formatDate, formatInflationPercent)
  *
  * Example:
  * ```javascript
@@ -39,7 +42,10 @@ class UIDisplayHandler {
             infoExpandedText: null,
             infoDisplay: null,
             chartPanel: null,
-            leakOval: null
+            leakOval: null,
+            feeLeakOval: null,
+            inflationValue: null,
+            inflationSlider: null
         };
     }
 
@@ -57,6 +63,7 @@ class UIDisplayHandler {
         // Subscribe to savings vehicle changes to update leak oval visibility
         this.state.subscribe('savingsVehicle', () => {
             this.updateLeakOvalVisibility();
+            this.updateFeeLeakOval();
         });
 
         // Subscribe to simulation finished state to hide/show pause button
@@ -85,6 +92,7 @@ class UIDisplayHandler {
         this.updateInfoPanel();
         this.updateLeakOval();
         this.updateLeakOvalVisibility();
+        this.updateFeeLeakOval();
 
         // Position chart panel after browser completes layout
         this.positionChartPanelAfterLayout();
@@ -144,12 +152,23 @@ class UIDisplayHandler {
         this.elements.infoDisplay = document.querySelector('.info-display');
         this.elements.chartPanel = document.querySelector('.chart-panel');
 
+        // Inflation label (shows the current month's rate when a series is active)
+        this.elements.inflationValue = document.getElementById(this.config.elementIds.inflationValue);
+        this.elements.inflationSlider = document.getElementById(this.config.elementIds.inflationSlider);
+
         // Leak oval - create if it doesn't exist
         let leakOval = document.querySelector(this.config.selectors.leakOval);
         if (!leakOval) {
             leakOval = this.createLeakOval();
         }
         this.elements.leakOval = leakOval;
+
+        // Fee leak oval - create if it doesn't exist
+        let feeLeakOval = document.querySelector(this.config.selectors.feeLeakOval);
+        if (!feeLeakOval) {
+            feeLeakOval = this.createLeakOval(this.config.cssClasses.feeLeakOval);
+        }
+        this.elements.feeLeakOval = feeLeakOval;
     }
 
     /**
@@ -239,19 +258,21 @@ class UIDisplayHandler {
     }
 
     /**
-     * Create the leak oval element dynamically
+     * Create a leak oval element dynamically
+     * @param {string} className - CSS class (inflation leak oval by default, or the fee leak oval)
      * @returns {HTMLElement} Created leak oval element
      */
-    createLeakOval() {
+    createLeakOval(className = this.config.cssClasses.leakOval) {
         const leakOval = document.createElement('div');
-        leakOval.className = this.config.cssClasses.leakOval;
+        leakOval.className = className;
 
-        // Append to animation-container instead of body to share positioning context with pig/pig-oval
-        const animationContainer = document.querySelector('.animation-container');
-        if (animationContainer) {
-            animationContainer.appendChild(leakOval);
+        // Append to the main pig scene instead of body to share positioning context with pig/pig-oval
+        const scene = document.getElementById(this.config.elementIds.primaryScene) ||
+            document.querySelector('.animation-container');
+        if (scene) {
+            scene.appendChild(leakOval);
         } else {
-            // Fallback to body if animation-container doesn't exist
+            // Fallback to body if neither the scene nor animation-container exists
             document.body.appendChild(leakOval);
         }
 
@@ -281,7 +302,7 @@ class UIDisplayHandler {
 
     /**
      * Update pause button visibility based on simulation finished state
-     * Hide pause button when simulation is finished (360 months reached)
+     * Hide pause button when simulation is finished (horizon reached)
      */
     updatePauseButtonVisibility() {
         if (!this.elements.pauseButton) return;
@@ -297,22 +318,43 @@ class UIDisplayHandler {
 
     /**
      * Update info panel baseline text (dynamic parts only)
-     * Updates the baseline amount ($100K) and date (2025 October)
+     * Updates the baseline amount ($100K, or a count of goods at start-date prices) and date (2025 October)
      * The static text is in HTML, only dynamic parts are updated here
      */
     updateInfoPanel() {
         // Update baseline amount from CONFIG
         if (this.elements.baselineAmount) {
             const capacityDollars = this.config.PIG_CAPACITY_DOLLARS;
-            this.elements.baselineAmount.textContent = formatCurrencyK(capacityDollars);
+            const measure = this.state.getMeasure();
+            const goods = getGoodsInfo(measure);
+
+            if (goods) {
+                const count = convertToGoods(capacityDollars, measure, this.state.get('simulationStartDate'), this.state.getGoldGrowth());
+                this.elements.baselineAmount.textContent = formatGoodsAmount(count, goods.unit);
+            } else {
+                this.elements.baselineAmount.textContent = getCurrencySymbol() + formatCurrencyK(capacityDollars);
+            }
         }
 
-        // Update baseline date
+        // Update baseline date (simulation start date - PP is measured in start-date dollars)
         if (this.elements.baselineDate) {
-            const now = new Date();
-            const year = now.getFullYear();
-            const month = this.config.display.monthNames[now.getMonth()];
-            this.elements.baselineDate.textContent = `${year} ${month}`;
+            const startDate = this.state.get('simulationStartDate');
+            this.elements.baselineDate.textContent = formatDate(startDate);
+        }
+    }
+
+    /**
+     * Update inflation label to the rate used for the current simulation month
+     * Series: shows the month's rate, constant: shows the slider value
+     */
+    updateInflationLabel() {
+        if (!this.elements.inflationValue) return;
+
+        if (this.state.getInflationSeries()) {
+            const annualInflationPercent = this.state.getAnnualInflation() * 100;
+            this.elements.inflationValue.textContent = formatInflationPercent(annualInflationPercent);
+        } else if (this.elements.inflationSlider) {
+            this.elements.inflationValue.textContent = this.elements.inflationSlider.value;
         }
     }
 
@@ -323,7 +365,7 @@ class UIDisplayHandler {
     updateLeakOval() {
         if (!this.elements.leakOval) return;
 
-        // Get current inflation rate from settings
+        // Get inflation rate of the current simulation month (series or slider)
         const annualInflationPercent = this.state.getAnnualInflation() * 100;
 
         // Calculate oval size using helper function from config.js
@@ -339,21 +381,40 @@ class UIDisplayHandler {
         this.elements.leakOval.style.height = scaledHeight + 'px';
     }
 
+    /**
+     * Update fee leak oval size based on the yearly fee of the current holdings
+     * The fee leak oval sits next to the inflation leak oval and is hidden without fees
+     */
+    updateFeeLeakOval() {
+        if (!this.elements.feeLeakOval) return;
+
+        const { width, height } = calculateFeeLeakOvalSize(this.state.getAnnualFeeRate() * 100);
+        if (width === 0) {
+            this.elements.feeLeakOval.style.display = 'none';
+            return;
+        }
+
+        const scaleFactor = getScaleFactor();
+        this.elements.feeLeakOval.style.display = 'block';
+        this.elements.feeLeakOval.style.width = (width * scaleFactor) + 'px';
+        this.elements.feeLeakOval.style.height = (height * scaleFactor) + 'px';
+    }
+
     /**
      * Update leak oval visibility based on current savings vehicle
-     * USD: leak oval visible (inflation applies)
-     * BTC: leak oval hidden (BTC doesn't leak)
+     * USD / HYSA / mix: leak oval visible (inflation applies to the dollars held)
+     * BTC / gold: leak oval hidden (held outside dollars, doesn't leak)
      */
     updateLeakOvalVisibility() {
         if (!this.elements.leakOval) return;
 
         const vehicle = this.state.getSavingsVehicle();
 
-        if (vehicle === this.config.savingsVehicle.options.BTC) {
-            // BTC mode: hide leak oval (BTC doesn't leak)
+        if (!isDollarVehicle(vehicle) && vehicle !== this.config.savingsVehicle.options.MIX) {
+            // BTC / gold mode: hide leak oval
             this.elements.leakOval.style.display = 'none';
         } else {
-            // USD mode: show leak oval (inflation applies)
+            // USD / HYSA mode: show leak oval (inflation applies)
             this.elements.leakOval.style.display = 'block';
         }
     }
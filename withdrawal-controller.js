@@ -0,0 +1,261 @@
+/**
+ * WithdrawalController - Withdrawal Phase Settings Management
+ *
+ * Lets the user start a withdrawal phase at a chosen month: from then on the
+ * pig pays out a monthly withdrawal (fixed, or indexed to the simulated inflation)
+ * instead of receiving savings. Values are persisted in localStorage and read by
+ * SettingsCache, so StateManager and SimulationEngine pick them up like any slider value.
+ *
+ * Responsibilities:
+ * - Fill the mode selector from CONFIG.withdrawal.options
+ * - Load/save start month, amount and mode via settings-storage.js
+ * - Report how long the savings last in each vehicle (headless runs per vehicle)
+ * - Refresh that report when the simulation restarts or the settings change
+ *
+ * Dependencies:
+ * - config.js (CONFIG.withdrawal, CONFIG.savingsVehicle.labels, element IDs)
+ * - settings-storage.js (getSetting, setSetting)
+ * - dom-cache.js (settingsCache for the current settings)
+ * - state-manager.js (running simulation's start date, horizon, withdrawal params)
+ * - simulation-engine.js (calculateWithdrawalLongevity)
+ * - formatters.js (formatMonths, getCurrencySymbol)
+ *
+ * Example:
+ * ```javascript
+ * const controller = new WithdrawalController(CONFIG, stateManager);
+ * controller.initialize();
+ * controller.setWithdrawal('2045-01', 2000, 'indexed'); // $2,000/month in start-date dollars from 2045
+ * ```
+ */
+class WithdrawalController {
+    /**
+     * Create a new WithdrawalController
+     * @param {Object} config - Configuration object (CONFIG from config.js)
+     * @param {Object} stateManager - State manager instance
+     */
+    constructor(config, stateManager) {
+        this.config = config;
+        this.stateManager = stateManager;
+
+        // DOM elements
+        this.elements = {
+            startInput: null,
+            amountInput: null,
+            modeSelect: null,
+            status: null
+        };
+    }
+
+    /**
+     * Initialize the controller
+     * Restores the saved withdrawal settings before the simulation state is initialized
+     */
+    initialize() {
+        // Cache DOM elements
+        this.cacheElements();
+
+        if (!this.elements.startInput) return;
+
+        // Fill selector and restore saved values
+        this.populateModeOptions();
+        this.loadFromStorage();
+
+        // Sync settings cache with restored values
+        if (window.settingsCache) {
+            window.settingsCache.readWithdrawal();
+        }
+
+        // Setup event listeners
+        this.setupEventListeners();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.startInput = document.getElementById(this.config.elementIds.withdrawalStartInput);
+        this.elements.amountInput = document.getElementById(this.config.elementIds.withdrawalAmountInput);
+        this.elements.modeSelect = document.getElementById(this.config.elementIds.withdrawalModeSelect);
+        this.elements.status = document.getElementById(this.config.elementIds.withdrawalStatus);
+    }
+
+    /**
+     * Fill the mode selector with the configured modes
+     */
+    populateModeOptions() {
+        const select = this.elements.modeSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+
+        this.config.withdrawal.options.forEach(({ mode, label }) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Load start month, amount and mode from storage
+     * Falls back to CONFIG defaults for missing values (no start month = no withdrawal phase)
+     */
+    loadFromStorage() {
+        const withdrawal = this.config.withdrawal;
+        const saved = getSetting('withdrawal', {});
+
+        this.elements.startInput.value = parseStartMonth(saved.start) ? saved.start : '';
+
+        if (this.elements.amountInput) {
+            this.elements.amountInput.min = withdrawal.amount.min;
+            this.elements.amountInput.max = withdrawal.amount.max;
+            this.elements.amountInput.step = withdrawal.amount.step;
+            this.elements.amountInput.value = typeof saved.amount === 'number' ? saved.amount : withdrawal.amount.default;
+        }
+
+        if (this.elements.modeSelect) {
+            const isValidMode = withdrawal.options.some(option => option.mode === saved.mode);
+            this.elements.modeSelect.value = isValidMode ? saved.mode : withdrawal.default;
+        }
+    }
+
+    /**
+     * Setup event listeners for settings changes and simulation restarts
+     * SettingsCache keeps its own listeners; a change applies from the next month
+     */
+    setupEventListeners() {
+        [
+            [this.elements.startInput, 'change'],
+            [this.elements.amountInput, 'change'],
+            [this.elements.modeSelect, 'change']
+        ].forEach(([element, eventName]) => {
+            if (element) {
+                element.addEventListener(eventName, () => {
+                    this.saveToStorage();
+                    this.updateStatus();
+                });
+            }
+        });
+
+        // Longevity is measured from the running simulation's start (new on every restart)
+        this.stateManager.subscribe('simulationStartDate', () => {
+            this.updateStatus();
+        });
+    }
+
+    /**
+     * Set withdrawal settings programmatically (e.g. from a shared link)
+     * @param {string} [start] - First withdrawal month as 'YYYY-MM' ('' = no withdrawal phase)
+     * @param {number} [amount] - Monthly withdrawal in dollars
+     * @param {string} [mode] - Withdrawal mode ('fixed' or 'indexed')
+     */
+    setWithdrawal(start, amount, mode) {
+        if (!this.elements.startInput) return;
+
+        if (start !== undefined) {
+            this.elements.startInput.value = start;
+        }
+        if (this.elements.amountInput && amount !== undefined) {
+            this.elements.amountInput.value = amount;
+        }
+        if (this.elements.modeSelect && mode !== undefined) {
+            this.elements.modeSelect.value = mode;
+        }
+
+        this.saveToStorage();
+
+        if (window.settingsCache) {
+            window.settingsCache.readWithdrawal();
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Get withdrawal settings as shown in the inputs
+     * @returns {Object} { start ('YYYY-MM' or ''), amount (dollars), mode }
+     */
+    getWithdrawal() {
+        const amount = this.elements.amountInput ? parseFloat(this.elements.amountInput.value) : NaN;
+
+        return {
+            start: this.elements.startInput.value,
+            amount: isNaN(amount) ? this.config.withdrawal.amount.default : amount,
+            mode: this.elements.modeSelect ? this.elements.modeSelect.value : this.config.withdrawal.default
+        };
+    }
+
+    /**
+     * Save withdrawal settings to storage
+     */
+    saveToStorage() {
+        setSetting('withdrawal', this.getWithdrawal());
+    }
+
+    /**
+     * Build engine params for the running simulation's settings
+     * @returns {Object} SimulationEngine params (withdrawal null without a withdrawal phase)
+     */
+    buildParams() {
+        const settings = window.settingsCache;
+        const startDate = this.stateManager.get('simulationStartDate');
+
+        return {
+            startAmount: settings.getStartingAmount(),
+            monthlySavings: settings.getMonthlySavings(),
+            contributionGrowth: settings.getContributionGrowth(),
+            events: settings.getOneOffEvents(),
+            withdrawal: this.stateManager.getWithdrawalParams(startDate),
+            taxModel: settings.getCapitalGainsTax(),
+            fees: settings.getFees(),
+            annualInflation: settings.getAnnualInflation(),
+            inflationSeries: settings.getInflationSeries(),
+            annualYield: settings.getAnnualYield(),
+            goldGrowth: settings.getGoldGrowth(),
+            allocation: settings.getAllocation(),
+            rebalanceMonths: settings.getRebalanceMonths(),
+            savingsVehicle: this.stateManager.getSavingsVehicle(),
+            startDate: startDate,
+            months: this.stateManager.getTotalMonths()
+        };
+    }
+
+    /**
+     * Report how long the savings last in each vehicle
+     * Empty without a withdrawal phase
+     */
+    updateStatus() {
+        if (!this.elements.status || !window.settingsCache) return;
+
+        const params = this.buildParams();
+        if (!params.withdrawal) {
+            this.elements.status.textContent = '';
+            return;
+        }
+
+        if (params.withdrawal.fromMonth >= params.months) {
+            this.elements.status.textContent = 'Starts after the horizon';
+            return;
+        }
+
+        const longevity = calculateWithdrawalLongevity(this.config, params);
+        const labels = this.config.savingsVehicle.labels;
+
+        this.elements.status.textContent = 'Lasts ' + Object.keys(longevity)
+            .map(vehicle => {
+                const months = longevity[vehicle];
+                const label = vehicle === this.config.savingsVehicle.options.USD ? getCurrencySymbol() : labels[vehicle];
+                return `${label} ${months === null ? 'past the horizon' : formatMonths(months)}`;
+            })
+            .join(' · ');
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.WithdrawalController = WithdrawalController;
+}
+
+// Support direct exports if using as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WithdrawalController };
+}